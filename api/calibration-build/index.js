@@ -0,0 +1,59 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { buildCalibrationRecord, saveCalibrationRecord } = require('../shared/calibration');
+
+// Rebuild the calibration store from every closed session, e.g. after
+// actuals were pulled late or the metric extraction changed.
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    const { resources: sessions } = await container.items.query({
+      query: 'SELECT * FROM c WHERE c.status = @status',
+      parameters: [{ name: '@status', value: 'closed' }]
+    }).fetchAll();
+
+    const built = [];
+    const skipped = [];
+
+    for (const session of sessions) {
+      if (!session.executionPlan || !Array.isArray(session.executionPlan.phases)) {
+        skipped.push({ sessionId: session.id, reason: 'no execution plan' });
+        continue;
+      }
+      const calibrationRecord = buildCalibrationRecord(session, session.finalSowHours);
+      if (!calibrationRecord) {
+        skipped.push({ sessionId: session.id, reason: 'no actuals or SOW hours' });
+        continue;
+      }
+      const record = await saveCalibrationRecord(database, calibrationRecord);
+      built.push({ sessionId: record.sessionId, name: record.name, source: record.source, totalHours: record.totalHours, metrics: record.metrics });
+    }
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: { success: true, built, skipped }
+    };
+  } catch (error) {
+    context.log.error('Error building calibration store:', error);
+    context.res = {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to build calibration store', details: error.message }
+    };
+  }
+};
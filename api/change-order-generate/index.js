@@ -0,0 +1,89 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { historyStorageConfigured, readHistorySnapshot } = require('../shared/plan-history');
+const { diffPlans } = require('../shared/plan-diff');
+const { findSignedEntry, buildChangeOrder } = require('../shared/change-order');
+
+// Draft change order for the SOW builder: the scope and hours added or
+// removed since the signed plan snapshot (plan-history-sign), or since
+// the snapshot given as baseId.
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const sessionId = (req.query && req.query.sessionId) || (req.body && req.body.sessionId);
+    const baseId = (req.query && req.query.baseId) || (req.body && req.body.baseId);
+    if (!sessionId) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId is required' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session || !session.executionPlan) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Execution plan not found for session' }
+      };
+      return;
+    }
+
+    const history = Array.isArray(session.planHistory) ? session.planHistory : [];
+    const base = baseId ? history.find(h => h.id === baseId && h.blobName) : findSignedEntry(history);
+    if (!base) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: baseId ? 'Plan history entry not found' : 'No signed plan snapshot for this session; mark the signed plan in Plan History first' }
+      };
+      return;
+    }
+
+    if (!historyStorageConfigured()) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Storage configuration missing for change order' }
+      };
+      return;
+    }
+
+    const snapshot = await readHistorySnapshot(base);
+    const diff = diffPlans(snapshot.executionPlan, session.executionPlan);
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        sessionId,
+        base: { id: base.id, name: base.name, createdAt: base.createdAt, signedAt: base.signedAt || null },
+        diff,
+        changeOrder: diff.identical ? null : buildChangeOrder(diff, { baseName: base.name })
+      }
+    };
+  } catch (error) {
+    context.log.error('Error generating change order:', error);
+    context.res = {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to generate change order', details: error.message }
+    };
+  }
+};
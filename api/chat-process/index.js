@@ -1,5 +1,6 @@
 const { OpenAIClient, AzureKeyCredential } = require('@azure/openai');
 const { CosmosClient } = require('@azure/cosmos');
+const { mergeDiscovery } = require('../shared/discovery-provenance');
 
 // Default category prompts (fallback if config not available)
 const defaultCategoryPrompts = {
@@ -149,10 +150,7 @@ module.exports = async function (context, req) {
             const extracted = JSON.parse(extractionResult.choices[0].message.content);
             if (extracted && Object.keys(extracted).length > 0) {
                 // Merge with existing category data
-                session.discoveryData[category] = {
-                    ...(session.discoveryData[category] || {}),
-                    ...extracted
-                };
+                mergeDiscovery(session, { [category]: extracted });
                 discoveryData = session.discoveryData[category];
             }
         } catch (parseError) {
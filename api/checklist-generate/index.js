@@ -0,0 +1,143 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { ensurePlanIds } = require('../shared/plan');
+const { buildPlanSchedule } = require('../shared/resource-schedule');
+const { isDateString } = require('../shared/schedule');
+const {
+  MILESTONES, buildChecklist, assessReadiness, renderReadinessMarkdown, renderReadinessDocx
+} = require('../shared/integration-checklist');
+
+// Day-1 / Day-30 / Day-100 integration checklist (see
+// shared/integration-checklist). POST builds or refreshes it from the
+// discovery data and plan, keeping completion; GET returns the stored one.
+// Both return per-milestone readiness against the current schedule:
+//   dayZero: 'YYYY-MM-DD'        POST only, close date (default: plan start)
+//   format: 'md' | 'docx'        download the readiness report instead
+//   milestone: 'day1' | ...      limit the report to one milestone
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const input = { ...(req.query || {}), ...(req.body || {}) };
+    const { sessionId, format, milestone } = input;
+    if (!sessionId) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId is required' }
+      };
+      return;
+    }
+    if ((format && !['md', 'docx'].includes(format)) || (milestone && !MILESTONES.some((m) => m.id === milestone))) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'format must be md or docx and milestone one of day1, day30, day100' }
+      };
+      return;
+    }
+    if (input.dayZero && !isDateString(input.dayZero)) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'dayZero must be a valid YYYY-MM-DD date' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Session not found' }
+      };
+      return;
+    }
+
+    let configData = null;
+    try {
+      const { resource: cfg } = await database.container('Configurations').item('discovery_config', 'discovery_config').read();
+      configData = cfg.data;
+    } catch {}
+
+    const plan = Array.isArray(session.executionPlan?.phases) ? ensurePlanIds(session.executionPlan) : null;
+    const schedule = plan ? await buildPlanSchedule(database, sessionId, plan, configData) : null;
+
+    if (req.method === 'POST') {
+      const previous = session.integrationChecklist;
+      session.integrationChecklist = buildChecklist({
+        plan,
+        discoveryData: session.discoveryData,
+        dayZero: input.dayZero || previous?.dayZero || (schedule ? schedule.start.slice(0, 10) : new Date().toISOString().slice(0, 10)),
+        previous,
+        configData
+      });
+      await container.item(sessionId, sessionId).replace(session);
+    } else if (!session.integrationChecklist) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'No integration checklist for session' }
+      };
+      return;
+    }
+
+    const checklist = session.integrationChecklist;
+    const readiness = assessReadiness(checklist, schedule).filter((m) => !milestone || m.id === milestone);
+    const companyName = session.discoveryData?.general?.company_name;
+    const scope = milestone ? readiness[0].label : 'Day 1 / 30 / 100';
+    const title = `${scope} Readiness${companyName ? ` - ${companyName}` : ''}`;
+    const fileName = `readiness-${milestone || 'all'}-${sessionId}`;
+
+    if (format === 'md') {
+      context.res = {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/markdown; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${fileName}.md"`
+        },
+        body: renderReadinessMarkdown(readiness, title)
+      };
+      return;
+    }
+    if (format === 'docx') {
+      context.res = {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+          'Content-Disposition': `attachment; filename="${fileName}.docx"`
+        },
+        body: await renderReadinessDocx(readiness, title),
+        isRaw: true
+      };
+      return;
+    }
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: { sessionId, checklist, readiness }
+    };
+  } catch (error) {
+    context.log.error('Error building integration checklist:', error);
+    context.res = {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to build integration checklist', details: error.message }
+    };
+  }
+};
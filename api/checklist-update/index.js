@@ -0,0 +1,133 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { ensurePlanIds } = require('../shared/plan');
+const { buildPlanSchedule } = require('../shared/resource-schedule');
+const { MILESTONES, assessReadiness } = require('../shared/integration-checklist');
+
+// Tracks completion of the integration checklist on the session:
+//   updates: [{ itemId, done?, notes? }]
+//   add: [{ milestone, title, detail? }]   custom items kept on regenerate
+//   remove: [itemId]                        custom items only
+// Returns the checklist and per-milestone readiness, as checklist-generate.
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const { sessionId, updates = [], add = [], remove = [] } = req.body || {};
+    if (!sessionId || !Array.isArray(updates) || !Array.isArray(add) || !Array.isArray(remove)) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId is required; updates, add and remove must be arrays' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Session not found' }
+      };
+      return;
+    }
+    const checklist = session.integrationChecklist;
+    if (!checklist) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'No integration checklist for session' }
+      };
+      return;
+    }
+
+    const byId = new Map(checklist.items.map((item) => [item.id, item]));
+    const unknown = [
+      ...updates.map((u) => u?.itemId),
+      ...remove
+    ].filter((id) => !byId.has(id));
+    const badAdds = add.filter((a) => !a?.title || !MILESTONES.some((m) => m.id === a.milestone));
+    const notCustom = remove.filter((id) => byId.has(id) && byId.get(id).source !== 'custom');
+    if (unknown.length || badAdds.length || notCustom.length) {
+      const problems = [];
+      if (unknown.length) problems.push(`Unknown checklist items: ${unknown.join(', ')}`);
+      if (badAdds.length) problems.push('Added items need a title and a milestone of day1, day30 or day100');
+      if (notCustom.length) problems.push(`Only custom items can be removed: ${notCustom.join(', ')}`);
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Invalid checklist update', details: problems.join('; ') }
+      };
+      return;
+    }
+
+    const now = new Date().toISOString();
+    updates.forEach(({ itemId, done, notes }) => {
+      const item = byId.get(itemId);
+      if (typeof done === 'boolean' && done !== item.done) {
+        item.done = done;
+        item.doneAt = done ? now : null;
+      }
+      if (typeof notes === 'string') item.notes = notes;
+    });
+
+    let next = checklist.items.reduce((max, item) => {
+      const match = /^custom-(\d+)$/.exec(item.id);
+      return match ? Math.max(max, Number(match[1])) : max;
+    }, 0);
+    add.forEach((a) => {
+      next += 1;
+      checklist.items.push({
+        id: `custom-${next}`,
+        milestone: a.milestone,
+        title: String(a.title),
+        detail: String(a.detail || ''),
+        source: 'custom',
+        taskIds: [],
+        done: false,
+        doneAt: null,
+        notes: ''
+      });
+    });
+    checklist.items = checklist.items.filter((item) => !remove.includes(item.id));
+    checklist.updatedAt = now;
+
+    await container.item(sessionId, sessionId).replace(session);
+
+    let configData = null;
+    try {
+      const { resource: cfg } = await database.container('Configurations').item('discovery_config', 'discovery_config').read();
+      configData = cfg.data;
+    } catch {}
+
+    const plan = Array.isArray(session.executionPlan?.phases) ? ensurePlanIds(session.executionPlan) : null;
+    const schedule = plan ? await buildPlanSchedule(database, sessionId, plan, configData) : null;
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: { sessionId, checklist, readiness: assessReadiness(checklist, schedule) }
+    };
+  } catch (error) {
+    context.log.error('Error updating integration checklist:', error);
+    context.res = {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to update integration checklist', details: error.message }
+    };
+  }
+};
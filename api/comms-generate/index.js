@@ -0,0 +1,147 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { ensurePlanIds } = require('../shared/plan');
+const { buildPlanSchedule } = require('../shared/resource-schedule');
+const { isDateString } = require('../shared/schedule');
+const { buildCommsPack, renderCommsHtml, renderCommsEml } = require('../shared/user-comms');
+
+// User communication pack for the acquired company's staff (see
+// shared/user-comms). POST builds it from discovery and the scheduled plan
+// and stores it on session.userComms; GET returns the stored pack.
+//   dayZero: 'YYYY-MM-DD'     POST only, overrides the email cutover date
+//   reset: true | [messageId] POST only, drops edits so templates apply again
+//   format: 'html' | 'eml'    download instead; eml needs messageId, html
+//                             without one is the whole pack on one page
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const input = { ...(req.query || {}), ...(req.body || {}) };
+    const { sessionId, format, messageId } = input;
+    if (!sessionId) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId is required' }
+      };
+      return;
+    }
+    if ((format && !['html', 'eml'].includes(format)) || (format === 'eml' && !messageId)) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'format must be html or eml; eml needs a messageId' }
+      };
+      return;
+    }
+    if (input.dayZero && !isDateString(input.dayZero)) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'dayZero must be a valid YYYY-MM-DD date' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Session not found' }
+      };
+      return;
+    }
+
+    if (req.method === 'POST') {
+      let configData = null;
+      try {
+        const { resource: cfg } = await database.container('Configurations').item('discovery_config', 'discovery_config').read();
+        configData = cfg.data;
+      } catch {}
+
+      const plan = Array.isArray(session.executionPlan?.phases) ? ensurePlanIds(session.executionPlan) : null;
+      const schedule = plan ? await buildPlanSchedule(database, sessionId, plan, configData) : null;
+      const previous = session.userComms;
+      const pack = buildCommsPack({
+        plan,
+        schedule,
+        discoveryData: session.discoveryData,
+        configData,
+        // An earlier override sticks until a new one is given
+        dayZero: input.dayZero || (previous?.dayZeroSource === 'override' ? previous.dayZero : undefined),
+        previous,
+        reset: input.reset === true ? (previous?.messages || []).map((m) => m.id) : (Array.isArray(input.reset) ? input.reset : [])
+      });
+      if (!pack) {
+        context.res = {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: { error: 'No date to time the communications from', details: 'Schedule a plan with a user onboarding or email cutover phase, or set dayZero' }
+        };
+        return;
+      }
+      session.userComms = pack;
+      await container.item(sessionId, sessionId).replace(session);
+    } else if (!session.userComms) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'No user communications generated for session' }
+      };
+      return;
+    }
+
+    const pack = session.userComms;
+    if (format) {
+      const messages = messageId ? pack.messages.filter((m) => m.id === messageId) : pack.messages;
+      if (!messages.length) {
+        context.res = {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' },
+          body: { error: `Unknown message: ${messageId}` }
+        };
+        return;
+      }
+      const companyName = pack.facts?.companyName;
+      const fileName = `user-comms-${messageId || 'all'}-${sessionId}`;
+      context.res = {
+        status: 200,
+        headers: {
+          'Content-Type': format === 'eml' ? 'message/rfc822' : 'text/html; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${fileName}.${format}"`
+        },
+        body: format === 'eml'
+          ? renderCommsEml(pack, messages[0])
+          : renderCommsHtml(pack, messages, messageId ? messages[0].subject : `User Communications${companyName ? ` - ${companyName}` : ''}`)
+      };
+      return;
+    }
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: { sessionId, userComms: pack }
+    };
+  } catch (error) {
+    context.log.error('Error generating user communications:', error);
+    context.res = {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to generate user communications', details: error.message }
+    };
+  }
+};
@@ -0,0 +1,96 @@
+const { CosmosClient } = require('@azure/cosmos');
+
+// Saves edits to messages in the stored user communication pack:
+//   updates: [{ messageId, subject?, body? }]
+// Edited messages keep their text when comms-generate regenerates the pack
+// (send dates still move with the plan) until reset there.
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const { sessionId, updates } = req.body || {};
+    if (!sessionId || !Array.isArray(updates) || !updates.length) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId and a non-empty updates array are required' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const container = cosmosClient.database('MAOnboarding').container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Session not found' }
+      };
+      return;
+    }
+    const pack = session.userComms;
+    if (!pack) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'No user communications generated for session' }
+      };
+      return;
+    }
+
+    const byId = new Map(pack.messages.map((m) => [m.id, m]));
+    const unknown = updates.map((u) => u?.messageId).filter((id) => !byId.has(id));
+    const empty = updates.filter((u) => byId.has(u.messageId) && (u.subject === '' || u.body === ''));
+    if (unknown.length || empty.length) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          error: 'Invalid message update',
+          details: unknown.length ? `Unknown messages: ${unknown.join(', ')}` : 'Subject and body cannot be empty'
+        }
+      };
+      return;
+    }
+
+    updates.forEach(({ messageId, subject, body }) => {
+      const message = byId.get(messageId);
+      if (typeof subject === 'string' && subject !== message.subject) {
+        message.subject = subject;
+        message.edited = true;
+      }
+      if (typeof body === 'string' && body !== message.body) {
+        message.body = body;
+        message.edited = true;
+      }
+    });
+    pack.updatedAt = new Date().toISOString();
+
+    await container.item(sessionId, sessionId).replace(session);
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: { sessionId, userComms: pack }
+    };
+  } catch (error) {
+    context.log.error('Error updating user communications:', error);
+    context.res = {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to update user communications', details: error.message }
+    };
+  }
+};
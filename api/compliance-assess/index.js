@@ -0,0 +1,124 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { ensurePlanIds } = require('../shared/plan');
+const { OVERRIDE_STATUSES, getCatalog, assessCompliance, buildRemediation } = require('../shared/compliance');
+
+// Compliance mapping (see shared/compliance). GET assesses the session's
+// discovery data against its selected frameworks; POST changes the
+// selection or check overrides first and stores them on session.compliance:
+//   frameworks: ['ftc-safeguards', 'soc2', 'hipaa']
+//   overrides: { [checkId]: { status: 'met' | 'gap' | 'n/a', note } | null }
+//   includeUnknown: true   also remediate checks discovery did not answer
+// The response includes the remediation tasks for gaps as plan-edit
+// operations; post them to plan-update to add them to the plan.
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const input = { ...(req.query || {}), ...(req.body || {}) };
+    const { sessionId } = input;
+    if (!sessionId) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId is required' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Session not found' }
+      };
+      return;
+    }
+
+    let configData = null;
+    try {
+      const { resource: cfg } = await database.container('Configurations').item('discovery_config', 'discovery_config').read();
+      configData = cfg.data;
+    } catch {}
+
+    const catalog = getCatalog(configData);
+    const settings = {
+      frameworks: ['ftc-safeguards'],
+      overrides: {},
+      includeUnknown: false,
+      ...(session.compliance || {})
+    };
+
+    if (req.method === 'POST') {
+      const errors = [];
+      if (input.frameworks !== undefined) {
+        const unknown = Array.isArray(input.frameworks) ? input.frameworks.filter((id) => !catalog.some((f) => f.id === id)) : ['(not an array)'];
+        if (unknown.length) errors.push(`Unknown frameworks: ${unknown.join(', ')}`);
+        else settings.frameworks = input.frameworks;
+      }
+      if (input.overrides !== undefined) {
+        Object.entries(input.overrides || {}).forEach(([checkId, override]) => {
+          if (override === null) {
+            delete settings.overrides[checkId];
+          } else if (!override || !OVERRIDE_STATUSES.includes(override.status)) {
+            errors.push(`${checkId}: override status must be one of ${OVERRIDE_STATUSES.join(', ')}`);
+          } else {
+            settings.overrides[checkId] = { status: override.status, note: String(override.note || ''), at: new Date().toISOString() };
+          }
+        });
+      }
+      if (input.includeUnknown !== undefined) settings.includeUnknown = Boolean(input.includeUnknown);
+      if (errors.length) {
+        context.res = {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: { error: 'Invalid compliance settings', details: errors.join('; ') }
+        };
+        return;
+      }
+      session.compliance = { ...settings, updatedAt: new Date().toISOString() };
+      await container.item(sessionId, sessionId).replace(session);
+    }
+
+    const assessment = assessCompliance({
+      discoveryData: session.discoveryData,
+      frameworks: settings.frameworks,
+      overrides: settings.overrides,
+      configData
+    });
+    const plan = Array.isArray(session.executionPlan?.phases) ? ensurePlanIds(session.executionPlan) : null;
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        sessionId,
+        catalog: catalog.map((f) => ({ id: f.id, name: f.name, controls: f.controls.length })),
+        settings,
+        assessment,
+        remediation: plan ? buildRemediation(assessment, plan, { includeUnknown: settings.includeUnknown }) : null
+      }
+    };
+  } catch (error) {
+    context.log.error('Error assessing compliance:', error);
+    context.res = {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to assess compliance', details: error.message }
+    };
+  }
+};
@@ -0,0 +1,123 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { getConnectWiseSettings, createConnectWiseClient } = require('../shared/connectwise');
+const { ensurePlanIds, flattenTasks } = require('../shared/plan');
+const { computeVariance } = require('../shared/rollups');
+
+// Pull logged time and ticket status for every ticket recorded in
+// session.psaSync and attach them to the plan tasks as task.actuals.
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const settings = getConnectWiseSettings();
+    if (!settings) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'ConnectWise configuration missing' }
+      };
+      return;
+    }
+
+    const { sessionId } = req.body || {};
+    if (!sessionId) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId is required' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session || !session.executionPlan || !Array.isArray(session.executionPlan.phases)) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Execution plan not found for session' }
+      };
+      return;
+    }
+
+    const psaSync = session.psaSync || {};
+    if (!Object.keys(psaSync).length) {
+      context.res = {
+        status: 409,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'No ConnectWise tickets recorded for session; push the plan first' }
+      };
+      return;
+    }
+
+    const client = createConnectWiseClient(settings);
+    const plan = ensurePlanIds(session.executionPlan);
+    const pulledAt = new Date().toISOString();
+    const failed = [];
+    let updated = 0;
+
+    for (const { task } of flattenTasks(plan)) {
+      const entry = psaSync[task.id];
+      if (!entry) continue;
+
+      try {
+        const isProject = entry.kind === 'project';
+        const ticket = isProject
+          ? await client.getProjectTicket(entry.ticketId)
+          : await client.getTicket(entry.ticketId);
+        const entries = await client.listTimeEntries(isProject ? 'ProjectTicket' : 'ServiceTicket', entry.ticketId);
+        const hours = (Array.isArray(entries) ? entries : [])
+          .reduce((sum, e) => sum + (typeof e.actualHours === 'number' ? e.actualHours : 0), 0);
+
+        task.actuals = {
+          ticketId: entry.ticketId,
+          hours: Math.round(hours * 100) / 100,
+          entries: Array.isArray(entries) ? entries.length : 0,
+          status: ticket.status?.name || null,
+          closed: Boolean(ticket.closedFlag) || entry.status === 'closed',
+          pulledAt
+        };
+        updated += 1;
+      } catch (err) {
+        context.log.warn(`[connectwise-actuals] Failed to read ticket ${entry.ticketId} for task ${task.id}:`, err.message);
+        failed.push({ taskId: task.id, ticketId: entry.ticketId, error: err.message });
+      }
+    }
+
+    session.executionPlan = plan;
+    session.actualsPulledAt = pulledAt;
+    await container.item(sessionId, sessionId).replace(session);
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        success: failed.length === 0,
+        pulledAt,
+        updated,
+        failed,
+        variance: computeVariance(plan)
+      }
+    };
+  } catch (error) {
+    context.log.error('Error pulling ConnectWise actuals:', error);
+    context.res = {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to pull ConnectWise actuals', details: error.message }
+    };
+  }
+};
@@ -0,0 +1,174 @@
+const { CosmosClient } = require('@azure/cosmos');
+const {
+  getConnectWiseSettings,
+  getTicketMapping,
+  toReference,
+  resolveCompany,
+  createConnectWiseClient
+} = require('../shared/connectwise');
+const { ensurePlanIds } = require('../shared/plan');
+const { computeSyncDiff, summarizeDiff, projectTicketAdapter, applySyncDiff } = require('../shared/psa-sync');
+
+function toConnectWiseDate(date) {
+  return `${date.toISOString().split('T')[0]}T00:00:00Z`;
+}
+
+function phaseHours(phase) {
+  return phase.tasks.reduce((sum, task) => sum + (typeof task.hours === 'number' ? task.hours : 0), 0);
+}
+
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const settings = getConnectWiseSettings();
+    if (!settings) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'ConnectWise configuration missing' }
+      };
+      return;
+    }
+
+    const { sessionId, companyIdentifier, companyName, projectName, startDate } = req.body || {};
+    if (!sessionId) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId is required' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session || !session.executionPlan || !Array.isArray(session.executionPlan.phases)) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Execution plan not found for session' }
+      };
+      return;
+    }
+
+    let configData = null;
+    try {
+      const configContainer = database.container('Configurations');
+      const { resource: cfg } = await configContainer.item('discovery_config', 'discovery_config').read();
+      configData = cfg.data;
+    } catch {}
+
+    const mapping = getTicketMapping(configData);
+    const client = createConnectWiseClient(settings);
+    const plan = ensurePlanIds(session.executionPlan);
+    const discoveredName = session.discoveryData?.general?.company_name;
+
+    // First push creates the project and its phases; later pushes reuse it
+    // and only sync ticket changes.
+    if (!session.psaProject || !session.psaProject.projectId) {
+      const company = await resolveCompany(client, mapping, {
+        companyIdentifier,
+        companyName: companyName || discoveredName
+      });
+      if (!company) {
+        context.res = {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: { error: 'ConnectWise company could not be resolved', companyIdentifier: companyIdentifier || mapping.companyIdentifier || null, companyName: companyName || discoveredName || null }
+        };
+        return;
+      }
+
+      // Scheduled span when the plan has been scheduled, else the model's estimate
+      const scheduled = plan.resourceSchedule;
+      const start = startDate ? new Date(startDate) : scheduled ? new Date(scheduled.start) : new Date();
+      const totalDays = scheduled ? Math.max(1, scheduled.calendarDays) : Number(plan.timeline?.totalDays) || 90;
+      const end = new Date(start.getTime() + totalDays * 24 * 60 * 60 * 1000);
+      const totalHours = plan.phases.reduce((sum, phase) => sum + phaseHours(phase), 0);
+
+      const project = await client.createProject({
+        name: String(projectName || `${company.name} - M&A IT Onboarding`).slice(0, 75),
+        board: toReference(mapping.projectBoard),
+        company: toReference(company.id),
+        billingMethod: mapping.billingMethod,
+        estimatedStart: toConnectWiseDate(start),
+        estimatedEnd: toConnectWiseDate(end),
+        budgetHours: totalHours,
+        description: `Generated from M&A onboarding session ${sessionId}.`
+      });
+
+      // Phases are created in plan order so ConnectWise WBS numbering
+      // matches the plan the client signed.
+      const phaseIds = {};
+      for (const [phaseIdx, phase] of plan.phases.entries()) {
+        const cwPhase = await client.createProjectPhase(project.id, {
+          description: String(phase.name || phase.id).slice(0, 100),
+          notes: phase.description || '',
+          wbsCode: String(phaseIdx + 1),
+          budgetHours: phaseHours(phase)
+        });
+        phaseIds[phase.id] = cwPhase.id;
+      }
+
+      session.psaProject = {
+        projectId: project.id,
+        name: project.name,
+        url: client.projectUrl(project.id),
+        company: { id: company.id, identifier: company.identifier, name: company.name },
+        phases: phaseIds,
+        createdAt: new Date().toISOString()
+      };
+      // Record the project before syncing tickets so a failed push is
+      // retried against it instead of creating a second project.
+      await container.item(sessionId, sessionId).replace(session);
+    }
+
+    session.psaSync = session.psaSync || {};
+    const diff = computeSyncDiff(plan, session.psaSync, 'project');
+    const adapter = projectTicketAdapter(client, mapping, session.psaProject, plan);
+    const result = await applySyncDiff(diff, adapter, session.psaSync, context);
+
+    session.executionPlan = plan;
+    await container.item(sessionId, sessionId).replace(session);
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        success: result.failed.length === 0,
+        project: {
+          id: session.psaProject.projectId,
+          name: session.psaProject.name,
+          url: session.psaProject.url,
+          budgetHours: plan.phases.reduce((sum, phase) => sum + phaseHours(phase), 0)
+        },
+        summary: summarizeDiff(diff),
+        tickets: Object.entries(session.psaSync)
+          .filter(([, entry]) => entry.kind === 'project' && entry.status !== 'closed')
+          .map(([taskId, entry]) => ({ taskId, id: entry.ticketId, summary: entry.fields.summary, budgetHours: entry.fields.budgetHours, role: entry.fields.role, url: client.ticketUrl(entry.ticketId) })),
+        ...result
+      }
+    };
+  } catch (error) {
+    context.log.error('Error creating ConnectWise project:', error);
+    context.res = {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to create ConnectWise project', details: error.message }
+    };
+  }
+};
@@ -0,0 +1,65 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { getSyncKind, computeSyncDiff, summarizeDiff } = require('../shared/psa-sync');
+
+// Dry run of a ConnectWise push: reports what connectwise-tickets or
+// connectwise-project would create, update, skip and close for the session
+// without calling ConnectWise or writing psaSync.
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const sessionId = (req.query && req.query.sessionId) || (req.body && req.body.sessionId);
+    if (!sessionId) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId is required' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session || !session.executionPlan || !Array.isArray(session.executionPlan.phases)) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Execution plan not found for session' }
+      };
+      return;
+    }
+
+    const diff = computeSyncDiff(session.executionPlan, session.psaSync || {}, getSyncKind(session));
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        sessionId,
+        project: session.psaProject || null,
+        summary: summarizeDiff(diff),
+        ...diff
+      }
+    };
+  } catch (error) {
+    context.log.error('Error computing ConnectWise sync diff:', error);
+    context.res = {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to compute ConnectWise sync diff', details: error.message }
+    };
+  }
+};
@@ -1,29 +1,178 @@
+const { CosmosClient } = require('@azure/cosmos');
+const {
+  getConnectWiseSettings,
+  getTicketMapping,
+  mapTicketToConnectWise,
+  resolveCompany,
+  createConnectWiseClient
+} = require('../shared/connectwise');
+const { ensurePlanIds } = require('../shared/plan');
+const {
+  getSyncKind,
+  computeSyncDiff,
+  summarizeDiff,
+  serviceTicketAdapter,
+  projectTicketAdapter,
+  applySyncDiff
+} = require('../shared/psa-sync');
+
+function getDatabase() {
+  const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+  const cosmosKey = process.env.COSMOS_KEY;
+  if (!cosmosEndpoint || !cosmosKey) return null;
+  const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+  return cosmosClient.database('MAOnboarding');
+}
+
+async function loadConfig(database) {
+  try {
+    if (!database) return null;
+    const container = database.container('Configurations');
+    const { resource: config } = await container.item('discovery_config', 'discovery_config').read();
+    return config.data;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Session push: sync the stored execution plan's tasks against
+// session.psaSync so repeated pushes never duplicate tickets.
+async function syncSession(context, { database, client, mapping, sessionId, companyIdentifier, companyName }) {
+  const container = database.container('Sessions');
+  const { resource: session } = await container.item(sessionId, sessionId).read();
+  if (!session || !session.executionPlan || !Array.isArray(session.executionPlan.phases)) {
+    return { status: 404, body: { error: 'Execution plan not found for session' } };
+  }
+
+  const plan = ensurePlanIds(session.executionPlan);
+  const kind = getSyncKind(session);
+  let adapter;
+  let company = null;
+
+  if (kind === 'project') {
+    adapter = projectTicketAdapter(client, mapping, session.psaProject, plan);
+  } else {
+    company = await resolveCompany(client, mapping, {
+      companyIdentifier,
+      companyName: companyName || session.discoveryData?.general?.company_name
+    });
+    if (!company) {
+      return { status: 400, body: { error: 'ConnectWise company could not be resolved', companyIdentifier: companyIdentifier || mapping.companyIdentifier || null, companyName: companyName || null } };
+    }
+    adapter = serviceTicketAdapter(client, mapping, company);
+  }
+
+  session.psaSync = session.psaSync || {};
+  const diff = computeSyncDiff(plan, session.psaSync, kind);
+  const result = await applySyncDiff(diff, adapter, session.psaSync, context);
+
+  session.executionPlan = plan;
+  await container.item(sessionId, sessionId).replace(session);
+
+  return {
+    status: result.failed.length && !result.created.length && !result.updated.length && !result.closed.length ? 502 : 200,
+    body: {
+      success: result.failed.length === 0,
+      company: company ? { id: company.id, identifier: company.identifier, name: company.name } : session.psaProject.company,
+      summary: summarizeDiff(diff),
+      ...result,
+      created: result.created.map((item) => ({ ...item, url: client.ticketUrl(item.ticketId) }))
+    }
+  };
+}
+
 module.exports = async function (context, req) {
-    try {
-        const body = req.body;
-        const { tickets } = body;
+  try {
+    const settings = getConnectWiseSettings();
+    if (!settings) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'ConnectWise configuration missing' }
+      };
+      return;
+    }
 
-        const created = tickets.map(ticket => ({
-            ...ticket,
-            id: Math.floor(Math.random() * 100000),
-            status: 'created',
-            url: `https://connectwise.example.com/ticket/${Math.floor(Math.random() * 100000)}`
-        }));
+    const { sessionId, tickets, companyIdentifier, companyName } = req.body || {};
+    if (!sessionId && (!Array.isArray(tickets) || tickets.length === 0)) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId or tickets (non-empty array) is required' }
+      };
+      return;
+    }
 
+    const database = getDatabase();
+    const mapping = getTicketMapping(await loadConfig(database));
+    const client = createConnectWiseClient(settings);
+
+    if (sessionId) {
+      if (!database) {
         context.res = {
-            status: 200,
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                success: true,
-                created
-            })
-        };
-    } catch (error) {
-        context.log.error('Error creating ConnectWise tickets:', error);
-        context.res = {
-            status: 500,
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ error: 'Failed to create ConnectWise tickets', details: error.message })
+          status: 500,
+          headers: { 'Content-Type': 'application/json' },
+          body: { error: 'Cosmos DB configuration missing' }
         };
+        return;
+      }
+      const { status, body } = await syncSession(context, { database, client, mapping, sessionId, companyIdentifier, companyName });
+      context.res = {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+        body
+      };
+      return;
     }
+
+    // Ad-hoc push of an explicit ticket list; nothing is recorded, so callers
+    // that need idempotency should pass a sessionId instead.
+    const company = await resolveCompany(client, mapping, { companyIdentifier, companyName });
+    if (!company) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'ConnectWise company could not be resolved', companyIdentifier: companyIdentifier || mapping.companyIdentifier || null, companyName: companyName || null }
+      };
+      return;
+    }
+
+    const created = [];
+    const failed = [];
+
+    // Sequential on purpose: ConnectWise throttles bursts of ticket creates
+    for (const ticket of tickets) {
+      try {
+        const payload = mapTicketToConnectWise(ticket, mapping, company.identifier);
+        const result = await client.createTicket(payload);
+        created.push({
+          ...ticket,
+          id: result.id,
+          status: 'created',
+          url: client.ticketUrl(result.id)
+        });
+      } catch (err) {
+        context.log.warn(`[connectwise-tickets] Failed to create "${ticket.title}":`, err.message);
+        failed.push({ ...ticket, status: 'failed', error: err.message });
+      }
+    }
+
+    context.res = {
+      status: failed.length && !created.length ? 502 : 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        success: failed.length === 0,
+        company: { id: company.id, identifier: company.identifier, name: company.name },
+        created,
+        failed
+      }
+    };
+  } catch (error) {
+    context.log.error('Error creating ConnectWise tickets:', error);
+    context.res = {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to create ConnectWise tickets', details: error.message }
+    };
+  }
 };
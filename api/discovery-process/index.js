@@ -1,5 +1,6 @@
 const { OpenAIClient, AzureKeyCredential } = require('@azure/openai');
 const { CosmosClient } = require('@azure/cosmos');
+const { getEdgeStyle } = require('../shared/edge-styles');
 
 // Helper to call OpenAI with a primary deployment and gracefully fall back
 // to a default deployment if the primary deployment does not exist in the
@@ -253,21 +254,6 @@ function processAIResponse(treeUpdates, currentTree) {
     return { newNodes, newEdges };
 }
 
-function getEdgeStyle(type) {
-    switch (type) {
-        case 'dependency':
-            return { stroke: '#0078D4', strokeWidth: 2 };
-        case 'parallel':
-            return { stroke: '#107C10', strokeWidth: 2, strokeDasharray: '5,5' };
-        case 'conditional':
-            return { stroke: '#FFB900', strokeWidth: 2, strokeDasharray: '10,5' };
-        case 'risk':
-            return { stroke: '#D13438', strokeWidth: 3 };
-        default:
-            return { stroke: '#605E5C', strokeWidth: 1 };
-    }
-}
-
 function checkPhaseCompletion(category, response) {
     // Define completion criteria for each category
     const completionCriteria = {
@@ -1,4 +1,5 @@
 const { CosmosClient } = require('@azure/cosmos');
+const { replaceCategory } = require('../shared/discovery-provenance');
 
 module.exports = async function (context, req) {
   try {
@@ -39,11 +40,7 @@ module.exports = async function (context, req) {
       return;
     }
 
-    if (!session.discoveryData) {
-      session.discoveryData = {};
-    }
-
-    session.discoveryData[category] = data;
+    replaceCategory(session, category, data);
 
     await container.item(sessionId, sessionId).replace(session);
 
@@ -1,5 +1,8 @@
 const { OpenAIClient, AzureKeyCredential } = require('@azure/openai');
 const { CosmosClient } = require('@azure/cosmos');
+const { mergeDiscovery } = require('../shared/discovery-provenance');
+const { parseAdExport } = require('../shared/ad-export');
+const { parseRvToolsWorkbook, parseRvToolsCsv } = require('../shared/rvtools');
 
 async function loadConfig(cosmosClient) {
   try {
@@ -30,7 +33,8 @@ module.exports = async function (context, req) {
       return;
     }
 
-    const { sessionId, fileName, content } = req.body || {};
+    // encoding: 'base64' for binary files (.xlsx); text otherwise
+    const { sessionId, fileName, content, encoding } = req.body || {};
     if (!sessionId || !content) {
       context.res = {
         status: 400,
@@ -54,6 +58,43 @@ module.exports = async function (context, req) {
       return;
     }
 
+    // Active Directory and RVTools exports are parsed deterministically
+    // (see shared/ad-export and shared/rvtools) instead of going to the model.
+    const existingServer = session.discoveryData?.server;
+    let knownExport = null;
+    if (encoding === 'base64') {
+      knownExport = await parseRvToolsWorkbook(fileName, Buffer.from(String(content), 'base64'), existingServer);
+      if (!knownExport) {
+        context.res = {
+          status: 415,
+          headers: { 'Content-Type': 'application/json' },
+          body: { error: 'Only RVTools workbooks can be read from Excel files; save other sheets as CSV' }
+        };
+        return;
+      }
+    } else if (typeof content === 'string') {
+      knownExport = parseAdExport(fileName, content) || parseRvToolsCsv(fileName, content, existingServer);
+    }
+    if (knownExport) {
+      const updatedCategories = mergeDiscovery(session, knownExport.discovery, knownExport.provenance);
+      await container.item(sessionId, sessionId).replace(session);
+
+      context.res = {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          sessionId,
+          discoveryData: session.discoveryData,
+          discoveryProvenance: session.discoveryProvenance || {},
+          updatedCategories,
+          parsedAs: { kind: knownExport.kind, label: knownExport.label },
+          imported: knownExport.discovery,
+          warnings: knownExport.warnings
+        }
+      };
+      return;
+    }
+
     const config = await loadConfig(cosmosClient);
     const openAiSettings = config?.globalSettings?.openAi || {};
     const modelFromConfig = config?.globalSettings?.aiModel;
@@ -93,19 +134,7 @@ module.exports = async function (context, req) {
       return;
     }
 
-    if (!session.discoveryData) {
-      session.discoveryData = {};
-    }
-
-    const categories = Object.keys(extracted || {});
-    categories.forEach((cat) => {
-      const incoming = extracted[cat] || {};
-      const existing = session.discoveryData[cat] || {};
-      session.discoveryData[cat] = {
-        ...existing,
-        ...incoming,
-      };
-    });
+    const categories = mergeDiscovery(session, extracted || {});
 
     await container.item(sessionId, sessionId).replace(session);
 
@@ -115,6 +144,7 @@ module.exports = async function (context, req) {
       body: {
         sessionId,
         discoveryData: session.discoveryData,
+        discoveryProvenance: session.discoveryProvenance || {},
         updatedCategories: categories
       }
     };
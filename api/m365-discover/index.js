@@ -0,0 +1,106 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { TENANT_PATTERN, getGraphSettings, createGraphClient } = require('../shared/graph');
+const { collectTenant, mapTenantToDiscovery } = require('../shared/m365-discovery');
+const { mergeDiscovery } = require('../shared/discovery-provenance');
+
+// Pull users, licences, mailboxes, groups, Teams/SharePoint, Conditional
+// Access and domains from the target's Microsoft 365 tenant (see
+// shared/m365-discovery) and merge them into the session's general,
+// communication and security discovery with provenance.
+//   tenantId, clientId, clientSecret: an app registration in the target
+//   tenant with application permissions to read the above. The secret is
+//   used for this call only; the tenant and client ids are kept on
+//   session.m365Discovery with the import time and warnings.
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const { sessionId, tenantId, clientId, clientSecret } = req.body || {};
+    const settings = getGraphSettings({ tenantId, clientId, clientSecret });
+    if (!sessionId || !settings) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId, tenantId, clientId and clientSecret are required' }
+      };
+      return;
+    }
+    if (!TENANT_PATTERN.test(settings.tenantId)) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'tenantId must be a tenant GUID or domain' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const container = cosmosClient.database('MAOnboarding').container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Session not found' }
+      };
+      return;
+    }
+
+    const snapshot = await collectTenant(createGraphClient(settings), { tenantId: settings.tenantId });
+    const { discovery, provenance } = mapTenantToDiscovery(snapshot);
+    const factCount = Object.values(discovery).reduce((sum, facts) => sum + Object.keys(facts).length, 0);
+    if (!factCount) {
+      context.res = {
+        status: 502,
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          error: 'Microsoft Graph returned no usable data',
+          details: snapshot.warnings.map((w) => w.message).join('; '),
+          warnings: snapshot.warnings
+        }
+      };
+      return;
+    }
+
+    const updatedCategories = mergeDiscovery(session, discovery, provenance);
+    session.m365Discovery = {
+      tenantId: settings.tenantId,
+      clientId: settings.clientId,
+      retrievedAt: snapshot.retrievedAt,
+      endpoints: snapshot.endpoints,
+      warnings: snapshot.warnings
+    };
+    await container.item(sessionId, sessionId).replace(session);
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        sessionId,
+        discoveryData: session.discoveryData,
+        discoveryProvenance: session.discoveryProvenance || {},
+        updatedCategories,
+        imported: discovery,
+        warnings: snapshot.warnings
+      }
+    };
+  } catch (error) {
+    context.log.error('Error in m365-discover:', error);
+    context.res = {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to read the Microsoft 365 tenant', details: error.message }
+    };
+  }
+};
@@ -1,5 +1,17 @@
 const { OpenAIClient, AzureKeyCredential } = require('@azure/openai');
 const { CosmosClient } = require('@azure/cosmos');
+const { ensurePlanIds, buildPlanGraph } = require('../shared/plan');
+const { selectCalibration } = require('../shared/calibration');
+const { getEstimatorConfig, estimateEffort, reconcilePlan, describeEstimate } = require('../shared/estimator');
+const { PLAN_SCHEMA, validatePlan } = require('../shared/plan-schema');
+const { analyzePlan, getCrewSize } = require('../shared/plan-analysis');
+const { findScenario, applyDiscoveryOverrides } = require('../shared/scenarios');
+const { getSimulationConfig, applyThreePointEstimates, simulatePlan } = require('../shared/simulation');
+const { scheduleSessionPlan } = require('../shared/resource-schedule');
+const { compactInventory } = require('../shared/rvtools');
+
+const PLAN_FUNCTION_NAME = 'submit_execution_plan';
+const DEFAULT_REPAIR_ATTEMPTS = 2;
 
 // Helper to call OpenAI with a primary deployment and gracefully fall back
 // to a default deployment if the primary deployment does not exist in the
@@ -38,10 +50,26 @@ module.exports = async function (context, req) {
         const container = database.container('Sessions');
         
         const body = req.body;
-        const { sessionId, discoveryData, decisionTree } = body;
+        const { sessionId, decisionTree, scenarioId } = body;
 
         const { resource: session } = await container.item(sessionId, sessionId).read();
 
+        // A scenario plan is generated from the session discovery with the
+        // scenario's overrides applied, and saved on the scenario instead
+        // of session.executionPlan.
+        const scenario = scenarioId ? findScenario(session, scenarioId) : null;
+        if (scenarioId && !scenario) {
+            context.res = {
+                status: 404,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Scenario not found' })
+            };
+            return;
+        }
+        const discoveryData = scenario
+            ? applyDiscoveryOverrides(body.discoveryData || session.discoveryData, scenario.discoveryOverrides)
+            : body.discoveryData;
+
         // Load configuration to allow OpenAI overrides
         const configClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
         const configDb = configClient.database('MAOnboarding');
@@ -63,46 +91,41 @@ module.exports = async function (context, req) {
 
         const openAIClient = new OpenAIClient(openAIEndpoint, new AzureKeyCredential(openAIKey));
 
-        // Baseline template to align phases and hours with a typical
-        // two-server, ~5-user M&A onboarding. This is a calibration aid,
-        // not a hard constraint.
-        const baselineHoursTemplate = `
-REFERENCE PROJECT (CALIBRATION ONLY)
-- Scenario: 2 servers, ~5 users, one primary office plus small satellite.
-- Phases and typical effort:
-  - Phase 0: Pre-Migration & Discovery .......... ~12 hours
-  - Phase 1: Server Migration (Deliverable 1) ... ~42 hours
-  - Phase 2: User Onboarding (5 users) .......... ~22.5 hours
-  - Phase 3: Data Migration/Lockdown/Backup ..... ~18 hours
-  - Phase 4: Email/OneDrive/Website/DNS Cutover . ~27.5 hours
-  - Phase 5: Post-Migration & Stabilization ..... ~29.5 hours
-  - Total baseline effort ........................ ~150–155 hours
-
-Deliverable mapping (reference):
-- Deliverable 1 – Two Server Migration (~56 hours)
-- Deliverable 2 – User Onboarding (~27.5 hours)
-- Deliverable 3 – Data Migration/Lockdown/Backup (~21 hours)
-- Deliverable 4 – Email/OneDrive/Website/DNS (~31.5 hours)
-
-Use this as a sanity check: for a similarly sized environment, the
-sum of all task hours across all phases should normally fall between
-~135 and ~170 hours unless discovery clearly indicates materially more
-or less work (many more users, servers, complex VPN, heavy app issues, etc.).`;
+        // Calibrate against the closest completed engagements; falls back
+        // to the two-server, ~5-user baseline when the store has no match.
+        const calibration = await selectCalibration(database, discoveryData, { excludeId: sessionId });
+        const usingReferences = calibration.summary.source === 'references';
+
+        // Deterministic rules-based estimate; the model's hours are checked
+        // and reconciled against it once the plan comes back.
+        const estimatorConfig = getEstimatorConfig(configData);
+        const estimate = estimateEffort(discoveryData, estimatorConfig);
 
         const planPrompt = `
 You are an M&A integration planning expert. Create a professional,
 structured execution plan suitable for feeding into a SOW builder.
 
-First, use the following reference project to calibrate your
-phases and hours for a small (two-server, five-user) environment:
+First, use the following ${usingReferences ? 'completed engagements' : 'reference project'} to calibrate your
+phases and hours:
+
+${calibration.prompt}
+
+The rules-based estimator computed the following phase hours from the
+discovered size metrics (${JSON.stringify(estimate.metrics)}). Your
+phase totals will be checked against these with a ±${estimatorConfig.tolerancePct}% tolerance:
 
-${baselineHoursTemplate}
+${describeEstimate(estimate)}
 
 Now analyze the actual engagement details below.
 
 Discovery Data (JSON):
-${JSON.stringify(discoveryData, null, 2)}
-
+${JSON.stringify(compactInventory(discoveryData), null, 2)}
+${scenario ? `
+Scenario: ${scenario.name}
+${scenario.description || ''}
+Plan specifically for this approach. The discovery data above already
+includes the scenario's overrides.
+` : ''}
 Decision Tree Summary:
 ${decisionTree.nodes.length} nodes, ${decisionTree.edges.length} edges
 
@@ -116,21 +139,32 @@ Generate an execution plan with:
    - Phase 5: Post-Migration & Stabilization
    If the environment is substantially larger or smaller, you may
    split/merge phases, but keep the naming and ordering intuitive.
-2. Tasks within each phase with realistic hours and roles.
-3. Dependencies between tasks (by id) when order matters.
-4. High-level timeline summary (days/weeks).
-5. Risk factors.
-6. ConnectWise ticket recommendations.
+2. Tasks within each phase with realistic hours and roles. "hours" is the
+   most likely effort; optionally add optimisticHours (best case, not above
+   hours) and pessimisticHours (worst case, not below hours). Keep the
+   range narrow for low-risk tasks and wide for high or critical ones.
+3. Dependencies between tasks (by task id) when order matters. Give
+   every task a unique id of the form "<phase id>-t<n>".
+4. A go/no-go "gate" on each phase that contains cutover-type work
+   (server migration, data migration, email/DNS cutover): the criteria
+   that must hold before moving on, the decisionOwner role, and
+   rollbackTasks that undo the risky tasks if the decision is no-go.
+   Each rollback task lists the task ids it undoes and has its own id
+   of the form "<phase id>-rb<n>". Rollback hours are contingency and are
+   not counted in the phase.
+5. High-level timeline summary (days/weeks).
+6. Risk factors.
+7. ConnectWise ticket recommendations.
 
 IMPORTANT HOUR GUIDANCE:
-- For environments similar in size to the reference (2 servers, ~5
-  users), try to keep the total sum of all task hours close to the
-  baseline band (~135–170 hours), adjusted up or down based on the
-  actual discovery (more users, more servers, more complexity).
+- ${usingReferences
+    ? 'Keep the total sum of all task hours in line with the reference engagements, scaled for the differences in size and complexity found in discovery.'
+    : 'For environments similar in size to the reference (2 servers, ~5 users), try to keep the total sum of all task hours close to the baseline band (~135–170 hours), adjusted up or down based on the actual discovery (more users, more servers, more complexity).'}
 - Each task MUST include an estimated hour count and role so that
   downstream SOW tooling can roll up labor and margin.
 
-Return STRICT JSON with this shape (no comments, no extra fields):
+Submit the plan by calling ${PLAN_FUNCTION_NAME} with this shape (no
+comments, no extra fields):
 {
   "phases": [
     {
@@ -139,14 +173,24 @@ Return STRICT JSON with this shape (no comments, no extra fields):
       "description": "high level description of the phase",
       "tasks": [
         {
+          "id": "phase0-t1",
           "name": "Identify all line-of-business systems",
           "description": "1–2 sentence summary of the task",
           "hours": 8,
+          "optimisticHours": 6,
+          "pessimisticHours": 12,
           "role": "SE | DIO | CXO",
           "dependencies": ["optional-other-task-ids"],
           "risk": "low | medium | high | critical"
         }
-      ]
+      ],
+      "gate": {
+        "criteria": ["optional, cutover-type phases only"],
+        "decisionOwner": "SE | DIO | CXO",
+        "rollbackTasks": [
+          { "id": "phase0-rb1", "name": "...", "hours": 2, "role": "SE | DIO | CXO", "undoes": ["phase0-t1"] }
+        ]
+      }
     }
   ],
   "timeline": {
@@ -164,90 +208,93 @@ Return STRICT JSON with this shape (no comments, no extra fields):
   ]
 }`;
 
-        const completion = await getChatCompletionsWithFallback(
-            openAIClient,
-            deploymentName,
-            defaultDeployment,
-            [
-                { role: 'system', content: 'You are an M&A integration planning expert. Generate detailed, actionable execution plans.' },
-                { role: 'user', content: planPrompt }
-            ],
-            {
-                maxTokens: 2000,
-                temperature: 0.5
-            },
-            context,
-            'plan-generate execution plan'
-        );
-
-        let plan;
-        try {
-            plan = JSON.parse(completion.choices[0].message.content);
-        } catch (parseError) {
-            context.log('Failed to parse plan, using fallback structure');
-            plan = {
-                phases: [
-                    { id: 'assessment', name: 'Assessment', tasks: ['Initial assessment', 'Resource allocation'] },
-                    { id: 'migration', name: 'Migration', tasks: ['Data migration', 'Application migration'] },
-                    { id: 'integration', name: 'Integration', tasks: ['System integration', 'User training'] }
-                ],
-                timeline: { totalDays: 90, milestones: [] },
-                risks: [],
-                connectwiseTickets: []
-            };
-        }
-
-        const planNodes = [];
-        const planEdges = [];
-        let nodeY = 50;
-
-        plan.phases.forEach((phase, phaseIdx) => {
-            const phaseNode = {
-                id: `phase-${phase.id}`,
-                type: 'default',
-                data: {
-                    label: phase.name,
-                    type: 'phase'
+        const maxRepairAttempts = Number.isInteger(configData?.globalSettings?.planRepairAttempts)
+            ? configData.globalSettings.planRepairAttempts
+            : DEFAULT_REPAIR_ATTEMPTS;
+        const messages = [
+            { role: 'system', content: 'You are an M&A integration planning expert. Generate detailed, actionable execution plans.' },
+            { role: 'user', content: planPrompt }
+        ];
+
+        // The plan is requested as a forced function call so the model
+        // returns arguments against PLAN_SCHEMA. Invalid output is sent back
+        // with the validation errors for up to maxRepairAttempts repairs.
+        let plan = null;
+        let validationErrors = [];
+        let attempts = 0;
+        while (attempts <= maxRepairAttempts) {
+            attempts += 1;
+            const completion = await getChatCompletionsWithFallback(
+                openAIClient,
+                deploymentName,
+                defaultDeployment,
+                messages,
+                {
+                    maxTokens: 4000,
+                    temperature: 0.5,
+                    tools: [{
+                        type: 'function',
+                        function: {
+                            name: PLAN_FUNCTION_NAME,
+                            description: 'Submit the complete execution plan.',
+                            parameters: PLAN_SCHEMA
+                        }
+                    }],
+                    toolChoice: { type: 'function', function: { name: PLAN_FUNCTION_NAME } }
                 },
-                position: { x: 100, y: nodeY },
-                style: { background: '#4a90e2', color: 'white', padding: 10 }
-            };
-            planNodes.push(phaseNode);
-
-            if (phaseIdx > 0) {
-                planEdges.push({
-                    id: `edge-phase-${phaseIdx}`,
-                    source: `phase-${plan.phases[phaseIdx - 1].id}`,
-                    target: `phase-${phase.id}`,
-                    animated: true
-                });
+                context,
+                'plan-generate execution plan'
+            );
+
+            const message = completion.choices[0].message || {};
+            const toolCall = (message.toolCalls || [])[0];
+            const raw = toolCall ? toolCall.function.arguments : message.content;
+
+            let candidate;
+            try {
+                candidate = JSON.parse(raw);
+                validationErrors = validatePlan(candidate).errors;
+            } catch (parseError) {
+                validationErrors = [`Response is not valid JSON: ${parseError.message}`];
             }
 
-            nodeY += 100;
-
-            if (phase.tasks && Array.isArray(phase.tasks)) {
-                phase.tasks.forEach((task, taskIdx) => {
-                    const taskName = typeof task === 'string' ? task : task.name || 'Task';
-                    const taskNode = {
-                        id: `task-${phase.id}-${taskIdx}`,
-                        type: 'default',
-                        data: {
-                            label: taskName,
-                            type: 'task'
-                        },
-                        position: { x: 300 + (taskIdx * 150), y: nodeY - 50 },
-                        style: { background: '#e8f4f8', padding: 8 }
-                    };
-                    planNodes.push(taskNode);
-
-                    planEdges.push({
-                        id: `edge-task-${phase.id}-${taskIdx}`,
-                        source: `phase-${phase.id}`,
-                        target: `task-${phase.id}-${taskIdx}`
-                    });
-                });
+            if (!validationErrors.length) {
+                plan = candidate;
+                break;
             }
-        });
+
+            context.log.warn(`[plan-generate] Attempt ${attempts} failed validation: ${validationErrors.slice(0, 5).join('; ')}`);
+            messages.push({ role: 'assistant', content: raw || '' });
+            messages.push({
+                role: 'user',
+                content: `The execution plan failed validation:\n${validationErrors.slice(0, 20).map((e) => `- ${e}`).join('\n')}\n\nFix these problems and call ${PLAN_FUNCTION_NAME} again with the complete corrected plan.`
+            });
+        }
+
+        if (!plan) {
+            context.res = {
+                status: 422,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    error: 'The model did not return a valid execution plan',
+                    attempts,
+                    validationErrors
+                })
+            };
+            return;
+        }
+
+        ensurePlanIds(plan);
+        plan.calibration = calibration.summary;
+        const reconciliation = reconcilePlan(plan, estimate, estimatorConfig);
+        plan.effortEstimate = estimate;
+        plan.reconciliation = reconciliation;
+        const analysis = analyzePlan(plan, { crewSize: getCrewSize(configData, body.crewSize) });
+        plan.analysis = analysis;
+        const simulationConfig = getSimulationConfig(configData);
+        applyThreePointEstimates(plan, simulationConfig);
+        const simulation = simulatePlan(plan, simulationConfig);
+        plan.simulation = simulation;
 
         // Normalize phases to ensure Phase 0–5 naming is present
         const phaseNameMap = {
@@ -270,7 +317,23 @@ Return STRICT JSON with this shape (no comments, no extra fields):
             });
         }
 
-        session.executionPlan = plan;
+        // Replace the model's guessed duration with the scheduled one; a
+        // calendar or pool problem should not lose the generated plan
+        try {
+            await scheduleSessionPlan(database, sessionId, plan, configData);
+        } catch (err) {
+            context.log.warn(`Plan scheduling failed, keeping the model timeline: ${err.message}`);
+        }
+
+        const { planNodes, planEdges } = buildPlanGraph(plan);
+
+        if (scenario) {
+            scenario.executionPlan = plan;
+            scenario.generatedAt = new Date().toISOString();
+            delete scenario.planStale;
+        } else {
+            session.executionPlan = plan;
+        }
         await container.item(sessionId, sessionId).replace(session);
 
         context.res = {
@@ -279,7 +342,14 @@ Return STRICT JSON with this shape (no comments, no extra fields):
             body: JSON.stringify({
                 planNodes,
                 planEdges,
-                connectwiseTickets: plan.connectwiseTickets || []
+                connectwiseTickets: plan.connectwiseTickets || [],
+                calibration: calibration.summary,
+                estimate,
+                reconciliation,
+                analysis,
+                simulation,
+                executionPlan: plan,
+                scenarioId: scenario ? scenario.id : null
             })
         };
     } catch (error) {
@@ -0,0 +1,98 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { historyStorageConfigured, readHistorySnapshot } = require('../shared/plan-history');
+const { diffPlans } = require('../shared/plan-diff');
+
+const CURRENT = 'current';
+
+// Compares two plan-history entries, or an entry against the current
+// session.executionPlan when toId is omitted or "current".
+//   body: { sessionId, fromId, toId? }
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const { sessionId, fromId, toId = CURRENT } = req.body || {};
+    if (!sessionId || !fromId) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId and fromId are required' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Session not found' }
+      };
+      return;
+    }
+
+    const history = Array.isArray(session.planHistory) ? session.planHistory : [];
+    const ids = [fromId, toId].filter((id) => id !== CURRENT);
+    const entries = ids.map((id) => history.find(h => h.id === id));
+    if (entries.some((entry) => !entry || !entry.blobName)) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Plan history entry not found', planIds: ids.filter((id, i) => !entries[i] || !entries[i].blobName) }
+      };
+      return;
+    }
+
+    if (entries.length && !historyStorageConfigured()) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Storage configuration missing for plan diff' }
+      };
+      return;
+    }
+
+    const resolve = async (id) => {
+      if (id === CURRENT) {
+        return { id: CURRENT, name: 'Current plan', createdAt: session.executionPlan?.editedAt || null, plan: session.executionPlan || null };
+      }
+      const entry = history.find(h => h.id === id);
+      const payload = await readHistorySnapshot(entry);
+      return { id, name: entry.name, createdAt: entry.createdAt, plan: payload.executionPlan || null };
+    };
+
+    const from = await resolve(fromId);
+    const to = await resolve(toId);
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        from: { id: from.id, name: from.name, createdAt: from.createdAt },
+        to: { id: to.id, name: to.name, createdAt: to.createdAt },
+        diff: diffPlans(from.plan, to.plan)
+      }
+    };
+  } catch (error) {
+    context.log.error('Error diffing plan history:', error);
+    context.res = {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to diff plan history', details: error.message }
+    };
+  }
+};
@@ -1,10 +1,5 @@
 const { CosmosClient } = require('@azure/cosmos');
-let BlobServiceClient;
-try {
-  ({ BlobServiceClient } = require('@azure/storage-blob'));
-} catch (e) {
-  // storage SDK not available locally
-}
+const { historyStorageConfigured, readHistorySnapshot } = require('../shared/plan-history');
 
 module.exports = async function (context, req) {
   try {
@@ -55,8 +50,7 @@ module.exports = async function (context, req) {
       return;
     }
 
-    const conn = process.env.STORAGE_CONNECTION || process.env.AZURE_STORAGE_CONNECTION_STRING;
-    if (!BlobServiceClient || !conn) {
+    if (!historyStorageConfigured()) {
       context.res = {
         status: 500,
         headers: { 'Content-Type': 'application/json' },
@@ -65,12 +59,7 @@ module.exports = async function (context, req) {
       return;
     }
 
-    const service = BlobServiceClient.fromConnectionString(conn);
-    const containerClient = service.getContainerClient('plan-history');
-    const blobClient = containerClient.getBlockBlobClient(entry.blobName);
-    const download = await blobClient.download();
-    const downloaded = await streamToString(download.readableStreamBody);
-    const payload = JSON.parse(downloaded || '{}');
+    const payload = await readHistorySnapshot(entry);
 
     context.res = {
       status: 200,
@@ -92,13 +81,3 @@ module.exports = async function (context, req) {
     };
   }
 };
-
-async function streamToString(readable) {
-  if (!readable) return '';
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    readable.on('data', data => chunks.push(data.toString()));
-    readable.on('end', () => resolve(chunks.join('')));
-    readable.on('error', reject);
-  });
-}
@@ -0,0 +1,78 @@
+const { CosmosClient } = require('@azure/cosmos');
+
+// Marks a plan-history entry as the plan the SOW was signed against (or
+// clears the mark with signed: false). change-order-generate diffs the
+// current plan against the most recently signed entry.
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const { sessionId, planId, signed = true } = req.body || {};
+    if (!sessionId || !planId) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId and planId are required' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Session not found' }
+      };
+      return;
+    }
+
+    const history = Array.isArray(session.planHistory) ? session.planHistory : [];
+    const entry = history.find(h => h.id === planId);
+    if (!entry || !entry.blobName) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Plan history entry not found' }
+      };
+      return;
+    }
+
+    if (signed) {
+      entry.signed = true;
+      entry.signedAt = new Date().toISOString();
+    } else {
+      delete entry.signed;
+      delete entry.signedAt;
+    }
+    session.planHistory = history;
+    await container.item(sessionId, sessionId).replace(session);
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: { success: true, history }
+    };
+  } catch (error) {
+    context.log.error('Error signing plan history entry:', error);
+    context.res = {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to update plan history entry', details: error.message }
+    };
+  }
+};
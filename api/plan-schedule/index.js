@@ -0,0 +1,126 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { ensurePlanIds } = require('../shared/plan');
+const { getScheduleSettings } = require('../shared/schedule');
+const { getResourcePool, scheduleSessionPlan } = require('../shared/resource-schedule');
+
+// Calendar schedule for the timeline view. GET returns the schedule for
+// the stored settings; POST can also change them and apply task edits
+// from the Gantt before rescheduling:
+//   settings: { startDate, crewSize, calendar, maintenanceWindows }
+//   moves:    [{ taskId, start }]      pin a task start (null unpins)
+//   updates:  [{ taskId, afterHours, assignee }] run a task in maintenance
+//             windows / give it to a named engineer (null lets the
+//             scheduler choose)
+// With a resource pool configured the schedule is levelled across open
+// sessions (shared/resource-schedule) and the session's bookings are
+// saved whenever they move.
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const sessionId = (req.query && req.query.sessionId) || (req.body && req.body.sessionId);
+    if (!sessionId) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId is required' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    let configData = null;
+    try {
+      const { resource: cfg } = await database.container('Configurations').item('discovery_config', 'discovery_config').read();
+      configData = cfg.data;
+    } catch {}
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session || !session.executionPlan || !Array.isArray(session.executionPlan.phases)) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Execution plan not found for session' }
+      };
+      return;
+    }
+
+    const plan = ensurePlanIds(session.executionPlan);
+    const { settings, moves, updates } = req.method === 'POST' ? (req.body || {}) : {};
+    const changed = Boolean(settings) || (Array.isArray(moves) && moves.length > 0) || (Array.isArray(updates) && updates.length > 0);
+
+    const tasksById = new Map();
+    plan.phases.forEach((phase) => (phase.tasks || []).forEach((task) => tasksById.set(task.id, task)));
+    const unknown = [...(moves || []), ...(updates || [])].map((m) => m && m.taskId).filter((id) => !tasksById.has(id));
+    if (unknown.length) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Unknown task ids', taskIds: unknown }
+      };
+      return;
+    }
+
+    (moves || []).forEach(({ taskId, start }) => {
+      const task = tasksById.get(taskId);
+      if (start && !Number.isNaN(Date.parse(start))) task.pinnedStart = new Date(start).toISOString();
+      else delete task.pinnedStart;
+    });
+    const engineerIds = new Set(getResourcePool(configData).map((e) => e.id));
+    const badAssignees = (updates || []).filter((u) => u.assignee && !engineerIds.has(u.assignee)).map((u) => u.assignee);
+    if (badAssignees.length) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Unknown engineers', engineerIds: badAssignees }
+      };
+      return;
+    }
+
+    (updates || []).forEach((update) => {
+      const task = tasksById.get(update.taskId);
+      if ('afterHours' in update) {
+        if (update.afterHours) task.afterHours = true;
+        else delete task.afterHours;
+      }
+      if ('assignee' in update) {
+        if (update.assignee) task.assignee = update.assignee;
+        else delete task.assignee;
+      }
+    });
+
+    plan.schedule = getScheduleSettings(configData, plan.schedule, settings);
+    const { schedule, changed: bookingsChanged } = await scheduleSessionPlan(database, sessionId, plan, configData);
+
+    if (changed || bookingsChanged) {
+      session.executionPlan = plan;
+      await container.item(sessionId, sessionId).replace(session);
+    }
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: { sessionId, schedule }
+    };
+  } catch (error) {
+    context.log.error('Error building plan schedule:', error);
+    context.res = {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to build plan schedule', details: error.message }
+    };
+  }
+};
@@ -0,0 +1,123 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { buildPlanGraph } = require('../shared/plan');
+const { applyPlanOperations } = require('../shared/plan-edit');
+const { analyzePlan, getCrewSize } = require('../shared/plan-analysis');
+const { getSimulationConfig, applyThreePointEstimates, simulatePlan } = require('../shared/simulation');
+const { computeRollups } = require('../shared/rollups');
+const { scheduleSessionPlan } = require('../shared/resource-schedule');
+
+// Applies task inspector edits (see shared/plan-edit for the operation
+// list) to session.executionPlan, so sow-builder-data, the timeline and
+// the PSA sync all work from the edited plan. Operations are all-or-nothing:
+// any invalid operation returns 400 and nothing is saved.
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const { sessionId, operations } = req.body || {};
+    if (!sessionId) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId is required' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    let configData = null;
+    try {
+      const { resource: cfg } = await database.container('Configurations').item('discovery_config', 'discovery_config').read();
+      configData = cfg.data;
+    } catch {}
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session || !session.executionPlan || !Array.isArray(session.executionPlan.phases)) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Execution plan not found for session' }
+      };
+      return;
+    }
+
+    const options = {
+      crewSize: getCrewSize(configData, session.executionPlan.schedule?.crewSize),
+      hoursPerDay: session.executionPlan.schedule?.calendar?.hoursPerDay
+    };
+    const cyclesBefore = analyzePlan(session.executionPlan, options).cycles.length;
+
+    const plan = applyPlanOperations(JSON.parse(JSON.stringify(session.executionPlan)), operations);
+    const analysis = analyzePlan(plan, options);
+    if (analysis.cycles.length > cyclesBefore) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          error: 'Edit would create a dependency cycle',
+          cycles: analysis.cycles.map((c) => c.join(' -> '))
+        }
+      };
+      return;
+    }
+
+    const simulationConfig = getSimulationConfig(configData);
+    applyThreePointEstimates(plan, simulationConfig);
+    plan.simulation = simulatePlan(plan, simulationConfig);
+    // A calendar or pool problem should not lose the edit; the plan keeps
+    // its previous timeline until the next successful schedule
+    try {
+      await scheduleSessionPlan(database, sessionId, plan, configData);
+    } catch (err) {
+      context.log.warn(`Plan scheduling failed, keeping the previous timeline: ${err.message}`);
+    }
+    plan.analysis = analysis;
+    plan.editedAt = new Date().toISOString();
+    session.executionPlan = plan;
+    await container.item(sessionId, sessionId).replace(session);
+
+    const { planNodes, planEdges } = buildPlanGraph(plan);
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        sessionId,
+        executionPlan: plan,
+        analysis,
+        simulation: plan.simulation,
+        rollups: computeRollups(plan),
+        planNodes,
+        planEdges
+      }
+    };
+  } catch (error) {
+    if (error.status === 400) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: error.message }
+      };
+      return;
+    }
+    context.log.error('Error updating execution plan:', error);
+    context.res = {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to update execution plan', details: error.message }
+    };
+  }
+};
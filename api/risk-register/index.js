@@ -0,0 +1,96 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { ensurePlanIds } = require('../shared/plan');
+const { seedRegister, buildHeatMap, reviewRegister, listPlanTasks, renderRaidCsv } = require('../shared/risk-register');
+
+// Session risk register (see shared/risk-register). GET returns it with the
+// heat map and review status; POST seeds it from discovery red flags and
+// the plan's risks, creating it on first use.
+//   format: 'csv'   download as a RAID log instead
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const input = { ...(req.query || {}), ...(req.body || {}) };
+    const { sessionId, format } = input;
+    if (!sessionId) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId is required' }
+      };
+      return;
+    }
+    if (format && format !== 'csv') {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'format must be csv' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const container = cosmosClient.database('MAOnboarding').container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Session not found' }
+      };
+      return;
+    }
+
+    const plan = Array.isArray(session.executionPlan?.phases) ? ensurePlanIds(session.executionPlan) : null;
+    const register = session.riskRegister || { entries: [] };
+    let added = [];
+    if (req.method === 'POST') {
+      added = seedRegister(register, { discoveryData: session.discoveryData, plan });
+      session.riskRegister = register;
+      await container.item(sessionId, sessionId).replace(session);
+    }
+
+    if (format === 'csv') {
+      context.res = {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="raid-log-${sessionId}.csv"`
+        },
+        body: renderRaidCsv(register, plan)
+      };
+      return;
+    }
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        sessionId,
+        register,
+        added,
+        heatMap: buildHeatMap(register),
+        review: reviewRegister(register, plan),
+        tasks: listPlanTasks(plan)
+      }
+    };
+  } catch (error) {
+    context.log.error('Error loading risk register:', error);
+    context.res = {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to load risk register', details: error.message }
+    };
+  }
+};
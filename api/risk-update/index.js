@@ -0,0 +1,99 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { ensurePlanIds } = require('../shared/plan');
+const { createEntry, updateEntry, buildHeatMap, reviewRegister, listPlanTasks } = require('../shared/risk-register');
+
+// Edits the session risk register:
+//   add: [{ type?, title, description?, category?, likelihood?, impact?,
+//           owner?, mitigation?, mitigationTaskIds?, status?, reviewDate? }]
+//   updates: [{ id, ...fields, reviewed? }]   reviewed stamps a review
+//   remove: [id]
+// Returns the register with its heat map and review status. Closing a risk
+// is preferred over removing it; remove is for entries raised in error.
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const { sessionId, add = [], updates = [], remove = [] } = req.body || {};
+    if (!sessionId || !Array.isArray(add) || !Array.isArray(updates) || !Array.isArray(remove)) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId is required; add, updates and remove must be arrays' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const container = cosmosClient.database('MAOnboarding').container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Session not found' }
+      };
+      return;
+    }
+
+    const plan = Array.isArray(session.executionPlan?.phases) ? ensurePlanIds(session.executionPlan) : null;
+    const register = session.riskRegister || { entries: [] };
+    const byId = new Map(register.entries.map((e) => [e.id, e]));
+    const errors = [];
+
+    [...updates.map((u) => u?.id), ...remove].filter((id) => !byId.has(id)).forEach((id) => errors.push(`Unknown entry: ${id}`));
+    if (!errors.length) {
+      updates.forEach((changes) => {
+        const error = updateEntry(byId.get(changes.id), changes, plan);
+        if (error) errors.push(`${changes.id}: ${error}`);
+      });
+      add.forEach((input, index) => {
+        const { entry, error } = createEntry(register, input || {}, plan);
+        if (error) errors.push(`add[${index}]: ${error}`);
+        else register.entries.push(entry);
+      });
+    }
+    if (errors.length) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Invalid risk register update', details: errors.join('; ') }
+      };
+      return;
+    }
+
+    register.entries = register.entries.filter((e) => !remove.includes(e.id));
+    register.updatedAt = new Date().toISOString();
+    session.riskRegister = register;
+    await container.item(sessionId, sessionId).replace(session);
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        sessionId,
+        register,
+        heatMap: buildHeatMap(register),
+        review: reviewRegister(register, plan),
+        tasks: listPlanTasks(plan)
+      }
+    };
+  } catch (error) {
+    context.log.error('Error updating risk register:', error);
+    context.res = {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to update risk register', details: error.message }
+    };
+  }
+};
@@ -0,0 +1,134 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { ensurePlanIds } = require('../shared/plan');
+const { buildPlanSchedule } = require('../shared/resource-schedule');
+const { DEFAULT_ROLE_LABELS, buildRunbook, renderRunbookMarkdown, renderRunbookDocx } = require('../shared/runbook');
+
+// Cutover runbook for a session (see shared/runbook). POST generates it
+// from the discovery data and the scheduled plan and stores it on
+// session.runbook; GET returns the stored one. Either can export it:
+//   format: 'md' | 'docx'   download instead of JSON
+//   anchors: { server, email }   POST only, ISO start overrides per section
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const sessionId = (req.query && req.query.sessionId) || (req.body && req.body.sessionId);
+    const format = (req.query && req.query.format) || (req.body && req.body.format) || null;
+    if (!sessionId) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId is required' }
+      };
+      return;
+    }
+    if (format && !['md', 'docx'].includes(format)) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'format must be md or docx' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Session not found' }
+      };
+      return;
+    }
+
+    if (req.method === 'POST') {
+      if (!session.executionPlan || !Array.isArray(session.executionPlan.phases)) {
+        context.res = {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' },
+          body: { error: 'Execution plan not found for session' }
+        };
+        return;
+      }
+
+      let configData = null;
+      try {
+        const { resource: cfg } = await database.container('Configurations').item('discovery_config', 'discovery_config').read();
+        configData = cfg.data;
+      } catch {}
+
+      const plan = ensurePlanIds(session.executionPlan);
+      const schedule = await buildPlanSchedule(database, sessionId, plan, configData);
+      session.runbook = buildRunbook({
+        plan,
+        discoveryData: session.discoveryData,
+        schedule,
+        anchors: (req.body && req.body.anchors) || {},
+        roleLabels: { ...DEFAULT_ROLE_LABELS, ...(configData?.globalSettings?.connectwise?.workRoles || {}) }
+      });
+      await container.item(sessionId, sessionId).replace(session);
+    } else if (!session.runbook) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'No runbook generated for session' }
+      };
+      return;
+    }
+
+    const companyName = session.discoveryData?.general?.company_name;
+    const title = companyName ? `Cutover Runbook - ${companyName}` : 'Cutover Runbook';
+    const fileName = `cutover-runbook-${sessionId}`;
+
+    if (format === 'md') {
+      context.res = {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/markdown; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${fileName}.md"`
+        },
+        body: renderRunbookMarkdown(session.runbook, title)
+      };
+      return;
+    }
+    if (format === 'docx') {
+      context.res = {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+          'Content-Disposition': `attachment; filename="${fileName}.docx"`
+        },
+        body: await renderRunbookDocx(session.runbook, title),
+        isRaw: true
+      };
+      return;
+    }
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: { sessionId, runbook: session.runbook }
+    };
+  } catch (error) {
+    context.log.error('Error generating runbook:', error);
+    context.res = {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to generate runbook', details: error.message }
+    };
+  }
+};
@@ -0,0 +1,86 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { findScenario } = require('../shared/scenarios');
+const { mergeDiscovery } = require('../shared/discovery-provenance');
+const { buildPlanGraph } = require('../shared/plan');
+
+// Makes a scenario the session's plan: its execution plan replaces
+// session.executionPlan and its discovery overrides are written into
+// session.discoveryData, so the SOW builder and PSA sync follow the
+// chosen approach. Save the current plan to history first if it should
+// be kept.
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const { sessionId, scenarioId } = req.body || {};
+    if (!sessionId || !scenarioId) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId and scenarioId are required' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    const scenario = session ? findScenario(session, scenarioId) : null;
+    if (!scenario) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Scenario not found' }
+      };
+      return;
+    }
+    if (!scenario.executionPlan) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Generate a plan for this scenario before adopting it' }
+      };
+      return;
+    }
+
+    session.executionPlan = JSON.parse(JSON.stringify(scenario.executionPlan));
+    // Overridden values are the scenario's, not an import's
+    mergeDiscovery(session, scenario.discoveryOverrides || {});
+    session.adoptedScenarioId = scenario.id;
+    await container.item(sessionId, sessionId).replace(session);
+
+    const { planNodes, planEdges } = buildPlanGraph(session.executionPlan);
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        success: true,
+        executionPlan: session.executionPlan,
+        discoveryData: session.discoveryData,
+        discoveryProvenance: session.discoveryProvenance || {},
+        analysis: session.executionPlan.analysis || null,
+        planNodes,
+        planEdges
+      }
+    };
+  } catch (error) {
+    context.log.error('Error adopting scenario:', error);
+    context.res = {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to adopt scenario', details: error.message }
+    };
+  }
+};
@@ -0,0 +1,80 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { getScenarios, summarizePlan } = require('../shared/scenarios');
+const { getPricing } = require('../shared/pricing');
+
+// Scenarios for a session with the hours / cost / duration / risk summary
+// of each scenario plan, next to the session's current plan (baseline).
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const sessionId = (req.query && req.query.sessionId) || (req.body && req.body.sessionId);
+    if (!sessionId) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId is required' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    let configData = null;
+    try {
+      const { resource: cfg } = await database.container('Configurations').item('discovery_config', 'discovery_config').read();
+      configData = cfg.data;
+    } catch {}
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Session not found' }
+      };
+      return;
+    }
+
+    const pricing = getPricing(configData);
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        sessionId,
+        adoptedScenarioId: session.adoptedScenarioId || null,
+        baseline: { name: 'Current plan', summary: summarizePlan(session.executionPlan, pricing) },
+        scenarios: getScenarios(session).map((scenario) => ({
+          id: scenario.id,
+          name: scenario.name,
+          description: scenario.description,
+          discoveryOverrides: scenario.discoveryOverrides || {},
+          createdAt: scenario.createdAt,
+          generatedAt: scenario.generatedAt || null,
+          planStale: Boolean(scenario.planStale),
+          summary: summarizePlan(scenario.executionPlan, pricing)
+        }))
+      }
+    };
+  } catch (error) {
+    context.log.error('Error listing scenarios:', error);
+    context.res = {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to list scenarios', details: error.message }
+    };
+  }
+};
@@ -0,0 +1,69 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { upsertScenario } = require('../shared/scenarios');
+
+// Creates a scenario, or updates name / description / discovery overrides
+// when scenario.id is given. Plans are generated with plan-generate and
+// { scenarioId }.
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const { sessionId, scenario: input } = req.body || {};
+    if (!sessionId || !input) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId and scenario are required' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Session not found' }
+      };
+      return;
+    }
+
+    const scenario = upsertScenario(session, input);
+    await container.item(sessionId, sessionId).replace(session);
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: { success: true, scenario: { ...scenario, executionPlan: undefined, hasPlan: Boolean(scenario.executionPlan) } }
+    };
+  } catch (error) {
+    if (error.status) {
+      context.res = {
+        status: error.status,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: error.message }
+      };
+      return;
+    }
+    context.log.error('Error saving scenario:', error);
+    context.res = {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to save scenario', details: error.message }
+    };
+  }
+};
@@ -0,0 +1,72 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { computeScorecard } = require('../shared/security-scorecard');
+
+// Security posture scorecard (see shared/security-scorecard) for a
+// session's discovery data, using the rules from the admin config.
+// discoveryData in the body scores that instead of the stored copy, so the
+// panel can score edits that are still being saved.
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const input = { ...(req.query || {}), ...(req.body || {}) };
+    const { sessionId } = input;
+    if (!sessionId && !input.discoveryData) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId or discoveryData is required' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+
+    let discoveryData = input.discoveryData;
+    if (!discoveryData) {
+      const { resource: session } = await database.container('Sessions').item(sessionId, sessionId).read();
+      if (!session) {
+        context.res = {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' },
+          body: { error: 'Session not found' }
+        };
+        return;
+      }
+      discoveryData = session.discoveryData || {};
+    }
+
+    let configData = null;
+    try {
+      const { resource: cfg } = await database.container('Configurations').item('discovery_config', 'discovery_config').read();
+      configData = cfg.data;
+    } catch {}
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        sessionId: sessionId || null,
+        scorecard: computeScorecard(discoveryData, configData)
+      }
+    };
+  } catch (error) {
+    context.log.error('Error computing security scorecard:', error);
+    context.res = {
+      status: error.status || 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to compute security scorecard', details: error.message }
+    };
+  }
+};
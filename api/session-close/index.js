@@ -0,0 +1,69 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { buildCalibrationRecord, saveCalibrationRecord } = require('../shared/calibration');
+
+// Mark an engagement closed and add it to the calibration store. Callers
+// may pass the final SOW hours per phase (keyed by phase id or name); they
+// are used when no ConnectWise actuals were pulled for the session. With
+// neither, the session is closed without a calibration record.
+module.exports = async function (context, req) {
+  try {
+    const cosmosEndpoint = process.env.COSMOS_ENDPOINT;
+    const cosmosKey = process.env.COSMOS_KEY;
+
+    if (!cosmosEndpoint || !cosmosKey) {
+      context.res = {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Cosmos DB configuration missing' }
+      };
+      return;
+    }
+
+    const { sessionId, sowHoursByPhase } = req.body || {};
+    if (!sessionId) {
+      context.res = {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'sessionId is required' }
+      };
+      return;
+    }
+
+    const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey });
+    const database = cosmosClient.database('MAOnboarding');
+    const container = database.container('Sessions');
+
+    const { resource: session } = await container.item(sessionId, sessionId).read();
+    if (!session || !session.executionPlan || !Array.isArray(session.executionPlan.phases)) {
+      context.res = {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Execution plan not found for session' }
+      };
+      return;
+    }
+
+    session.status = 'closed';
+    session.closedAt = new Date().toISOString();
+    if (sowHoursByPhase && typeof sowHoursByPhase === 'object') {
+      session.finalSowHours = sowHoursByPhase;
+    }
+    await container.item(sessionId, sessionId).replace(session);
+
+    const calibrationRecord = buildCalibrationRecord(session, session.finalSowHours);
+    const record = calibrationRecord ? await saveCalibrationRecord(database, calibrationRecord) : null;
+
+    context.res = {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: { success: true, closedAt: session.closedAt, calibration: record }
+    };
+  } catch (error) {
+    context.log.error('Error closing session:', error);
+    context.res = {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: { error: 'Failed to close session', details: error.message }
+    };
+  }
+};
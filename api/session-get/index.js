@@ -1,4 +1,5 @@
 const { CosmosClient } = require('@azure/cosmos');
+const { computeVariance } = require('../shared/rollups');
 
 module.exports = async function (context, req) {
   try {
@@ -44,8 +45,12 @@ module.exports = async function (context, req) {
       body: {
         sessionId: session.id,
         discoveryData: session.discoveryData || {},
+        discoveryProvenance: session.discoveryProvenance || {},
         createdAt: session.createdAt || session._ts,
-        messages: session.messages || []
+        messages: session.messages || [],
+        executionPlan: session.executionPlan || null,
+        planVariance: session.actualsPulledAt ? computeVariance(session.executionPlan) : null,
+        actualsPulledAt: session.actualsPulledAt || null
       }
     };
   } catch (error) {
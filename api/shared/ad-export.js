@@ -0,0 +1,411 @@
+// Deterministic parser for on-prem Active Directory exports, tried by
+// file-ingest before the file goes to the model. Recognises the standard
+// PowerShell exports:
+//
+//   users          Get-ADUser -Filter * -Properties LastLogonDate,
+//                  PasswordNeverExpires | Export-Csv. For privileged
+//                  groups, add MemberOf joined into one string (exported
+//                  as is it is only the collection's type name):
+//                  Get-ADUser -Filter * -Properties LastLogonDate,
+//                  PasswordNeverExpires,WhenCreated,MemberOf |
+//                  Select-Object SamAccountName,Name,UserPrincipalName,
+//                  Enabled,DistinguishedName,LastLogonDate,
+//                  PasswordNeverExpires,WhenCreated,
+//                  @{n='MemberOf';e={$_.MemberOf -join ';'}} | Export-Csv
+//   computers      Get-ADComputer -Filter * -Properties OperatingSystem,
+//                  LastLogonDate | Export-Csv
+//   group-members  Get-ADGroupMember <group> | Export-Csv, with a Group
+//                  column or the group named in the file name
+//   gpo-report     Get-GPOReport -All -ReportType Xml
+//
+// and writes facts under fixed keys so the plan, network and scorecard
+// views can rely on them:
+//
+//   general      ad_domain, total_users (enabled accounts),
+//                ad_user_accounts, ad_disabled_users, ad_stale_users
+//   server       server_count, server_names, os_versions,
+//                domain_controllers, stale_servers
+//   workstation  workstation_count, os_versions, stale_workstations
+//   security     password_never_expires, domain_admins, enterprise_admins,
+//                schema_admins, administrators (and the other groups in
+//                PRIVILEGED_GROUPS), gpo_count, unlinked_gpos,
+//                disabled_gpos, empty_gpos
+//
+// Counts cover enabled accounts. An enabled account is stale when it has
+// not logged on within STALE_DAYS of the newest logon in the same export,
+// so an export read weeks later is not all stale.
+
+const { parseCsvRows } = require('./csv');
+
+const SOURCE = 'ad-export';
+const STALE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// FILETIME (100 ns ticks since 1601) of the Unix epoch
+const FILETIME_EPOCH = 116444736000000000n;
+
+// Most specific first: file names are matched by containment
+const PRIVILEGED_GROUPS = [
+  { name: 'Domain Admins', key: 'domain_admins' },
+  { name: 'Enterprise Admins', key: 'enterprise_admins' },
+  { name: 'Schema Admins', key: 'schema_admins' },
+  { name: 'Account Operators', key: 'account_operators' },
+  { name: 'Backup Operators', key: 'backup_operators' },
+  { name: 'Server Operators', key: 'server_operators' },
+  { name: 'Print Operators', key: 'print_operators' },
+  { name: 'DnsAdmins', key: 'dns_admins' },
+  { name: 'Group Policy Creator Owners', key: 'group_policy_creator_owners' },
+  { name: 'Administrators', key: 'administrators' }
+];
+
+const EXPORT_LABELS = {
+  users: 'AD users export',
+  computers: 'AD computers export',
+  'group-members': 'AD group membership export',
+  'gpo-report': 'GPO report'
+};
+
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+function findPrivilegedGroup(text) {
+  const normalized = ` ${normalizeName(text)} `;
+  return PRIVILEGED_GROUPS.find((group) => normalized.includes(` ${normalizeName(group.name)} `)) || null;
+}
+
+const isTrue = (value) => /^true$/i.test(String(value || '').trim());
+
+// LastLogonDate as Export-Csv writes it, or raw lastLogonTimestamp ticks.
+// Returns a time in ms, null for "never", NaN when it cannot be read.
+function parseAdDate(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) {
+    const ticks = BigInt(text);
+    if (ticks === 0n || ticks >= 9223372036854775807n) return null;
+    return Number((ticks - FILETIME_EPOCH) / 10000n);
+  }
+  return Date.parse(text);
+}
+
+// Export-Csv (Windows PowerShell) starts with a "#TYPE ..." line naming
+// the object type; keep it for detection and drop it from the rows.
+function readCsvExport(content) {
+  const rows = parseCsvRows(content);
+  let type = '';
+  if (rows[0] && /^#TYPE\s/i.test(rows[0][0])) type = rows.shift()[0];
+  const [header, ...data] = rows;
+  if (!header) return null;
+  const columns = header.map((h) => h.trim());
+  const lower = columns.map((c) => c.toLowerCase());
+  const records = data.map((cells) => {
+    const record = {};
+    lower.forEach((column, i) => {
+      record[column] = cells[i] !== undefined ? cells[i].trim() : '';
+    });
+    return record;
+  });
+  return { type, columns: lower, records };
+}
+
+const GROUP_COLUMNS = ['group', 'groupname', 'group name', 'group_name'];
+const MEMBER_COLUMNS = ['member', 'membername', 'member name', 'samaccountname', 'name'];
+const LOGON_COLUMNS = ['lastlogondate', 'lastlogontimestamp', 'lastlogon'];
+
+const pick = (columns, candidates) => candidates.find((c) => columns.includes(c)) || null;
+
+// Columns the AD cmdlets always export. Without the Export-Csv #TYPE line
+// one of them must be present, so an ordinary spreadsheet with Name and
+// Group (or OperatingSystem) columns still goes to the model.
+const AD_COLUMNS = ['distinguishedname', 'objectclass', 'objectguid', 'sid'];
+
+function detectCsvKind(csv) {
+  const { type, columns } = csv;
+  const has = (column) => columns.includes(column);
+  const adType = /^#TYPE\s+(Selected\.)?Microsoft\.ActiveDirectory\./i.test(type);
+  if (adType && /ADComputer/i.test(type)) return 'computers';
+  if (adType && /ADPrincipal|ADGroupMember/i.test(type)) return 'group-members';
+  if (adType && /ADUser/i.test(type)) return 'users';
+  if (!adType && !AD_COLUMNS.some(has)) return null;
+  if (has('operatingsystem')) return 'computers';
+  if (pick(columns, GROUP_COLUMNS) && pick(columns, MEMBER_COLUMNS)) return 'group-members';
+  if (has('samaccountname') && has('enabled')
+    && ['userprincipalname', 'lastlogondate', 'passwordlastset', 'givenname', 'surname'].some(has)) return 'users';
+  if (has('samaccountname') && has('objectclass') && !has('enabled')) return 'group-members';
+  return null;
+}
+
+const isGpoReport = (content) => /^\s*(<\?xml[^>]*>\s*)?<(report|GPO)[\s>]/.test(content) && /<GPO[\s>]/.test(content);
+
+// "contoso.local" from DC= components of a distinguished name
+function domainFromDn(dn) {
+  const parts = [...String(dn || '').matchAll(/(?:^|,)DC=([^,]+)/gi)].map((m) => m[1]);
+  return parts.length ? parts.join('.').toLowerCase() : undefined;
+}
+
+function firstDomain(records) {
+  for (const record of records) {
+    const domain = domainFromDn(record.distinguishedname);
+    if (domain) return domain;
+  }
+  return undefined;
+}
+
+// Logon times for the records plus the export's reference time, with a
+// count of values that could not be read (e.g. a non-US date culture).
+function readLogons(records, columns) {
+  const column = pick(columns, LOGON_COLUMNS);
+  let unreadable = 0;
+  const times = records.map((record) => {
+    if (!column) return null;
+    const time = parseAdDate(record[column]);
+    if (Number.isNaN(time)) {
+      unreadable += 1;
+      return null;
+    }
+    return time;
+  });
+  const newest = Math.max(0, ...times.filter((t) => t != null));
+  return { column, times, newest, unreadable };
+}
+
+function isStale(logonTime, createdTime, newest) {
+  if (!newest) return false;
+  const cutoff = newest - STALE_DAYS * DAY_MS;
+  if (logonTime != null) return logonTime < cutoff;
+  // Never logged on: only stale once the account is older than the window
+  return createdTime == null || Number.isNaN(createdTime) || createdTime < cutoff;
+}
+
+function logonWarnings(logons, what) {
+  const warnings = [];
+  if (!logons.column) warnings.push(`No LastLogonDate column; stale ${what} were not counted.`);
+  if (logons.unreadable) warnings.push(`${logons.unreadable} logon dates could not be read; export with an en-US culture or lastLogonTimestamp.`);
+  return warnings;
+}
+
+// Privileged groups named in a MemberOf value ("CN=Domain Admins,CN=Users,...; CN=...")
+function privilegedMemberships(memberOf) {
+  return [...String(memberOf || '').matchAll(/(?:^|[;|\n]\s*)CN=((?:\\,|[^,])+)/gi)]
+    .map((m) => m[1].replace(/\\,/g, ','))
+    .map(findGroupByName)
+    .filter(Boolean);
+}
+
+const sortedUnique = (values) => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+function parseUsers(csv) {
+  const users = csv.records.filter((r) => !/\$$/.test(r.samaccountname || ''));
+  const logons = readLogons(users, csv.columns);
+  const general = {};
+  const security = {};
+
+  const enabled = users.filter((r) => isTrue(r.enabled));
+  const domain = firstDomain(users);
+  if (domain) general.ad_domain = domain;
+  general.total_users = enabled.length;
+  general.ad_user_accounts = users.length;
+  general.ad_disabled_users = users.length - enabled.length;
+  if (logons.column) {
+    general.ad_stale_users = users.filter((r, i) => isTrue(r.enabled)
+      && isStale(logons.times[i], parseAdDate(r.whencreated), logons.newest)).length;
+  }
+  if (csv.columns.includes('passwordneverexpires')) {
+    security.password_never_expires = enabled.filter((r) => isTrue(r.passwordneverexpires)).length;
+  }
+  const warnings = logonWarnings(logons, 'users');
+  // Export-Csv writes a multi-valued property as its type name
+  const collapsed = users.some((r) => /ADPropertyValueCollection/i.test(r.memberof || ''));
+  if (collapsed) {
+    warnings.push(`MemberOf was exported as "Microsoft.ActiveDirectory.Management.ADPropertyValueCollection"; privileged groups were not read. Re-export selecting @{n='MemberOf';e={$_.MemberOf -join ';'}} in place of MemberOf.`);
+  } else if (csv.columns.includes('memberof')) {
+    PRIVILEGED_GROUPS.forEach((group) => {
+      const members = enabled.filter((r) => privilegedMemberships(r.memberof).includes(group));
+      if (members.length) security[group.key] = sortedUnique(members.map((r) => r.samaccountname || r.name));
+    });
+  }
+
+  return { discovery: { general, security }, warnings };
+}
+
+// OS name to count, most common first
+function countVersions(computers) {
+  const counts = {};
+  computers.forEach((r) => {
+    const os = r.operatingsystem;
+    counts[os] = (counts[os] || 0) + 1;
+  });
+  return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+}
+
+function parseComputers(csv) {
+  const logons = readLogons(csv.records, csv.columns);
+  const computers = csv.records
+    .map((record, i) => ({ ...record, logon: logons.times[i] }))
+    .filter((r) => !csv.columns.includes('enabled') || isTrue(r.enabled));
+  const withOs = computers.filter((r) => r.operatingsystem);
+  const servers = withOs.filter((r) => /server/i.test(r.operatingsystem));
+  const workstations = withOs.filter((r) => !/server/i.test(r.operatingsystem));
+  const stale = (list) => list.filter((r) => isStale(r.logon, parseAdDate(r.whencreated), logons.newest)).length;
+  const name = (r) => r.name || (r.samaccountname || '').replace(/\$$/, '');
+
+  const general = {};
+  const host = csv.records.find((r) => /\./.test(r.dnshostname || ''))?.dnshostname;
+  const domain = firstDomain(csv.records) || (host && host.split('.').slice(1).join('.').toLowerCase());
+  if (domain) general.ad_domain = domain;
+
+  const server = {
+    server_count: servers.length,
+    server_names: sortedUnique(servers.map(name)),
+    os_versions: countVersions(servers)
+  };
+  const controllers = servers.filter((r) => /(^|,)OU=Domain Controllers,/i.test(r.distinguishedname || ''));
+  if (controllers.length) server.domain_controllers = sortedUnique(controllers.map(name));
+  if (logons.column) server.stale_servers = stale(servers);
+
+  const workstation = {
+    workstation_count: workstations.length,
+    os_versions: countVersions(workstations)
+  };
+  if (logons.column) workstation.stale_workstations = stale(workstations);
+
+  const warnings = logonWarnings(logons, 'computers');
+  if (computers.length > withOs.length) {
+    warnings.push(`${computers.length - withOs.length} enabled computer accounts have no operating system and were not counted.`);
+  }
+  return { discovery: { general, server, workstation }, warnings };
+}
+
+function findGroupByName(name) {
+  return PRIVILEGED_GROUPS.find((group) => normalizeName(group.name) === normalizeName(name)) || null;
+}
+
+function parseGroupMembers(csv, fileName) {
+  const groupColumn = pick(csv.columns, GROUP_COLUMNS);
+  const memberColumn = pick(csv.columns, MEMBER_COLUMNS);
+  const fileGroup = groupColumn ? null : findPrivilegedGroup(String(fileName || '').replace(/\.[^.]+$/, ''));
+  const security = {};
+  const warnings = [];
+
+  if (!groupColumn && !fileGroup) {
+    warnings.push('Could not tell which group this membership export is for; add a Group column or name the file after the group.');
+    return { discovery: {}, warnings };
+  }
+
+  const skipped = new Set();
+  csv.records.forEach((record) => {
+    const group = groupColumn ? findGroupByName(record[groupColumn]) : fileGroup;
+    if (!group) {
+      if (record[groupColumn]) skipped.add(record[groupColumn]);
+      return;
+    }
+    const member = record[memberColumn];
+    if (!member) return;
+    const label = /^group$/i.test(record.objectclass || '') ? `${member} (group)` : member;
+    security[group.key] = [...(security[group.key] || []), label];
+  });
+  Object.keys(security).forEach((key) => {
+    security[key] = sortedUnique(security[key]);
+  });
+
+  const domain = firstDomain(csv.records);
+  const discovery = { security };
+  if (domain) discovery.general = { ad_domain: domain };
+  if (skipped.size) warnings.push(`Skipped ${skipped.size} groups that are not privileged: ${[...skipped].sort().join(', ')}.`);
+  return { discovery, warnings };
+}
+
+// Text of the first <tag> in an XML fragment. The report's own elements
+// are unprefixed; settings inside ExtensionData use q1:-style prefixes.
+function xmlText(fragment, tag) {
+  const match = String(fragment || '').match(new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)</${tag}>`));
+  return match ? decodeXml(match[1].trim()) : undefined;
+}
+
+function xmlSection(fragment, tag) {
+  const match = String(fragment || '').match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1] : '';
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function parseGpoReport(content) {
+  const blocks = [...String(content).matchAll(/<GPO(?:\s[^>]*)?>([\s\S]*?)<\/GPO>/g)].map((m) => m[1]);
+  const gpos = blocks.map((block) => {
+    const computer = xmlSection(block, 'Computer');
+    const user = xmlSection(block, 'User');
+    const links = [...block.matchAll(/<LinksTo>([\s\S]*?)<\/LinksTo>/g)].map((m) => ({
+      path: xmlText(m[1], 'SOMPath'),
+      enabled: xmlText(m[1], 'Enabled') !== 'false'
+    }));
+    // Name and Domain precede the Computer and User sections
+    const head = block.split('<Computer')[0];
+    return {
+      name: xmlText(head, 'Name'),
+      domain: xmlText(head, 'Domain'),
+      enabled: xmlText(computer, 'Enabled') !== 'false' || xmlText(user, 'Enabled') !== 'false',
+      linked: links.some((link) => link.enabled),
+      empty: !/<ExtensionData[\s>]/.test(computer) && !/<ExtensionData[\s>]/.test(user)
+    };
+  }).filter((gpo) => gpo.name);
+
+  const general = {};
+  const domain = gpos.find((gpo) => gpo.domain)?.domain;
+  if (domain) general.ad_domain = domain.toLowerCase();
+  const security = {
+    gpo_count: gpos.length,
+    unlinked_gpos: sortedUnique(gpos.filter((gpo) => !gpo.linked).map((gpo) => gpo.name)),
+    disabled_gpos: sortedUnique(gpos.filter((gpo) => !gpo.enabled).map((gpo) => gpo.name)),
+    empty_gpos: sortedUnique(gpos.filter((gpo) => gpo.empty).map((gpo) => gpo.name))
+  };
+  const warnings = gpos.length ? [] : ['The GPO report contains no policies.'];
+  return { discovery: { general, security }, warnings };
+}
+
+// Parse an AD export into { kind, label, discovery, provenance, warnings },
+// or null when the file is not a recognised export or yields no facts (it
+// then goes to the model like any other file). provenance has the
+// discovery-provenance shape for every fact produced.
+function parseAdExport(fileName, content, importedAt = new Date().toISOString()) {
+  const text = String(content || '');
+  let kind;
+  let result;
+  if (isGpoReport(text)) {
+    kind = 'gpo-report';
+    result = parseGpoReport(text);
+  } else {
+    const csv = readCsvExport(text);
+    kind = csv ? detectCsvKind(csv) : null;
+    if (!kind) return null;
+    if (kind === 'users') result = parseUsers(csv);
+    else if (kind === 'computers') result = parseComputers(csv);
+    else result = parseGroupMembers(csv, fileName);
+  }
+
+  const discovery = {};
+  const provenance = {};
+  Object.entries(result.discovery).forEach(([category, facts]) => {
+    if (!facts || !Object.keys(facts).length) return;
+    discovery[category] = facts;
+    provenance[category] = {};
+    Object.keys(facts).forEach((key) => {
+      provenance[category][key] = { source: SOURCE, fileName: fileName || undefined, exportType: kind, retrievedAt: importedAt };
+    });
+  });
+  if (!Object.keys(discovery).length) return null;
+
+  return { kind, label: EXPORT_LABELS[kind], discovery, provenance, warnings: result.warnings };
+}
+
+module.exports = {
+  SOURCE,
+  STALE_DAYS,
+  PRIVILEGED_GROUPS,
+  parseAdExport,
+  parseAdDate
+};
@@ -0,0 +1,268 @@
+// Calibration store for plan estimates.
+//
+// Closed sessions are reduced to a record of their size metrics and the
+// hours they actually took (or were finally sold at) per phase. Plan and
+// SOW generation pick the nearest records by size and feed them to the
+// model instead of the fixed small-engagement baseline.
+
+const { computeRollups } = require('./rollups');
+
+const CALIBRATION_CONTAINER = 'Calibration';
+const DEFAULT_REFERENCE_COUNT = 3;
+
+// Used when the store is empty or no record shares a size metric with the
+// engagement being planned.
+const BASELINE_HOURS_TEMPLATE = `
+REFERENCE PROJECT (CALIBRATION ONLY)
+- Scenario: 2 servers, ~5 users, single main office plus small satellite.
+- High-level phases and typical effort:
+  - Phase 0: Pre-Migration & Discovery .......... ~12 hours
+  - Phase 1: Server Migration (Deliverable 1) ... ~42 hours
+  - Phase 2: User Onboarding (5 users) .......... ~22.5 hours
+  - Phase 3: Data Migration/Lockdown/Backup ..... ~18 hours
+  - Phase 4: Email/OneDrive/Website/DNS Cutover . ~27.5 hours
+  - Phase 5: Post-Migration & Stabilization ..... ~29.5 hours
+  - Total baseline effort ........................ ~150–155 hours
+
+HOURS BY DELIVERABLE (REFERENCE)
+- Deliverable 1 – Two Server Migration
+  - Includes Datto prep, VHD export/import, Azure VM build, security stack,
+    permissions, backup cutover, and server validation.
+  - Typical: ~56 hours total.
+- Deliverable 2 – User Onboarding (5 users / 5 laptops)
+  - Includes AD/M365 accounts, imaging, deployment, profile config,
+    and user orientation.
+  - Typical: ~27.5 hours total.
+- Deliverable 3 – Data Migration/Lockdown/Backup
+  - Includes S: drive validation, workstation data sweep, retention model,
+    backup validation, and legacy backup decommission.
+  - Typical: ~21 hours total.
+- Deliverable 4 – Email/OneDrive/Website/DNS Cutover
+  - Includes domain transfer, DNS/Proofpoint, BitTitan migrations,
+    OneDrive moves, and mail-flow testing.
+  - Typical: ~31.5 hours total.
+
+These numbers are not hard constraints, but for a similarly sized
+environment (2 servers, ~5 users) the total project estimate should
+usually stay within ~135–170 hours unless discovery clearly indicates
+substantially more or less work (larger data sets, many more users,
+complex VPN/site topology, heavy application remediation, etc.).`;
+
+// Key patterns per size metric. Discovery data is free-form (chat and LLM
+// file extraction), so counts are found by key name anywhere in the tree.
+const METRIC_PATTERNS = {
+  servers: /^(total_|num_|number_of_)?servers?(_count|_total)?$|^server_count$/,
+  users: /^(total_|num_|number_of_)?(users?|employees?|staff)(_count|_total)?$|^user_count$/,
+  sites: /^(total_|num_|number_of_)?(sites?|locations?|offices?)(_count|_total)?$/,
+  mailboxes: /^(total_|num_|number_of_)?mailbox(es)?(_count|_total)?$/,
+};
+
+const DATA_PATTERNS = [
+  { pattern: /^(total_)?data(_volume|_size)?_tb$/, factor: 1 },
+  { pattern: /^(total_)?data(_volume|_size)?_gb$/, factor: 1 / 1024 },
+];
+
+// Only values that are a number outright count: free text such as
+// "500 Main Street" or "about 20, plus contractors" is not a metric.
+function toNumber(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value !== 'string') return null;
+  const text = value.trim().replace(/,/g, '');
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+}
+
+// Size metrics for a session's discovery data. Arrays under a matching key
+// (e.g. sites: [...]) count as their length. Missing metrics are omitted.
+function extractSizeMetrics(discoveryData) {
+  const found = {};
+
+  // Inventory imports (RVTools, see rvtools.js) carry exact server sizing;
+  // only powered-on VMs count as servers to migrate
+  const sizing = discoveryData?.server?.migration_sizing;
+  if (sizing && typeof sizing === 'object') {
+    const vms = toNumber(sizing.powered_on_vms);
+    if (vms != null && vms >= 0) found.servers = vms;
+  }
+
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    Object.entries(node).forEach(([rawKey, value]) => {
+      const key = rawKey.toLowerCase();
+
+      Object.entries(METRIC_PATTERNS).forEach(([metric, pattern]) => {
+        if (found[metric] != null || !pattern.test(key)) return;
+        const n = Array.isArray(value) ? value.length : toNumber(value);
+        if (n != null && n >= 0) found[metric] = n;
+      });
+
+      DATA_PATTERNS.forEach(({ pattern, factor }) => {
+        if (found.dataTb != null || !pattern.test(key)) return;
+        const n = toNumber(value);
+        if (n != null && n >= 0) found.dataTb = Math.round(n * factor * 100) / 100;
+      });
+
+      if (value && typeof value === 'object' && !Array.isArray(value)) visit(value);
+    });
+  };
+
+  visit(discoveryData || {});
+
+  // VM storage includes OS volumes, so it only stands in for the data
+  // volume when discovery did not record one
+  if (found.dataTb == null && sizing && typeof sizing === 'object') {
+    const usedTb = toNumber(sizing.used_storage_tb);
+    if (usedTb != null && usedTb >= 0) found.dataTb = usedTb;
+  }
+  return found;
+}
+
+// Per-phase hours for a closed session. Logged actuals win when the session
+// has them, otherwise final SOW hours supplied at close. Returns null when
+// there are neither: the plan's own estimates are model output, and
+// calibrating on them would only feed the model its earlier guesses.
+function phaseHoursForSession(session, sowHoursByPhase) {
+  const plan = session.executionPlan || { phases: [] };
+  const phases = Array.isArray(plan.phases) ? plan.phases : [];
+  const hasActuals = Boolean(session.actualsPulledAt) && phases.some((p) => (p.tasks || []).some((t) => t && t.actuals));
+
+  let source = null;
+  if (hasActuals) source = 'actuals';
+  else if (sowHoursByPhase && Object.keys(sowHoursByPhase).length) source = 'sow';
+  if (!source) return null;
+
+  const byPhase = phases.map((phase) => {
+    const tasks = (phase.tasks || []).filter((t) => t && typeof t === 'object');
+    const hours = source === 'actuals'
+      ? tasks.reduce((sum, t) => sum + (t.actuals && typeof t.actuals.hours === 'number' ? t.actuals.hours : 0), 0)
+      : toNumber(sowHoursByPhase[phase.id] ?? sowHoursByPhase[phase.name]) || 0;
+    return { id: phase.id, name: phase.name, hours: Math.round(hours * 10) / 10 };
+  });
+
+  const rollups = computeRollups({ phases: byPhase.map((p) => ({ ...p, tasks: [{ hours: p.hours }] })) });
+  return { source, byPhase, byDeliverable: rollups.byDeliverable, totalHours: Math.round(rollups.totalHours * 10) / 10 };
+}
+
+// Null when the session has no actuals or SOW hours to calibrate on
+function buildCalibrationRecord(session, sowHoursByPhase) {
+  const hours = phaseHoursForSession(session, sowHoursByPhase);
+  if (!hours) return null;
+  return {
+    id: session.id,
+    sessionId: session.id,
+    name: session.discoveryData?.general?.company_name || session.projectName || session.id,
+    closedAt: session.closedAt || new Date().toISOString(),
+    metrics: extractSizeMetrics(session.discoveryData),
+    ...hours
+  };
+}
+
+// Log-scaled distance over the metrics both sides know, so 5 vs 10 users
+// is as far apart as 50 vs 100. Returns null when nothing overlaps.
+function metricDistance(a, b) {
+  const shared = Object.keys(a).filter((key) => a[key] != null && b[key] != null);
+  if (!shared.length) return null;
+  const sum = shared.reduce((acc, key) => {
+    const diff = Math.log1p(a[key]) - Math.log1p(b[key]);
+    return acc + diff * diff;
+  }, 0);
+  // Penalize records that only overlap on a few metrics
+  const coverage = shared.length / Object.keys(a).length;
+  return Math.sqrt(sum / shared.length) / coverage;
+}
+
+function selectNearestRecords(metrics, records, count = DEFAULT_REFERENCE_COUNT, excludeId) {
+  return (records || [])
+    // Records built from plan estimates before they were excluded at close
+    .filter((record) => record && record.id !== excludeId && record.source !== 'plan' && record.totalHours > 0)
+    .map((record) => ({ record, distance: metricDistance(metrics, record.metrics || {}) }))
+    .filter(({ distance }) => distance != null)
+    .sort((x, y) => x.distance - y.distance)
+    .slice(0, count)
+    .map(({ record, distance }) => ({ ...record, distance: Math.round(distance * 1000) / 1000 }));
+}
+
+function describeMetrics(metrics) {
+  const parts = [];
+  if (metrics.servers != null) parts.push(`${metrics.servers} servers`);
+  if (metrics.users != null) parts.push(`${metrics.users} users`);
+  if (metrics.sites != null) parts.push(`${metrics.sites} sites`);
+  if (metrics.mailboxes != null) parts.push(`${metrics.mailboxes} mailboxes`);
+  if (metrics.dataTb != null) parts.push(`${metrics.dataTb} TB data`);
+  return parts.join(', ') || 'size unknown';
+}
+
+function buildCalibrationPrompt(references) {
+  if (!references || !references.length) return BASELINE_HOURS_TEMPLATE;
+
+  const blocks = references.map((ref, idx) => {
+    const phases = ref.byPhase.map((p) => `  - ${p.name || p.id} .......... ~${p.hours} hours`).join('\n');
+    const sourceLabel = ref.source === 'actuals' ? 'logged actual hours' : 'final SOW hours';
+    return `REFERENCE ${idx + 1}: ${ref.name} (${describeMetrics(ref.metrics || {})}; ${sourceLabel})
+${phases}
+  - Total .......... ~${ref.totalHours} hours`;
+  });
+
+  return `
+REFERENCE ENGAGEMENTS (CALIBRATION ONLY)
+The following completed engagements are the closest in size to this one.
+Use their phase hours to calibrate your estimates, scaling for the
+differences in servers, users, sites, mailboxes and data volume.
+
+${blocks.join('\n\n')}`;
+}
+
+async function loadCalibrationRecords(database) {
+  try {
+    const container = database.container(CALIBRATION_CONTAINER);
+    const { resources } = await container.items.query('SELECT * FROM c').fetchAll();
+    return resources || [];
+  } catch (err) {
+    // Container not created yet: nothing has been calibrated
+    return [];
+  }
+}
+
+async function saveCalibrationRecord(database, record) {
+  const { container } = await database.containers.createIfNotExists({
+    id: CALIBRATION_CONTAINER,
+    partitionKey: { paths: ['/id'] }
+  });
+  await container.items.upsert(record);
+  return record;
+}
+
+// One-stop helper for the generators: nearest references for the given
+// discovery data plus the prompt block and a summary for the response.
+async function selectCalibration(database, discoveryData, { excludeId, count } = {}) {
+  const metrics = extractSizeMetrics(discoveryData);
+  const records = await loadCalibrationRecords(database);
+  const references = selectNearestRecords(metrics, records, count, excludeId);
+
+  return {
+    prompt: buildCalibrationPrompt(references),
+    summary: {
+      source: references.length ? 'references' : 'baseline',
+      metrics,
+      references: references.map((ref) => ({
+        sessionId: ref.sessionId,
+        name: ref.name,
+        distance: ref.distance,
+        metrics: ref.metrics,
+        totalHours: ref.totalHours,
+        source: ref.source
+      }))
+    }
+  };
+}
+
+module.exports = {
+  CALIBRATION_CONTAINER,
+  BASELINE_HOURS_TEMPLATE,
+  extractSizeMetrics,
+  buildCalibrationRecord,
+  selectNearestRecords,
+  buildCalibrationPrompt,
+  loadCalibrationRecords,
+  saveCalibrationRecord,
+  selectCalibration
+};
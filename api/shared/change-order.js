@@ -0,0 +1,93 @@
+// Change order draft from the difference between the signed plan snapshot
+// and the current plan. Line items carry hours and resource class only;
+// the SOW builder prices them with its own getEffectiveRate so MSP
+// pricing and discounts match the signed SOW. Removed scope becomes
+// negative-hour credit lines.
+
+const { normalizeRole } = require('./plan');
+
+const DELIVERABLE_LABELS = {
+  deliverable1: 'Deliverable 1 (Server Migration)',
+  deliverable2: 'Deliverable 2 (User Onboarding)',
+  deliverable3: 'Deliverable 3 (Data Migration/Lockdown/Backup)',
+  deliverable4: 'Deliverable 4 (Email/OneDrive/Website/DNS)',
+  projectManagement: 'Project Management / Stabilization'
+};
+
+function formatHours(hours) {
+  return `${Math.round(hours * 100) / 100}h`;
+}
+
+function signed(hours) {
+  return `${hours > 0 ? '+' : ''}${formatHours(hours)}`;
+}
+
+// Most recently signed plan-history entry, if any
+function findSignedEntry(history) {
+  return (Array.isArray(history) ? history : [])
+    .filter((h) => h.signed && h.blobName)
+    .sort((a, b) => String(b.signedAt || '').localeCompare(String(a.signedAt || '')))[0] || null;
+}
+
+function buildLineItems(diff) {
+  const items = [];
+  const push = (description, role, hours) => {
+    if (!hours) return;
+    items.push({ id: items.length + 1, description, resourceClass: normalizeRole(role), hours: Math.round(hours * 100) / 100 });
+  };
+
+  diff.tasks.added.forEach((t) => push(`Added: ${t.name} (${t.phaseName})`, t.role, t.hours));
+  diff.tasks.removed.forEach((t) => push(`Removed: ${t.name} (${t.phaseName})`, t.role, -t.hours));
+  diff.tasks.changed.forEach((t) => {
+    const { hours, role } = t.changes;
+    const before = hours ? hours.before : t.hours;
+    if (role && normalizeRole(role.before) !== normalizeRole(role.after)) {
+      // Re-resourced: credit the old class and charge the new one
+      push(`Re-resourced: ${t.name} (${role.before || 'SE'} → ${role.after || 'SE'})`, role.before, -before);
+      push(`Re-resourced: ${t.name} (${role.before || 'SE'} → ${role.after || 'SE'})`, role.after, t.hours);
+    } else if (hours) {
+      push(`Re-estimated: ${t.name} (${formatHours(hours.before)} → ${formatHours(hours.after)})`, t.role, hours.delta);
+    }
+  });
+
+  return items;
+}
+
+function buildJustification(diff, baseName) {
+  const reason = [
+    `The current execution plan differs from the signed plan "${baseName}" by ${signed(diff.totals.delta)}`
+      + ` (${formatHours(diff.totals.before)} signed, ${formatHours(diff.totals.after)} now).`
+  ];
+  const deliverables = Object.entries(diff.byDeliverable).filter(([, row]) => row.delta !== 0);
+  if (deliverables.length) {
+    reason.push(`Affected deliverables: ${deliverables.map(([key, row]) => `${DELIVERABLE_LABELS[key] || key} ${signed(row.delta)}`).join('; ')}.`);
+  }
+
+  const description = [];
+  if (diff.tasks.added.length) description.push(`Added scope: ${diff.tasks.added.map((t) => t.name).join(', ')}.`);
+  if (diff.tasks.removed.length) description.push(`Removed scope: ${diff.tasks.removed.map((t) => t.name).join(', ')}.`);
+  const reestimated = diff.tasks.changed.filter((t) => t.changes.hours || t.changes.role);
+  if (reestimated.length) description.push(`Re-estimated or re-resourced: ${reestimated.map((t) => t.name).join(', ')}.`);
+  diff.phases.added.forEach((p) => description.push(`New phase: ${p.name}.`));
+  diff.phases.removed.forEach((p) => description.push(`Phase removed: ${p.name}.`));
+
+  return { reason: reason.join(' '), description: description.join(' ') };
+}
+
+// Change order in the SOW builder's shape (id and amount are set there)
+function buildChangeOrder(diff, { baseName, currentName = 'current plan' } = {}) {
+  const items = buildLineItems(diff);
+  const { reason, description } = buildJustification(diff, baseName);
+  return {
+    title: `Plan change: ${baseName} → ${currentName}`,
+    reason,
+    description,
+    items,
+    totalHours: Math.round(items.reduce((sum, i) => sum + i.hours, 0) * 100) / 100
+  };
+}
+
+module.exports = {
+  findSignedEntry,
+  buildChangeOrder
+};
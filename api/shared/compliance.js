@@ -0,0 +1,366 @@
+// Compliance mapping of the discovered security posture. A check (MFA,
+// EDR, backups, encryption...) looks for evidence anywhere in the
+// free-form discovery data: keys whose names match and whose answers are
+// positive ("met"), explicitly negative or only partial ("admins only",
+// "pilot": "gap"), and product or practice keywords in any value. A
+// keyword counts as "met" only when nothing in the same clause before it
+// negates it ("no KnowBe4 or security awareness training" is a gap) and
+// the clause is not partial. No evidence either way is "unknown".
+// Framework catalogs (FTC Safeguards, SOC 2, HIPAA, or
+// globalSettings.complianceCatalog) map their controls onto checks, so one
+// finding answers every framework that relies on it. A PM can override a
+// check's status with a note (e.g. "n/a": no PHI held).
+//
+// Each check carries a remediation task. Gaps become addTask operations
+// (see shared/plan-edit) on the phase that owns the work, applied through
+// plan-update like any inspector edit; a check whose task name is already
+// in the plan is not added again.
+
+const { getDeliverableKey } = require('./rollups');
+const { isNegative } = require('./risk-register');
+
+const TASK_PREFIX = '[Compliance] ';
+const REMEDIATION_PHASE = 'Compliance Remediation';
+
+const CHECKS = {
+  infosecProgram: {
+    label: 'Written information security program',
+    keys: /^(wisp|(information_|info)?security_(program|policy|policies)|infosec_(program|policy))$/,
+    keywords: ['wisp', 'written information security'],
+    task: { name: 'Adopt a written information security program (WISP)', hours: 6, role: 'DIO', phase: 'projectManagement' }
+  },
+  riskAssessment: {
+    label: 'Security risk assessment',
+    keys: /(^|_)risk_assessment(_|$)/,
+    keywords: ['risk assessment', 'risk analysis'],
+    task: { name: 'Perform a written security risk assessment', hours: 6, role: 'DIO', phase: 'projectManagement' }
+  },
+  accessReview: {
+    label: 'Access control and reviews',
+    keys: /(^|_)(access_reviews?|least_privilege|user_access_review)(_|$)/,
+    keywords: ['access review', 'least privilege'],
+    task: { name: 'Review user and admin access and remove stale accounts', hours: 4, role: 'SE', phase: 'deliverable2' }
+  },
+  mfa: {
+    label: 'Multi-factor authentication',
+    keys: /(^|_)(mfa|2fa|multi_?factor|two_?factor)(_|$)/,
+    keywords: ['duo security', 'authenticator', 'okta verify', 'conditional access'],
+    task: { name: 'Enforce MFA for all users and admins', hours: 6, role: 'SE', phase: 'deliverable2', risk: 'high' }
+  },
+  encryption: {
+    label: 'Encryption at rest',
+    keys: /(^|_)(encryption|disk_encryption|bitlocker|filevault|encrypted)(_|$)/,
+    keywords: ['bitlocker', 'filevault', 'encrypted at rest'],
+    task: { name: 'Enable disk encryption on laptops, workstations and servers', hours: 6, role: 'SE', phase: 'deliverable2' }
+  },
+  dataDisposal: {
+    label: 'Data retention and secure disposal',
+    keys: /(^|_)(data_)?(retention|disposal)(_policy)?(_|$)/,
+    keywords: ['data retention', 'secure disposal', 'certificate of destruction'],
+    task: { name: 'Define data retention and secure disposal procedures', hours: 3, role: 'DIO', phase: 'deliverable3' }
+  },
+  logging: {
+    label: 'Audit logging and monitoring',
+    keys: /(^|_)(siem|audit_log(s|ging)?|log_retention|security_monitoring)(_|$)/,
+    keywords: ['siem', 'blumira', 'microsoft sentinel', 'audit log'],
+    task: { name: 'Enable audit logging and monitoring for M365, firewall and servers', hours: 6, role: 'SE', phase: 'projectManagement' }
+  },
+  vulnerabilityScan: {
+    label: 'Vulnerability scanning and penetration testing',
+    keys: /(^|_)(vulnerability_(scan(ning)?|management)|pen(etration)?_?test(ing)?)(_|$)/,
+    keywords: ['vulnerability scan', 'penetration test', 'pen test'],
+    task: { name: 'Run a vulnerability scan and remediate findings', hours: 6, role: 'SE', phase: 'projectManagement' }
+  },
+  training: {
+    label: 'Security awareness training',
+    keys: /(^|_)(security_)?(awareness_training|security_training|phishing_(training|simulation))(_|$)/,
+    keywords: ['knowbe4', 'security awareness', 'phishing simulation'],
+    task: { name: 'Enroll staff in security awareness training', hours: 2, role: 'CXO', phase: 'deliverable2' }
+  },
+  vendorManagement: {
+    label: 'Service provider oversight',
+    keys: /(^|_)vendor_(management|review|risk|assessment)(_|$)/,
+    keywords: ['vendor risk', 'vendor review'],
+    task: { name: 'Inventory and review service providers with access to client data', hours: 3, role: 'CXO', phase: 'projectManagement' }
+  },
+  incidentResponse: {
+    label: 'Incident response plan',
+    keys: /(^|_)(incident_response(_plan)?|ir_plan)(_|$)/,
+    keywords: ['incident response plan'],
+    task: { name: 'Adopt an incident response plan and contact list', hours: 4, role: 'DIO', phase: 'projectManagement' }
+  },
+  firewall: {
+    label: 'Perimeter firewall',
+    keys: /(^|_)firewalls?(_|$)/,
+    keywords: ['fortigate', 'sonicwall', 'meraki', 'palo alto', 'watchguard'],
+    task: { name: 'Replace or harden the perimeter firewall and document its rules', hours: 6, role: 'SE', phase: 'deliverable1' }
+  },
+  edr: {
+    label: 'Endpoint protection',
+    keys: /(^|_)(edr|edr_vendor|antivirus|anti_virus|endpoint_protection)(_|$)/,
+    keywords: ['sentinelone', 'crowdstrike', 'defender for endpoint', 'huntress', 'sophos'],
+    task: { name: 'Deploy EDR to all endpoints and servers', hours: 6, role: 'SE', phase: 'deliverable1', risk: 'high' }
+  },
+  patching: {
+    label: 'Patch management',
+    keys: /(^|_)(patch(ing)?|patch_management)(_|$)/,
+    keywords: ['patch management', 'wsus', 'automox'],
+    task: { name: 'Bring endpoints and servers under managed patching', hours: 4, role: 'SE', phase: 'deliverable1' }
+  },
+  backup: {
+    label: 'Backup and recovery',
+    keys: /(^|_)(backups?|backup_(vendor|solution|frequency))(_|$)/,
+    keywords: ['datto', 'veeam', 'acronis', 'axcient'],
+    task: { name: 'Implement and test encrypted offsite backups', hours: 8, role: 'SE', phase: 'deliverable3', risk: 'high' }
+  },
+  emailSecurity: {
+    label: 'Email and transmission security',
+    keys: /(^|_)(dmarc|email_(security|filtering)|spam_filter(ing)?|tls)(_|$)/,
+    keywords: ['dmarc', 'proofpoint', 'mimecast', 'defender for office'],
+    task: { name: 'Configure email filtering, SPF, DKIM and DMARC', hours: 3, role: 'SE', phase: 'deliverable4' }
+  },
+  baa: {
+    label: 'Business associate agreements',
+    keys: /(^|_)(baa|baas|business_associate(_agreements?)?)(_|$)/,
+    keywords: ['business associate agreement'],
+    task: { name: 'Execute BAAs with vendors handling PHI', hours: 2, role: 'CXO', phase: 'projectManagement' }
+  }
+};
+
+const FRAMEWORKS = [
+  {
+    id: 'ftc-safeguards',
+    name: 'FTC Safeguards Rule (16 CFR 314)',
+    controls: [
+      { ref: '314.4(a)', title: 'Qualified individual and written program', check: 'infosecProgram' },
+      { ref: '314.4(b)', title: 'Written risk assessment', check: 'riskAssessment' },
+      { ref: '314.4(c)(1)', title: 'Access controls', check: 'accessReview' },
+      { ref: '314.4(c)(3)', title: 'Encryption of customer information', check: 'encryption' },
+      { ref: '314.4(c)(5)', title: 'Multi-factor authentication', check: 'mfa' },
+      { ref: '314.4(c)(6)', title: 'Secure disposal', check: 'dataDisposal' },
+      { ref: '314.4(c)(8)', title: 'Activity logging and monitoring', check: 'logging' },
+      { ref: '314.4(d)(2)', title: 'Penetration testing and vulnerability assessment', check: 'vulnerabilityScan' },
+      { ref: '314.4(e)', title: 'Security awareness training', check: 'training' },
+      { ref: '314.4(f)', title: 'Oversee service providers', check: 'vendorManagement' },
+      { ref: '314.4(h)', title: 'Written incident response plan', check: 'incidentResponse' }
+    ]
+  },
+  {
+    id: 'soc2',
+    name: 'SOC 2 (Trust Services Criteria)',
+    controls: [
+      { ref: 'CC2.2', title: 'Security awareness communicated to staff', check: 'training' },
+      { ref: 'CC3.2', title: 'Risk identification and assessment', check: 'riskAssessment' },
+      { ref: 'CC6.1', title: 'Logical access authentication', check: 'mfa' },
+      { ref: 'CC6.1', title: 'Encryption of data at rest', check: 'encryption' },
+      { ref: 'CC6.2', title: 'Access provisioning and review', check: 'accessReview' },
+      { ref: 'CC6.6', title: 'Boundary protection', check: 'firewall' },
+      { ref: 'CC6.8', title: 'Malware prevention', check: 'edr' },
+      { ref: 'CC7.1', title: 'Vulnerability management', check: 'vulnerabilityScan' },
+      { ref: 'CC7.1', title: 'Configuration and patch management', check: 'patching' },
+      { ref: 'CC7.2', title: 'Security event monitoring', check: 'logging' },
+      { ref: 'CC7.4', title: 'Incident response', check: 'incidentResponse' },
+      { ref: 'CC9.2', title: 'Vendor risk management', check: 'vendorManagement' },
+      { ref: 'A1.2', title: 'Backup and recovery', check: 'backup' }
+    ]
+  },
+  {
+    id: 'hipaa',
+    name: 'HIPAA Security Rule (45 CFR 164)',
+    controls: [
+      { ref: '164.308(a)(1)(ii)(A)', title: 'Risk analysis', check: 'riskAssessment' },
+      { ref: '164.308(a)(4)', title: 'Information access management', check: 'accessReview' },
+      { ref: '164.308(a)(5)', title: 'Security awareness and training', check: 'training' },
+      { ref: '164.308(a)(5)(ii)(B)', title: 'Protection from malicious software', check: 'edr' },
+      { ref: '164.308(a)(6)', title: 'Security incident procedures', check: 'incidentResponse' },
+      { ref: '164.308(a)(7)(ii)(A)', title: 'Data backup plan', check: 'backup' },
+      { ref: '164.308(b)(1)', title: 'Business associate contracts', check: 'baa' },
+      { ref: '164.310(d)(2)(i)', title: 'Disposal of media', check: 'dataDisposal' },
+      { ref: '164.312(a)(2)(iv)', title: 'Encryption and decryption', check: 'encryption' },
+      { ref: '164.312(b)', title: 'Audit controls', check: 'logging' },
+      { ref: '164.312(d)', title: 'Person or entity authentication', check: 'mfa' },
+      { ref: '164.312(e)(1)', title: 'Transmission security', check: 'emailSecurity' }
+    ]
+  }
+];
+
+const OVERRIDE_STATUSES = ['met', 'gap', 'n/a'];
+
+function getCatalog(configData) {
+  const configured = configData?.globalSettings?.complianceCatalog;
+  return Array.isArray(configured) && configured.length ? configured : FRAMEWORKS;
+}
+
+function describeValue(value) {
+  if (Array.isArray(value)) return value.map(describeValue).filter(Boolean).join(', ');
+  if (value && typeof value === 'object') return value.name || value.vendor || value.status || '';
+  return value == null ? '' : String(value).trim();
+}
+
+// Words that negate a keyword later in the same clause, and answers that
+// only cover part of the estate
+const NEGATION = /\b(no|not|never|without|lacks?|lacking|missing|none|isn't|aren't|don't|doesn't|hasn't|haven't|un(encrypted|protected|monitored))\b/;
+const PARTIAL = /\b(admins? only|only (for )?admins?|partial(ly)?|some|most|pilot(ing)?|optional|in progress|planned|rolling out)\b/;
+
+// Evidence for one check: matching keys split by answer, plus keyword
+// mentions split the same way
+function findEvidence(check, discoveryData) {
+  const positive = [];
+  const negative = [];
+  const partial = [];
+  const keywords = [];
+  const keywordList = (check.keywords || []).map((k) => String(k).toLowerCase()).filter(Boolean);
+
+  const add = (list, entry) => {
+    if (!list.includes(entry)) list.push(entry);
+  };
+  const scanText = (text, here) => {
+    String(text).toLowerCase().split(/[,;.\n]|\bbut\b/).forEach((clause) => {
+      keywordList.forEach((keyword) => {
+        const at = clause.indexOf(keyword);
+        if (at < 0) return;
+        if (NEGATION.test(clause.slice(0, at))) add(negative, `${here}: ${clause.trim()}`);
+        else if (PARTIAL.test(clause)) add(partial, `${here}: ${clause.trim()}`);
+        else add(keywords, keyword);
+      });
+    });
+  };
+
+  const visit = (node, path) => {
+    if (!node || typeof node !== 'object') return;
+    Object.entries(node).forEach(([key, value]) => {
+      const here = path ? `${path}.${key}` : key;
+      // A matching key's answer is judged as a whole, not by its keywords
+      if (check.keys && check.keys.test(key.toLowerCase())) {
+        const answer = value === true ? 'yes' : describeValue(value);
+        if (isNegative(value)) negative.push(`${here}: ${value}`);
+        else if (PARTIAL.test(answer.toLowerCase())) partial.push(`${here}: ${answer}`);
+        else if (answer) positive.push(`${here}: ${answer}`);
+        if (typeof value !== 'object') return;
+      }
+      if (typeof value === 'string') scanText(value, here);
+      else if (Array.isArray(value)) value.filter((v) => typeof v === 'string').forEach((v) => scanText(v, here));
+      if (value && typeof value === 'object') visit(value, here);
+    });
+  };
+  visit(discoveryData || {}, '');
+  return { positive, negative, partial, keywords };
+}
+
+// Status per check, then per framework control. An explicit or partial
+// "no" outweighs a keyword found elsewhere; overrides win over both.
+function assessCompliance({ discoveryData, frameworks, overrides = {}, configData }) {
+  const catalog = getCatalog(configData);
+  const selected = catalog.filter((f) => frameworks.includes(f.id));
+
+  const checkIds = [...new Set(selected.flatMap((f) => f.controls.map((c) => c.check)))].filter((id) => CHECKS[id]);
+  const checks = {};
+  checkIds.forEach((id) => {
+    const evidence = findEvidence(CHECKS[id], discoveryData);
+    let status = 'unknown';
+    if (evidence.negative.length || evidence.partial.length) status = 'gap';
+    else if (evidence.positive.length || evidence.keywords.length) status = 'met';
+    const override = overrides[id];
+    checks[id] = {
+      id,
+      label: CHECKS[id].label,
+      detected: status,
+      status: override && OVERRIDE_STATUSES.includes(override.status) ? override.status : status,
+      override: override || null,
+      evidence: [
+        ...evidence.negative,
+        ...evidence.partial.map((e) => `${e} (partial)`),
+        ...evidence.positive,
+        ...evidence.keywords.map((k) => `mentions "${k}"`)
+      ]
+    };
+  });
+
+  return {
+    assessedAt: new Date().toISOString(),
+    frameworks: selected.map((framework) => {
+      const controls = framework.controls
+        .filter((control) => checks[control.check])
+        .map((control) => ({ ...control, status: checks[control.check].status }));
+      const count = (status) => controls.filter((c) => c.status === status).length;
+      const applicable = controls.length - count('n/a');
+      return {
+        id: framework.id,
+        name: framework.name,
+        controls,
+        summary: {
+          met: count('met'),
+          gap: count('gap'),
+          unknown: count('unknown'),
+          na: count('n/a'),
+          percent: applicable ? Math.round((count('met') / applicable) * 100) : 100
+        }
+      };
+    }),
+    checks
+  };
+}
+
+// Remediation tasks for checks in gap (and unknown when includeUnknown),
+// as plan-edit operations. Tasks go on the phase the work belongs to, else
+// the project management phase, else a Compliance Remediation phase added
+// before the last phase.
+function buildRemediation(assessment, plan, { includeUnknown = false } = {}) {
+  const phases = Array.isArray(plan?.phases) ? plan.phases : [];
+  const existing = new Set(phases.flatMap((p) => (p.tasks || []).map((t) => t && t.name)));
+  const findPhase = (key) => phases.find((p) => getDeliverableKey(p.name) === key);
+  const refsByCheck = {};
+  assessment.frameworks.forEach((framework) => framework.controls.forEach((control) => {
+    (refsByCheck[control.check] = refsByCheck[control.check] || []).push(`${framework.name.split(' (')[0]} ${control.ref}`);
+  }));
+
+  const tasks = [];
+  const alreadyPlanned = [];
+  Object.values(assessment.checks)
+    .filter((check) => check.status === 'gap' || (includeUnknown && check.status === 'unknown'))
+    .forEach((check) => {
+      const template = CHECKS[check.id].task;
+      const name = `${TASK_PREFIX}${template.name}`;
+      if (existing.has(name)) {
+        alreadyPlanned.push(check.id);
+        return;
+      }
+      const phase = findPhase(template.phase) || findPhase('projectManagement') || null;
+      tasks.push({
+        checkId: check.id,
+        phaseId: phase ? phase.id : null,
+        phaseName: phase ? phase.name : REMEDIATION_PHASE,
+        task: {
+          name,
+          description: `${check.status === 'gap' ? 'Gap' : 'Not confirmed in discovery'}: ${check.label}. Controls: ${refsByCheck[check.id].join('; ')}.`,
+          hours: template.hours,
+          role: template.role,
+          ...(template.risk ? { risk: template.risk } : {})
+        }
+      });
+    });
+
+  const operations = tasks.filter((t) => t.phaseId).map((t) => ({ type: 'addTask', phaseId: t.phaseId, task: t.task }));
+  const homeless = tasks.filter((t) => !t.phaseId);
+  if (homeless.length) {
+    operations.push({
+      type: 'addPhase',
+      index: Math.max(0, phases.length - 1),
+      phase: {
+        name: REMEDIATION_PHASE,
+        description: 'Close compliance gaps found in discovery',
+        tasks: homeless.map((t) => t.task)
+      }
+    });
+  }
+  return { tasks, alreadyPlanned, operations };
+}
+
+module.exports = {
+  CHECKS,
+  FRAMEWORKS,
+  OVERRIDE_STATUSES,
+  getCatalog,
+  assessCompliance,
+  buildRemediation
+};
@@ -0,0 +1,348 @@
+// Minimal in-memory stand-in for the ConnectWise Manage REST API.
+//
+// Run with `npm run connectwise:mock` and set CONNECTWISE_URL to
+// http://localhost:7081 (any company/keys work) to exercise the PSA
+// functions without a live tenant. State is lost when the process exits.
+
+const http = require('http');
+const { API_PATH } = require('./connectwise');
+
+const port = Number(process.env.CONNECTWISE_MOCK_PORT) || 7081;
+
+const state = {
+  nextId: 1000,
+  companies: [
+    { id: 250, identifier: 'SAXTech', name: 'SAX Technology Advisors' },
+    { id: 251, identifier: 'Catchall', name: 'Catchall' }
+  ],
+  tickets: [],
+  projects: [],
+  phases: [],
+  projectTickets: [],
+  notes: [],
+  timeEntries: []
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString();
+      try {
+        resolve(text ? JSON.parse(text) : null);
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Supports the subset of the conditions grammar the client sends:
+// `field="value"` and `field=123`, joined with `and`.
+function matchesConditions(record, conditions) {
+  if (!conditions) return true;
+  return conditions.split(/\s+and\s+/i).every((clause) => {
+    const match = clause.match(/^\s*([\w/]+)\s*=\s*"?(.*?)"?\s*$/);
+    if (!match) return true;
+    const value = match[1].split('/').reduce((cur, key) => (cur == null ? cur : cur[key]), record);
+    return String(value) === match[2].replace(/\\"/g, '"');
+  });
+}
+
+function resolveCompany(ref) {
+  if (!ref) return null;
+  return state.companies.find((c) => c.id === ref.id || c.identifier === ref.identifier) || null;
+}
+
+// ConnectWise PATCH bodies are JSON Patch arrays: [{ op, path, value }]
+function applyPatch(record, operations) {
+  (Array.isArray(operations) ? operations : []).forEach(({ op, path, value }) => {
+    const keys = String(path || '').replace(/^\//, '').split('/').filter(Boolean);
+    if (!keys.length) return;
+    let target = record;
+    keys.slice(0, -1).forEach((key) => {
+      if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+      target = target[key];
+    });
+    const last = keys[keys.length - 1];
+    if (op === 'remove') delete target[last];
+    else target[last] = value;
+  });
+  return record;
+}
+
+function findById(collection, id) {
+  return collection.find((record) => record.id === Number(id));
+}
+
+const routes = [
+  {
+    method: 'GET',
+    pattern: /^\/company\/companies$/,
+    handler: (req, res, match, query) => {
+      send(res, 200, state.companies.filter((c) => matchesConditions(c, query.get('conditions'))));
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/service\/tickets$/,
+    handler: async (req, res) => {
+      const body = (await readBody(req)) || {};
+      if (!body.summary) {
+        send(res, 400, { code: 'InvalidObject', message: 'summary is required' });
+        return;
+      }
+      const company = resolveCompany(body.company);
+      if (!company) {
+        send(res, 400, { code: 'InvalidObject', message: 'company could not be resolved' });
+        return;
+      }
+      const ticket = {
+        ...body,
+        id: state.nextId++,
+        company: { id: company.id, identifier: company.identifier, name: company.name },
+        status: body.status || { name: 'New' },
+        _info: { dateEntered: new Date().toISOString() }
+      };
+      state.tickets.push(ticket);
+      send(res, 201, ticket);
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/service\/tickets$/,
+    handler: (req, res, match, query) => {
+      send(res, 200, state.tickets.filter((t) => matchesConditions(t, query.get('conditions'))));
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/service\/tickets\/(\d+)$/,
+    handler: (req, res, match) => {
+      const ticket = state.tickets.find((t) => t.id === Number(match[1]));
+      if (!ticket) send(res, 404, { code: 'NotFound', message: 'Ticket not found' });
+      else send(res, 200, ticket);
+    }
+  },
+  {
+    method: 'PATCH',
+    pattern: /^\/service\/tickets\/(\d+)$/,
+    handler: async (req, res, match) => {
+      const ticket = state.tickets.find((t) => t.id === Number(match[1]));
+      if (!ticket) {
+        send(res, 404, { code: 'NotFound', message: 'Ticket not found' });
+        return;
+      }
+      applyPatch(ticket, await readBody(req));
+      send(res, 200, ticket);
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/service\/tickets\/(\d+)\/notes$/,
+    handler: async (req, res, match) => {
+      const ticket = state.tickets.find((t) => t.id === Number(match[1]));
+      if (!ticket) {
+        send(res, 404, { code: 'NotFound', message: 'Ticket not found' });
+        return;
+      }
+      const body = (await readBody(req)) || {};
+      if (!body.text) {
+        send(res, 400, { code: 'InvalidObject', message: 'text is required' });
+        return;
+      }
+      const note = { ...body, id: state.nextId++, ticketId: ticket.id, dateCreated: new Date().toISOString() };
+      state.notes.push(note);
+      send(res, 201, note);
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/project\/projects$/,
+    handler: async (req, res) => {
+      const body = (await readBody(req)) || {};
+      const company = resolveCompany(body.company);
+      if (!body.name || !company || !body.estimatedStart || !body.estimatedEnd) {
+        send(res, 400, { code: 'InvalidObject', message: 'name, company, estimatedStart and estimatedEnd are required' });
+        return;
+      }
+      const project = {
+        ...body,
+        id: state.nextId++,
+        company: { id: company.id, identifier: company.identifier, name: company.name },
+        status: { name: 'Open' }
+      };
+      state.projects.push(project);
+      send(res, 201, project);
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/project\/projects\/(\d+)$/,
+    handler: (req, res, match) => {
+      const project = findById(state.projects, match[1]);
+      if (!project) send(res, 404, { code: 'NotFound', message: 'Project not found' });
+      else send(res, 200, project);
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/project\/projects\/(\d+)\/phases$/,
+    handler: async (req, res, match) => {
+      const project = findById(state.projects, match[1]);
+      if (!project) {
+        send(res, 404, { code: 'NotFound', message: 'Project not found' });
+        return;
+      }
+      const body = (await readBody(req)) || {};
+      if (!body.description) {
+        send(res, 400, { code: 'InvalidObject', message: 'description is required' });
+        return;
+      }
+      const phase = { ...body, id: state.nextId++, projectId: project.id };
+      state.phases.push(phase);
+      send(res, 201, phase);
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/project\/projects\/(\d+)\/phases$/,
+    handler: (req, res, match) => {
+      send(res, 200, state.phases.filter((p) => p.projectId === Number(match[1])));
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/project\/tickets$/,
+    handler: async (req, res) => {
+      const body = (await readBody(req)) || {};
+      const project = body.project && findById(state.projects, body.project.id);
+      if (!body.summary || !project) {
+        send(res, 400, { code: 'InvalidObject', message: 'summary and a valid project are required' });
+        return;
+      }
+      const ticket = {
+        ...body,
+        id: state.nextId++,
+        company: project.company,
+        status: body.status || { name: 'New' },
+        closedFlag: false
+      };
+      state.projectTickets.push(ticket);
+      send(res, 201, ticket);
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/project\/tickets$/,
+    handler: (req, res, match, query) => {
+      send(res, 200, state.projectTickets.filter((t) => matchesConditions(t, query.get('conditions'))));
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/project\/tickets\/(\d+)$/,
+    handler: (req, res, match) => {
+      const ticket = findById(state.projectTickets, match[1]);
+      if (!ticket) send(res, 404, { code: 'NotFound', message: 'Ticket not found' });
+      else send(res, 200, ticket);
+    }
+  },
+  {
+    method: 'PATCH',
+    pattern: /^\/project\/tickets\/(\d+)$/,
+    handler: async (req, res, match) => {
+      const ticket = findById(state.projectTickets, match[1]);
+      if (!ticket) {
+        send(res, 404, { code: 'NotFound', message: 'Ticket not found' });
+        return;
+      }
+      applyPatch(ticket, await readBody(req));
+      send(res, 200, ticket);
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/project\/tickets\/(\d+)\/notes$/,
+    handler: async (req, res, match) => {
+      const ticket = findById(state.projectTickets, match[1]);
+      if (!ticket) {
+        send(res, 404, { code: 'NotFound', message: 'Ticket not found' });
+        return;
+      }
+      const body = (await readBody(req)) || {};
+      if (!body.text) {
+        send(res, 400, { code: 'InvalidObject', message: 'text is required' });
+        return;
+      }
+      const note = { ...body, id: state.nextId++, ticketId: ticket.id, dateCreated: new Date().toISOString() };
+      state.notes.push(note);
+      send(res, 201, note);
+    }
+  },
+  {
+    // Lets developers log time against mock tickets to exercise the
+    // estimate-vs-actual pull.
+    method: 'POST',
+    pattern: /^\/time\/entries$/,
+    handler: async (req, res) => {
+      const body = (await readBody(req)) || {};
+      if (!body.chargeToId || !['ServiceTicket', 'ProjectTicket'].includes(body.chargeToType) || typeof body.actualHours !== 'number') {
+        send(res, 400, { code: 'InvalidObject', message: 'chargeToId, chargeToType and actualHours are required' });
+        return;
+      }
+      const entry = { ...body, id: state.nextId++, timeStart: body.timeStart || new Date().toISOString() };
+      state.timeEntries.push(entry);
+      send(res, 201, entry);
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/time\/entries$/,
+    handler: (req, res, match, query) => {
+      send(res, 200, state.timeEntries.filter((e) => matchesConditions(e, query.get('conditions'))));
+    }
+  }
+];
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  if (!url.pathname.startsWith(API_PATH)) {
+    send(res, 404, { code: 'NotFound', message: `Unknown path ${url.pathname}` });
+    return;
+  }
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Basic ')) {
+    send(res, 401, { code: 'Unauthorized', message: 'Basic authorization header required' });
+    return;
+  }
+
+  const path = url.pathname.slice(API_PATH.length);
+  for (const route of routes) {
+    const match = req.method === route.method && path.match(route.pattern);
+    if (match) {
+      try {
+        await route.handler(req, res, match, url.searchParams);
+      } catch (err) {
+        send(res, 500, { code: 'MockError', message: err.message });
+      }
+      return;
+    }
+  }
+
+  send(res, 404, { code: 'NotFound', message: `No mock route for ${req.method} ${path}` });
+});
+
+if (require.main === module) {
+  server.listen(port, () => {
+    console.log(`[connectwise-mock] Listening on http://localhost:${port}${API_PATH}`);
+  });
+}
+
+module.exports = { server, state };
@@ -0,0 +1,227 @@
+// ConnectWise Manage REST client shared by the PSA-facing functions.
+//
+// Credentials come from the CONNECTWISE_* app settings. Pointing
+// CONNECTWISE_URL at the local mock server (see connectwise-mock-server.js)
+// exercises the same code paths without a live tenant.
+
+const API_PATH = '/v4_6_release/apis/3.0';
+
+// Board/type/priority names used when the admin config does not override
+// them. These match the defaults of a stock ConnectWise Manage tenant.
+const DEFAULT_TICKET_MAPPING = {
+  board: 'Professional Services',
+  companyIdentifier: '',
+  types: {
+    project: 'Project',
+    task: 'Task',
+    change: 'Change Request'
+  },
+  priorities: {
+    low: 'Priority 4 - Low',
+    medium: 'Priority 3 - Normal Response',
+    high: 'Priority 2 - Quick Response',
+    critical: 'Priority 1 - Emergency Response'
+  },
+  // Status applied to tickets whose plan task was removed
+  closedStatus: '>Closed',
+  projectBoard: 'Professional Services',
+  billingMethod: 'FixedFee',
+  // Plan resource classes (see shared/plan normalizeRole) to CW work roles
+  workRoles: {
+    SE: 'Systems Engineer',
+    DIO: 'Solutions Architect',
+    CXO: 'Project Manager'
+  }
+};
+
+function normalizeBaseUrl(url) {
+  let base = String(url || '').trim().replace(/\/+$/, '');
+  if (!/^https?:\/\//i.test(base)) {
+    base = `https://${base}`;
+  }
+  if (base.toLowerCase().endsWith(API_PATH)) {
+    base = base.slice(0, -API_PATH.length);
+  }
+  return base;
+}
+
+function getConnectWiseSettings() {
+  const url = process.env.CONNECTWISE_URL;
+  const company = process.env.CONNECTWISE_COMPANY;
+  const publicKey = process.env.CONNECTWISE_PUBLIC_KEY;
+  const privateKey = process.env.CONNECTWISE_PRIVATE_KEY;
+
+  if (!url || !company || !publicKey || !privateKey) {
+    return null;
+  }
+
+  const baseUrl = normalizeBaseUrl(url);
+  // API hosts (api-na.myconnectwise.net) are not browsable; ticket links
+  // should point at the matching UI host unless explicitly configured.
+  const siteUrl = process.env.CONNECTWISE_SITE_URL
+    ? normalizeBaseUrl(process.env.CONNECTWISE_SITE_URL)
+    : baseUrl.replace(/\/\/api-/i, '//');
+
+  return {
+    baseUrl,
+    siteUrl,
+    company,
+    publicKey,
+    privateKey,
+    clientId: process.env.CONNECTWISE_CLIENT_ID || ''
+  };
+}
+
+// Merge the admin-configured mapping (globalSettings.connectwise) over the
+// defaults so partially filled configs still produce valid tickets.
+function getTicketMapping(configData) {
+  const cfg = configData?.globalSettings?.connectwise || {};
+  return {
+    board: cfg.board || DEFAULT_TICKET_MAPPING.board,
+    companyIdentifier: cfg.companyIdentifier || DEFAULT_TICKET_MAPPING.companyIdentifier,
+    types: { ...DEFAULT_TICKET_MAPPING.types, ...(cfg.types || {}) },
+    priorities: { ...DEFAULT_TICKET_MAPPING.priorities, ...(cfg.priorities || {}) },
+    closedStatus: cfg.closedStatus || DEFAULT_TICKET_MAPPING.closedStatus,
+    projectBoard: cfg.projectBoard || cfg.board || DEFAULT_TICKET_MAPPING.projectBoard,
+    billingMethod: cfg.billingMethod || DEFAULT_TICKET_MAPPING.billingMethod,
+    workRoles: { ...DEFAULT_TICKET_MAPPING.workRoles, ...(cfg.workRoles || {}) }
+  };
+}
+
+// ConnectWise references (board, type, priority, company...) accept either
+// an id or a name/identifier. Numeric values are treated as ids.
+function toReference(value, nameField = 'name') {
+  if (value == null || value === '') return undefined;
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    return { id: Number(value) };
+  }
+  return { [nameField]: String(value) };
+}
+
+function mapTicketToConnectWise(ticket, mapping, companyIdentifier) {
+  const type = String(ticket.type || '').toLowerCase();
+  const priority = String(ticket.priority || '').toLowerCase();
+
+  const payload = {
+    // ConnectWise rejects summaries longer than 100 characters
+    summary: String(ticket.title || ticket.summary || 'M&A onboarding task').slice(0, 100),
+    initialDescription: ticket.description || '',
+    board: toReference(mapping.board),
+    type: toReference(mapping.types[type]),
+    priority: toReference(mapping.priorities[priority]),
+    company: toReference(companyIdentifier || mapping.companyIdentifier, 'identifier')
+  };
+
+  Object.keys(payload).forEach((key) => {
+    if (payload[key] === undefined) delete payload[key];
+  });
+
+  return payload;
+}
+
+// Resolve the customer company; an explicit identifier wins over the
+// configured default, and a name lookup is the last resort.
+async function resolveCompany(client, mapping, { companyIdentifier, companyName } = {}) {
+  const identifier = companyIdentifier || mapping.companyIdentifier;
+  if (!identifier && !companyName) return null;
+  return client.findCompany({ identifier, name: companyName });
+}
+
+function createConnectWiseClient(settings) {
+  const auth = Buffer.from(`${settings.company}+${settings.publicKey}:${settings.privateKey}`).toString('base64');
+
+  async function request(method, path, body) {
+    const headers = {
+      Authorization: `Basic ${auth}`,
+      Accept: 'application/json',
+      'Content-Type': 'application/json'
+    };
+    if (settings.clientId) {
+      headers.clientId = settings.clientId;
+    }
+
+    const response = await fetch(`${settings.baseUrl}${API_PATH}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = text;
+    }
+
+    if (!response.ok) {
+      const detail = data && data.message ? data.message : `HTTP ${response.status}`;
+      const err = new Error(`ConnectWise ${method} ${path} failed: ${detail}`);
+      err.status = response.status;
+      err.details = data;
+      throw err;
+    }
+
+    return data;
+  }
+
+  function conditionsQuery(conditions) {
+    return `conditions=${encodeURIComponent(conditions)}`;
+  }
+
+  // String literal for a conditions clause
+  function quoteCondition(value) {
+    return `"${String(value).replace(/"/g, '\\"')}"`;
+  }
+
+  async function findCompany({ identifier, name }) {
+    if (identifier) {
+      const byId = await request('GET', `/company/companies?${conditionsQuery(`identifier=${quoteCondition(identifier)}`)}`);
+      if (Array.isArray(byId) && byId.length) return byId[0];
+    }
+    if (name) {
+      const byName = await request('GET', `/company/companies?${conditionsQuery(`name=${quoteCondition(name)}`)}`);
+      if (Array.isArray(byName) && byName.length) return byName[0];
+    }
+    return null;
+  }
+
+  function ticketUrl(ticketId) {
+    return `${settings.siteUrl}/v4_6_release/services/system_io/Service/fv_sr100_request.rails?service_recid=${ticketId}&companyName=${encodeURIComponent(settings.company)}`;
+  }
+
+  function projectUrl(projectId) {
+    return `${settings.siteUrl}/v4_6_release/services/system_io/router/openrecord.rails?recordType=ProjectHeaderFV&recid=${projectId}&companyName=${encodeURIComponent(settings.company)}`;
+  }
+
+  return {
+    request,
+    findCompany,
+    ticketUrl,
+    projectUrl,
+    createTicket: (payload) => request('POST', '/service/tickets', payload),
+    getTicket: (ticketId) => request('GET', `/service/tickets/${ticketId}`),
+    // ConnectWise PATCH takes JSON Patch operations: [{ op, path, value }]
+    patchTicket: (ticketId, operations) => request('PATCH', `/service/tickets/${ticketId}`, operations),
+    addTicketNote: (ticketId, payload) => request('POST', `/service/tickets/${ticketId}/notes`, payload),
+    createProject: (payload) => request('POST', '/project/projects', payload),
+    createProjectPhase: (projectId, payload) => request('POST', `/project/projects/${projectId}/phases`, payload),
+    createProjectTicket: (payload) => request('POST', '/project/tickets', payload),
+    patchProjectTicket: (ticketId, operations) => request('PATCH', `/project/tickets/${ticketId}`, operations),
+    getProjectTicket: (ticketId) => request('GET', `/project/tickets/${ticketId}`),
+    addProjectTicketNote: (ticketId, payload) => request('POST', `/project/tickets/${ticketId}/notes`, payload),
+    // chargeToType is "ServiceTicket" or "ProjectTicket"
+    listTimeEntries: (chargeToType, chargeToId) => request('GET', `/time/entries?${conditionsQuery(`chargeToType="${chargeToType}" and chargeToId=${Number(chargeToId)}`)}&pageSize=1000`)
+  };
+}
+
+module.exports = {
+  API_PATH,
+  DEFAULT_TICKET_MAPPING,
+  getConnectWiseSettings,
+  getTicketMapping,
+  toReference,
+  mapTicketToConnectWise,
+  resolveCompany,
+  createConnectWiseClient
+};
@@ -0,0 +1,62 @@
+// Minimal RFC 4180 CSV reader for the exports we ingest (Graph usage
+// reports and similar). Handles quoted fields with commas, doubled quotes
+// and line breaks, CRLF line ends and a leading BOM.
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+// Rows as objects keyed by the (trimmed) header cells
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+  const columns = header.map((h) => h.trim());
+  return rows.map((cells) => {
+    const record = {};
+    columns.forEach((column, i) => {
+      record[column] = cells[i] !== undefined ? cells[i] : '';
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  parseCsvRows,
+  parseCsv
+};
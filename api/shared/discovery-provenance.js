@@ -0,0 +1,64 @@
+// Where discovery facts came from. session.discoveryProvenance mirrors
+// discoveryData one level down: { [category]: { [key]: provenance } },
+// where provenance says which connector or import produced the value
+// ({ source: 'microsoft-graph', tenantId, endpoints, retrievedAt } or
+// { source: 'ad-export', fileName, exportType, retrievedAt }).
+// Facts typed in chat or edited by hand have no entry; when they overwrite
+// an imported value, that value's entry is dropped so the panel never
+// credits a connector with a number someone changed.
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Merge incoming { [category]: { key: value } } into the session's
+// discovery data. provenance, when given, has the same shape and is kept
+// for the merged keys; keys merged without it lose any earlier entry.
+// Returns the categories that were touched.
+function mergeDiscovery(session, incoming, provenance) {
+  if (!session.discoveryData) session.discoveryData = {};
+  const categories = Object.keys(incoming || {}).filter((cat) => incoming[cat] && typeof incoming[cat] === 'object');
+  categories.forEach((cat) => {
+    session.discoveryData[cat] = {
+      ...(session.discoveryData[cat] || {}),
+      ...incoming[cat]
+    };
+    Object.keys(incoming[cat]).forEach((key) => {
+      const entry = provenance?.[cat]?.[key];
+      if (entry) setProvenance(session, cat, key, entry);
+      else forgetProvenance(session, cat, [key]);
+    });
+  });
+  return categories;
+}
+
+function setProvenance(session, category, key, entry) {
+  if (!session.discoveryProvenance) session.discoveryProvenance = {};
+  session.discoveryProvenance[category] = {
+    ...(session.discoveryProvenance[category] || {}),
+    [key]: entry
+  };
+}
+
+function forgetProvenance(session, category, keys) {
+  const byKey = session.discoveryProvenance?.[category];
+  if (!byKey) return;
+  keys.forEach((key) => delete byKey[key]);
+  if (!Object.keys(byKey).length) delete session.discoveryProvenance[category];
+}
+
+// A category replaced wholesale (discovery-update): keys whose value
+// changed or disappeared are no longer what the import produced.
+function replaceCategory(session, category, data) {
+  if (!session.discoveryData) session.discoveryData = {};
+  const previous = session.discoveryData[category] || {};
+  const changed = Object.keys(session.discoveryProvenance?.[category] || {})
+    .filter((key) => !(key in data) || !sameValue(previous[key], data[key]));
+  forgetProvenance(session, category, changed);
+  session.discoveryData[category] = data;
+}
+
+module.exports = {
+  mergeDiscovery,
+  setProvenance,
+  forgetProvenance,
+  replaceCategory
+};
@@ -0,0 +1,21 @@
+// ReactFlow edge styles by edge type, shared by the discovery decision tree
+// and the plan graph so the same kind of link looks the same in both.
+
+function getEdgeStyle(type) {
+  switch (type) {
+    case 'dependency':
+      return { stroke: '#0078D4', strokeWidth: 2 };
+    case 'parallel':
+      return { stroke: '#107C10', strokeWidth: 2, strokeDasharray: '5,5' };
+    case 'conditional':
+      return { stroke: '#FFB900', strokeWidth: 2, strokeDasharray: '10,5' };
+    case 'risk':
+      return { stroke: '#D13438', strokeWidth: 3 };
+    default:
+      return { stroke: '#605E5C', strokeWidth: 1 };
+  }
+}
+
+module.exports = {
+  getEdgeStyle
+};
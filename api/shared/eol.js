@@ -0,0 +1,36 @@
+// End-of-life Microsoft platforms, as lower-case keywords matched on word
+// boundaries. The risk register, security scorecard and estimator all flag
+// from this one list (AdminPanel carries a copy for its editable defaults),
+// so add new retirements here. Windows 10 and Exchange 2016/2019 reached
+// end of support in October 2025.
+
+const EOL_SERVER_KEYWORDS = [
+  'server 2003', 'server 2008', 'server 2012',
+  'sbs 2003', 'sbs 2008', 'sbs 2011', 'small business server'
+];
+
+const EOL_CLIENT_KEYWORDS = [
+  'windows xp', 'windows vista', 'windows 7', 'windows 8', 'windows 10',
+  'win7', 'win 7', 'win10', 'win 10'
+];
+
+const EOL_MAIL_KEYWORDS = [
+  'exchange 2003', 'exchange 2007', 'exchange 2010', 'exchange 2013', 'exchange 2016', 'exchange 2019'
+];
+
+const EOL_KEYWORDS = [...EOL_SERVER_KEYWORDS, ...EOL_CLIENT_KEYWORDS, ...EOL_MAIL_KEYWORDS];
+
+// Global, case-insensitive; an optional "windows " prefix and " r2" suffix
+// are part of the match so evidence reads as written.
+const EOL_PATTERN = new RegExp(
+  `\\b(?:windows )?(?:${EOL_KEYWORDS.map((k) => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?: r2)?\\b`,
+  'gi'
+);
+
+module.exports = {
+  EOL_SERVER_KEYWORDS,
+  EOL_CLIENT_KEYWORDS,
+  EOL_MAIL_KEYWORDS,
+  EOL_KEYWORDS,
+  EOL_PATTERN
+};
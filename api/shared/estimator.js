@@ -0,0 +1,215 @@
+// Rules-based effort estimator. Phase hours are a base amount plus
+// per-unit drivers (hours per server, user, site, mailbox, TB) taken from
+// the discovery size metrics, scaled by complexity multipliers. The result
+// is deterministic for a given discoveryData and config, and is used to
+// validate and reconcile the LLM-generated plan.
+
+const { extractSizeMetrics } = require('./calibration');
+const { computeRollups, getDeliverableKey, taskHours } = require('./rollups');
+const { EOL_SERVER_KEYWORDS, EOL_MAIL_KEYWORDS } = require('./eol');
+
+const DRIVER_METRICS = ['servers', 'users', 'sites', 'mailboxes', 'dataTb'];
+
+// Defaults reproduce the two-server, ~5-user baseline (~152 hours for
+// 2 servers, 5 users, 2 sites, 5 mailboxes, 0.5 TB).
+const DEFAULT_ESTIMATOR = {
+  phases: [
+    { id: 'phase0', name: 'Pre-Migration & Discovery', baseHours: 6, drivers: { servers: 1.5, sites: 1.5 } },
+    { id: 'phase1', name: 'Server Migration', baseHours: 6, drivers: { servers: 18 } },
+    { id: 'phase2', name: 'User Onboarding', baseHours: 5, drivers: { users: 3.5 } },
+    { id: 'phase3', name: 'Data Migration/Lockdown/Backup', baseHours: 8, drivers: { users: 1, dataTb: 10 } },
+    { id: 'phase4', name: 'Email/OneDrive/Website/DNS Cutover', baseHours: 12, drivers: { mailboxes: 2, sites: 2.75 } },
+    { id: 'phase5', name: 'Post-Migration & Stabilization', baseHours: 14, drivers: { servers: 2, users: 1.5, sites: 2 } }
+  ],
+  // A multiplier applies when its metric exceeds the threshold or any of
+  // its keywords appears in the discovery data. Empty phases = all phases.
+  complexity: [
+    { id: 'multiSite', label: 'More than 3 sites', metric: 'sites', threshold: 3, multiplier: 1.15, phases: ['phase0', 'phase4', 'phase5'] },
+    { id: 'largeData', label: 'More than 2 TB of data', metric: 'dataTb', threshold: 2, multiplier: 1.2, phases: ['phase3'] },
+    { id: 'legacyServers', label: 'End-of-life server OS or Exchange', keywords: [...EOL_SERVER_KEYWORDS, ...EOL_MAIL_KEYWORDS], multiplier: 1.25, phases: ['phase1'] },
+    { id: 'lobApplications', label: 'Line-of-business applications to migrate', keywords: ['line of business', 'erp', 'quickbooks', 'sql server'], multiplier: 1.15, phases: ['phase1', 'phase5'] },
+    { id: 'hybridIdentity', label: 'On-premises AD / hybrid identity', keywords: ['azure ad connect', 'entra connect', 'hybrid join'], multiplier: 1.1, phases: ['phase2'] }
+  ],
+  // Phases whose LLM hours deviate more than this from the estimate are
+  // either scaled to the estimate ('scale') or only flagged ('flag').
+  // Scaling is bounded to 1/maxScaleFactor..maxScaleFactor; a phase further
+  // off than that is left as the model wrote it and flagged instead.
+  tolerancePct: 25,
+  reconcile: 'scale',
+  maxScaleFactor: 2
+};
+
+function getEstimatorConfig(configData) {
+  const cfg = configData?.globalSettings?.estimator || {};
+  const defaultsById = new Map(DEFAULT_ESTIMATOR.phases.map((p) => [p.id, p]));
+  const phases = Array.isArray(cfg.phases) && cfg.phases.length ? cfg.phases : DEFAULT_ESTIMATOR.phases;
+
+  return {
+    phases: phases.map((phase) => {
+      const fallback = defaultsById.get(phase.id) || {};
+      return {
+        id: phase.id,
+        name: phase.name || fallback.name || phase.id,
+        baseHours: Number(phase.baseHours ?? fallback.baseHours) || 0,
+        drivers: { ...(fallback.drivers || {}), ...(phase.drivers || {}) }
+      };
+    }),
+    complexity: Array.isArray(cfg.complexity) ? cfg.complexity : DEFAULT_ESTIMATOR.complexity,
+    tolerancePct: Number(cfg.tolerancePct) > 0 ? Number(cfg.tolerancePct) : DEFAULT_ESTIMATOR.tolerancePct,
+    reconcile: cfg.reconcile === 'flag' ? 'flag' : DEFAULT_ESTIMATOR.reconcile,
+    maxScaleFactor: Number(cfg.maxScaleFactor) > 1 ? Number(cfg.maxScaleFactor) : DEFAULT_ESTIMATOR.maxScaleFactor
+  };
+}
+
+function roundHalf(hours) {
+  return Math.round(hours * 2) / 2;
+}
+
+function matchComplexity(rule, metrics, discoveryText) {
+  if (rule.metric && metrics[rule.metric] != null && metrics[rule.metric] > Number(rule.threshold || 0)) return true;
+  return (rule.keywords || []).some((keyword) => {
+    if (!keyword) return false;
+    const escaped = String(keyword).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escaped}\\b`).test(discoveryText);
+  });
+}
+
+function estimateEffort(discoveryData, estimatorConfig) {
+  const config = estimatorConfig || getEstimatorConfig(null);
+  const metrics = extractSizeMetrics(discoveryData);
+  const discoveryText = JSON.stringify(discoveryData || {}).toLowerCase();
+  const applied = config.complexity.filter((rule) => Number(rule.multiplier) > 0 && matchComplexity(rule, metrics, discoveryText));
+
+  const phases = config.phases.map((phase) => {
+    const drivers = DRIVER_METRICS
+      .filter((metric) => Number(phase.drivers[metric]) > 0)
+      .map((metric) => {
+        const quantity = metrics[metric] || 0;
+        const rate = Number(phase.drivers[metric]);
+        return { metric, quantity, rate, hours: quantity * rate };
+      });
+
+    const multipliers = applied
+      .filter((rule) => !rule.phases || !rule.phases.length || rule.phases.includes(phase.id))
+      .map((rule) => ({ id: rule.id, label: rule.label, multiplier: Number(rule.multiplier) }));
+    const factor = multipliers.reduce((acc, m) => acc * m.multiplier, 1);
+    const raw = phase.baseHours + drivers.reduce((sum, d) => sum + d.hours, 0);
+
+    return { id: phase.id, name: phase.name, baseHours: phase.baseHours, drivers, multipliers, hours: roundHalf(raw * factor) };
+  });
+
+  const rollups = computeRollups({ phases: phases.map((p) => ({ ...p, tasks: [{ hours: p.hours }] })) });
+
+  return {
+    metrics,
+    missingMetrics: DRIVER_METRICS.filter((metric) => metrics[metric] == null),
+    complexity: applied.map((rule) => ({ id: rule.id, label: rule.label, multiplier: Number(rule.multiplier) })),
+    phases,
+    byDeliverable: rollups.byDeliverable,
+    totalHours: rollups.totalHours
+  };
+}
+
+function normalizePhaseName(name) {
+  return String(name || '').toLowerCase().replace(/^phase\s*\d+\s*[:-]?\s*/, '').replace(/\(deliverable \d\)/, '').trim();
+}
+
+// Pair each plan phase with an estimator phase: same id, then same name,
+// then same SOW deliverable bucket.
+function matchEstimatePhase(phase, estimatePhases, used) {
+  const free = estimatePhases.filter((p) => !used.has(p.id));
+  return free.find((p) => p.id === phase.id)
+    || free.find((p) => normalizePhaseName(p.name) === normalizePhaseName(phase.name))
+    || free.find((p) => getDeliverableKey(p.name) && getDeliverableKey(p.name) === getDeliverableKey(phase.name))
+    || null;
+}
+
+// Validate the plan's phase hours against the estimate and, in 'scale'
+// mode, rescale task hours of out-of-tolerance phases onto the estimate
+// when the factor is within maxScaleFactor. Mutates plan tasks (original
+// hours kept as task.llmHours).
+function reconcilePlan(plan, estimate, estimatorConfig) {
+  const { tolerancePct, reconcile } = estimatorConfig;
+  const maxScaleFactor = estimatorConfig.maxScaleFactor || DEFAULT_ESTIMATOR.maxScaleFactor;
+  const used = new Set();
+  const phases = [];
+  let llmTotal = 0;
+
+  (plan.phases || []).forEach((phase) => {
+    const tasks = (Array.isArray(phase.tasks) ? phase.tasks : []).filter((t) => t && typeof t === 'object');
+    const llmHours = tasks.reduce((sum, t) => sum + taskHours(t), 0);
+    llmTotal += llmHours;
+
+    const target = matchEstimatePhase(phase, estimate.phases, used);
+    if (!target) {
+      phases.push({ id: phase.id, name: phase.name, llmHours, estimatedHours: null, deviationPct: null, status: 'unmatched', finalHours: llmHours });
+      return;
+    }
+    used.add(target.id);
+
+    const deviationPct = target.hours > 0 ? Math.round(((llmHours - target.hours) / target.hours) * 1000) / 10 : null;
+    const within = deviationPct != null && Math.abs(deviationPct) <= tolerancePct;
+    let status = within ? 'ok' : 'out-of-tolerance';
+    let finalHours = llmHours;
+
+    const factor = llmHours > 0 && target.hours > 0 ? target.hours / llmHours : null;
+    const scalable = factor != null && factor <= maxScaleFactor && factor >= 1 / maxScaleFactor;
+
+    if (!within && reconcile === 'scale' && scalable) {
+      finalHours = 0;
+      tasks.forEach((task) => {
+        if (typeof task.hours !== 'number') return;
+        task.llmHours = task.hours;
+        task.hours = Math.max(0.5, roundHalf(task.hours * factor));
+        // Keep model-supplied three-point bounds around the scaled hours
+        if (typeof task.optimisticHours === 'number') task.optimisticHours = Math.min(task.hours, roundHalf(task.optimisticHours * factor));
+        if (typeof task.pessimisticHours === 'number') task.pessimisticHours = Math.max(task.hours, roundHalf(task.pessimisticHours * factor));
+        finalHours += task.hours;
+      });
+      status = 'scaled';
+    }
+
+    const entry = { id: phase.id, name: phase.name, estimatePhaseId: target.id, llmHours, estimatedHours: target.hours, deviationPct, status, finalHours };
+    if (!within && reconcile === 'scale' && factor != null && !scalable) entry.reason = `beyond the ${maxScaleFactor}x scaling cap`;
+    phases.push(entry);
+  });
+
+  estimate.phases.filter((p) => !used.has(p.id)).forEach((p) => {
+    phases.push({ id: null, name: p.name, estimatePhaseId: p.id, llmHours: 0, estimatedHours: p.hours, deviationPct: null, status: 'missing', finalHours: 0 });
+  });
+
+  const finalTotal = phases.reduce((sum, p) => sum + p.finalHours, 0);
+
+  return {
+    mode: reconcile,
+    tolerancePct,
+    maxScaleFactor,
+    totals: {
+      llmHours: llmTotal,
+      estimatedHours: estimate.totalHours,
+      finalHours: finalTotal,
+      deviationPct: estimate.totalHours > 0 ? Math.round(((llmTotal - estimate.totalHours) / estimate.totalHours) * 1000) / 10 : null
+    },
+    phases,
+    byDeliverable: computeRollups(plan).byDeliverable
+  };
+}
+
+// Compact summary of the estimate for the model prompt
+function describeEstimate(estimate) {
+  const lines = estimate.phases.map((p) => `  - ${p.name} .......... ~${p.hours} hours`);
+  const complexity = estimate.complexity.length
+    ? `Complexity factors applied: ${estimate.complexity.map((c) => `${c.label} (x${c.multiplier})`).join(', ')}`
+    : 'No complexity factors applied.';
+  return `${lines.join('\n')}
+  - Total .......... ~${estimate.totalHours} hours
+${complexity}`;
+}
+
+module.exports = {
+  DEFAULT_ESTIMATOR,
+  getEstimatorConfig,
+  estimateEffort,
+  reconcilePlan,
+  describeEstimate
+};
@@ -0,0 +1,96 @@
+// Local stand-in for Microsoft Graph and the Entra ID token endpoint that
+// replays recorded responses.
+//
+// Run with `npm run graph:mock` and set both GRAPH_URL and GRAPH_LOGIN_URL
+// to http://localhost:7082 (any tenant id, client id and secret work) to
+// exercise m365-discover without a tenant. Responses come from
+// fixtures/graph-tenant.json, or GRAPH_FIXTURE_FILE; a file recorded with
+// GRAPH_RECORD_FILE (see graph.js) can be replayed as is. Requests are
+// matched on path and query first, then on the path alone.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const port = Number(process.env.GRAPH_MOCK_PORT) || 7082;
+const fixtureFile = process.env.GRAPH_FIXTURE_FILE || path.join(__dirname, 'fixtures', 'graph-tenant.json');
+
+function loadFixture() {
+  const fixture = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+  return fixture.responses || {};
+}
+
+function send(res, status, body, contentType = 'application/json') {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function graphError(res, status, code, message) {
+  send(res, status, { error: { code, message } });
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(new URLSearchParams(Buffer.concat(chunks).toString())));
+    req.on('error', reject);
+  });
+}
+
+// Recorded nextLinks point at graph.microsoft.com; serve them from here
+function rewriteLinks(body) {
+  if (!body || typeof body !== 'object' || !body['@odata.nextLink']) return body;
+  const link = new URL(body['@odata.nextLink']);
+  return { ...body, '@odata.nextLink': `http://localhost:${port}${link.pathname}${link.search}` };
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+
+  const token = url.pathname.match(/^\/([^/]+)\/oauth2\/v2\.0\/token$/);
+  if (token && req.method === 'POST') {
+    const form = await readForm(req);
+    if (!form.get('client_id') || !form.get('client_secret')) {
+      send(res, 400, { error: 'invalid_request', error_description: 'AADSTS900144: The request body must contain client_id and client_secret.' });
+      return;
+    }
+    send(res, 200, { token_type: 'Bearer', expires_in: 3599, access_token: `mock-token-${token[1]}` });
+    return;
+  }
+
+  if (req.method !== 'GET' || !/^\/(v1\.0|beta)\//.test(url.pathname)) {
+    graphError(res, 404, 'NotFound', `No mock route for ${req.method} ${url.pathname}`);
+    return;
+  }
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer ')) {
+    graphError(res, 401, 'InvalidAuthenticationToken', 'Access token is empty.');
+    return;
+  }
+
+  let responses;
+  try {
+    responses = loadFixture();
+  } catch (err) {
+    graphError(res, 500, 'MockError', `Cannot read ${fixtureFile}: ${err.message}`);
+    return;
+  }
+  const pathname = decodeURIComponent(url.pathname);
+  const recorded = responses[`${pathname}${decodeURIComponent(url.search)}`] || responses[pathname];
+  if (!recorded) {
+    graphError(res, 404, 'Request_ResourceNotFound', `No recorded response for ${pathname}${url.search}`);
+    return;
+  }
+  const body = recorded.contentType && !recorded.contentType.includes('json')
+    ? String(recorded.body)
+    : rewriteLinks(recorded.body);
+  send(res, recorded.status || 200, body, recorded.contentType || 'application/json');
+});
+
+if (require.main === module) {
+  server.listen(port, () => {
+    console.log(`[graph-mock] Replaying ${fixtureFile} on http://localhost:${port}`);
+  });
+}
+
+module.exports = { server };
@@ -0,0 +1,150 @@
+// Microsoft Graph client for tenant discovery (see m365-discovery.js).
+//
+// Uses the client-credentials flow with an app registration in the target
+// tenant; credentials are supplied per request and never stored. GRAPH_URL
+// and GRAPH_LOGIN_URL point both hosts at the local mock server
+// (graph-mock-server.js) to work offline. Setting GRAPH_RECORD_FILE
+// records every Graph response into a fixture file the mock can replay;
+// recordings hold real tenant data, so scrub them before committing.
+
+const fs = require('fs');
+
+const DEFAULT_GRAPH_URL = 'https://graph.microsoft.com';
+const DEFAULT_LOGIN_URL = 'https://login.microsoftonline.com';
+
+// Throttled (429) and unavailable (503/504) responses are retried after
+// Retry-After, capped so a function run cannot stall on one call.
+const RETRY_STATUSES = [429, 503, 504];
+const MAX_ATTEMPTS = 3;
+const MAX_RETRY_WAIT_MS = 30000;
+
+// Tenant ids are GUIDs or a verified domain (contoso.onmicrosoft.com)
+const TENANT_PATTERN = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[a-z0-9-]+(\.[a-z0-9-]+)+)$/i;
+
+const trimUrl = (url) => String(url || '').trim().replace(/\/+$/, '');
+
+function getGraphSettings({ tenantId, clientId, clientSecret } = {}) {
+  if (!tenantId || !clientId || !clientSecret) return null;
+  return {
+    tenantId: String(tenantId).trim(),
+    clientId: String(clientId).trim(),
+    clientSecret: String(clientSecret),
+    graphUrl: trimUrl(process.env.GRAPH_URL) || DEFAULT_GRAPH_URL,
+    loginUrl: trimUrl(process.env.GRAPH_LOGIN_URL) || DEFAULT_LOGIN_URL,
+    recordFile: process.env.GRAPH_RECORD_FILE || ''
+  };
+}
+
+// nextLinks are absolute; requests (and recordings) use the path only
+function relativePath(link) {
+  const url = new URL(link);
+  return `${url.pathname}${url.search}`;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Append one response to the fixture file, keyed by request path
+function recordResponse(file, path, status, contentType, body) {
+  let fixture = { responses: {} };
+  try {
+    fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {}
+  fixture.recordedAt = new Date().toISOString();
+  fixture.responses = { ...(fixture.responses || {}), [path]: { status, contentType, body } };
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+}
+
+function createGraphClient(settings) {
+  let token = null;
+
+  async function getToken() {
+    if (token && token.expiresAt > Date.now() + 60000) return token.value;
+    const response = await fetch(`${settings.loginUrl}/${encodeURIComponent(settings.tenantId)}/oauth2/v2.0/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: settings.clientId,
+        client_secret: settings.clientSecret,
+        scope: `${settings.graphUrl}/.default`,
+        grant_type: 'client_credentials'
+      }).toString()
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok || !data?.access_token) {
+      // AADSTS messages carry a trace id and timestamp after the first line
+      const detail = String(data?.error_description || data?.error || `HTTP ${response.status}`).split(/\r?\n/)[0];
+      const err = new Error(`Microsoft sign-in failed: ${detail}`);
+      err.status = 401;
+      err.details = data;
+      throw err;
+    }
+    token = { value: data.access_token, expiresAt: Date.now() + (Number(data.expires_in) || 3600) * 1000 };
+    return token.value;
+  }
+
+  // GET a Graph path ('/v1.0/users?$select=id'). JSON bodies are parsed;
+  // anything else (usage reports are CSV) is returned as text.
+  async function request(path) {
+    for (let attempt = 1; ; attempt += 1) {
+      const response = await fetch(`${settings.graphUrl}${path}`, {
+        headers: {
+          Authorization: `Bearer ${await getToken()}`,
+          Accept: 'application/json'
+        }
+      });
+
+      if (RETRY_STATUSES.includes(response.status) && attempt < MAX_ATTEMPTS) {
+        const wait = Math.min(MAX_RETRY_WAIT_MS, (Number(response.headers.get('retry-after')) || 2 ** attempt) * 1000);
+        await sleep(wait);
+        continue;
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      const text = await response.text();
+      let data = text;
+      if (contentType.includes('json')) {
+        try {
+          data = text ? JSON.parse(text) : null;
+        } catch {}
+      }
+      if (settings.recordFile) {
+        recordResponse(settings.recordFile, path, response.status, contentType.split(';')[0], data);
+      }
+
+      if (!response.ok) {
+        const detail = data?.error?.message || `HTTP ${response.status}`;
+        const err = new Error(`Graph GET ${path} failed: ${detail}`);
+        err.status = response.status;
+        err.code = data?.error?.code;
+        throw err;
+      }
+      return data;
+    }
+  }
+
+  // All pages of a collection, following @odata.nextLink
+  async function getAll(path) {
+    const items = [];
+    let next = path;
+    while (next) {
+      const page = await request(next);
+      items.push(...(page?.value || []));
+      const link = page?.['@odata.nextLink'];
+      next = link ? relativePath(link) : null;
+    }
+    return items;
+  }
+
+  return {
+    request,
+    getAll
+  };
+}
+
+module.exports = {
+  DEFAULT_GRAPH_URL,
+  DEFAULT_LOGIN_URL,
+  TENANT_PATTERN,
+  getGraphSettings,
+  createGraphClient
+};
@@ -0,0 +1,215 @@
+// Day-1 / Day-30 / Day-100 integration checklist. Acquisitions are judged
+// at those points after close, so the checklist restates discovery facts
+// and plan tasks as outcomes per milestone: a fixed set of items (or
+// globalSettings.integrationChecklist) filled in from discovery, each
+// linked to the plan tasks that deliver it by keyword or phase.
+//
+// Milestone dates count from dayZero, the close date: Day 1 is dayZero
+// itself, Day 30 is 29 days later. Completion is tracked per item on
+// session.integrationChecklist; readiness is worked out when read, against
+// the current schedule, so an item whose tasks now finish after its
+// milestone shows as at risk.
+
+const { Document, Packer, Paragraph, HeadingLevel, TextRun } = require('docx');
+const { extractSizeMetrics } = require('./calibration');
+const { extractCutoverFacts } = require('./runbook');
+const { getDeliverableKey } = require('./rollups');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const MILESTONES = [
+  { id: 'day1', label: 'Day 1', day: 1 },
+  { id: 'day30', label: 'Day 30', day: 30 },
+  { id: 'day100', label: 'Day 100', day: 100 }
+];
+
+// requires: the item is dropped when discovery says there are none of these
+const DEFAULT_ITEMS = [
+  { id: 'email-routing', milestone: 'day1', title: 'Email routing works for acquired domains', detail: 'Mail to and from {domains} is delivered; forwarding or coexistence is in place for mailboxes that have not moved.', keywords: ['mx', 'mail flow', 'email routing', 'coexistence'] },
+  { id: 'helpdesk-access', milestone: 'day1', title: 'Users can reach the helpdesk', detail: 'All {users} users have the helpdesk number, portal and escalation path; their tickets route to the right board.', keywords: ['helpdesk', 'service desk', 'support', 'communication'] },
+  { id: 'admin-access', milestone: 'day1', title: 'Admin credentials secured', detail: 'Tenant, domain, registrar ({dnsProvider}) and vendor portal credentials are in the vault; former IT staff access reviewed.', keywords: ['credential', 'admin account', 'password', 'access review'] },
+  { id: 'security-baseline', milestone: 'day1', title: 'Security baseline in place', detail: 'MFA enforced for admins, EDR and RMM agents on all endpoints and the {servers} servers, privileged accounts inventoried.', keywords: ['mfa', 'edr', 'security', 'rmm', 'baseline'] },
+  { id: 'backup-verified', milestone: 'day1', title: 'Backups verified', detail: 'Latest {backupVendor} jobs succeeded and a test restore worked.', keywords: ['backup'] },
+  { id: 'user-onboarding', milestone: 'day30', title: 'Users onboarded', detail: '{users} users have accounts, licenses and working sign-in in the target environment.', keywords: ['account', 'license', 'identity', 'onboard'], phases: ['deliverable2'], requires: 'users' },
+  { id: 'mailbox-migration', milestone: 'day30', title: 'Mailboxes and OneDrive migrated', detail: '{mailboxes} mailboxes moved off {mailPlatform}, OneDrive content synced.', keywords: ['mailbox', 'onedrive', 'email migration', 'bittitan'], requires: 'mailboxes' },
+  { id: 'device-enrollment', milestone: 'day30', title: 'Devices enrolled', detail: 'Workstations joined or enrolled and managed by the standard tooling.', keywords: ['device', 'intune', 'autopilot', 'workstation', 'endpoint', 'enroll'] },
+  { id: 'dns-website', milestone: 'day30', title: 'DNS and website moved', detail: 'DNS for {domains} hosted in the target, website and certificates transferred.', keywords: ['dns', 'website', 'domain', 'registrar', 'certificate'] },
+  { id: 'data-migration', milestone: 'day30', title: 'File data migrated and locked down', detail: '{dataTb} TB of file data moved, permissions reviewed, source shares read-only.', keywords: ['data migration', 'file share', 'sharepoint', 'permission', 'lockdown'], phases: ['deliverable3'], requires: 'dataTb' },
+  { id: 'server-migration', milestone: 'day100', title: 'Servers migrated', detail: '{servers} servers moved and the source servers powered off.', keywords: ['server', 'migrat'], phases: ['deliverable1'], requires: 'servers' },
+  { id: 'backup-consolidated', milestone: 'day100', title: 'Backup consolidated', detail: '{backupVendor} retired or brought under the managed backup standard.', keywords: ['backup'] },
+  { id: 'legacy-decommission', milestone: 'day100', title: 'Legacy systems decommissioned', detail: 'Old tenant, servers, firewall and licenses shut down; vendor contracts cancelled.', keywords: ['decommission', 'retire', 'legacy', 'cancel'] },
+  { id: 'documentation', milestone: 'day100', title: 'Documentation and handover', detail: 'Environment documented and handed over to managed services.', keywords: ['document', 'handover', 'hand-off', 'stabiliz'], phases: ['projectManagement'] },
+  { id: 'post-review', milestone: 'day100', title: 'Post-integration review', detail: 'Lessons learned and actual hours reviewed with the client.', keywords: ['review', 'lessons', 'closeout', 'close-out'] }
+];
+
+function getChecklistItems(configData) {
+  const configured = configData?.globalSettings?.integrationChecklist;
+  return Array.isArray(configured) && configured.length ? configured : DEFAULT_ITEMS;
+}
+
+function milestoneDate(dayZero, milestone) {
+  const def = MILESTONES.find((m) => m.id === milestone);
+  return new Date(Date.parse(`${dayZero}T00:00:00Z`) + ((def ? def.day : 1) - 1) * DAY).toISOString().slice(0, 10);
+}
+
+// Size metrics plus the cutover facts; servers is a count either way
+function discoveryFacts(discoveryData) {
+  const metrics = extractSizeMetrics(discoveryData);
+  const cutover = extractCutoverFacts(discoveryData);
+  return { ...metrics, ...cutover, servers: cutover.servers.length || metrics.servers };
+}
+
+function fillTemplate(text, facts) {
+  return String(text || '').replace(/\{(\w+)\}/g, (_, key) => (facts[key] != null && facts[key] !== '' ? String(facts[key]) : `[${key}]`));
+}
+
+function linkedTaskIds(item, plan) {
+  const keywords = (item.keywords || []).map((k) => String(k).toLowerCase());
+  const phases = item.phases || [];
+  const ids = [];
+  (plan?.phases || []).forEach((phase) => {
+    const inPhase = phases.includes(getDeliverableKey(phase.name)) || phases.includes(phase.id);
+    (phase.tasks || []).forEach((task) => {
+      if (!task || typeof task !== 'object') return;
+      const text = `${task.name || ''} ${task.description || ''}`.toLowerCase();
+      if (inPhase || keywords.some((k) => text.includes(k))) ids.push(task.id);
+    });
+  });
+  return ids;
+}
+
+// Build the checklist for a session, keeping completion and notes of items
+// that already exist (matched by id), custom items, and template items
+// that no longer apply but were already ticked off.
+function buildChecklist({ plan, discoveryData, dayZero, previous, configData }) {
+  const facts = discoveryFacts(discoveryData);
+  const kept = new Map((previous?.items || []).map((item) => [item.id, item]));
+
+  const items = getChecklistItems(configData)
+    .filter((def) => MILESTONES.some((m) => m.id === def.milestone))
+    .filter((def) => !def.requires || facts[def.requires] == null || Number(facts[def.requires]) !== 0)
+    .map((def) => {
+      const old = kept.get(def.id);
+      kept.delete(def.id);
+      return {
+        id: def.id,
+        milestone: def.milestone,
+        title: def.title,
+        detail: fillTemplate(def.detail, facts),
+        source: 'template',
+        taskIds: linkedTaskIds(def, plan),
+        done: Boolean(old?.done),
+        doneAt: old?.doneAt || null,
+        notes: old?.notes || ''
+      };
+    });
+  kept.forEach((item) => {
+    if (item.source === 'custom' || item.done) items.push(item);
+  });
+
+  return {
+    dayZero,
+    generatedAt: new Date().toISOString(),
+    items
+  };
+}
+
+// Per-milestone readiness against the current schedule. Items are done,
+// overdue (milestone passed), at risk (a linked task ends after the
+// milestone) or open.
+function assessReadiness(checklist, schedule, now = Date.now()) {
+  const taskEnds = new Map((schedule?.tasks || []).map((t) => [t.taskId, t]));
+  const today = new Date(now).toISOString().slice(0, 10);
+
+  return MILESTONES.map((milestone) => {
+    const date = milestoneDate(checklist.dayZero, milestone.id);
+    const items = checklist.items.filter((item) => item.milestone === milestone.id).map((item) => {
+      const late = item.taskIds
+        .map((id) => taskEnds.get(id))
+        .filter((t) => t && t.end.slice(0, 10) > date)
+        .map((t) => ({ taskId: t.taskId, name: t.name, end: t.end }));
+      let status = 'open';
+      if (item.done) status = 'done';
+      else if (today > date) status = 'overdue';
+      else if (late.length) status = 'at-risk';
+      return { ...item, status, lateTasks: late };
+    });
+    const done = items.filter((i) => i.status === 'done').length;
+    const counts = ['done', 'open', 'at-risk', 'overdue'].reduce((acc, s) => ({ ...acc, [s]: items.filter((i) => i.status === s).length }), {});
+
+    let status = 'on-track';
+    if (items.length && done === items.length) status = 'ready';
+    else if (counts.overdue) status = 'overdue';
+    else if (counts['at-risk']) status = 'at-risk';
+
+    // Plan tasks due by this milestone and not by the one before
+    const previous = MILESTONES[MILESTONES.indexOf(milestone) - 1];
+    const after = previous ? milestoneDate(checklist.dayZero, previous.id) : '';
+    const planTasks = (schedule?.tasks || [])
+      .filter((t) => t.end.slice(0, 10) <= date && t.end.slice(0, 10) > after)
+      .map((t) => ({ taskId: t.taskId, name: t.name, end: t.end }));
+
+    return {
+      id: milestone.id,
+      label: milestone.label,
+      date,
+      status,
+      percent: items.length ? Math.round((done / items.length) * 100) : 100,
+      counts,
+      items,
+      planTasks
+    };
+  });
+}
+
+const STATUS_LABELS = { done: 'Done', open: 'Open', 'at-risk': 'At risk', overdue: 'Overdue', ready: 'Ready', 'on-track': 'On track' };
+
+function renderReadinessMarkdown(readiness, title) {
+  const lines = [`# ${title}`, ''];
+  readiness.forEach((m) => {
+    lines.push(`## ${m.label} (${m.date}): ${STATUS_LABELS[m.status]}, ${m.percent}% complete`, '');
+    m.items.forEach((item) => {
+      lines.push(`- [${item.done ? 'x' : ' '}] **${item.title}** (${STATUS_LABELS[item.status]}). ${item.detail}`);
+      if (item.notes) lines.push(`  - Notes: ${item.notes}`);
+      item.lateTasks.forEach((t) => lines.push(`  - Late: ${t.name} ends ${t.end.slice(0, 10)}`));
+    });
+    if (m.planTasks.length) {
+      lines.push('', `Plan tasks due: ${m.planTasks.map((t) => t.name).join('; ')}`);
+    }
+    lines.push('');
+  });
+  return lines.join('\n');
+}
+
+async function renderReadinessDocx(readiness, title) {
+  const children = [new Paragraph({ text: title, heading: HeadingLevel.TITLE })];
+  readiness.forEach((m) => {
+    children.push(new Paragraph({ text: `${m.label} (${m.date}): ${STATUS_LABELS[m.status]}, ${m.percent}% complete`, heading: HeadingLevel.HEADING_1 }));
+    m.items.forEach((item) => {
+      children.push(new Paragraph({
+        bullet: { level: 0 },
+        children: [
+          new TextRun(`${item.done ? '☑' : '☐'} `),
+          new TextRun({ text: item.title, bold: true }),
+          new TextRun(` (${STATUS_LABELS[item.status]}). ${item.detail}`)
+        ]
+      }));
+      if (item.notes) children.push(new Paragraph({ text: `Notes: ${item.notes}`, bullet: { level: 1 } }));
+      item.lateTasks.forEach((t) => children.push(new Paragraph({ text: `Late: ${t.name} ends ${t.end.slice(0, 10)}`, bullet: { level: 1 } })));
+    });
+    if (m.planTasks.length) {
+      children.push(new Paragraph(`Plan tasks due: ${m.planTasks.map((t) => t.name).join('; ')}`));
+    }
+  });
+  return Packer.toBuffer(new Document({ title, sections: [{ children }] }));
+}
+
+module.exports = {
+  MILESTONES,
+  DEFAULT_ITEMS,
+  milestoneDate,
+  buildChecklist,
+  assessReadiness,
+  renderReadinessMarkdown,
+  renderReadinessDocx
+};
@@ -0,0 +1,251 @@
+// Microsoft 365 tenant discovery over Graph (client in graph.js). Each
+// collector reads one Graph endpoint; one that fails (usually a missing
+// application permission, or a licence the tenant lacks) becomes a warning
+// and the rest still run. Facts are then mapped onto the general,
+// communication and security discovery categories with the keys the chat
+// extraction and the estimators already look for (total_users,
+// mailbox_count, domains, email_platform, mfa...). Every fact records
+// which endpoints it came from (see discovery-provenance.js).
+
+const { parseCsv } = require('./csv');
+
+const SOURCE = 'microsoft-graph';
+const GLOBAL_ADMIN_ROLE = '62e90394-69f5-4237-9190-012177145e10';
+const GB = 1024 ** 3;
+
+const COLLECTORS = [
+  { id: 'organization', permission: 'Organization.Read.All', path: '/v1.0/organization?$select=id,displayName,verifiedDomains' },
+  { id: 'domains', permission: 'Domain.Read.All', path: '/v1.0/domains?$select=id,isDefault,isVerified,authenticationType,supportedServices' },
+  { id: 'users', permission: 'User.Read.All', path: '/v1.0/users?$select=id,displayName,userPrincipalName,accountEnabled,userType,assignedLicenses&$top=999' },
+  { id: 'skus', permission: 'Organization.Read.All', path: '/v1.0/subscribedSkus?$select=skuId,skuPartNumber,consumedUnits,prepaidUnits' },
+  { id: 'mailboxUsage', permission: 'Reports.Read.All', path: "/v1.0/reports/getMailboxUsageDetail(period='D7')", report: true },
+  { id: 'oneDriveUsage', permission: 'Reports.Read.All', path: "/v1.0/reports/getOneDriveUsageAccountDetail(period='D7')", report: true },
+  { id: 'groups', permission: 'Group.Read.All', path: '/v1.0/groups?$select=id,displayName,mail,groupTypes,mailEnabled,securityEnabled,resourceProvisioningOptions&$top=999' },
+  { id: 'sites', permission: 'Sites.Read.All', path: '/v1.0/sites?search=*&$select=id,displayName,webUrl' },
+  { id: 'siteUsage', permission: 'Reports.Read.All', path: "/v1.0/reports/getSharePointSiteUsageDetail(period='D7')", report: true },
+  { id: 'conditionalAccess', permission: 'Policy.Read.All', path: '/v1.0/identity/conditionalAccess/policies' },
+  { id: 'securityDefaults', permission: 'Policy.Read.All', path: '/v1.0/policies/identitySecurityDefaultsEnforcementPolicy', single: true },
+  { id: 'globalAdmins', permission: 'RoleManagement.Read.Directory', path: `/v1.0/directoryRoles(roleTemplateId='${GLOBAL_ADMIN_ROLE}')/members?$select=id,displayName,userPrincipalName` },
+  { id: 'mfaRegistration', permission: 'AuditLog.Read.All (Entra ID P1)', path: '/v1.0/reports/authenticationMethods/userRegistrationDetails?$select=userPrincipalName,isMfaRegistered,userType' }
+];
+
+// Friendly names for the SKUs MSP clients usually hold
+const SKU_NAMES = {
+  O365_BUSINESS_ESSENTIALS: 'Microsoft 365 Business Basic',
+  O365_BUSINESS_PREMIUM: 'Microsoft 365 Business Standard',
+  SPB: 'Microsoft 365 Business Premium',
+  O365_BUSINESS: 'Microsoft 365 Apps for business',
+  OFFICESUBSCRIPTION: 'Microsoft 365 Apps for enterprise',
+  STANDARDPACK: 'Office 365 E1',
+  ENTERPRISEPACK: 'Office 365 E3',
+  ENTERPRISEPREMIUM: 'Office 365 E5',
+  SPE_E3: 'Microsoft 365 E3',
+  SPE_E5: 'Microsoft 365 E5',
+  SPE_F1: 'Microsoft 365 F3',
+  EXCHANGESTANDARD: 'Exchange Online (Plan 1)',
+  EXCHANGEENTERPRISE: 'Exchange Online (Plan 2)',
+  EXCHANGEARCHIVE_ADDON: 'Exchange Online Archiving',
+  AAD_PREMIUM: 'Microsoft Entra ID P1',
+  AAD_PREMIUM_P2: 'Microsoft Entra ID P2',
+  EMS: 'Enterprise Mobility + Security E3',
+  INTUNE_A: 'Microsoft Intune Plan 1',
+  MDE_SMB: 'Microsoft Defender for Business',
+  DEFENDER_ENDPOINT_P1: 'Microsoft Defender for Endpoint P1',
+  ATP_ENTERPRISE: 'Microsoft Defender for Office 365 (Plan 1)',
+  POWER_BI_PRO: 'Power BI Pro',
+  PROJECTPROFESSIONAL: 'Project Plan 3',
+  VISIOCLIENT: 'Visio Plan 2',
+  MCOEV: 'Teams Phone Standard',
+  FLOW_FREE: 'Power Automate Free',
+  POWER_BI_STANDARD: 'Power BI (free)',
+  TEAMS_EXPLORATORY: 'Teams Exploratory'
+};
+
+// Run every collector. Returns the raw results by collector id plus the
+// endpoints read and a warning for each collector that failed.
+async function collectTenant(client, { tenantId } = {}) {
+  const data = {};
+  const endpoints = {};
+  const warnings = [];
+  for (const collector of COLLECTORS) {
+    try {
+      if (collector.report) data[collector.id] = parseCsv(await client.request(collector.path));
+      else if (collector.single) data[collector.id] = await client.request(collector.path);
+      else data[collector.id] = await client.getAll(collector.path);
+      endpoints[collector.id] = collector.path;
+    } catch (error) {
+      if (error.status === 401) throw error;
+      warnings.push({
+        collector: collector.id,
+        status: error.status || null,
+        message: error.status === 403
+          ? `${collector.id}: access denied, the app needs ${collector.permission}. ${error.message}`
+          : `${collector.id}: ${error.message}`
+      });
+    }
+  }
+  return { tenantId, retrievedAt: new Date().toISOString(), data, endpoints, warnings };
+}
+
+const bytes = (value) => Number(String(value || '').replace(/,/g, '')) || 0;
+const toGb = (total) => Math.round((total / GB) * 10) / 10;
+const isTrue = (value) => String(value).toLowerCase() === 'true';
+const liveRows = (rows) => (rows || []).filter((row) => !isTrue(row['Is Deleted']));
+const names = (items) => items.map((item) => item.displayName || item.mail || item.userPrincipalName).filter(Boolean).sort();
+
+function isMember(user) {
+  return user.userType !== 'Guest';
+}
+
+// MFA enforcement from security defaults and enabled Conditional Access
+// policies that grant with MFA. Report-only policies do not count.
+function describeMfa(securityDefaults, policies) {
+  if (securityDefaults?.isEnabled) return 'Enforced for all users (security defaults)';
+  if (!policies) return undefined;
+  const mfaPolicies = policies.filter((p) => p.state === 'enabled'
+    && (p.grantControls?.builtInControls || []).includes('mfa'));
+  if (!mfaPolicies.length) return 'Not enforced (no Conditional Access policy requires MFA)';
+  const users = (p) => p.conditions?.users || {};
+  const all = mfaPolicies.find((p) => (users(p).includeUsers || []).includes('All'));
+  if (all) return `Enforced for all users (Conditional Access: ${all.displayName})`;
+  const adminsOnly = mfaPolicies.every((p) => (users(p).includeRoles || []).length && !(users(p).includeUsers || []).length && !(users(p).includeGroups || []).length);
+  if (adminsOnly) return `Enforced for admins only (Conditional Access: ${names(mfaPolicies).join(', ')})`;
+  return `Enforced for some users (Conditional Access: ${names(mfaPolicies).join(', ')})`;
+}
+
+// Facts by category. Each reads the collectors in `from`; it is skipped
+// when one of them failed, and dropped when it returns undefined. `uses`
+// lists collectors read only when available.
+const FACTS = {
+  general: [
+    { key: 'company_name', from: ['organization'], value: ({ organization }) => organization[0]?.displayName },
+    { key: 'm365_tenant_id', from: ['organization'], value: ({ organization }) => organization[0]?.id },
+    {
+      key: 'domains',
+      from: ['domains'],
+      value: ({ domains }) => {
+        const verified = domains.filter((d) => d.isVerified).map((d) => d.id);
+        const custom = verified.filter((d) => !/\.onmicrosoft\.com$/i.test(d));
+        return (custom.length ? custom : verified).sort();
+      }
+    },
+    { key: 'primary_domain', from: ['domains'], value: ({ domains }) => domains.find((d) => d.isDefault)?.id },
+    {
+      key: 'federated_domains',
+      from: ['domains'],
+      value: ({ domains }) => {
+        const federated = domains.filter((d) => d.authenticationType === 'Federated').map((d) => d.id);
+        return federated.length ? federated : undefined;
+      }
+    },
+    { key: 'total_users', from: ['users'], value: ({ users }) => users.filter((u) => isMember(u) && u.accountEnabled !== false).length },
+    { key: 'licensed_users', from: ['users'], value: ({ users }) => users.filter((u) => isMember(u) && u.accountEnabled !== false && (u.assignedLicenses || []).length).length },
+    { key: 'disabled_users', from: ['users'], value: ({ users }) => users.filter((u) => isMember(u) && u.accountEnabled === false).length },
+    { key: 'guest_users', from: ['users'], value: ({ users }) => users.filter((u) => !isMember(u)).length },
+    {
+      key: 'm365_licenses',
+      from: ['skus'],
+      value: ({ skus }) => skus
+        .filter((s) => (s.prepaidUnits?.enabled || 0) > 0 || s.consumedUnits > 0)
+        .map((s) => `${SKU_NAMES[s.skuPartNumber] || s.skuPartNumber}: ${s.consumedUnits} of ${s.prepaidUnits?.enabled || 0} assigned`)
+    }
+  ],
+  communication: [
+    { key: 'email_platform', from: ['mailboxUsage'], value: () => 'Microsoft 365 (Exchange Online)' },
+    { key: 'mailbox_count', from: ['mailboxUsage'], value: ({ mailboxUsage }) => liveRows(mailboxUsage).filter((r) => r['Recipient Type'] !== 'Shared').length },
+    { key: 'shared_mailbox_count', from: ['mailboxUsage'], value: ({ mailboxUsage }) => liveRows(mailboxUsage).filter((r) => r['Recipient Type'] === 'Shared').length },
+    {
+      key: 'shared_mailboxes',
+      from: ['mailboxUsage'],
+      value: ({ mailboxUsage }) => liveRows(mailboxUsage)
+        .filter((r) => r['Recipient Type'] === 'Shared')
+        .map((r) => r['User Principal Name'] || r['Display Name'])
+        .sort()
+    },
+    { key: 'mailbox_storage_gb', from: ['mailboxUsage'], value: ({ mailboxUsage }) => toGb(liveRows(mailboxUsage).reduce((sum, r) => sum + bytes(r['Storage Used (Byte)']), 0)) },
+    { key: 'largest_mailbox_gb', from: ['mailboxUsage'], value: ({ mailboxUsage }) => toGb(Math.max(0, ...liveRows(mailboxUsage).map((r) => bytes(r['Storage Used (Byte)'])))) },
+    {
+      key: 'archive_mailboxes',
+      from: ['mailboxUsage'],
+      value: ({ mailboxUsage }) => liveRows(mailboxUsage).filter((r) => isTrue(r['Has Archive'])).length || undefined
+    },
+    { key: 'onedrive_accounts', from: ['oneDriveUsage'], value: ({ oneDriveUsage }) => liveRows(oneDriveUsage).length },
+    { key: 'onedrive_storage_gb', from: ['oneDriveUsage'], value: ({ oneDriveUsage }) => toGb(liveRows(oneDriveUsage).reduce((sum, r) => sum + bytes(r['Storage Used (Byte)']), 0)) },
+    {
+      key: 'distribution_groups',
+      from: ['groups'],
+      value: ({ groups }) => names(groups.filter((g) => g.mailEnabled && !g.securityEnabled && !(g.groupTypes || []).includes('Unified')))
+    },
+    {
+      key: 'mail_enabled_security_groups',
+      from: ['groups'],
+      value: ({ groups }) => {
+        const found = names(groups.filter((g) => g.mailEnabled && g.securityEnabled));
+        return found.length ? found : undefined;
+      }
+    },
+    { key: 'm365_groups', from: ['groups'], value: ({ groups }) => groups.filter((g) => (g.groupTypes || []).includes('Unified')).length },
+    { key: 'teams', from: ['groups'], value: ({ groups }) => names(groups.filter((g) => (g.resourceProvisioningOptions || []).includes('Team'))) },
+    {
+      key: 'sharepoint_sites',
+      from: ['sites'],
+      value: ({ sites }) => names(sites.filter((s) => !/-my\.sharepoint\.com\//i.test(s.webUrl || '')))
+    },
+    { key: 'sharepoint_storage_gb', from: ['siteUsage'], value: ({ siteUsage }) => toGb(liveRows(siteUsage).reduce((sum, r) => sum + bytes(r['Storage Used (Byte)']), 0)) }
+  ],
+  security: [
+    {
+      key: 'mfa',
+      from: ['securityDefaults'],
+      uses: ['conditionalAccess'],
+      value: ({ securityDefaults, conditionalAccess }) => describeMfa(securityDefaults, conditionalAccess)
+    },
+    { key: 'security_defaults', from: ['securityDefaults'], value: ({ securityDefaults }) => (securityDefaults.isEnabled ? 'Enabled' : 'Disabled') },
+    {
+      key: 'conditional_access_policies',
+      from: ['conditionalAccess'],
+      value: ({ conditionalAccess }) => conditionalAccess.map((p) => `${p.displayName} (${p.state === 'enabledForReportingButNotEnforced' ? 'report-only' : p.state})`)
+    },
+    {
+      key: 'mfa_registered',
+      from: ['mfaRegistration'],
+      value: ({ mfaRegistration }) => {
+        const members = mfaRegistration.filter((u) => u.userType !== 'guest');
+        return `${members.filter((u) => u.isMfaRegistered).length} of ${members.length} users`;
+      }
+    },
+    { key: 'global_admins', from: ['globalAdmins'], value: ({ globalAdmins }) => globalAdmins.map((m) => m.userPrincipalName || m.displayName).filter(Boolean).sort() }
+  ]
+};
+
+// Discovery categories, matching provenance, and counts for the response
+function mapTenantToDiscovery(snapshot) {
+  const discovery = {};
+  const provenance = {};
+  Object.entries(FACTS).forEach(([category, facts]) => {
+    facts.forEach((fact) => {
+      if (!fact.from.every((id) => snapshot.data[id] !== undefined)) return;
+      const value = fact.value(snapshot.data);
+      if (value === undefined || value === null) return;
+      discovery[category] = { ...(discovery[category] || {}), [fact.key]: value };
+      provenance[category] = {
+        ...(provenance[category] || {}),
+        [fact.key]: {
+          source: SOURCE,
+          tenantId: snapshot.tenantId,
+          endpoints: [...fact.from, ...(fact.uses || [])].map((id) => snapshot.endpoints[id]).filter(Boolean),
+          retrievedAt: snapshot.retrievedAt
+        }
+      };
+    });
+  });
+  return { discovery, provenance };
+}
+
+module.exports = {
+  SOURCE,
+  COLLECTORS,
+  SKU_NAMES,
+  collectTenant,
+  mapTenantToDiscovery
+};
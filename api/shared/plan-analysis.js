@@ -0,0 +1,184 @@
+// Dependency graph analysis for execution plans: resolves task
+// dependencies, reports dangling references and cycles, and runs a
+// critical-path pass (earliest/latest start, slack) over task durations.
+//
+// Durations are task hours divided by the crew size, i.e. elapsed working
+// hours with that many engineers on the task. Times are in working hours
+// from project start; projectDays converts using hoursPerDay.
+
+const { ensurePlanIds, flattenTasks } = require('./plan');
+
+const DEFAULT_CREW_SIZE = 2;
+const DEFAULT_HOURS_PER_DAY = 8;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Dependencies are written as task ids, but older plans and hand edits
+// sometimes use task names; both resolve to the task id.
+function resolveDependencies(rows) {
+  const byId = new Map(rows.map(({ task }) => [task.id, task]));
+  const byName = new Map(rows.map(({ task }) => [String(task.name || '').trim().toLowerCase(), task]));
+  const edges = [];
+  const dangling = [];
+
+  rows.forEach(({ task }) => {
+    const seen = new Set();
+    (task.dependencies || []).forEach((ref) => {
+      const dep = byId.get(ref) || byName.get(String(ref).trim().toLowerCase());
+      if (!dep || dep.id === task.id) {
+        dangling.push({ taskId: task.id, dependency: ref, reason: dep ? 'self reference' : 'unknown task' });
+        return;
+      }
+      if (seen.has(dep.id)) return;
+      seen.add(dep.id);
+      edges.push({ from: dep.id, to: task.id });
+    });
+  });
+
+  return { edges, dangling };
+}
+
+// Depth-first search; every back edge closes a cycle. Back edges are
+// returned so scheduling can ignore them and still produce numbers.
+function findCycles(ids, edges) {
+  const successors = new Map(ids.map((id) => [id, []]));
+  edges.forEach((edge) => successors.get(edge.from).push(edge));
+
+  const state = new Map();
+  const stack = [];
+  const cycles = [];
+  const backEdges = new Set();
+
+  const visit = (id) => {
+    state.set(id, 'open');
+    stack.push(id);
+    successors.get(id).forEach((edge) => {
+      const next = state.get(edge.to);
+      if (next === 'open') {
+        cycles.push([...stack.slice(stack.indexOf(edge.to)), edge.to]);
+        backEdges.add(edge);
+      } else if (!next) {
+        visit(edge.to);
+      }
+    });
+    stack.pop();
+    state.set(id, 'done');
+  };
+
+  ids.forEach((id) => {
+    if (!state.has(id)) visit(id);
+  });
+
+  return { cycles, backEdges };
+}
+
+function analyzePlan(plan, options = {}) {
+  const crewSize = Number(options.crewSize) > 0 ? Number(options.crewSize) : DEFAULT_CREW_SIZE;
+  const hoursPerDay = Number(options.hoursPerDay) > 0 ? Number(options.hoursPerDay) : DEFAULT_HOURS_PER_DAY;
+
+  const rows = flattenTasks(ensurePlanIds(plan));
+  const ids = rows.map(({ task }) => task.id);
+  const { edges, dangling } = resolveDependencies(rows);
+  const { cycles, backEdges } = findCycles(ids, edges);
+  const scheduleEdges = edges.filter((edge) => !backEdges.has(edge));
+
+  const duration = new Map(rows.map(({ task }) => [task.id, (typeof task.hours === 'number' && task.hours > 0 ? task.hours : 0) / crewSize]));
+  const preds = new Map(ids.map((id) => [id, []]));
+  const succs = new Map(ids.map((id) => [id, []]));
+  scheduleEdges.forEach(({ from, to }) => {
+    preds.get(to).push(from);
+    succs.get(from).push(to);
+  });
+
+  // Kahn topological order over the acyclic edge set
+  const indegree = new Map(ids.map((id) => [id, preds.get(id).length]));
+  const queue = ids.filter((id) => indegree.get(id) === 0);
+  const order = [];
+  while (queue.length) {
+    const id = queue.shift();
+    order.push(id);
+    succs.get(id).forEach((next) => {
+      indegree.set(next, indegree.get(next) - 1);
+      if (indegree.get(next) === 0) queue.push(next);
+    });
+  }
+
+  const earliestStart = new Map();
+  const earliestFinish = new Map();
+  order.forEach((id) => {
+    const start = preds.get(id).reduce((max, p) => Math.max(max, earliestFinish.get(p)), 0);
+    earliestStart.set(id, start);
+    earliestFinish.set(id, start + duration.get(id));
+  });
+
+  const projectDuration = order.reduce((max, id) => Math.max(max, earliestFinish.get(id)), 0);
+
+  const latestStart = new Map();
+  const latestFinish = new Map();
+  [...order].reverse().forEach((id) => {
+    const finish = succs.get(id).reduce((min, s) => Math.min(min, latestStart.get(s)), projectDuration);
+    latestFinish.set(id, finish);
+    latestStart.set(id, finish - duration.get(id));
+  });
+
+  const tasks = {};
+  rows.forEach(({ phase, task }) => {
+    const slack = latestStart.get(task.id) - earliestStart.get(task.id);
+    tasks[task.id] = {
+      phaseId: phase.id,
+      duration: round(duration.get(task.id)),
+      earliestStart: round(earliestStart.get(task.id)),
+      earliestFinish: round(earliestFinish.get(task.id)),
+      latestStart: round(latestStart.get(task.id)),
+      latestFinish: round(latestFinish.get(task.id)),
+      slack: round(slack),
+      critical: Math.abs(slack) < 1e-6 && duration.get(task.id) > 0
+    };
+  });
+
+  // Walk the zero-slack chain from a critical start task, always taking
+  // the critical successor that starts right when this task finishes.
+  const criticalPath = [];
+  let current = order.find((id) => tasks[id].critical && tasks[id].earliestStart === 0);
+  while (current) {
+    criticalPath.push(current);
+    const finish = earliestFinish.get(current);
+    current = succs.get(current).find((next) => tasks[next].critical && Math.abs(earliestStart.get(next) - finish) < 1e-6);
+  }
+
+  const criticalSet = new Set(criticalPath);
+
+  return {
+    crewSize,
+    hoursPerDay,
+    valid: dangling.length === 0 && cycles.length === 0,
+    danglingRefs: dangling,
+    cycles,
+    edges: edges.map((edge) => ({
+      ...edge,
+      cyclic: backEdges.has(edge),
+      critical: criticalSet.has(edge.from) && criticalSet.has(edge.to) && criticalPath.indexOf(edge.to) === criticalPath.indexOf(edge.from) + 1
+    })),
+    tasks,
+    criticalPath,
+    projectDuration: round(projectDuration),
+    projectDays: Math.ceil(projectDuration / hoursPerDay)
+  };
+}
+
+// Crew size comes from the request, then admin config, then the default
+function getCrewSize(configData, requested) {
+  if (Number(requested) > 0) return Number(requested);
+  const configured = Number(configData?.globalSettings?.crewSize);
+  return configured > 0 ? configured : DEFAULT_CREW_SIZE;
+}
+
+module.exports = {
+  DEFAULT_CREW_SIZE,
+  resolveDependencies,
+  findCycles,
+  analyzePlan,
+  getCrewSize
+};
@@ -0,0 +1,106 @@
+// Differences between two execution plans (two plan-history snapshots, or a
+// snapshot and the current plan), used to explain re-estimates. Phases
+// and tasks are matched by id; ids are assigned with ensurePlanIds first so
+// older snapshots without ids still line up positionally.
+
+const { ensurePlanIds, flattenTasks } = require('./plan');
+const { taskHours, computeRollups } = require('./rollups');
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function deltaRow(before, after) {
+  return { before: round(before), after: round(after), delta: round(after - before) };
+}
+
+function clonePlan(plan) {
+  return ensurePlanIds(JSON.parse(JSON.stringify(plan && Array.isArray(plan.phases) ? plan : { phases: [] })));
+}
+
+function diffPhases(before, after) {
+  const beforeById = new Map(before.phases.map((phase, index) => [phase.id, { phase, index }]));
+  const afterById = new Map(after.phases.map((phase, index) => [phase.id, { phase, index }]));
+
+  const added = after.phases.filter((p) => !beforeById.has(p.id)).map((p) => ({ id: p.id, name: p.name }));
+  const removed = before.phases.filter((p) => !afterById.has(p.id)).map((p) => ({ id: p.id, name: p.name }));
+  const changed = [];
+  after.phases.forEach((phase, index) => {
+    const prev = beforeById.get(phase.id);
+    if (!prev) return;
+    const changes = {};
+    if (prev.phase.name !== phase.name) changes.name = { before: prev.phase.name, after: phase.name };
+    if (prev.index !== index) changes.position = { before: prev.index, after: index };
+    if (Object.keys(changes).length) changed.push({ id: phase.id, name: phase.name, changes });
+  });
+
+  return { added, removed, changed };
+}
+
+function summarizeTask({ phase, task }) {
+  return { id: task.id, name: task.name, phaseId: phase.id, phaseName: phase.name, hours: taskHours(task), role: task.role || null };
+}
+
+function diffTasks(before, after) {
+  const beforeRows = new Map(flattenTasks(before).map((row) => [row.task.id, row]));
+  const afterRows = new Map(flattenTasks(after).map((row) => [row.task.id, row]));
+
+  const added = [...afterRows.values()].filter((row) => !beforeRows.has(row.task.id)).map(summarizeTask);
+  const removed = [...beforeRows.values()].filter((row) => !afterRows.has(row.task.id)).map(summarizeTask);
+  const changed = [];
+
+  afterRows.forEach((row, id) => {
+    const prev = beforeRows.get(id);
+    if (!prev) return;
+    const changes = {};
+    if (prev.task.name !== row.task.name) changes.name = { before: prev.task.name, after: row.task.name };
+    if (prev.phase.id !== row.phase.id) changes.phase = { before: prev.phase.name, after: row.phase.name };
+    if (taskHours(prev.task) !== taskHours(row.task)) changes.hours = deltaRow(taskHours(prev.task), taskHours(row.task));
+    if ((prev.task.role || null) !== (row.task.role || null)) changes.role = { before: prev.task.role || null, after: row.task.role || null };
+
+    const prevDeps = new Set(prev.task.dependencies || []);
+    const nextDeps = new Set(row.task.dependencies || []);
+    const depsAdded = [...nextDeps].filter((d) => !prevDeps.has(d));
+    const depsRemoved = [...prevDeps].filter((d) => !nextDeps.has(d));
+    if (depsAdded.length || depsRemoved.length) changes.dependencies = { added: depsAdded, removed: depsRemoved };
+
+    if (Object.keys(changes).length) changed.push({ ...summarizeTask(row), changes });
+  });
+
+  return { added, removed, changed };
+}
+
+function diffPlans(beforePlan, afterPlan) {
+  const before = clonePlan(beforePlan);
+  const after = clonePlan(afterPlan);
+  const beforeRollups = computeRollups(before);
+  const afterRollups = computeRollups(after);
+
+  const byDeliverable = {};
+  Object.keys(afterRollups.byDeliverable).forEach((key) => {
+    byDeliverable[key] = deltaRow(beforeRollups.byDeliverable[key], afterRollups.byDeliverable[key]);
+  });
+
+  const phaseIds = [...new Set([...before.phases, ...after.phases].map((p) => p.id))];
+  const byPhase = phaseIds.map((id) => {
+    const prev = beforeRollups.byPhase.find((p) => p.id === id);
+    const next = afterRollups.byPhase.find((p) => p.id === id);
+    return { id, name: (next || prev).name, ...deltaRow(prev ? prev.hours : 0, next ? next.hours : 0) };
+  }).filter((row) => row.delta !== 0);
+
+  const phases = diffPhases(before, after);
+  const tasks = diffTasks(before, after);
+
+  return {
+    identical: [phases, tasks].every((d) => !d.added.length && !d.removed.length && !d.changed.length),
+    totals: deltaRow(beforeRollups.totalHours, afterRollups.totalHours),
+    byDeliverable,
+    byPhase,
+    phases,
+    tasks
+  };
+}
+
+module.exports = {
+  diffPlans
+};
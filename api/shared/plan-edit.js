@@ -0,0 +1,266 @@
+// Edit operations applied to session.executionPlan by plan-update (the
+// task inspector in the plan view). Operations run in order against the
+// plan in place; a bad operation throws an Error with status 400 and the
+// caller discards the partially edited copy.
+//
+//   updateTask  { taskId, changes: { name, description, hours, optimisticHours,
+//                 pessimisticHours, role, risk, dependencies } }
+//   addTask     { phaseId, index?, task }
+//   removeTask  { taskId }
+//   moveTask    { taskId, phaseId?, index }
+//   updatePhase { phaseId, changes: { name, description } }
+//   setGate     { phaseId, gate: { criteria, decisionOwner, rollbackTasks }
+//                 | null }   go/no-go gate at the end of the phase
+//   addPhase    { index?, phase: { name, description, tasks? } }
+//   removePhase { phaseId }
+//   movePhase   { phaseId, index }
+
+const { ensurePlanIds } = require('./plan');
+const { RISK_LEVELS, ROLES } = require('./plan-schema');
+
+const MAX_TASK_HOURS = 400;
+
+function editError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function findPhase(plan, phaseId) {
+  const phase = plan.phases.find((p) => p.id === phaseId);
+  if (!phase) throw editError(`Unknown phase id "${phaseId}"`);
+  return phase;
+}
+
+function findTask(plan, taskId) {
+  for (const phase of plan.phases) {
+    const index = phase.tasks.findIndex((t) => t.id === taskId);
+    if (index !== -1) return { phase, index, task: phase.tasks[index] };
+  }
+  throw editError(`Unknown task id "${taskId}"`);
+}
+
+function allTaskIds(plan) {
+  return new Set(plan.phases.flatMap((phase) => phase.tasks.map((t) => t.id)));
+}
+
+// Clamp an insert position; missing or out-of-range means "at the end"
+function clampIndex(index, length) {
+  const value = Number(index);
+  if (!Number.isInteger(value) || value < 0 || value > length) return length;
+  return value;
+}
+
+function uniqueId(base, taken) {
+  let n = 1;
+  while (taken.has(`${base}${n}`)) n += 1;
+  return `${base}${n}`;
+}
+
+// Copy the editable fields from `changes` onto `task`, rejecting values
+// the plan schema would not accept. Empty description/risk clears them.
+function applyTaskChanges(plan, task, changes) {
+  if (!changes || typeof changes !== 'object') throw editError('changes must be an object');
+  const before = { hours: task.hours, risk: task.risk };
+
+  if ('name' in changes) {
+    const name = String(changes.name || '').trim();
+    if (!name) throw editError('Task name is required');
+    task.name = name;
+  }
+  if ('description' in changes) {
+    const description = String(changes.description || '').trim();
+    if (description) task.description = description;
+    else delete task.description;
+  }
+  if ('hours' in changes) {
+    const hours = Number(changes.hours);
+    if (!(hours > 0) || hours > MAX_TASK_HOURS) throw editError(`Task hours must be greater than 0 and at most ${MAX_TASK_HOURS}`);
+    task.hours = Math.round(hours * 100) / 100;
+  }
+  // New hours or risk re-derive the three-point range unless it is given
+  const rangeStale = task.hours !== before.hours || task.risk !== before.risk;
+  if (rangeStale && !('optimisticHours' in changes)) delete task.optimisticHours;
+  if (rangeStale && !('pessimisticHours' in changes)) delete task.pessimisticHours;
+  ['optimisticHours', 'pessimisticHours'].filter((field) => field in changes).forEach((field) => {
+    if (changes[field] === null || changes[field] === '') {
+      delete task[field];
+      return;
+    }
+    const hours = Number(changes[field]);
+    if (!(hours > 0)) throw editError(`Task ${field} must be greater than 0`);
+    task[field] = Math.round(hours * 100) / 100;
+  });
+  if (task.optimisticHours > task.hours) throw editError('Optimistic hours must not exceed the likely hours');
+  if (task.pessimisticHours < task.hours) throw editError('Pessimistic hours must not be below the likely hours');
+  if ('role' in changes) {
+    if (!ROLES.includes(changes.role)) throw editError(`Task role must be one of ${ROLES.join(', ')}`);
+    task.role = changes.role;
+  }
+  if ('risk' in changes) {
+    if (!changes.risk) delete task.risk;
+    else if (!RISK_LEVELS.includes(changes.risk)) throw editError(`Task risk must be one of ${RISK_LEVELS.join(', ')}`);
+    else task.risk = changes.risk;
+  }
+  if ('dependencies' in changes) {
+    if (!Array.isArray(changes.dependencies)) throw editError('Task dependencies must be an array of task ids');
+    const known = allTaskIds(plan);
+    const dependencies = [...new Set(changes.dependencies.map(String))];
+    dependencies.forEach((dep) => {
+      if (dep === task.id) throw editError(`Task "${task.id}" cannot depend on itself`);
+      if (!known.has(dep)) throw editError(`Unknown dependency task id "${dep}"`);
+    });
+    task.dependencies = dependencies;
+  }
+}
+
+function applyPhaseChanges(phase, changes) {
+  if (!changes || typeof changes !== 'object') throw editError('changes must be an object');
+  if ('name' in changes) {
+    const name = String(changes.name || '').trim();
+    if (!name) throw editError('Phase name is required');
+    phase.name = name;
+  }
+  if ('description' in changes) {
+    const description = String(changes.description || '').trim();
+    if (description) phase.description = description;
+    else delete phase.description;
+  }
+}
+
+// Replace the phase's gate. Rollback tasks keep their id when one is given
+// and must undo at least one task of the plan.
+function applyGate(plan, phase, gate) {
+  if (gate === null) {
+    delete phase.gate;
+    return;
+  }
+  if (!gate || typeof gate !== 'object') throw editError('gate must be an object or null');
+  const criteria = (Array.isArray(gate.criteria) ? gate.criteria : []).map((c) => String(c || '').trim()).filter(Boolean);
+  if (!criteria.length) throw editError('A gate needs at least one criterion');
+  if (!ROLES.includes(gate.decisionOwner)) throw editError(`decisionOwner must be one of ${ROLES.join(', ')}`);
+
+  const known = allTaskIds(plan);
+  const taken = new Set([...known, ...plan.phases.filter((p) => p !== phase).flatMap((p) => (p.gate?.rollbackTasks || []).map((r) => r.id))]);
+  const rollbackTasks = (Array.isArray(gate.rollbackTasks) ? gate.rollbackTasks : []).map((input) => {
+    if (!input || typeof input !== 'object') throw editError('Rollback tasks must be objects');
+    const name = String(input.name || '').trim();
+    if (!name) throw editError('Rollback task name is required');
+    const hours = Number(input.hours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_TASK_HOURS) throw editError(`Rollback task hours must be greater than 0 and at most ${MAX_TASK_HOURS}`);
+    if (!ROLES.includes(input.role)) throw editError(`Rollback task role must be one of ${ROLES.join(', ')}`);
+    const undoes = [...new Set(Array.isArray(input.undoes) ? input.undoes.map(String) : [])];
+    if (!undoes.length) throw editError(`Rollback task "${name}" must undo at least one task`);
+    undoes.forEach((id) => {
+      if (!known.has(id)) throw editError(`Unknown task id "${id}" in rollback task "${name}"`);
+    });
+    const id = input.id && !taken.has(String(input.id)) ? String(input.id) : uniqueId(`${phase.id}-rb`, taken);
+    taken.add(id);
+    const rollback = { id, name, hours, role: input.role, undoes };
+    const description = String(input.description || '').trim();
+    if (description) rollback.description = description;
+    return rollback;
+  });
+
+  phase.gate = { criteria, decisionOwner: gate.decisionOwner, rollbackTasks };
+}
+
+function newTask(plan, phase, input) {
+  const task = { id: uniqueId(`${phase.id}-t`, allTaskIds(plan)), name: 'New task', hours: 1, role: 'SE', dependencies: [] };
+  applyTaskChanges(plan, task, { name: 'New task', ...(input || {}) });
+  return task;
+}
+
+// Dependencies on a removed task would otherwise become dangling refs; a
+// rollback task left with nothing to undo goes as well
+function dropDependencies(plan, removedIds) {
+  plan.phases.forEach((phase) => {
+    phase.tasks.forEach((task) => {
+      task.dependencies = (task.dependencies || []).filter((dep) => !removedIds.has(dep));
+    });
+    if (phase.gate && Array.isArray(phase.gate.rollbackTasks)) {
+      phase.gate.rollbackTasks = phase.gate.rollbackTasks
+        .map((rollback) => ({ ...rollback, undoes: (rollback.undoes || []).filter((id) => !removedIds.has(id)) }))
+        .filter((rollback) => rollback.undoes.length > 0);
+    }
+  });
+}
+
+const OPERATIONS = {
+  updateTask(plan, op) {
+    applyTaskChanges(plan, findTask(plan, op.taskId).task, op.changes);
+  },
+
+  addTask(plan, op) {
+    const phase = findPhase(plan, op.phaseId);
+    phase.tasks.splice(clampIndex(op.index, phase.tasks.length), 0, newTask(plan, phase, op.task));
+  },
+
+  removeTask(plan, op) {
+    const { phase, index } = findTask(plan, op.taskId);
+    phase.tasks.splice(index, 1);
+    dropDependencies(plan, new Set([op.taskId]));
+  },
+
+  moveTask(plan, op) {
+    const { phase, index, task } = findTask(plan, op.taskId);
+    const target = op.phaseId ? findPhase(plan, op.phaseId) : phase;
+    phase.tasks.splice(index, 1);
+    target.tasks.splice(clampIndex(op.index, target.tasks.length), 0, task);
+  },
+
+  updatePhase(plan, op) {
+    applyPhaseChanges(findPhase(plan, op.phaseId), op.changes);
+  },
+
+  setGate(plan, op) {
+    applyGate(plan, findPhase(plan, op.phaseId), op.gate);
+  },
+
+  addPhase(plan, op) {
+    const phase = {
+      id: uniqueId('phase', new Set(plan.phases.map((p) => p.id))),
+      name: 'New phase',
+      tasks: []
+    };
+    const { tasks, ...changes } = op.phase || {};
+    applyPhaseChanges(phase, { name: 'New phase', ...changes });
+    plan.phases.splice(clampIndex(op.index, plan.phases.length), 0, phase);
+    (Array.isArray(tasks) ? tasks : []).forEach((task) => phase.tasks.push(newTask(plan, phase, task)));
+  },
+
+  removePhase(plan, op) {
+    const phase = findPhase(plan, op.phaseId);
+    if (plan.phases.length === 1) throw editError('A plan must keep at least one phase');
+    plan.phases.splice(plan.phases.indexOf(phase), 1);
+    dropDependencies(plan, new Set(phase.tasks.map((t) => t.id)));
+  },
+
+  movePhase(plan, op) {
+    const phase = findPhase(plan, op.phaseId);
+    plan.phases.splice(plan.phases.indexOf(phase), 1);
+    plan.phases.splice(clampIndex(op.index, plan.phases.length), 0, phase);
+  }
+};
+
+function applyPlanOperations(plan, operations) {
+  if (!Array.isArray(operations) || operations.length === 0) throw editError('operations must be a non-empty array');
+  ensurePlanIds(plan);
+
+  operations.forEach((op, idx) => {
+    const apply = op && Object.prototype.hasOwnProperty.call(OPERATIONS, op.type) && OPERATIONS[op.type];
+    if (!apply) throw editError(`Operation ${idx}: unknown type "${op && op.type}"`);
+    try {
+      apply(plan, op);
+    } catch (err) {
+      err.message = `Operation ${idx} (${op.type}): ${err.message}`;
+      throw err;
+    }
+  });
+
+  return plan;
+}
+
+module.exports = {
+  applyPlanOperations
+};
@@ -0,0 +1,44 @@
+// Reads plan-history snapshots written by plan-history-save from the
+// `plan-history` blob container.
+let BlobServiceClient;
+try {
+  ({ BlobServiceClient } = require('@azure/storage-blob'));
+} catch (e) {
+  // storage SDK not available locally
+}
+
+const HISTORY_CONTAINER = 'plan-history';
+
+async function streamToString(readable) {
+  if (!readable) return '';
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    readable.on('data', data => chunks.push(data.toString()));
+    readable.on('end', () => resolve(chunks.join('')));
+    readable.on('error', reject);
+  });
+}
+
+function getConnectionString() {
+  return process.env.STORAGE_CONNECTION || process.env.AZURE_STORAGE_CONNECTION_STRING;
+}
+
+function historyStorageConfigured() {
+  return Boolean(BlobServiceClient && getConnectionString());
+}
+
+// Snapshot payload ({ executionPlan, nodes, edges, ... }) for a history
+// entry; check historyStorageConfigured() first.
+async function readHistorySnapshot(entry) {
+  const service = BlobServiceClient.fromConnectionString(getConnectionString());
+  const containerClient = service.getContainerClient(HISTORY_CONTAINER);
+  const blobClient = containerClient.getBlockBlobClient(entry.blobName);
+  const download = await blobClient.download();
+  const downloaded = await streamToString(download.readableStreamBody);
+  return JSON.parse(downloaded || '{}');
+}
+
+module.exports = {
+  historyStorageConfigured,
+  readHistorySnapshot
+};
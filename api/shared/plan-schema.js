@@ -0,0 +1,190 @@
+// JSON Schema for the execution plan returned by plan-generate, plus the
+// checks JSON Schema cannot express (unique task ids, known dependencies
+// and rollback targets, no dependency cycles, optimistic <= hours <=
+// pessimistic). Validation errors are phrased so they can be sent back to
+// the model.
+
+const Ajv = require('ajv');
+const { findCycles } = require('./plan-analysis');
+
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+const ROLES = ['SE', 'DIO', 'CXO'];
+
+const PLAN_SCHEMA = {
+  type: 'object',
+  required: ['phases', 'timeline', 'risks', 'connectwiseTickets'],
+  properties: {
+    phases: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'tasks'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          name: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          tasks: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['id', 'name', 'hours', 'role'],
+              additionalProperties: false,
+              properties: {
+                id: { type: 'string', minLength: 1 },
+                name: { type: 'string', minLength: 1 },
+                description: { type: 'string' },
+                hours: { type: 'number', exclusiveMinimum: 0, maximum: 400 },
+                optimisticHours: { type: 'number', exclusiveMinimum: 0, maximum: 400 },
+                pessimisticHours: { type: 'number', exclusiveMinimum: 0, maximum: 1200 },
+                role: { type: 'string', enum: ROLES },
+                dependencies: { type: 'array', items: { type: 'string' } },
+                risk: { type: 'string', enum: RISK_LEVELS }
+              }
+            }
+          },
+          // Go/no-go checkpoint at the end of the phase. Rollback tasks
+          // only run on a no-go, so they are not part of the phase hours.
+          gate: {
+            type: 'object',
+            required: ['criteria', 'decisionOwner'],
+            additionalProperties: false,
+            properties: {
+              criteria: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+              decisionOwner: { type: 'string', enum: ROLES },
+              rollbackTasks: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['id', 'name', 'hours', 'role', 'undoes'],
+                  additionalProperties: false,
+                  properties: {
+                    id: { type: 'string', minLength: 1 },
+                    name: { type: 'string', minLength: 1 },
+                    description: { type: 'string' },
+                    hours: { type: 'number', exclusiveMinimum: 0, maximum: 400 },
+                    role: { type: 'string', enum: ROLES },
+                    undoes: { type: 'array', minItems: 1, items: { type: 'string' } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    timeline: {
+      type: 'object',
+      required: ['totalDays'],
+      properties: {
+        totalDays: { type: 'integer', minimum: 1 },
+        milestones: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'day'],
+            properties: {
+              name: { type: 'string', minLength: 1 },
+              day: { type: 'number', minimum: 0 }
+            }
+          }
+        }
+      }
+    },
+    risks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['description'],
+        properties: {
+          description: { type: 'string', minLength: 1 },
+          impact: { type: 'string', enum: RISK_LEVELS },
+          mitigation: { type: 'string' }
+        }
+      }
+    },
+    connectwiseTickets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          type: { type: 'string', enum: ['project', 'task', 'change'] },
+          priority: { type: 'string', enum: RISK_LEVELS }
+        }
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(PLAN_SCHEMA);
+
+function formatAjvError(error) {
+  const path = error.instancePath || '(root)';
+  if (error.keyword === 'additionalProperties') {
+    return `${path}: unexpected property "${error.params.additionalProperty}"`;
+  }
+  if (error.keyword === 'enum') {
+    return `${path}: must be one of ${error.params.allowedValues.join(', ')}`;
+  }
+  return `${path}: ${error.message}`;
+}
+
+// Returns { valid, errors } where errors is a list of readable strings
+function validatePlan(plan) {
+  if (!validateSchema(plan)) {
+    return { valid: false, errors: validateSchema.errors.map(formatAjvError) };
+  }
+
+  const errors = [];
+  const taskIds = new Set();
+  plan.phases.forEach((phase, phaseIdx) => {
+    phase.tasks.forEach((task, taskIdx) => {
+      if (taskIds.has(task.id)) errors.push(`/phases/${phaseIdx}/tasks/${taskIdx}/id: duplicate task id "${task.id}"`);
+      taskIds.add(task.id);
+      if (task.optimisticHours > task.hours) errors.push(`/phases/${phaseIdx}/tasks/${taskIdx}/optimisticHours: must not exceed hours`);
+      if (task.pessimisticHours < task.hours) errors.push(`/phases/${phaseIdx}/tasks/${taskIdx}/pessimisticHours: must not be below hours`);
+    });
+  });
+  const rollbackIds = new Set();
+  plan.phases.forEach((phase, phaseIdx) => {
+    (phase.gate?.rollbackTasks || []).forEach((rollback, rbIdx) => {
+      const path = `/phases/${phaseIdx}/gate/rollbackTasks/${rbIdx}`;
+      if (taskIds.has(rollback.id) || rollbackIds.has(rollback.id)) errors.push(`${path}/id: duplicate task id "${rollback.id}"`);
+      rollbackIds.add(rollback.id);
+      rollback.undoes.filter((id) => !taskIds.has(id)).forEach((id) => errors.push(`${path}/undoes: unknown task id "${id}"`));
+    });
+  });
+  plan.phases.forEach((phase, phaseIdx) => {
+    phase.tasks.forEach((task, taskIdx) => {
+      (task.dependencies || []).forEach((dep) => {
+        if (!taskIds.has(dep)) errors.push(`/phases/${phaseIdx}/tasks/${taskIdx}/dependencies: unknown task id "${dep}"`);
+        if (dep === task.id) errors.push(`/phases/${phaseIdx}/tasks/${taskIdx}/dependencies: task depends on itself`);
+      });
+    });
+  });
+
+  const edges = [];
+  plan.phases.forEach((phase) => {
+    phase.tasks.forEach((task) => {
+      (task.dependencies || []).filter((dep) => taskIds.has(dep) && dep !== task.id).forEach((dep) => edges.push({ from: dep, to: task.id }));
+    });
+  });
+  findCycles([...taskIds], edges).cycles.forEach((cycle) => {
+    errors.push(`dependency cycle: ${cycle.join(' -> ')}`);
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  RISK_LEVELS,
+  ROLES,
+  PLAN_SCHEMA,
+  validatePlan
+};
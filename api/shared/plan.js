@@ -0,0 +1,204 @@
+// Helpers for working with session.executionPlan documents produced by
+// plan-generate. Tasks have historically been either bare strings or
+// objects without ids, so everything here tolerates both shapes.
+
+const { getEdgeStyle } = require('./edge-styles');
+
+// Stable id for a task that the model did not name: "<phaseId>-t<n>"
+function defaultTaskId(phase, taskIdx) {
+  return `${phase.id}-t${taskIdx + 1}`;
+}
+
+// Give every phase and task an id (in place) so PSA records, dependencies
+// and edits can refer to them across regenerations and saves.
+function ensurePlanIds(plan) {
+  if (!plan || !Array.isArray(plan.phases)) return plan;
+
+  const seen = new Set();
+  plan.phases.forEach((phase, phaseIdx) => {
+    if (!phase.id) phase.id = `phase${phaseIdx}`;
+    if (!Array.isArray(phase.tasks)) phase.tasks = [];
+
+    phase.tasks = phase.tasks.map((task, taskIdx) => {
+      const normalized = typeof task === 'string' ? { name: task } : { ...task };
+      let id = normalized.id ? String(normalized.id) : defaultTaskId(phase, taskIdx);
+      while (seen.has(id)) id = `${id}-dup`;
+      seen.add(id);
+      normalized.id = id;
+      if (!Array.isArray(normalized.dependencies)) normalized.dependencies = [];
+      return normalized;
+    });
+  });
+
+  // Rollback tasks share the task id space: "<phaseId>-rb<n>"
+  plan.phases.forEach((phase) => {
+    if (!phase.gate || !Array.isArray(phase.gate.rollbackTasks)) return;
+    phase.gate.rollbackTasks.forEach((rollback, idx) => {
+      let id = rollback.id ? String(rollback.id) : `${phase.id}-rb${idx + 1}`;
+      while (seen.has(id)) id = `${id}-dup`;
+      seen.add(id);
+      rollback.id = id;
+      if (!Array.isArray(rollback.undoes)) rollback.undoes = [];
+    });
+  });
+
+  return plan;
+}
+
+// Flat list of { phase, task, phaseIdx, taskIdx } in plan order
+function flattenTasks(plan) {
+  const rows = [];
+  if (!plan || !Array.isArray(plan.phases)) return rows;
+  plan.phases.forEach((phase, phaseIdx) => {
+    (Array.isArray(phase.tasks) ? phase.tasks : []).forEach((task, taskIdx) => {
+      if (task && typeof task === 'object') {
+        rows.push({ phase, task, phaseIdx, taskIdx });
+      }
+    });
+  });
+  return rows;
+}
+
+// Collapse free-form role strings ("SE", "Senior Engineer", "PM / CXO")
+// to the SOW builder resource classes.
+function normalizeRole(role) {
+  const value = String(role || '').toLowerCase();
+  if (value.includes('cxo') || value.includes('pm') || value.includes('project manag')) return 'CXO';
+  if (value.includes('dio') || value.includes('director') || value.includes('architect')) return 'DIO';
+  return 'SE';
+}
+
+// ReactFlow nodes and edges for the plan view: a chain of phase nodes with
+// their task nodes hanging off them. Task -> task dependency edges are
+// added client-side from the plan analysis.
+//
+// A phase with a go/no-go gate gets a gate node between it and the next
+// phase. Go continues the chain; no-go branches to the rollback tasks,
+// which are linked to the tasks they undo. All of these edges use the
+// conditional edge style.
+function buildPlanGraph(plan) {
+  const planNodes = [];
+  const planEdges = [];
+  let nodeY = 50;
+  const taskNodeIds = new Map();
+  (plan.phases || []).forEach((phase) => (Array.isArray(phase.tasks) ? phase.tasks : []).forEach((task, taskIdx) => {
+    if (task && task.id) taskNodeIds.set(task.id, `task-${phase.id}-${taskIdx}`);
+  }));
+  const phaseExit = (phase) => (phase.gate ? `gate-${phase.id}` : `phase-${phase.id}`);
+
+  (plan.phases || []).forEach((phase, phaseIdx) => {
+    planNodes.push({
+      id: `phase-${phase.id}`,
+      type: 'default',
+      data: {
+        label: phase.name,
+        type: 'phase',
+        phaseId: phase.id
+      },
+      position: { x: 100, y: nodeY },
+      style: { background: '#4a90e2', color: 'white', padding: 10 }
+    });
+
+    if (phaseIdx > 0) {
+      const previous = plan.phases[phaseIdx - 1];
+      planEdges.push({
+        id: `edge-phase-${phaseIdx}`,
+        source: phaseExit(previous),
+        target: `phase-${phase.id}`,
+        animated: true,
+        ...(previous.gate ? { label: 'Go', data: { type: 'conditional' }, style: getEdgeStyle('conditional') } : {})
+      });
+    }
+
+    nodeY += 100;
+
+    (Array.isArray(phase.tasks) ? phase.tasks : []).forEach((task, taskIdx) => {
+      const taskName = typeof task === 'string' ? task : task.name || 'Task';
+      planNodes.push({
+        id: `task-${phase.id}-${taskIdx}`,
+        type: 'default',
+        data: {
+          label: taskName,
+          type: 'task',
+          taskId: task.id,
+          phaseId: phase.id
+        },
+        position: { x: 300 + (taskIdx * 150), y: nodeY - 50 },
+        style: { background: '#e8f4f8', padding: 8 }
+      });
+
+      planEdges.push({
+        id: `edge-task-${phase.id}-${taskIdx}`,
+        source: `phase-${phase.id}`,
+        target: `task-${phase.id}-${taskIdx}`
+      });
+    });
+
+    if (phase.gate) {
+      const criteria = Array.isArray(phase.gate.criteria) ? phase.gate.criteria : [];
+      planNodes.push({
+        id: `gate-${phase.id}`,
+        type: 'default',
+        data: {
+          label: `Go/No-Go (${phase.gate.decisionOwner || 'owner?'}): ${criteria.length} criteria`,
+          type: 'gate',
+          phaseId: phase.id,
+          gate: phase.gate
+        },
+        position: { x: 100, y: nodeY },
+        style: { background: '#FFF4CE', border: '2px solid #FFB900', padding: 8 }
+      });
+      planEdges.push({
+        id: `edge-gate-${phase.id}`,
+        source: `phase-${phase.id}`,
+        target: `gate-${phase.id}`
+      });
+
+      (Array.isArray(phase.gate.rollbackTasks) ? phase.gate.rollbackTasks : []).forEach((rollback, rbIdx) => {
+        const nodeId = `rollback-${phase.id}-${rbIdx}`;
+        planNodes.push({
+          id: nodeId,
+          type: 'default',
+          data: {
+            label: `Rollback: ${rollback.name}`,
+            type: 'rollback',
+            rollbackId: rollback.id,
+            phaseId: phase.id
+          },
+          position: { x: 300 + (rbIdx * 150), y: nodeY + 50 },
+          style: { background: '#FDE7E9', border: '1px solid #D13438', padding: 8 }
+        });
+        planEdges.push({
+          id: `edge-nogo-${phase.id}-${rbIdx}`,
+          source: `gate-${phase.id}`,
+          target: nodeId,
+          label: 'No-go',
+          data: { type: 'conditional' },
+          style: getEdgeStyle('conditional')
+        });
+        // Drawn task -> rollback so the layout keeps rollbacks below
+        (rollback.undoes || []).filter((id) => taskNodeIds.has(id)).forEach((id) => {
+          planEdges.push({
+            id: `edge-undo-${rollback.id}-${id}`,
+            source: taskNodeIds.get(id),
+            target: nodeId,
+            label: 'undo',
+            data: { type: 'conditional' },
+            style: getEdgeStyle('conditional')
+          });
+        });
+      });
+      nodeY += 100;
+    }
+  });
+
+  return { planNodes, planEdges };
+}
+
+module.exports = {
+  defaultTaskId,
+  ensurePlanIds,
+  flattenTasks,
+  normalizeRole,
+  buildPlanGraph
+};
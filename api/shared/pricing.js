@@ -0,0 +1,70 @@
+// Labor pricing for plan-level cost figures (scenario comparison and the
+// like). Mirrors the SOW builder: rates per resource class with MSP and
+// non-MSP prices, and an optional discount applied to either. Overrides
+// come from globalSettings.pricing in the admin config.
+
+const { normalizeRole } = require('./plan');
+const { taskHours } = require('./rollups');
+
+// Same list prices as initialRates in public/sax-ma-sow-builder.html
+const DEFAULT_RATES = {
+  CXO: { mspPrice: 350, nonMspPrice: 400 },
+  DIO: { mspPrice: 240, nonMspPrice: 275 },
+  SE: { mspPrice: 195, nonMspPrice: 225 }
+};
+
+function getPricing(configData) {
+  const configured = configData?.globalSettings?.pricing || {};
+  const rates = { ...DEFAULT_RATES };
+  Object.entries(configured.rates || {}).forEach(([key, rate]) => {
+    rates[key] = { ...(rates[key] || {}), ...rate };
+  });
+  return {
+    rates,
+    isMspClient: Boolean(configured.isMspClient),
+    mspDiscount: Number(configured.mspDiscount) || 0
+  };
+}
+
+// Same logic as getEffectiveRate in the SOW builder
+function getEffectiveRate(pricing, resourceClass) {
+  const rate = pricing.rates[resourceClass];
+  if (!rate) return 0;
+  let baseRate = pricing.isMspClient ? rate.mspPrice : rate.nonMspPrice;
+  if (pricing.mspDiscount > 0) {
+    baseRate = baseRate * (1 - pricing.mspDiscount / 100);
+  }
+  return baseRate;
+}
+
+function hoursByRole(plan) {
+  const byRole = {};
+  (plan?.phases || []).forEach((phase) => {
+    (Array.isArray(phase.tasks) ? phase.tasks : []).forEach((task) => {
+      const role = normalizeRole(task && task.role);
+      byRole[role] = (byRole[role] || 0) + taskHours(task);
+    });
+  });
+  return byRole;
+}
+
+// { byRole: { SE: { hours, rate, amount } }, total }
+function priceHours(byRoleHours, pricing) {
+  const byRole = {};
+  let total = 0;
+  Object.entries(byRoleHours).forEach(([role, hours]) => {
+    const rate = getEffectiveRate(pricing, role);
+    const amount = Math.round(hours * rate * 100) / 100;
+    byRole[role] = { hours: Math.round(hours * 100) / 100, rate, amount };
+    total += amount;
+  });
+  return { byRole, total: Math.round(total * 100) / 100 };
+}
+
+module.exports = {
+  DEFAULT_RATES,
+  getPricing,
+  getEffectiveRate,
+  hoursByRole,
+  priceHours
+};
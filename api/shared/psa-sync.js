@@ -0,0 +1,239 @@
+// Idempotent push of execution plan tasks to ConnectWise.
+//
+// session.psaSync maps plan task id -> { ticketId, kind, hash, fields,
+// status, lastSyncedAt }. Each push diffs the current plan against that map:
+// new tasks are created, changed tasks (content hash differs) are patched,
+// unchanged ones are skipped and tasks no longer in the plan are closed.
+
+const crypto = require('crypto');
+const { toReference, mapTicketToConnectWise } = require('./connectwise');
+const { ensurePlanIds, flattenTasks, normalizeRole } = require('./plan');
+
+// Only the fields we actually write to ConnectWise take part in the hash,
+// so cosmetic plan edits (risk text, node positions) do not cause churn.
+function syncFields(phase, task) {
+  return {
+    summary: String(task.name || task.id).slice(0, 100),
+    description: task.description || '',
+    budgetHours: typeof task.hours === 'number' ? task.hours : 0,
+    role: normalizeRole(task.role),
+    priority: ['low', 'medium', 'high', 'critical'].includes(task.risk) ? task.risk : 'medium',
+    phaseId: phase.id,
+    // Order matters: the first dependency becomes the CW predecessor
+    dependencies: (task.dependencies || []).map(String)
+  };
+}
+
+function hashFields(fields) {
+  const canonical = JSON.stringify(Object.keys(fields).sort().map((key) => [key, fields[key]]));
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+// Tickets are pushed as project tickets once a ConnectWise project exists
+// for the session, otherwise as service tickets.
+function getSyncKind(session) {
+  return session.psaProject && session.psaProject.projectId ? 'project' : 'service';
+}
+
+// Pure diff used by both the push and the dry-run endpoint
+function computeSyncDiff(plan, psaSync, kind) {
+  const diff = { kind, create: [], update: [], unchanged: [], close: [] };
+  const synced = psaSync || {};
+  const seen = new Set();
+
+  flattenTasks(ensurePlanIds(plan)).forEach(({ phase, task }) => {
+    const fields = syncFields(phase, task);
+    const hash = hashFields(fields);
+    const entry = synced[task.id];
+    seen.add(task.id);
+
+    if (!entry || entry.status === 'closed' || entry.kind !== kind) {
+      diff.create.push({ taskId: task.id, fields, hash });
+      if (entry && entry.status !== 'closed' && entry.kind !== kind) {
+        diff.close.push({ taskId: task.id, ticketId: entry.ticketId, kind: entry.kind, summary: entry.fields?.summary, reason: `moved to ${kind} tickets` });
+      }
+    } else if (entry.hash !== hash) {
+      const changes = Object.keys(fields).filter((key) => JSON.stringify(fields[key]) !== JSON.stringify(entry.fields?.[key]));
+      diff.update.push({ taskId: task.id, ticketId: entry.ticketId, kind, fields, hash, changes });
+    } else {
+      diff.unchanged.push({ taskId: task.id, ticketId: entry.ticketId, kind, summary: fields.summary });
+    }
+  });
+
+  Object.entries(synced).forEach(([taskId, entry]) => {
+    if (!seen.has(taskId) && entry.status !== 'closed') {
+      diff.close.push({ taskId, ticketId: entry.ticketId, kind: entry.kind, summary: entry.fields?.summary, reason: 'removed from plan' });
+    }
+  });
+
+  return diff;
+}
+
+function summarizeDiff(diff) {
+  return {
+    kind: diff.kind,
+    create: diff.create.length,
+    update: diff.update.length,
+    unchanged: diff.unchanged.length,
+    close: diff.close.length
+  };
+}
+
+// Closing goes by the entry's own kind: a session that moved from service
+// tickets to a project still has to close the old service tickets.
+function closeTicket(client, mapping, item) {
+  const operations = [{ op: 'replace', path: 'status', value: toReference(mapping.closedStatus) }];
+  return item.kind === 'project'
+    ? client.patchProjectTicket(item.ticketId, operations)
+    : client.patchTicket(item.ticketId, operations);
+}
+
+// initialDescription is write-once in ConnectWise, so a changed task
+// description is posted as a detail note instead of being patched.
+function descriptionNote(item) {
+  if (!(item.changes || []).includes('description') || !item.fields.description) return null;
+  return { text: item.fields.description, detailDescriptionFlag: true };
+}
+
+function serviceTicketAdapter(client, mapping, company) {
+  return {
+    create: async (item) => {
+      const payload = mapTicketToConnectWise({
+        title: item.fields.summary,
+        description: item.fields.description,
+        type: 'task',
+        priority: item.fields.priority
+      }, mapping, company.identifier);
+      payload.budgetHours = item.fields.budgetHours;
+      return client.createTicket(payload);
+    },
+    update: async (item) => {
+      const ticket = await client.patchTicket(item.ticketId, [
+        { op: 'replace', path: 'summary', value: item.fields.summary },
+        { op: 'replace', path: 'budgetHours', value: item.fields.budgetHours },
+        { op: 'replace', path: 'priority', value: toReference(mapping.priorities[item.fields.priority]) }
+      ]);
+      const note = descriptionNote(item);
+      if (note) await client.addTicketNote(item.ticketId, note);
+      return ticket;
+    },
+    close: (item) => closeTicket(client, mapping, item)
+  };
+}
+
+function projectTicketAdapter(client, mapping, psaProject, plan) {
+  const phasesById = new Map((plan.phases || []).map((p, idx) => [p.id, { phase: p, idx }]));
+
+  async function ensurePhase(phaseId) {
+    if (psaProject.phases[phaseId]) return psaProject.phases[phaseId];
+    const found = phasesById.get(phaseId) || { phase: { id: phaseId, name: phaseId }, idx: Object.keys(psaProject.phases).length };
+    const cwPhase = await client.createProjectPhase(psaProject.projectId, {
+      description: String(found.phase.name || phaseId).slice(0, 100),
+      notes: found.phase.description || '',
+      wbsCode: String(found.idx + 1)
+    });
+    psaProject.phases[phaseId] = cwPhase.id;
+    return cwPhase.id;
+  }
+
+  return {
+    create: async (item) => client.createProjectTicket({
+      summary: item.fields.summary,
+      initialDescription: item.fields.description,
+      project: { id: psaProject.projectId },
+      phase: { id: await ensurePhase(item.fields.phaseId) },
+      budgetHours: item.fields.budgetHours,
+      workRole: toReference(mapping.workRoles[item.fields.role])
+    }),
+    update: async (item) => {
+      const ticket = await client.patchProjectTicket(item.ticketId, [
+        { op: 'replace', path: 'summary', value: item.fields.summary },
+        { op: 'replace', path: 'budgetHours', value: item.fields.budgetHours },
+        { op: 'replace', path: 'workRole', value: toReference(mapping.workRoles[item.fields.role]) },
+        { op: 'replace', path: 'phase', value: { id: await ensurePhase(item.fields.phaseId) } }
+      ]);
+      const note = descriptionNote(item);
+      if (note) await client.addProjectTicketNote(item.ticketId, note);
+      return ticket;
+    },
+    close: (item) => closeTicket(client, mapping, item),
+    // ConnectWise holds a single predecessor per ticket, so the first
+    // dependency that maps to a synced ticket is linked. An updated ticket
+    // with none has its old predecessor cleared; new tickets have none.
+    link: (item, psaSync) => {
+      const predecessor = item.fields.dependencies.map((dep) => psaSync[dep]).find((e) => e && e.kind === 'project' && e.status !== 'closed');
+      if (!predecessor && !item.changes) return null;
+      return client.patchProjectTicket(psaSync[item.taskId].ticketId, [
+        { op: 'replace', path: 'predecessorType', value: predecessor ? 'Ticket' : null },
+        { op: 'replace', path: 'predecessorId', value: predecessor ? predecessor.ticketId : null }
+      ]);
+    }
+  };
+}
+
+// Apply a diff through the given adapter, updating psaSync in place.
+// Failures are collected per task so one bad ticket does not abort the push.
+async function applySyncDiff(diff, adapter, psaSync, context) {
+  const now = new Date().toISOString();
+  const result = { created: [], updated: [], unchanged: diff.unchanged, closed: [], failed: [], warnings: [] };
+
+  const attempt = async (action, item, fn) => {
+    try {
+      await fn();
+      return true;
+    } catch (err) {
+      context.log.warn(`[psa-sync] Failed to ${action} ticket for task ${item.taskId}:`, err.message);
+      result.failed.push({ action, taskId: item.taskId, ticketId: item.ticketId || null, error: err.message });
+      return false;
+    }
+  };
+
+  // Close first so a task moving between ticket kinds frees its entry
+  for (const item of diff.close) {
+    await attempt('close', item, async () => {
+      await adapter.close(item);
+      if (psaSync[item.taskId] && psaSync[item.taskId].ticketId === item.ticketId) {
+        psaSync[item.taskId] = { ...psaSync[item.taskId], status: 'closed', lastSyncedAt: now };
+      }
+      result.closed.push(item);
+    });
+  }
+
+  for (const item of diff.create) {
+    await attempt('create', item, async () => {
+      const ticket = await adapter.create(item);
+      psaSync[item.taskId] = { ticketId: ticket.id, kind: diff.kind, hash: item.hash, fields: item.fields, status: 'open', lastSyncedAt: now };
+      result.created.push({ ...item, ticketId: ticket.id });
+    });
+  }
+
+  for (const item of diff.update) {
+    await attempt('update', item, async () => {
+      await adapter.update(item);
+      psaSync[item.taskId] = { ...psaSync[item.taskId], hash: item.hash, fields: item.fields, lastSyncedAt: now };
+      result.updated.push(item);
+    });
+  }
+
+  if (adapter.link) {
+    for (const item of [...diff.create, ...diff.update]) {
+      if (!psaSync[item.taskId] || psaSync[item.taskId].hash !== item.hash) continue;
+      const unknown = item.fields.dependencies.filter((dep) => !psaSync[dep]);
+      unknown.forEach((dep) => result.warnings.push(`Task ${item.taskId} depends on unknown task "${dep}"`));
+      await attempt('link', item, () => adapter.link(item, psaSync));
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  syncFields,
+  hashFields,
+  getSyncKind,
+  computeSyncDiff,
+  summarizeDiff,
+  serviceTicketAdapter,
+  projectTicketAdapter,
+  applySyncDiff
+};
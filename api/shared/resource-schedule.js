@@ -0,0 +1,302 @@
+// Resource-levelled scheduling against the engineer pool in
+// globalSettings.resourcePool ({ id, name, role, weeklyCapacity,
+// hourlyCost, pto }). Each task is given to one engineer of its role (or
+// task.assignee when set) and is worked at that engineer's daily capacity:
+// weekly capacity spread over the calendar's working days, nothing on
+// holidays or PTO days.
+//
+// Tasks are placed in dependency order, most urgent (lowest latest start)
+// first, on the engineer who would finish them earliest. Hours other open
+// sessions have booked on the same engineers are taken as fixed, so a new
+// plan is levelled around work already scheduled. Each session stores its
+// own bookings on executionPlan.resourceSchedule for the others to read.
+//
+// Within a day an engineer's hours are filled from the day start, so a
+// task that has to wait for a predecessor leaves that engineer idle until
+// it can start. After-hours tasks run in the maintenance windows and are
+// not counted against weekly capacity.
+
+const { ensurePlanIds, flattenTasks } = require('./plan');
+const { analyzePlan } = require('./plan-analysis');
+const {
+  HOUR, DAY, toDateString, startOfDay, isWorkingDay, consume, scheduledTask, assembleSchedule, getScheduleSettings, buildSchedule
+} = require('./schedule');
+
+const ROLES = ['SE', 'DIO', 'CXO'];
+const DEFAULT_WEEKLY_CAPACITY = 40;
+// Give up placing a task after this many days (pool without capacity)
+const MAX_SCAN_DAYS = 3 * 365;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// PTO entries are dates or inclusive ranges: "2025-12-24..2026-01-02"
+function expandDates(entries) {
+  const dates = new Set();
+  (Array.isArray(entries) ? entries : []).forEach((entry) => {
+    const [from, to] = String(entry).split('..').map((d) => d.trim());
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from)) return;
+    const end = /^\d{4}-\d{2}-\d{2}$/.test(to || '') ? Date.parse(`${to}T00:00:00Z`) : Date.parse(`${from}T00:00:00Z`);
+    for (let day = Date.parse(`${from}T00:00:00Z`); day <= end && dates.size < 1000; day += DAY) {
+      dates.add(toDateString(day));
+    }
+  });
+  return dates;
+}
+
+function getResourcePool(configData) {
+  const pool = configData?.globalSettings?.resourcePool;
+  return (Array.isArray(pool) ? pool : [])
+    .filter((e) => e && String(e.name || '').trim())
+    .map((e, idx) => ({
+      id: String(e.id || `engineer${idx + 1}`),
+      name: String(e.name).trim(),
+      role: ROLES.includes(e.role) ? e.role : 'SE',
+      weeklyCapacity: Number(e.weeklyCapacity) > 0 ? Number(e.weeklyCapacity) : DEFAULT_WEEKLY_CAPACITY,
+      hourlyCost: Number(e.hourlyCost) > 0 ? Number(e.hourlyCost) : 0,
+      pto: expandDates(e.pto)
+    }));
+}
+
+// { engineerId: { date: hours } } booked by other open sessions
+async function loadBookings(database, excludeSessionId) {
+  const { resources } = await database.container('Sessions').items.query({
+    query: 'SELECT c.id, c.status, c.executionPlan FROM c WHERE IS_DEFINED(c.executionPlan.resourceSchedule)'
+  }).fetchAll();
+
+  const bookings = {};
+  (resources || [])
+    .filter((s) => s.id !== excludeSessionId && s.status !== 'closed')
+    .forEach((s) => {
+      Object.entries(s.executionPlan?.resourceSchedule?.bookings || {}).forEach(([engineerId, days]) => {
+        const target = bookings[engineerId] || (bookings[engineerId] = {});
+        Object.entries(days || {}).forEach(([date, hours]) => {
+          target[date] = (target[date] || 0) + (Number(hours) || 0);
+        });
+      });
+    });
+  return bookings;
+}
+
+function buildResourceSchedule(plan, settings, pool, externalBookings = {}) {
+  ensurePlanIds(plan);
+  const { calendar } = settings;
+  const analysis = analyzePlan(plan, { crewSize: 1, hoursPerDay: calendar.hoursPerDay });
+  const rows = flattenTasks(plan);
+  const projectStart = Date.parse(`${settings.startDate}T00:00:00Z`);
+  const workDayCount = Math.max(1, calendar.workDays.length);
+  const warnings = [];
+
+  const capacity = (engineer, day) => (
+    isWorkingDay(day, calendar) && !engineer.pto.has(toDateString(day)) ? engineer.weeklyCapacity / workDayCount : 0
+  );
+  const external = (engineer, date) => Number(externalBookings[engineer.id]?.[date]) || 0;
+
+  // Per engineer and day: where this plan's next booking can start (ms)
+  // and the hours it has booked
+  const cursors = new Map(pool.map((e) => [e.id, new Map()]));
+  const own = new Map(pool.map((e) => [e.id, new Map()]));
+  const dayStart = (day) => day + calendar.dayStartHour * HOUR;
+  const cursorOf = (engineer, day) => {
+    const stored = cursors.get(engineer.id).get(day);
+    return stored !== undefined ? stored : dayStart(day) + external(engineer, toDateString(day)) * HOUR;
+  };
+
+  // Fill `hours` of the engineer's free capacity from `fromMs` on
+  const fit = (engineer, fromMs, hours) => {
+    const days = [];
+    let remaining = hours * HOUR;
+    let start = null;
+    let end = fromMs;
+    let day = startOfDay(fromMs);
+    for (let i = 0; i < MAX_SCAN_DAYS && remaining > 0; i += 1, day += DAY) {
+      const close = dayStart(day) + capacity(engineer, day) * HOUR;
+      const open = Math.max(cursorOf(engineer, day), fromMs);
+      if (close <= open) continue;
+      const take = Math.min(remaining, close - open);
+      if (start === null) start = open;
+      end = open + take;
+      remaining -= take;
+      days.push({ day, hours: take / HOUR, end });
+    }
+    if (remaining > 0) return null;
+    return { start: start === null ? fromMs : start, end, days };
+  };
+
+  const book = (engineer, slot) => {
+    slot.days.forEach(({ day, hours, end }) => {
+      cursors.get(engineer.id).set(day, end);
+      own.get(engineer.id).set(day, (own.get(engineer.id).get(day) || 0) + hours);
+    });
+  };
+
+  const preds = new Map(rows.map(({ task }) => [task.id, []]));
+  analysis.edges.filter((e) => !e.cyclic).forEach((e) => preds.get(e.to).push(e.from));
+  const order = new Map(rows.map(({ task }, idx) => [task.id, idx]));
+  const byId = new Map(pool.map((e) => [e.id, e]));
+  const afterHoursLoad = new Map(pool.map((e) => [e.id, 0]));
+  const placed = new Map();
+  const missingRoles = new Set();
+
+  // Serial list scheduling: among tasks whose predecessors are placed,
+  // take the one with the lowest latest start
+  let pending = rows.map((row) => row);
+  while (pending.length) {
+    const ready = pending.filter(({ task }) => preds.get(task.id).every((p) => placed.has(p)));
+    ready.sort((a, b) => (analysis.tasks[a.task.id].latestStart - analysis.tasks[b.task.id].latestStart)
+      || (order.get(a.task.id) - order.get(b.task.id)));
+    const { phase, task } = ready[0];
+
+    let earliest = projectStart;
+    preds.get(task.id).forEach((p) => { earliest = Math.max(earliest, Date.parse(placed.get(p).end)); });
+    const pinned = task.pinnedStart ? Date.parse(task.pinnedStart) : NaN;
+    if (!Number.isNaN(pinned)) earliest = Math.max(earliest, pinned);
+    const hours = typeof task.hours === 'number' && task.hours > 0 ? task.hours : 0;
+
+    let candidates = task.assignee && byId.has(task.assignee)
+      ? [byId.get(task.assignee)]
+      : pool.filter((e) => e.role === (task.role || 'SE'));
+    if (!candidates.length) {
+      missingRoles.add(task.role || 'SE');
+      candidates = pool;
+    }
+
+    let choice = null;
+    if (task.afterHours) {
+      // Windows are shared, so only the engineer choice depends on load
+      const engineer = candidates.reduce((best, e) => (afterHoursLoad.get(e.id) < afterHoursLoad.get(best.id) ? e : best), candidates[0]);
+      afterHoursLoad.set(engineer.id, afterHoursLoad.get(engineer.id) + hours);
+      choice = { engineer, slot: consume(earliest, hours, settings, true) };
+    } else {
+      candidates.forEach((engineer) => {
+        const slot = fit(engineer, earliest, hours);
+        if (!slot) return;
+        const better = !choice
+          || slot.end < choice.slot.end
+          || (slot.end === choice.slot.end && engineer.hourlyCost < choice.engineer.hourlyCost);
+        if (better) choice = { engineer, slot };
+      });
+      if (!choice) {
+        const err = new Error(`No engineer has capacity for task "${task.name}" within ${MAX_SCAN_DAYS} days; check the resource pool`);
+        err.status = 400;
+        throw err;
+      }
+      book(choice.engineer, choice.slot);
+    }
+
+    placed.set(task.id, {
+      ...scheduledTask(phase, task, choice.slot, analysis),
+      assigneeId: choice.engineer.id,
+      assigneeName: choice.engineer.name,
+      pinnedAssignee: Boolean(task.assignee && byId.has(task.assignee)),
+      cost: round(hours * choice.engineer.hourlyCost)
+    });
+    pending = pending.filter((row) => row.task.id !== task.id);
+  }
+
+  missingRoles.forEach((role) => warnings.push(`No ${role} engineer in the resource pool; those tasks were given to anyone`));
+  rows.filter(({ task }) => task.assignee && !byId.has(task.assignee))
+    .forEach(({ task }) => warnings.push(`Task ${task.id} is assigned to unknown engineer "${task.assignee}"`));
+
+  // Bookings this plan adds, and days where the engineer is booked past
+  // capacity in total (capacity lowered or PTO added after booking)
+  const bookings = {};
+  const overallocations = [];
+  pool.forEach((engineer) => {
+    const days = {};
+    [...own.get(engineer.id).entries()].sort((a, b) => a[0] - b[0]).forEach(([day, hours]) => {
+      const date = toDateString(day);
+      days[date] = round(hours);
+      const booked = hours + external(engineer, date);
+      if (booked > capacity(engineer, day) + 1e-6) {
+        overallocations.push({ engineerId: engineer.id, name: engineer.name, date, bookedHours: round(booked), capacity: round(capacity(engineer, day)) });
+      }
+    });
+    if (Object.keys(days).length) bookings[engineer.id] = days;
+  });
+  Object.entries(externalBookings).forEach(([engineerId, days]) => {
+    const engineer = byId.get(engineerId);
+    if (!engineer) return;
+    Object.entries(days).forEach(([date, hours]) => {
+      const day = Date.parse(`${date}T00:00:00Z`);
+      if (own.get(engineerId).has(day) || hours <= capacity(engineer, day) + 1e-6) return;
+      overallocations.push({ engineerId, name: engineer.name, date, bookedHours: round(hours), capacity: round(capacity(engineer, day)) });
+    });
+  });
+
+  const tasks = rows.map(({ task }) => placed.get(task.id));
+  const schedule = assembleSchedule(plan, settings, analysis, projectStart, tasks);
+  const engineers = pool.map((engineer) => {
+    const assigned = tasks.filter((t) => t.assigneeId === engineer.id);
+    const hours = assigned.reduce((sum, t) => sum + t.hours, 0);
+    return {
+      id: engineer.id,
+      name: engineer.name,
+      role: engineer.role,
+      weeklyCapacity: engineer.weeklyCapacity,
+      hourlyCost: engineer.hourlyCost,
+      hours: round(hours),
+      cost: round(hours * engineer.hourlyCost),
+      taskIds: assigned.map((t) => t.taskId)
+    };
+  });
+
+  return {
+    ...schedule,
+    mode: 'resources',
+    engineers,
+    laborCost: round(engineers.reduce((sum, e) => sum + e.cost, 0)),
+    bookings,
+    overallocations: overallocations.sort((a, b) => a.date.localeCompare(b.date)),
+    warnings: [...schedule.warnings, ...warnings]
+  };
+}
+
+// The schedule plan-schedule would show for a session's plan, without
+// storing anything
+async function buildPlanSchedule(database, sessionId, plan, configData) {
+  const settings = getScheduleSettings(configData, plan.schedule);
+  const pool = getResourcePool(configData);
+  return pool.length
+    ? buildResourceSchedule(plan, settings, pool, await loadBookings(database, sessionId))
+    : buildSchedule(plan, settings);
+}
+
+// Schedules a session's plan (resource-levelled when a pool is configured,
+// crew-based otherwise) and replaces the model's guessed timeline.totalDays
+// with the scheduled working days. plan.resourceSchedule keeps the bookings
+// other sessions level against. Returns { schedule, changed } where changed
+// means the stored bookings or derived timeline moved.
+async function scheduleSessionPlan(database, sessionId, plan, configData) {
+  plan.schedule = getScheduleSettings(configData, plan.schedule);
+  const schedule = await buildPlanSchedule(database, sessionId, plan, configData);
+
+  const previous = JSON.stringify([plan.resourceSchedule?.bookings || {}, plan.timeline || {}]);
+  const timeline = plan.timeline || (plan.timeline = {});
+  if (!timeline.derived && typeof timeline.totalDays === 'number') timeline.modelTotalDays = timeline.totalDays;
+  timeline.totalDays = Math.max(1, schedule.workingDays);
+  timeline.startDate = toDateString(Date.parse(schedule.start));
+  timeline.endDate = toDateString(Date.parse(schedule.end));
+  timeline.derived = true;
+  plan.resourceSchedule = {
+    computedAt: new Date().toISOString(),
+    mode: schedule.mode || 'crew',
+    start: schedule.start,
+    end: schedule.end,
+    workingDays: schedule.workingDays,
+    calendarDays: schedule.calendarDays,
+    laborCost: schedule.laborCost ?? null,
+    bookings: schedule.bookings || {}
+  };
+
+  return { schedule, changed: JSON.stringify([plan.resourceSchedule.bookings, plan.timeline]) !== previous };
+}
+
+module.exports = {
+  getResourcePool,
+  loadBookings,
+  buildResourceSchedule,
+  buildPlanSchedule,
+  scheduleSessionPlan
+};
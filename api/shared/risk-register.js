@@ -0,0 +1,343 @@
+// Risk register kept on session.riskRegister. Entries follow the RAID log
+// the PMs keep (risks, assumptions, issues, dependencies); risks and issues
+// are scored likelihood x impact on 1-5 scales and drawn on a 5x5 heat map.
+//
+// Seeding adds a risk for each discovery red flag (end-of-life OS, no MFA,
+// no backups, no EDR) and each executionPlan.risks entry not already in the
+// register. Seeded entries are keyed by source, so re-seeding never
+// duplicates or overwrites what the PM has edited. Mitigation tasks are
+// plan task ids; seeded risks are linked by keyword.
+
+const { EOL_PATTERN } = require('./eol');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const TYPES = ['risk', 'assumption', 'issue', 'dependency'];
+const CATEGORIES = ['security', 'infrastructure', 'data', 'identity', 'schedule', 'vendor', 'people', 'compliance', 'other'];
+const STATUSES = ['open', 'mitigating', 'accepted', 'closed'];
+
+// Days between reviews by rating
+const REVIEW_DAYS = { critical: 7, high: 14, medium: 30, low: 60 };
+
+const NEGATIVE = /^(no|none|n\/?a|not|disabled|false|nothing|missing)\b|^0$/i;
+
+// An answer that says the thing is absent ("No", "none", false)
+const isNegative = (value) => value === false || (typeof value === 'string' && NEGATIVE.test(value.trim()));
+
+// Keys anywhere in discovery whose value is explicitly negative
+function negativeKeys(discoveryData, pattern) {
+  const found = [];
+  const visit = (node, path) => {
+    if (!node || typeof node !== 'object') return;
+    Object.entries(node).forEach(([key, value]) => {
+      const here = path ? `${path}.${key}` : key;
+      if (pattern.test(key.toLowerCase()) && isNegative(value)) found.push(`${here}: ${value}`);
+      if (value && typeof value === 'object') visit(value, here);
+    });
+  };
+  visit(discoveryData, '');
+  return found;
+}
+
+// Red flags found in discovery. detect returns the evidence (strings) or
+// an empty array.
+const RED_FLAGS = [
+  {
+    id: 'eol-os',
+    title: 'End-of-life operating systems or mail servers in use',
+    category: 'security',
+    likelihood: 4,
+    impact: 4,
+    owner: 'SE',
+    mitigation: 'Migrate or isolate end-of-life systems before cutover; no new dependencies on them.',
+    keywords: ['server', 'upgrade', 'decommission', 'migrat'],
+    detect: (data) => {
+      const text = JSON.stringify(data || {});
+      return [...new Set((text.match(EOL_PATTERN) || []).map((m) => m.toLowerCase()))];
+    }
+  },
+  {
+    id: 'no-mfa',
+    title: 'No multi-factor authentication',
+    category: 'identity',
+    likelihood: 4,
+    impact: 5,
+    owner: 'SE',
+    mitigation: 'Enforce MFA for admins on Day 1 and for all users during onboarding.',
+    keywords: ['mfa', 'multi-factor', 'conditional access', 'identity', 'account'],
+    detect: (data) => negativeKeys(data, /(^|_)(mfa|2fa|multi_?factor|two_?factor)(_|$)/)
+  },
+  {
+    id: 'no-backup',
+    title: 'No working backups',
+    category: 'data',
+    likelihood: 3,
+    impact: 5,
+    owner: 'SE',
+    mitigation: 'Take a full backup and test a restore before any migration work.',
+    keywords: ['backup'],
+    detect: (data) => negativeKeys(data, /(^|_)backups?(_|$)/)
+  },
+  {
+    id: 'no-edr',
+    title: 'No endpoint protection',
+    category: 'security',
+    likelihood: 3,
+    impact: 4,
+    owner: 'SE',
+    mitigation: 'Deploy EDR and RMM agents to all endpoints and servers on Day 1.',
+    keywords: ['edr', 'antivirus', 'endpoint', 'rmm', 'security'],
+    detect: (data) => negativeKeys(data, /(^|_)(edr|antivirus|anti_?virus|av|endpoint_protection|edr_vendor)(_|$)/)
+  }
+];
+
+const PLAN_IMPACT = { low: 2, medium: 3, high: 4, critical: 5 };
+
+function clampLevel(value, fallback = 3) {
+  const n = Math.round(Number(value));
+  return n >= 1 && n <= 5 ? n : fallback;
+}
+
+function rate(score) {
+  if (score >= 15) return 'critical';
+  if (score >= 10) return 'high';
+  if (score >= 5) return 'medium';
+  return 'low';
+}
+
+const toDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// Recomputes score and rating; assumptions and dependencies are not scored
+function scoreEntry(entry) {
+  if (entry.type === 'risk' || entry.type === 'issue') {
+    entry.likelihood = entry.type === 'issue' ? 5 : clampLevel(entry.likelihood);
+    entry.impact = clampLevel(entry.impact);
+    entry.score = entry.likelihood * entry.impact;
+    entry.rating = rate(entry.score);
+  } else {
+    entry.likelihood = null;
+    entry.impact = null;
+    entry.score = null;
+    entry.rating = null;
+  }
+  return entry;
+}
+
+function nextId(register) {
+  const max = register.entries.reduce((m, e) => {
+    const match = /^R-(\d+)$/.exec(e.id);
+    return match ? Math.max(m, Number(match[1])) : m;
+  }, 0);
+  return `R-${String(max + 1).padStart(3, '0')}`;
+}
+
+function linkTasks(keywords, plan) {
+  const ids = [];
+  (plan?.phases || []).forEach((phase) => (phase.tasks || []).forEach((task) => {
+    if (!task || typeof task !== 'object') return;
+    const text = `${task.name || ''} ${task.description || ''}`.toLowerCase();
+    if (keywords.some((k) => text.includes(k))) ids.push(task.id);
+  }));
+  return ids;
+}
+
+function planTaskIds(plan) {
+  return new Set((plan?.phases || []).flatMap((phase) => (phase.tasks || []).filter((t) => t && typeof t === 'object').map((t) => t.id)));
+}
+
+function checkTaskIds(ids, plan) {
+  if (!Array.isArray(ids)) return 'mitigationTaskIds must be an array';
+  const known = planTaskIds(plan);
+  const unknown = ids.filter((id) => !known.has(id));
+  return unknown.length ? `Unknown plan tasks: ${unknown.join(', ')}` : null;
+}
+
+// Builds a new entry from user input, or returns { error }
+function createEntry(register, input, plan, now = new Date()) {
+  const type = input.type || 'risk';
+  if (!TYPES.includes(type)) return { error: `type must be one of ${TYPES.join(', ')}` };
+  if (!input.title || typeof input.title !== 'string') return { error: 'title is required' };
+  const taskError = input.mitigationTaskIds !== undefined && checkTaskIds(input.mitigationTaskIds, plan);
+  if (taskError) return { error: taskError };
+  const entry = scoreEntry({
+    id: nextId(register),
+    type,
+    title: input.title.trim(),
+    description: input.description || '',
+    category: CATEGORIES.includes(input.category) ? input.category : 'other',
+    likelihood: input.likelihood,
+    impact: input.impact,
+    owner: input.owner || '',
+    mitigation: input.mitigation || '',
+    mitigationTaskIds: input.mitigationTaskIds || [],
+    status: STATUSES.includes(input.status) ? input.status : 'open',
+    source: input.source || 'manual',
+    raisedAt: now.toISOString(),
+    reviewDate: input.reviewDate || null,
+    lastReviewedAt: null,
+    closedAt: null
+  });
+  if (!entry.reviewDate) entry.reviewDate = toDate(now.getTime() + (REVIEW_DAYS[entry.rating] || 30) * DAY);
+  return { entry };
+}
+
+const EDITABLE = ['title', 'description', 'category', 'type', 'likelihood', 'impact', 'owner', 'mitigation', 'mitigationTaskIds', 'status', 'reviewDate'];
+
+// Applies { id, ...fields, reviewed? } to an entry. Returns an error
+// string for invalid values. reviewed: true stamps lastReviewedAt and
+// moves the review date on by the rating's interval.
+function updateEntry(entry, changes, plan, now = new Date()) {
+  if (changes.type !== undefined && !TYPES.includes(changes.type)) return `type must be one of ${TYPES.join(', ')}`;
+  if (changes.category !== undefined && !CATEGORIES.includes(changes.category)) return `category must be one of ${CATEGORIES.join(', ')}`;
+  if (changes.status !== undefined && !STATUSES.includes(changes.status)) return `status must be one of ${STATUSES.join(', ')}`;
+  if (changes.title !== undefined && !String(changes.title).trim()) return 'title cannot be empty';
+  if (changes.reviewDate !== undefined && changes.reviewDate !== null && !/^\d{4}-\d{2}-\d{2}$/.test(changes.reviewDate)) return 'reviewDate must be YYYY-MM-DD';
+  if (changes.mitigationTaskIds !== undefined) {
+    const taskError = checkTaskIds(changes.mitigationTaskIds, plan);
+    if (taskError) return taskError;
+  }
+
+  EDITABLE.filter((field) => changes[field] !== undefined).forEach((field) => {
+    entry[field] = field === 'title' ? String(changes.title).trim() : changes[field];
+  });
+  if (changes.status !== undefined) entry.closedAt = changes.status === 'closed' ? (entry.closedAt || now.toISOString()) : null;
+  scoreEntry(entry);
+  if (changes.reviewed) {
+    entry.lastReviewedAt = now.toISOString();
+    if (changes.reviewDate === undefined) entry.reviewDate = toDate(now.getTime() + (REVIEW_DAYS[entry.rating] || 30) * DAY);
+  }
+  return null;
+}
+
+// Adds red-flag and plan risks not yet in the register. Returns the ids
+// of the entries added.
+function seedRegister(register, { discoveryData, plan }, now = new Date()) {
+  const seen = new Set(register.entries.map((e) => e.source));
+  const added = [];
+  const add = (input) => {
+    if (seen.has(input.source)) return;
+    const { entry } = createEntry(register, input, plan, now);
+    register.entries.push(entry);
+    seen.add(input.source);
+    added.push(entry.id);
+  };
+
+  RED_FLAGS.forEach((flag) => {
+    const evidence = flag.detect(discoveryData);
+    if (!evidence.length) return;
+    add({
+      title: flag.title,
+      description: `Found in discovery: ${evidence.join(', ')}`,
+      category: flag.category,
+      likelihood: flag.likelihood,
+      impact: flag.impact,
+      owner: flag.owner,
+      mitigation: flag.mitigation,
+      mitigationTaskIds: linkTasks(flag.keywords, plan),
+      source: `red-flag:${flag.id}`
+    });
+  });
+
+  (plan?.risks || []).forEach((risk) => {
+    if (!risk || !risk.description) return;
+    add({
+      title: risk.description.length > 120 ? `${risk.description.slice(0, 117)}...` : risk.description,
+      description: risk.description,
+      category: 'other',
+      likelihood: 3,
+      impact: PLAN_IMPACT[risk.impact] || 3,
+      owner: 'CXO',
+      mitigation: risk.mitigation || '',
+      source: `plan:${risk.description.toLowerCase().replace(/\s+/g, ' ').trim().slice(0, 80)}`
+    });
+  });
+
+  register.seededAt = now.toISOString();
+  return added;
+}
+
+// 5x5 grid of open (not closed) risks and issues: cells[likelihood-1][impact-1]
+function buildHeatMap(register) {
+  const cells = Array.from({ length: 5 }, () => Array.from({ length: 5 }, () => []));
+  register.entries
+    .filter((e) => e.score != null && e.status !== 'closed')
+    .forEach((e) => cells[e.likelihood - 1][e.impact - 1].push(e.id));
+  return cells;
+}
+
+// Open entries past their review date, and linked tasks no longer in the plan
+function reviewRegister(register, plan, now = new Date()) {
+  const today = toDate(now.getTime());
+  const known = planTaskIds(plan);
+  return {
+    overdueReviews: register.entries.filter((e) => e.status !== 'closed' && e.reviewDate && e.reviewDate < today).map((e) => e.id),
+    missingTasks: register.entries
+      .map((e) => ({ id: e.id, taskIds: (e.mitigationTaskIds || []).filter((t) => !known.has(t)) }))
+      .filter((e) => e.taskIds.length)
+  };
+}
+
+// Plan tasks a risk can be linked to, for pickers
+function listPlanTasks(plan) {
+  return (plan?.phases || []).flatMap((phase) => (phase.tasks || [])
+    .filter((t) => t && typeof t === 'object')
+    .map((t) => ({ id: t.id, name: t.name, phaseName: phase.name })));
+}
+
+const RAID_COLUMNS = [
+  ['ID', (e) => e.id],
+  ['RAID Type', (e) => e.type.charAt(0).toUpperCase() + e.type.slice(1)],
+  ['Title', (e) => e.title],
+  ['Description', (e) => e.description],
+  ['Category', (e) => e.category],
+  ['Likelihood (1-5)', (e) => e.likelihood ?? ''],
+  ['Impact (1-5)', (e) => e.impact ?? ''],
+  ['Score', (e) => e.score ?? ''],
+  ['Rating', (e) => e.rating || ''],
+  ['Owner', (e) => e.owner],
+  ['Mitigation / Action', (e) => e.mitigation],
+  ['Linked Tasks', (e, tasks) => (e.mitigationTaskIds || []).map((id) => (tasks.get(id) ? `${id} ${tasks.get(id)}` : id)).join('; ')],
+  ['Status', (e) => e.status],
+  ['Date Raised', (e) => (e.raisedAt || '').slice(0, 10)],
+  ['Next Review', (e) => e.reviewDate || ''],
+  ['Last Reviewed', (e) => (e.lastReviewedAt || '').slice(0, 10)],
+  ['Date Closed', (e) => (e.closedAt || '').slice(0, 10)],
+  ['Source', (e) => e.source]
+];
+
+// Text starting with a formula character is prefixed with ' so Excel shows
+// it rather than evaluating it (entries are free text typed by users).
+const csvCell = (value) => {
+  let text = String(value ?? '');
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// RAID log as CSV, grouped R, A, I, D and by score within each group.
+// Starts with a BOM so Excel reads it as UTF-8.
+function renderRaidCsv(register, plan) {
+  const tasks = new Map((plan?.phases || []).flatMap((p) => (p.tasks || []).filter((t) => t && typeof t === 'object').map((t) => [t.id, t.name])));
+  const rows = [...register.entries].sort((a, b) => (
+    TYPES.indexOf(a.type) - TYPES.indexOf(b.type) || (b.score ?? 0) - (a.score ?? 0) || a.id.localeCompare(b.id)
+  ));
+  const lines = [
+    RAID_COLUMNS.map(([label]) => csvCell(label)).join(','),
+    ...rows.map((e) => RAID_COLUMNS.map(([, get]) => csvCell(get(e, tasks))).join(','))
+  ];
+  return `﻿${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  TYPES,
+  CATEGORIES,
+  STATUSES,
+  RED_FLAGS,
+  isNegative,
+  createEntry,
+  updateEntry,
+  seedRegister,
+  buildHeatMap,
+  reviewRegister,
+  listPlanTasks,
+  renderRaidCsv
+};
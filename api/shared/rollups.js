@@ -0,0 +1,120 @@
+// Phase / deliverable hour rollups for execution plans. The deliverable
+// buckets follow the SOW structure (Deliverables 1-4 plus project
+// management) and are matched on phase names, as plan-generate emits them.
+
+function taskHours(task) {
+  return task && typeof task === 'object' && typeof task.hours === 'number' ? task.hours : 0;
+}
+
+function emptyDeliverables() {
+  return {
+    deliverable1: 0,
+    deliverable2: 0,
+    deliverable3: 0,
+    deliverable4: 0,
+    projectManagement: 0,
+  };
+}
+
+// Deliverable bucket for a phase name, or null for phases that only count
+// towards the total (e.g. Phase 0 discovery).
+function getDeliverableKey(phaseName) {
+  const name = (phaseName || '').toLowerCase();
+  if (name.includes('server migration')) return 'deliverable1';
+  if (name.includes('user onboarding')) return 'deliverable2';
+  if (name.includes('data migration') || name.includes('lockdown')) return 'deliverable3';
+  if (name.includes('email') || name.includes('dns') || name.includes('onedrive') || name.includes('website')) return 'deliverable4';
+  if (name.includes('post-migration') || name.includes('stabilization') || name.includes('project management') || name.includes('pm')) return 'projectManagement';
+  return null;
+}
+
+function computeRollups(plan) {
+  const rollups = {
+    totalHours: 0,
+    byPhase: [],
+    byDeliverable: emptyDeliverables(),
+  };
+  if (!plan || !Array.isArray(plan.phases)) return rollups;
+
+  plan.phases.forEach((phase) => {
+    const tasks = Array.isArray(phase.tasks) ? phase.tasks : [];
+    const hours = tasks.reduce((sum, t) => sum + taskHours(t), 0);
+    rollups.totalHours += hours;
+    rollups.byPhase.push({ id: phase.id, name: phase.name, hours });
+
+    const key = getDeliverableKey(phase.name);
+    if (key) rollups.byDeliverable[key] += hours;
+  });
+
+  return rollups;
+}
+
+function varianceRow(estimatedHours, actualHours) {
+  const variance = actualHours - estimatedHours;
+  return {
+    estimatedHours,
+    actualHours,
+    variance,
+    variancePct: estimatedHours > 0 ? Math.round((variance / estimatedHours) * 1000) / 10 : null
+  };
+}
+
+// Estimate-vs-actual using task.actuals written by connectwise-actuals.
+// Tasks without actuals contribute their estimate but no actual hours.
+function computeVariance(plan) {
+  const report = {
+    totals: varianceRow(0, 0),
+    byTask: [],
+    byPhase: [],
+    byDeliverable: {},
+  };
+  if (!plan || !Array.isArray(plan.phases)) return report;
+
+  const deliverables = Object.keys(emptyDeliverables()).reduce((acc, key) => ({ ...acc, [key]: { estimated: 0, actual: 0 } }), {});
+  let totalEstimated = 0;
+  let totalActual = 0;
+
+  plan.phases.forEach((phase) => {
+    const tasks = (Array.isArray(phase.tasks) ? phase.tasks : []).filter((t) => t && typeof t === 'object');
+    let phaseEstimated = 0;
+    let phaseActual = 0;
+
+    tasks.forEach((task) => {
+      const estimated = taskHours(task);
+      const actual = task.actuals && typeof task.actuals.hours === 'number' ? task.actuals.hours : 0;
+      phaseEstimated += estimated;
+      phaseActual += actual;
+      report.byTask.push({
+        taskId: task.id,
+        phaseId: phase.id,
+        name: task.name,
+        status: task.actuals ? task.actuals.status : null,
+        ...varianceRow(estimated, actual)
+      });
+    });
+
+    totalEstimated += phaseEstimated;
+    totalActual += phaseActual;
+    report.byPhase.push({ id: phase.id, name: phase.name, ...varianceRow(phaseEstimated, phaseActual) });
+
+    const key = getDeliverableKey(phase.name);
+    if (key) {
+      deliverables[key].estimated += phaseEstimated;
+      deliverables[key].actual += phaseActual;
+    }
+  });
+
+  report.totals = varianceRow(totalEstimated, totalActual);
+  Object.entries(deliverables).forEach(([key, { estimated, actual }]) => {
+    report.byDeliverable[key] = varianceRow(estimated, actual);
+  });
+
+  return report;
+}
+
+module.exports = {
+  taskHours,
+  getDeliverableKey,
+  computeRollups,
+  computeVariance
+};
@@ -0,0 +1,375 @@
+// Cutover runbook for the server migration and Email/OneDrive/DNS cutover
+// phases. Steps come from fixed templates filled in with what discovery
+// found (DNS provider, mail platform, MX/SPF records, servers, backup
+// vendor) and are timed from the scheduled start of the matching plan
+// phase, so the runbook moves when the timeline does. Anything discovery
+// did not capture is left as a [bracketed] placeholder and listed under
+// warnings.
+//
+// Each section's steps run in order: pre-checks before the anchor
+// (negative offsets), then execution, validation and rollback points from
+// the anchor on. When the phase has a go/no-go gate, the go/no-go step
+// uses its criteria and decision owner and the gate's rollback tasks are
+// listed with the section.
+
+const { Document, Packer, Paragraph, HeadingLevel, Table, TableRow, TableCell, TextRun, WidthType, PageOrientation } = require('docx');
+const { getDeliverableKey } = require('./rollups');
+
+const MINUTE = 60 * 1000;
+
+const DEFAULT_ROLE_LABELS = { SE: 'Systems Engineer', DIO: 'Solutions Architect', CXO: 'Project Manager' };
+
+const KIND_LABELS = {
+  precheck: 'Pre-check',
+  execute: 'Execute',
+  validate: 'Validate',
+  rollback: 'Rollback point'
+};
+
+// Key patterns for the facts the templates need. Discovery data is
+// free-form, so keys are matched anywhere in the tree (as in calibration).
+const FACT_PATTERNS = {
+  dnsProvider: /^(dns_?(provider|host(ing)?|registrar)|registrar|domain_registrar)$/,
+  mailPlatform: /^(e?mail_?(platform|system|provider|server|host(ing)?)|email_solution)$/,
+  mxRecords: /^mx(_records?)?$/,
+  spfRecord: /^spf(_records?)?$/,
+  domains: /^(primary_)?(domains?|email_domains?)$/,
+  backupVendor: /^backup_?(vendor|solution|product|provider|software|platform)$/
+};
+const SERVER_LIST_PATTERN = /^(servers?|server_inventory|server_list)$/;
+
+function describeValue(value) {
+  if (Array.isArray(value)) return value.map(describeValue).filter(Boolean).join(', ');
+  if (value && typeof value === 'object') return value.name || value.value || value.record || '';
+  return value == null ? '' : String(value).trim();
+}
+
+function toServer(entry) {
+  if (typeof entry === 'string') return entry.trim() ? { name: entry.trim() } : null;
+  if (!entry || typeof entry !== 'object') return null;
+  const name = entry.name || entry.hostname || entry.host || entry.server;
+  if (!name) return null;
+  return {
+    name: String(name),
+    os: entry.os || entry.operating_system || entry.operatingSystem || null,
+    role: entry.role || entry.purpose || entry.function || null
+  };
+}
+
+function extractCutoverFacts(discoveryData) {
+  const facts = { servers: [] };
+
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    Object.entries(node).forEach(([rawKey, value]) => {
+      const key = rawKey.toLowerCase();
+      Object.entries(FACT_PATTERNS).forEach(([fact, pattern]) => {
+        if (facts[fact] || !pattern.test(key)) return;
+        const text = describeValue(value);
+        if (text) facts[fact] = text;
+      });
+      if (!facts.servers.length && SERVER_LIST_PATTERN.test(key) && Array.isArray(value)) {
+        facts.servers = value.map(toServer).filter(Boolean);
+      }
+      if (value && typeof value === 'object' && !Array.isArray(value)) visit(value);
+    });
+  };
+
+  visit(discoveryData || {});
+  return facts;
+}
+
+function placeholder(value, label) {
+  return value || `[${label}]`;
+}
+
+// Templates per section. offset/duration are minutes; offsets only matter
+// for pre-checks, the rest run back to back from the anchor.
+function emailSteps(facts) {
+  const dns = placeholder(facts.dnsProvider, 'DNS provider');
+  const domains = placeholder(facts.domains, 'domains');
+  const source = placeholder(facts.mailPlatform, 'source mail platform');
+  const mx = placeholder(facts.mxRecords, 'current MX records');
+  const spf = placeholder(facts.spfRecord, 'current SPF record');
+  return [
+    { kind: 'precheck', offset: -7 * 24 * 60, owner: 'CXO', title: 'Confirm cutover window and send user notice', detail: `Confirm the window with the client and notify users of the ${source} cutover; start the change freeze.` },
+    { kind: 'precheck', offset: -72 * 60, owner: 'SE', title: 'Export DNS zones', detail: `Export the zone files for ${domains} from ${dns}. This export is the rollback baseline.` },
+    { kind: 'precheck', offset: -48 * 60, owner: 'SE', title: 'Lower DNS TTLs', detail: `Set TTL to 300 seconds on MX, autodiscover and SPF records for ${domains} at ${dns}.` },
+    { kind: 'precheck', offset: -24 * 60, owner: 'SE', title: 'Confirm mailbox and OneDrive pre-stage', detail: `Check the pre-stage sync from ${source} finished with no failed items; note any mailboxes still syncing.` },
+    { kind: 'precheck', offset: -60, owner: 'CXO', title: 'Go/no-go', detail: 'All pre-checks complete, rollback owner on call, client contact reachable.' },
+    { kind: 'rollback', duration: 5, owner: 'SE', title: 'Record current mail routing', detail: `Current MX: ${mx}. Current SPF: ${spf}.`, rollback: `Restore the recorded MX and SPF records at ${dns} and resume mail flow on ${source}.` },
+    { kind: 'execute', duration: 15, owner: 'SE', title: 'Switch MX records', detail: `Point the MX records for ${domains} at the target tenant's mail route at ${dns}.` },
+    { kind: 'execute', duration: 10, owner: 'SE', title: 'Update SPF', detail: `Add the target tenant's include to the SPF record (was: ${spf}); keep the old include until source mail is off.` },
+    { kind: 'execute', duration: 10, owner: 'SE', title: 'Update autodiscover', detail: `Point the autodiscover CNAME for ${domains} at the target tenant.` },
+    { kind: 'execute', duration: 60, owner: 'SE', title: 'Final mailbox delta sync', detail: `Run the final delta pass from ${source} once MX has switched.` },
+    { kind: 'execute', duration: 60, owner: 'SE', title: 'Final OneDrive / file delta sync', detail: 'Run the final delta pass for OneDrive and file data, then set the source read-only.' },
+    { kind: 'validate', duration: 30, owner: 'SE', title: 'Validate DNS and inbound mail', detail: `Resolve MX/SPF/autodiscover for ${domains} from an outside resolver; send test mail in from an external account.` },
+    { kind: 'validate', duration: 15, owner: 'SE', title: 'Validate outbound mail', detail: 'Send to an external mailbox and check the headers show SPF/DKIM pass.' },
+    { kind: 'validate', duration: 30, owner: 'DIO', title: 'Pilot user check', detail: 'Pilot users open Outlook, mobile mail and OneDrive on the target tenant.' },
+    { kind: 'rollback', duration: 5, owner: 'CXO', title: 'Point of no return', detail: 'Confirm with the client before disabling mail flow on the source.', rollback: 'Before this point: restore MX/SPF and resume the source. After it: fix forward only.' }
+  ];
+}
+
+function serverSteps(facts, serverMinutes) {
+  const backup = placeholder(facts.backupVendor, 'backup vendor');
+  const servers = facts.servers.length ? facts.servers : [{ name: '[server]' }];
+  const steps = [
+    { kind: 'precheck', offset: -7 * 24 * 60, owner: 'CXO', title: 'Confirm migration window and send downtime notice', detail: `Servers in scope: ${servers.map((s) => s.name).join(', ')}.` },
+    { kind: 'precheck', offset: -48 * 60, owner: 'SE', title: 'Verify backups and test restore', detail: `Check the last ${backup} job for each server succeeded and restore one file from each.` },
+    { kind: 'precheck', offset: -24 * 60, owner: 'SE', title: 'Check target capacity and network', detail: 'Target hosts, storage, VLANs and firewall rules ready; credentials tested.' },
+    { kind: 'precheck', offset: -60, owner: 'CXO', title: 'Go/no-go', detail: 'All pre-checks complete, rollback owner on call, client contact reachable.' }
+  ];
+  servers.forEach((server) => {
+    const label = [server.name, server.role, server.os].filter(Boolean).join(' / ');
+    steps.push(
+      { kind: 'rollback', duration: 15, owner: 'SE', title: `Checkpoint ${server.name}`, detail: `Snapshot or image ${label} and record its IP and DNS entries.`, rollback: `Shut down the migrated ${server.name}, power the source back on and restore its DNS records.` },
+      { kind: 'execute', duration: serverMinutes, owner: 'SE', title: `Migrate ${server.name}`, detail: `Stop application services on ${server.name}, run the final sync and bring it up on the target.` },
+      { kind: 'validate', duration: 30, owner: 'SE', title: `Validate ${server.name}`, detail: 'Services running, shares and applications reachable from a client, event log clean.' }
+    );
+  });
+  steps.push(
+    { kind: 'execute', duration: 30, owner: 'SE', title: `Repoint ${backup} jobs`, detail: 'Point backup jobs at the migrated servers and retire the source jobs.' },
+    { kind: 'validate', duration: 60, owner: 'SE', title: 'Verify first backup', detail: `Run a ${backup} job for each migrated server and confirm it completes.` },
+    { kind: 'validate', duration: 30, owner: 'DIO', title: 'Client sign-off', detail: 'Key users confirm line-of-business applications and file access.' }
+  );
+  return steps;
+}
+
+// When a section starts: the request's anchor, else the scheduled start of
+// the phase task that looks like the cutover itself, else the phase start
+function sectionAnchor(override, schedulePhase, scheduleTasks, pattern) {
+  if (override && !Number.isNaN(Date.parse(override))) return Date.parse(override);
+  if (!schedulePhase) return null;
+  const own = scheduleTasks.filter((t) => t.phaseId === schedulePhase.id);
+  const cutover = own.find((t) => pattern.test((t.name || '').toLowerCase()));
+  if (cutover) return Date.parse(cutover.start);
+  return schedulePhase.start ? Date.parse(schedulePhase.start) : null;
+}
+
+function timeSteps(templates, anchorMs, roleLabels) {
+  const pre = templates.filter((s) => s.kind === 'precheck').sort((a, b) => a.offset - b.offset);
+  let cursor = anchorMs;
+  const steps = pre.map((s) => ({ ...s, at: anchorMs + s.offset * MINUTE }));
+  templates.filter((s) => s.kind !== 'precheck').forEach((s) => {
+    steps.push({ ...s, at: cursor });
+    cursor += (s.duration || 0) * MINUTE;
+  });
+  return {
+    end: cursor,
+    steps: steps.map(({ offset, at, ...s }) => ({
+      ...s,
+      ownerLabel: roleLabels[s.owner] || s.owner,
+      at: new Date(at).toISOString()
+    }))
+  };
+}
+
+// plan: the session's executionPlan; schedule: from buildPlanSchedule;
+// anchors: optional { server, email } ISO overrides
+function buildRunbook({ plan, discoveryData, schedule, anchors = {}, roleLabels = DEFAULT_ROLE_LABELS }) {
+  const facts = extractCutoverFacts(discoveryData);
+  const warnings = [];
+  const phases = Array.isArray(plan?.phases) ? plan.phases : [];
+  const findPhase = (key) => phases.find((p) => getDeliverableKey(p.name) === key);
+  const schedulePhase = (phase) => phase && (schedule?.phases || []).find((p) => p.id === phase.id);
+
+  const sections = [];
+  const addSection = (id, title, phase, pattern, override, templates) => {
+    const anchor = sectionAnchor(override, schedulePhase(phase), schedule?.tasks || [], pattern);
+    if (anchor === null) {
+      warnings.push(`${title}: no scheduled phase to time it from; set an anchor time`);
+      return;
+    }
+    const gate = phase?.gate;
+    const steps = gate
+      ? templates.map((step) => (step.title === 'Go/no-go'
+        ? { ...step, owner: gate.decisionOwner, detail: `Gate criteria: ${gate.criteria.join('; ')}.` }
+        : step))
+      : templates;
+    const timed = timeSteps(steps, anchor, roleLabels);
+    sections.push({
+      id,
+      title,
+      phaseId: phase ? phase.id : null,
+      phaseName: phase ? phase.name : null,
+      anchor: new Date(anchor).toISOString(),
+      end: new Date(timed.end).toISOString(),
+      planTasks: (phase?.tasks || []).filter((t) => t && typeof t === 'object').map((t) => ({ id: t.id, name: t.name, role: t.role || null, hours: t.hours ?? null })),
+      rollbackTasks: (gate?.rollbackTasks || []).map((r) => ({ id: r.id, name: r.name, ownerLabel: roleLabels[r.role] || r.role, hours: r.hours, undoes: r.undoes })),
+      steps: timed.steps
+    });
+  };
+
+  const serverPhase = findPhase('deliverable1');
+  if (serverPhase || facts.servers.length) {
+    // Spread the phase's hours over the servers for each migration step
+    const phaseHours = (serverPhase?.tasks || []).reduce((sum, t) => sum + (typeof t?.hours === 'number' ? t.hours : 0), 0);
+    const perServer = facts.servers.length ? phaseHours / facts.servers.length : phaseHours;
+    const serverMinutes = Math.max(60, Math.min(8 * 60, Math.round((perServer * 60) / 30) * 30 || 120));
+    addSection('server', 'Server migration', serverPhase, /cutover|migrat/, anchors.server, serverSteps(facts, serverMinutes));
+  }
+  const emailPhase = findPhase('deliverable4');
+  if (emailPhase || facts.mailPlatform || facts.mxRecords) {
+    addSection('email', 'Email / OneDrive / DNS cutover', emailPhase, /cutover|\bmx\b|dns/, anchors.email, emailSteps(facts));
+  }
+  if (!sections.length && !warnings.length) warnings.push('The plan has no server migration or email/DNS cutover phase');
+
+  [
+    ['dnsProvider', 'DNS provider'],
+    ['mailPlatform', 'mail platform'],
+    ['mxRecords', 'MX records'],
+    ['spfRecord', 'SPF record'],
+    ['domains', 'domains'],
+    ['backupVendor', 'backup vendor']
+  ].filter(([fact]) => !facts[fact]).forEach(([, label]) => warnings.push(`Discovery has no ${label}; fill in the placeholder before cutover`));
+  if (!facts.servers.length && sections.some((s) => s.id === 'server')) warnings.push('Discovery has no server list; add one step set per server');
+
+  sections.sort((a, b) => a.anchor.localeCompare(b.anchor));
+  let seq = 0;
+  sections.forEach((section) => section.steps.forEach((step) => {
+    seq += 1;
+    step.seq = seq;
+  }));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    facts,
+    sections,
+    warnings
+  };
+}
+
+function formatTime(iso) {
+  return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+}
+
+function escapeCell(text) {
+  return String(text || '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function renderRunbookMarkdown(runbook, title = 'Cutover Runbook') {
+  const lines = [`# ${title}`, '', `Generated ${formatTime(runbook.generatedAt)}`, ''];
+  const { facts } = runbook;
+  lines.push('## Environment', '');
+  [
+    ['Domains', facts.domains],
+    ['DNS provider', facts.dnsProvider],
+    ['Mail platform', facts.mailPlatform],
+    ['MX records', facts.mxRecords],
+    ['SPF record', facts.spfRecord],
+    ['Backup vendor', facts.backupVendor],
+    ['Servers', facts.servers.map((s) => s.name).join(', ')]
+  ].forEach(([label, value]) => lines.push(`- **${label}:** ${value || '_not captured_'}`));
+  lines.push('');
+
+  if (runbook.warnings.length) {
+    lines.push('## Open items', '', ...runbook.warnings.map((w) => `- ${w}`), '');
+  }
+
+  runbook.sections.forEach((section) => {
+    lines.push(`## ${section.title}`, '', `Starts ${formatTime(section.anchor)}, execution ends ${formatTime(section.end)}.`, '');
+    lines.push('| # | Time | Type | Step | Owner | Done |', '|---|---|---|---|---|---|');
+    section.steps.forEach((step) => {
+      const detail = step.rollback ? `${step.detail} **Rollback:** ${step.rollback}` : step.detail;
+      lines.push(`| ${step.seq} | ${formatTime(step.at)} | ${KIND_LABELS[step.kind]} | **${escapeCell(step.title)}** ${escapeCell(detail)} | ${step.ownerLabel} | ☐ |`);
+    });
+    if (section.rollbackTasks?.length) {
+      lines.push('', '**Rollback tasks on a no-go:**', '');
+      section.rollbackTasks.forEach((r) => lines.push(`- ${r.name} (${r.ownerLabel}, ${r.hours}h) undoes ${r.undoes.join(', ')}`));
+    }
+    if (section.planTasks.length) {
+      lines.push('', `Plan tasks: ${section.planTasks.map((t) => `${t.id} ${t.name}`).join('; ')}`);
+    }
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+function cell(children, width) {
+  return new TableCell({
+    width: { size: width, type: WidthType.PERCENTAGE },
+    children: Array.isArray(children) ? children : [new Paragraph(String(children))]
+  });
+}
+
+async function renderRunbookDocx(runbook, title = 'Cutover Runbook') {
+  const { facts } = runbook;
+  const children = [
+    new Paragraph({ text: title, heading: HeadingLevel.TITLE }),
+    new Paragraph(`Generated ${formatTime(runbook.generatedAt)}`),
+    new Paragraph({ text: 'Environment', heading: HeadingLevel.HEADING_1 }),
+    ...[
+      ['Domains', facts.domains],
+      ['DNS provider', facts.dnsProvider],
+      ['Mail platform', facts.mailPlatform],
+      ['MX records', facts.mxRecords],
+      ['SPF record', facts.spfRecord],
+      ['Backup vendor', facts.backupVendor],
+      ['Servers', facts.servers.map((s) => s.name).join(', ')]
+    ].map(([label, value]) => new Paragraph({
+      bullet: { level: 0 },
+      children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(value || 'not captured')]
+    }))
+  ];
+
+  if (runbook.warnings.length) {
+    children.push(new Paragraph({ text: 'Open items', heading: HeadingLevel.HEADING_1 }));
+    runbook.warnings.forEach((w) => children.push(new Paragraph({ text: w, bullet: { level: 0 } })));
+  }
+
+  runbook.sections.forEach((section) => {
+    children.push(
+      new Paragraph({ text: section.title, heading: HeadingLevel.HEADING_1 }),
+      new Paragraph(`Starts ${formatTime(section.anchor)}, execution ends ${formatTime(section.end)}.`)
+    );
+    const header = new TableRow({
+      tableHeader: true,
+      children: ['#', 'Time', 'Type', 'Step', 'Owner', 'Done'].map((h, i) => cell([
+        new Paragraph({ children: [new TextRun({ text: h, bold: true })] })
+      ], [5, 15, 12, 50, 13, 5][i]))
+    });
+    const rows = section.steps.map((step) => new TableRow({
+      children: [
+        cell(String(step.seq), 5),
+        cell(formatTime(step.at), 15),
+        cell(KIND_LABELS[step.kind], 12),
+        cell([
+          new Paragraph({ children: [new TextRun({ text: step.title, bold: true })] }),
+          new Paragraph(step.detail),
+          ...(step.rollback ? [new Paragraph({ children: [new TextRun({ text: 'Rollback: ', bold: true }), new TextRun(step.rollback)] })] : [])
+        ], 50),
+        cell(step.ownerLabel, 13),
+        cell('☐', 5)
+      ]
+    }));
+    children.push(new Table({ width: { size: 100, type: WidthType.PERCENTAGE }, rows: [header, ...rows] }));
+    if (section.rollbackTasks?.length) {
+      children.push(new Paragraph({ children: [new TextRun({ text: 'Rollback tasks on a no-go', bold: true })] }));
+      section.rollbackTasks.forEach((r) => children.push(new Paragraph({
+        text: `${r.name} (${r.ownerLabel}, ${r.hours}h) undoes ${r.undoes.join(', ')}`,
+        bullet: { level: 0 }
+      })));
+    }
+    if (section.planTasks.length) {
+      children.push(new Paragraph(`Plan tasks: ${section.planTasks.map((t) => `${t.id} ${t.name}`).join('; ')}`));
+    }
+  });
+
+  const doc = new Document({
+    title,
+    sections: [{
+      properties: { page: { size: { orientation: PageOrientation.LANDSCAPE } } },
+      children
+    }]
+  });
+  return Packer.toBuffer(doc);
+}
+
+module.exports = {
+  DEFAULT_ROLE_LABELS,
+  extractCutoverFacts,
+  buildRunbook,
+  renderRunbookMarkdown,
+  renderRunbookDocx
+};
@@ -0,0 +1,279 @@
+// RVTools (vSphere inventory) import, tried by file-ingest before the file
+// goes to the model. Reads the vInfo, vDisk, vHost, vNetwork and
+// vDatastore tabs, from the .xlsx workbook or from the per-tab CSVs
+// RVTools writes with ExportAll2csv (RVTools_tabvInfo.csv, ...).
+//
+// Facts go into the server category under fixed keys:
+//
+//   vms               per-VM inventory: name, os, vcpu, ram_gb,
+//                     provisioned_gb, used_gb, power_state, host, cluster,
+//                     ip, plus disks_gb (vDisk) and networks (vNetwork)
+//   server_count      powered-on VMs, templates excluded
+//   hosts, host_count, hypervisor             (vHost)
+//   datastores, vm_networks                   (vDatastore, vNetwork)
+//   migration_sizing  totals for estimating: vm_count, powered_on_vms,
+//                     powered_off_vms, templates, total_vcpu,
+//                     total_ram_gb, provisioned_storage_tb,
+//                     used_storage_tb, largest_vm_gb, host_count,
+//                     datastore_capacity_tb, datastore_free_tb,
+//                     estimate_basis
+//
+// A tab uploaded on its own as CSV is combined with what earlier uploads
+// left on the session, so vDisk can follow vInfo and the sizing is always
+// recomputed over the whole inventory. The estimator counts servers from
+// powered_on_vms (powered-off VMs are usually retired, not migrated; vm_count
+// is for display only) and falls back to used_storage_tb when discovery
+// has no data volume (see calibration.extractSizeMetrics).
+
+const { parseCsvRows } = require('./csv');
+const { readXlsxSheets } = require('./xlsx');
+
+const SOURCE = 'rvtools';
+const TABS = ['vInfo', 'vDisk', 'vHost', 'vNetwork', 'vDatastore'];
+const MIB_PER_GB = 1024;
+const GB_PER_TB = 1024;
+// VMs kept in the plan prompt; the rest are summarised by migration_sizing
+const PROMPT_VM_LIMIT = 40;
+
+const normalizeColumn = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Rows to records keyed by normalized column ("Provisioned MiB" -> provisionedmib)
+function toRecords(rows) {
+  const [header, ...data] = rows || [];
+  if (!header) return { columns: [], records: [] };
+  const columns = header.map(normalizeColumn);
+  const records = data.map((cells) => {
+    const record = {};
+    columns.forEach((column, i) => {
+      if (column && !(column in record)) record[column] = cells[i] !== undefined ? String(cells[i]).trim() : '';
+    });
+    return record;
+  });
+  return { columns, records };
+}
+
+function toNumber(value) {
+  const n = Number(String(value ?? '').replace(/,/g, ''));
+  return Number.isFinite(n) ? n : 0;
+}
+
+// RVTools 4 reports MiB; older versions MB
+const mib = (record, base) => toNumber(record[`${base}mib`] ?? record[`${base}mb`]);
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+const isTrue = (value) => /^true$/i.test(String(value || '').trim());
+
+// Tab of a per-tab CSV, from the RVTools file name or its columns
+function detectCsvTab(fileName, columns) {
+  const named = String(fileName || '').match(/tab(v[A-Za-z]+)/);
+  if (named && TABS.includes(named[1])) return named[1];
+  const has = (column) => columns.includes(column);
+  const capacity = has('capacitymib') || has('capacitymb');
+  if (has('vm') && has('powerstate') && has('cpus') && (has('provisionedmib') || has('provisionedmb'))) return 'vInfo';
+  if (has('vm') && has('disk') && capacity && (has('thin') || has('diskmode'))) return 'vDisk';
+  if (has('vm') && has('network') && (has('macaddress') || has('adapter'))) return 'vNetwork';
+  if (has('host') && has('esxversion')) return 'vHost';
+  if (!has('vm') && has('name') && capacity && (has('freemib') || has('freemb'))) return 'vDatastore';
+  return null;
+}
+
+function readVms(records) {
+  return records
+    .filter((r) => r.vm)
+    .map((r) => ({
+      name: r.vm,
+      os: r.osaccordingtothevmwaretools || r.osaccordingtotheconfigurationfile || r.os || undefined,
+      vcpu: toNumber(r.cpus),
+      ram_gb: round(toNumber(r.memory) / MIB_PER_GB),
+      provisioned_gb: round(mib(r, 'provisioned') / MIB_PER_GB),
+      used_gb: round(mib(r, 'inuse') / MIB_PER_GB),
+      power_state: r.powerstate || undefined,
+      template: isTrue(r.template) || undefined,
+      host: r.host || undefined,
+      cluster: r.cluster || undefined,
+      ip: r.primaryipaddress || undefined
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function readHosts(records) {
+  return records
+    .filter((r) => r.host)
+    .map((r) => ({
+      name: r.host,
+      cluster: r.cluster || undefined,
+      esx_version: r.esxversion || undefined,
+      model: [r.vendor, r.model].filter(Boolean).join(' ') || undefined,
+      cpu_sockets: toNumber(r.cpu),
+      cores: toNumber(r.cores),
+      ram_gb: round(toNumber(r.memory) / MIB_PER_GB),
+      vms: toNumber(r.vms)
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function readDatastores(records) {
+  return records
+    .filter((r) => r.name)
+    .map((r) => ({
+      name: r.name,
+      type: r.type || undefined,
+      capacity_gb: round(mib(r, 'capacity') / MIB_PER_GB),
+      used_gb: round(mib(r, 'inuse') / MIB_PER_GB),
+      free_gb: round(mib(r, 'free') / MIB_PER_GB),
+      vms: toNumber(r.vms)
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Disk sizes (GB) per VM name
+function readDisks(records) {
+  const byVm = {};
+  records.filter((r) => r.vm).forEach((r) => {
+    byVm[r.vm] = [...(byVm[r.vm] || []), round(mib(r, 'capacity') / MIB_PER_GB)];
+  });
+  return byVm;
+}
+
+// Connected networks per VM name
+function readNetworks(records) {
+  const byVm = {};
+  records.filter((r) => r.vm && r.network).forEach((r) => {
+    if (r.connected && !isTrue(r.connected)) return;
+    byVm[r.vm] = [...new Set([...(byVm[r.vm] || []), r.network])].sort();
+  });
+  return byVm;
+}
+
+const isPoweredOn = (vm) => /^poweredon$/i.test(vm.power_state || '');
+
+function computeSizing(vms, hosts, datastores) {
+  const live = vms.filter((vm) => !vm.template);
+  const sum = (list, field) => list.reduce((total, item) => total + (Number(item[field]) || 0), 0);
+  const sizing = {
+    vm_count: live.length,
+    powered_on_vms: live.filter(isPoweredOn).length,
+    powered_off_vms: live.filter((vm) => /^poweredoff$/i.test(vm.power_state || '')).length,
+    templates: vms.length - live.length,
+    total_vcpu: sum(live, 'vcpu'),
+    total_ram_gb: round(sum(live, 'ram_gb')),
+    provisioned_storage_tb: round(sum(live, 'provisioned_gb') / GB_PER_TB, 2),
+    used_storage_tb: round(sum(live, 'used_gb') / GB_PER_TB, 2),
+    largest_vm_gb: round(Math.max(0, ...live.map((vm) => vm.provisioned_gb || 0))),
+    // Read by the model alongside the totals, so both count the same way
+    estimate_basis: 'Servers to migrate are powered_on_vms; vm_count includes powered-off VMs and is for display only.'
+  };
+  if (hosts) sizing.host_count = hosts.length;
+  if (datastores) {
+    sizing.datastore_capacity_tb = round(sum(datastores, 'capacity_gb') / GB_PER_TB, 2);
+    sizing.datastore_free_tb = round(sum(datastores, 'free_gb') / GB_PER_TB, 2);
+  }
+  return sizing;
+}
+
+// Server facts from whichever tabs are present ({ vInfo: rows, ... }),
+// combined with the session's existing server category.
+function buildServerFacts(tabs, existing = {}) {
+  const read = (tab) => (tabs[tab] ? toRecords(tabs[tab]).records : null);
+  const server = {};
+  const warnings = [];
+
+  // Only an inventory an earlier RVTools upload left (objects with a name)
+  const earlierVms = Array.isArray(existing.vms) && existing.vms.length
+    && existing.vms.every((vm) => vm && typeof vm === 'object' && vm.name) ? existing.vms : null;
+  const info = read('vInfo');
+  let vms = info ? readVms(info) : earlierVms;
+  const disks = read('vDisk');
+  const networks = read('vNetwork');
+  if ((disks || networks) && !vms) {
+    warnings.push('Upload the vInfo tab first; disk and network details are attached to its VMs.');
+  }
+  if (vms && disks) {
+    const byVm = readDisks(disks);
+    vms = vms.map((vm) => (byVm[vm.name] ? { ...vm, disks_gb: byVm[vm.name] } : vm));
+  }
+  if (vms && networks) {
+    const byVm = readNetworks(networks);
+    vms = vms.map((vm) => (byVm[vm.name] ? { ...vm, networks: byVm[vm.name] } : vm));
+  }
+  if (networks) {
+    const counts = {};
+    Object.values(readNetworks(networks)).flat().forEach((name) => {
+      counts[name] = (counts[name] || 0) + 1;
+    });
+    server.vm_networks = Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+  }
+
+  const hostRecords = read('vHost');
+  const hosts = hostRecords ? readHosts(hostRecords) : (Array.isArray(existing.hosts) ? existing.hosts : null);
+  if (hostRecords) {
+    server.hosts = hosts;
+    server.host_count = hosts.length;
+    const versions = [...new Set(hosts.map((h) => h.esx_version).filter(Boolean))].sort();
+    if (versions.length) server.hypervisor = versions.join('; ');
+  }
+
+  const datastoreRecords = read('vDatastore');
+  const datastores = datastoreRecords ? readDatastores(datastoreRecords) : (Array.isArray(existing.datastores) ? existing.datastores : null);
+  if (datastoreRecords) server.datastores = datastores;
+
+  if (vms) {
+    if (info || disks || networks) {
+      server.vms = vms;
+      // Same basis as migration_sizing.powered_on_vms
+      server.server_count = vms.filter((vm) => !vm.template && isPoweredOn(vm)).length;
+    }
+    server.migration_sizing = computeSizing(vms, hosts, datastores);
+  }
+  if (info && !vms.length) warnings.push('The vInfo tab lists no VMs.');
+  return { server, warnings };
+}
+
+function toResult(kind, label, fileName, facts, importedAt) {
+  if (!Object.keys(facts.server).length) {
+    return { kind, label, discovery: {}, provenance: {}, warnings: facts.warnings };
+  }
+  const entry = { source: SOURCE, fileName: fileName || undefined, exportType: kind, retrievedAt: importedAt };
+  const provenance = { server: Object.fromEntries(Object.keys(facts.server).map((key) => [key, entry])) };
+  return { kind, label, discovery: { server: facts.server }, provenance, warnings: facts.warnings };
+}
+
+// An RVTools .xlsx workbook; null when the buffer is not one
+async function parseRvToolsWorkbook(fileName, buffer, existingServer, importedAt = new Date().toISOString()) {
+  const sheets = await readXlsxSheets(buffer, TABS);
+  if (!sheets || !sheets.vInfo) return null;
+  const facts = buildServerFacts(sheets, existingServer);
+  const missing = TABS.filter((tab) => !sheets[tab]);
+  if (missing.length) facts.warnings.push(`Workbook has no ${missing.join(', ')} tab${missing.length > 1 ? 's' : ''}.`);
+  return toResult('workbook', 'RVTools workbook', fileName, facts, importedAt);
+}
+
+// One RVTools tab exported as CSV; null when the file is not one
+function parseRvToolsCsv(fileName, content, existingServer, importedAt = new Date().toISOString()) {
+  const rows = parseCsvRows(content);
+  const tab = detectCsvTab(fileName, toRecords(rows).columns);
+  if (!tab) return null;
+  const facts = buildServerFacts({ [tab]: rows }, existingServer);
+  return toResult(tab, `RVTools ${tab} tab`, fileName, facts, importedAt);
+}
+
+// Discovery for the plan prompt: a large VM inventory is cut to the
+// biggest VMs, since migration_sizing already carries the totals.
+function compactInventory(discoveryData, limit = PROMPT_VM_LIMIT) {
+  const vms = discoveryData?.server?.vms;
+  if (!Array.isArray(vms) || vms.length <= limit) return discoveryData;
+  const largest = [...vms]
+    .sort((a, b) => (b.provisioned_gb || 0) - (a.provisioned_gb || 0))
+    .slice(0, limit);
+  return {
+    ...discoveryData,
+    server: { ...discoveryData.server, vms: largest, vms_not_listed: vms.length - limit }
+  };
+}
+
+module.exports = {
+  SOURCE,
+  TABS,
+  parseRvToolsWorkbook,
+  parseRvToolsCsv,
+  compactInventory
+};
@@ -0,0 +1,144 @@
+// What-if scenarios on a session. Each scenario in session.scenarios has
+// discovery overrides ({ category: { key: value } }) layered over the
+// session's discoveryData and its own generated executionPlan, e.g. "lift
+// servers to Azure VMs" vs "consolidate onto the acquirer's hosts".
+
+const { v4: uuidv4 } = require('uuid');
+const { computeRollups } = require('./rollups');
+const { hoursByRole, priceHours } = require('./pricing');
+const { analyzePlan } = require('./plan-analysis');
+
+const RISK_WEIGHTS = { low: 1, medium: 2, high: 3, critical: 5 };
+
+function getScenarios(session) {
+  return Array.isArray(session?.scenarios) ? session.scenarios : [];
+}
+
+function findScenario(session, scenarioId) {
+  return getScenarios(session).find((s) => s.id === scenarioId) || null;
+}
+
+function applyDiscoveryOverrides(discoveryData, overrides) {
+  const merged = { ...(discoveryData || {}) };
+  Object.entries(overrides || {}).forEach(([category, values]) => {
+    merged[category] = { ...(merged[category] || {}), ...values };
+  });
+  return merged;
+}
+
+// Overrides arrive as strings from the UI; plain decimal numbers and
+// booleans are stored as such so the estimator's size metrics pick them up.
+// Anything else numeric-looking ("01234" ZIP codes and IDs, "0x10", "1e3")
+// stays a string so it keeps its exact text.
+function coerceValue(value) {
+  if (typeof value !== 'string') return value;
+  const trimmed = value.trim();
+  if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(trimmed)) return Number(trimmed);
+  if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+  return trimmed;
+}
+
+function normalizeOverrides(overrides) {
+  const normalized = {};
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) return normalized;
+  Object.entries(overrides).forEach(([category, values]) => {
+    if (!category || !values || typeof values !== 'object' || Array.isArray(values)) return;
+    Object.entries(values).forEach(([key, value]) => {
+      if (!key) return;
+      normalized[category] = normalized[category] || {};
+      normalized[category][key] = coerceValue(value);
+    });
+  });
+  return normalized;
+}
+
+// Create or update a scenario from request input. Changing the overrides
+// keeps the existing plan but marks it stale until it is regenerated.
+function upsertScenario(session, input) {
+  const name = String(input?.name || '').trim();
+  if (!name) {
+    const err = new Error('Scenario name is required');
+    err.status = 400;
+    throw err;
+  }
+
+  const scenarios = getScenarios(session);
+  const now = new Date().toISOString();
+  const discoveryOverrides = normalizeOverrides(input.discoveryOverrides);
+  let scenario = input.id ? scenarios.find((s) => s.id === input.id) : null;
+  if (input.id && !scenario) {
+    const err = new Error('Scenario not found');
+    err.status = 404;
+    throw err;
+  }
+
+  if (scenario) {
+    const overridesChanged = JSON.stringify(scenario.discoveryOverrides || {}) !== JSON.stringify(discoveryOverrides);
+    Object.assign(scenario, {
+      name,
+      description: String(input.description || '').trim(),
+      discoveryOverrides,
+      updatedAt: now
+    });
+    if (overridesChanged && scenario.executionPlan) scenario.planStale = true;
+  } else {
+    scenario = {
+      id: uuidv4(),
+      name,
+      description: String(input.description || '').trim(),
+      discoveryOverrides,
+      executionPlan: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    scenarios.push(scenario);
+  }
+
+  session.scenarios = scenarios;
+  return scenario;
+}
+
+// Hours, cost, duration and risk for one plan, as compared across scenarios
+function summarizePlan(plan, pricing) {
+  if (!plan || !Array.isArray(plan.phases)) return null;
+
+  const rollups = computeRollups(plan);
+  const cost = priceHours(hoursByRole(plan), pricing);
+  const tasks = plan.phases.flatMap((phase) => (Array.isArray(phase.tasks) ? phase.tasks : []).filter((t) => t && typeof t === 'object'));
+
+  const riskByLevel = { low: 0, medium: 0, high: 0, critical: 0 };
+  let highRiskHours = 0;
+  let riskScore = 0;
+  tasks.forEach((task) => {
+    if (!RISK_WEIGHTS[task.risk]) return;
+    riskByLevel[task.risk] += 1;
+    riskScore += RISK_WEIGHTS[task.risk];
+    if (task.risk === 'high' || task.risk === 'critical') highRiskHours += typeof task.hours === 'number' ? task.hours : 0;
+  });
+  (plan.risks || []).forEach((risk) => {
+    riskScore += RISK_WEIGHTS[risk && risk.impact] || 0;
+  });
+
+  return {
+    totalHours: Math.round(rollups.totalHours * 100) / 100,
+    byDeliverable: rollups.byDeliverable,
+    byPhase: rollups.byPhase,
+    cost,
+    durationDays: (plan.analysis || analyzePlan(plan)).projectDays,
+    timelineDays: plan.timeline?.totalDays || null,
+    risk: {
+      score: riskScore,
+      byLevel: riskByLevel,
+      highRiskHours: Math.round(highRiskHours * 100) / 100,
+      planRisks: (plan.risks || []).length
+    }
+  };
+}
+
+module.exports = {
+  getScenarios,
+  findScenario,
+  applyDiscoveryOverrides,
+  upsertScenario,
+  summarizePlan
+};
@@ -0,0 +1,240 @@
+// Calendar scheduling of execution plan tasks for the timeline view.
+//
+// Each task takes (hours / crew size) of working time and starts once its
+// dependencies finish. A task can be pinned to a start (task.pinnedStart,
+// "not earlier than", set by dragging in the timeline) and can be flagged
+// task.afterHours, in which case it runs inside maintenance windows
+// instead of working hours. All times are UTC; dates are 'YYYY-MM-DD'.
+
+const { ensurePlanIds, flattenTasks } = require('./plan');
+const { analyzePlan, getCrewSize } = require('./plan-analysis');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// Give up looking for open time after this many days (misconfigured calendar)
+const MAX_SCAN_DAYS = 3 * 365;
+
+const DEFAULT_CALENDAR = {
+  workDays: [1, 2, 3, 4, 5],
+  dayStartHour: 8,
+  hoursPerDay: 8,
+  holidays: []
+};
+
+const DEFAULT_MAINTENANCE_WINDOWS = [
+  { label: 'Weeknight', days: [1, 2, 3, 4, 5], startHour: 18, endHour: 23 },
+  { label: 'Saturday', days: [6], startHour: 8, endHour: 20 }
+];
+
+function toDateString(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// A real calendar date in 'YYYY-MM-DD' form; rejects 2026-13-01 and
+// 2026-02-30 rather than letting Date roll them over
+function isDateString(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const ms = Date.parse(`${value}T00:00:00Z`);
+  return !Number.isNaN(ms) && toDateString(ms) === value;
+}
+
+function startOfDay(ms) {
+  const d = new Date(ms);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+function nextWorkingDate(fromMs, calendar) {
+  let day = startOfDay(fromMs);
+  for (let i = 0; i < MAX_SCAN_DAYS; i += 1, day += DAY) {
+    if (isWorkingDay(day, calendar)) return toDateString(day);
+  }
+  return toDateString(fromMs);
+}
+
+// Stored settings merged over admin-config defaults, then request overrides
+function getScheduleSettings(configData, stored, overrides) {
+  const configured = configData?.globalSettings?.schedule || {};
+  const merged = { ...configured, ...(stored || {}), ...(overrides || {}) };
+  const calendar = { ...DEFAULT_CALENDAR, ...(configured.calendar || {}), ...(stored?.calendar || {}), ...(overrides?.calendar || {}) };
+
+  return {
+    startDate: /^\d{4}-\d{2}-\d{2}$/.test(merged.startDate || '') ? merged.startDate : nextWorkingDate(Date.now(), calendar),
+    crewSize: getCrewSize(configData, merged.crewSize),
+    calendar: {
+      workDays: (calendar.workDays || []).map(Number).filter((d) => d >= 0 && d <= 6),
+      dayStartHour: Math.min(23, Math.max(0, Number(calendar.dayStartHour) || 0)),
+      hoursPerDay: Math.min(24, Math.max(1, Number(calendar.hoursPerDay) || DEFAULT_CALENDAR.hoursPerDay)),
+      holidays: (calendar.holidays || []).filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d))
+    },
+    maintenanceWindows: Array.isArray(merged.maintenanceWindows) ? merged.maintenanceWindows : DEFAULT_MAINTENANCE_WINDOWS
+  };
+}
+
+function isWorkingDay(dayMs, calendar) {
+  return calendar.workDays.includes(new Date(dayMs).getUTCDay()) && !calendar.holidays.includes(toDateString(dayMs));
+}
+
+// Open intervals [start, end) for one day, either working hours or the
+// maintenance windows that fall on that weekday.
+function openIntervals(dayMs, settings, afterHours) {
+  if (afterHours) {
+    const weekday = new Date(dayMs).getUTCDay();
+    return settings.maintenanceWindows
+      .filter((w) => (w.days || []).includes(weekday))
+      .map((w) => [dayMs + Number(w.startHour) * HOUR, dayMs + Math.min(24, Number(w.endHour)) * HOUR])
+      .filter(([a, b]) => b > a)
+      .sort((x, y) => x[0] - y[0]);
+  }
+  if (!isWorkingDay(dayMs, settings.calendar)) return [];
+  const { dayStartHour, hoursPerDay } = settings.calendar;
+  return [[dayMs + dayStartHour * HOUR, dayMs + Math.min(24, dayStartHour + hoursPerDay) * HOUR]];
+}
+
+// Consume `hours` of open time from `fromMs`. Returns the first open moment
+// used as start and the moment the work completes as end.
+function consume(fromMs, hours, settings, afterHours) {
+  let remaining = hours * HOUR;
+  let t = fromMs;
+  let start = null;
+  let day = startOfDay(fromMs);
+
+  for (let i = 0; i < MAX_SCAN_DAYS; i += 1, day += DAY) {
+    for (const [a, b] of openIntervals(day, settings, afterHours)) {
+      if (b <= t) continue;
+      const s = Math.max(a, t);
+      if (start === null) start = s;
+      const take = Math.min(remaining, b - s);
+      remaining -= take;
+      t = s + take;
+      if (remaining <= 0) return { start, end: t };
+    }
+  }
+
+  const err = new Error(afterHours ? 'No maintenance window time available; check the maintenance windows' : 'No working time available; check the working calendar');
+  err.status = 400;
+  throw err;
+}
+
+// Working days touched between two instants, both days included
+function countWorkingDays(fromMs, toMs, calendar) {
+  let count = 0;
+  for (let day = startOfDay(fromMs); day <= toMs; day += DAY) {
+    if (isWorkingDay(day, calendar)) count += 1;
+  }
+  return count;
+}
+
+function addWorkingDays(fromMs, days, calendar) {
+  let day = startOfDay(fromMs);
+  let counted = 0;
+  for (let i = 0; i < MAX_SCAN_DAYS && counted < days; i += 1) {
+    day += DAY;
+    if (isWorkingDay(day, calendar)) counted += 1;
+  }
+  return day;
+}
+
+function scheduledTask(phase, task, slot, analysis) {
+  return {
+    taskId: task.id,
+    phaseId: phase.id,
+    name: task.name,
+    hours: typeof task.hours === 'number' ? task.hours : 0,
+    role: task.role || null,
+    start: new Date(slot.start).toISOString(),
+    end: new Date(slot.end).toISOString(),
+    afterHours: Boolean(task.afterHours),
+    pinnedStart: task.pinnedStart || null,
+    critical: analysis.tasks[task.id].critical,
+    slack: analysis.tasks[task.id].slack,
+    dependencies: analysis.edges.filter((e) => e.to === task.id).map((e) => e.from)
+  };
+}
+
+function buildSchedule(plan, settings) {
+  ensurePlanIds(plan);
+  const analysis = analyzePlan(plan, { crewSize: settings.crewSize, hoursPerDay: settings.calendar.hoursPerDay });
+  const rows = flattenTasks(plan);
+  const rowById = new Map(rows.map((row) => [row.task.id, row]));
+  const projectStart = Date.parse(`${settings.startDate}T00:00:00Z`);
+
+  const preds = new Map(rows.map(({ task }) => [task.id, []]));
+  analysis.edges.filter((e) => !e.cyclic).forEach((e) => preds.get(e.to).push(e.from));
+
+  // Place predecessors first; cyclic edges were dropped by the analysis
+  const placed = new Map();
+  const visit = (id) => {
+    if (placed.has(id)) return placed.get(id);
+    placed.set(id, null);
+    const { task } = rowById.get(id);
+    let earliest = projectStart;
+    preds.get(id).forEach((p) => {
+      const dep = visit(p);
+      if (dep) earliest = Math.max(earliest, dep.end);
+    });
+    const pinned = task.pinnedStart ? Date.parse(task.pinnedStart) : NaN;
+    if (!Number.isNaN(pinned)) earliest = Math.max(earliest, pinned);
+
+    const duration = (typeof task.hours === 'number' && task.hours > 0 ? task.hours : 0) / settings.crewSize;
+    const slot = consume(earliest, duration, settings, Boolean(task.afterHours));
+    placed.set(id, slot);
+    return slot;
+  };
+  rows.forEach(({ task }) => visit(task.id));
+
+  const tasks = rows.map(({ phase, task }) => scheduledTask(phase, task, placed.get(task.id), analysis));
+
+  return assembleSchedule(plan, settings, analysis, projectStart, tasks);
+}
+
+// Phase spans, project end, milestone dates and warnings around the placed
+// tasks; shared with the resource-levelled schedule.
+function assembleSchedule(plan, settings, analysis, projectStart, tasks) {
+  const phases = (plan.phases || []).map((phase) => {
+    const own = tasks.filter((t) => t.phaseId === phase.id);
+    return {
+      id: phase.id,
+      name: phase.name,
+      start: own.length ? own.reduce((min, t) => (t.start < min ? t.start : min), own[0].start) : null,
+      end: own.length ? own.reduce((max, t) => (t.end > max ? t.end : max), own[0].end) : null
+    };
+  });
+
+  const end = tasks.reduce((max, t) => (t.end > max ? t.end : max), new Date(projectStart).toISOString());
+  const milestones = (plan.timeline?.milestones || [])
+    .filter((m) => m && typeof m.day === 'number')
+    .map((m) => ({ name: m.name, day: m.day, date: toDateString(addWorkingDays(projectStart, m.day, settings.calendar)) }));
+
+  return {
+    settings,
+    start: new Date(projectStart).toISOString(),
+    end,
+    calendarDays: Math.ceil((Date.parse(end) - projectStart) / DAY),
+    workingDays: countWorkingDays(projectStart, Date.parse(end), settings.calendar),
+    phases,
+    tasks,
+    milestones,
+    criticalPath: analysis.criticalPath,
+    warnings: [
+      ...analysis.danglingRefs.map((d) => `Task ${d.taskId} depends on unknown task "${d.dependency}"`),
+      ...analysis.cycles.map((c) => `Dependency cycle: ${c.join(' -> ')}`)
+    ]
+  };
+}
+
+module.exports = {
+  HOUR,
+  DAY,
+  DEFAULT_CALENDAR,
+  DEFAULT_MAINTENANCE_WINDOWS,
+  toDateString,
+  isDateString,
+  startOfDay,
+  isWorkingDay,
+  getScheduleSettings,
+  openIntervals,
+  consume,
+  scheduledTask,
+  assembleSchedule,
+  buildSchedule
+};
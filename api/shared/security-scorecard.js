@@ -0,0 +1,291 @@
+// Security posture scorecard computed from discovery data. Each rule looks
+// at answers in some discovery categories (security, backup, rmm, server,
+// workstation, communication) and scores them 0-100; the overall score is the weighted
+// mean of the rules that found evidence. Rules and weights come from
+// globalSettings.securityScorecard.rules (AdminPanel) and are plain JSON:
+//
+//   answer    answers under keys matching `keys`. An explicit "no" scores
+//             0, a ratio ("85%", "40 of 50") scores its percentage, else
+//             the first of `levels` whose keywords appear in the key path
+//             or answer wins; with `thresholds`, counts (a number, a
+//             leading number or a list) are scored instead of ratios.
+//             The rule score is the mean of the answers it could score.
+//   mentions  answers (under `keys`, if set) naming any of `keywords`,
+//             counted and scored by `thresholds`. A numeric answer whose
+//             key names the keyword ("windows_7_pcs: 12") counts as that
+//             many.
+//
+// Thresholds are checked in order; the first whose `max` is not exceeded
+// (or that has no max) gives the score. Nothing here is random or
+// model-driven, so the same discovery always gives the same scorecard.
+
+const { isNegative } = require('./risk-register');
+const { EOL_KEYWORDS } = require('./eol');
+
+const DEFAULT_RULES = [
+  {
+    id: 'mfa',
+    label: 'MFA coverage',
+    type: 'answer',
+    weight: 25,
+    categories: ['security'],
+    keys: '(^|_)(mfa|2fa|multi_?factor|two_?factor)(_|$)',
+    levels: [
+      { keywords: ['admins only', 'admin only', 'partial', 'some', 'most', 'pilot', 'optional'], score: 50 },
+      { keywords: ['yes', 'all', 'all users', 'everyone', 'enforced', 'enabled', 'required', 'conditional access', 'security defaults', 'duo', 'authenticator', 'okta'], score: 100 }
+    ]
+  },
+  {
+    id: 'edr',
+    label: 'EDR coverage',
+    type: 'answer',
+    weight: 20,
+    categories: ['security', 'rmm', 'workstation', 'server'],
+    keys: '(^|_)(edr|xdr|mdr|antivirus|anti_virus|av|endpoint_protection|endpoint_security)(_|$)',
+    levels: [
+      { keywords: ['partial', 'some', 'most', 'servers only', 'workstations only'], score: 50 },
+      { keywords: ['windows defender', 'defender antivirus', 'free', 'consumer'], score: 60 },
+      { keywords: ['yes', 'all', 'everywhere', 'deployed', 'sentinelone', 'crowdstrike', 'defender for endpoint', 'defender for business', 'huntress', 'sophos intercept', 'bitdefender gravityzone', 'malwarebytes edr'], score: 100 }
+    ]
+  },
+  {
+    id: 'patching',
+    label: 'Patch posture',
+    type: 'answer',
+    weight: 15,
+    categories: ['rmm', 'workstation', 'server', 'security'],
+    keys: '(^|_)(patch(es|ing)?|patch_management|updates?|windows_update|wsus)(_|$)',
+    levels: [
+      { keywords: ['unpatched', 'not patched', 'behind', 'outdated', 'out of date', 'never', 'paused'], score: 10 },
+      { keywords: ['manual', 'manually', 'ad hoc', 'ad-hoc', 'when needed', 'sometimes', 'quarterly'], score: 40 },
+      { keywords: ['automated', 'automatic', 'auto', 'enabled', 'monthly', 'weekly', 'current', 'up to date', 'up-to-date', 'wsus', 'intune', 'autopatch', 'ninjaone', 'ninjarmm', 'datto rmm', 'connectwise automate', 'n-able', 'kaseya'], score: 90 }
+    ]
+  },
+  {
+    id: 'backupImmutability',
+    label: 'Backup immutability',
+    type: 'answer',
+    weight: 15,
+    categories: ['backup'],
+    keys: '(^|_)(backups?|immutab\\w*|air_?gap\\w*|offsite|off_site|object_lock|retention|backup_\\w+)(_|$)',
+    levels: [
+      { keywords: ['immutable', 'immutability', 'air-gapped', 'air gapped', 'airgapped', 'air gap', 'object lock', 'worm', 'hardened repository'], score: 100 },
+      { keywords: ['offsite', 'off-site', 'off site', 'cloud', 'backblaze', 'wasabi', 'azure backup', 'cloud connect', 'datto', 'axcient'], score: 60 },
+      { keywords: ['local', 'nas', 'usb', 'external drive', 'external disk', 'on-site', 'onsite', 'tape'], score: 25 }
+    ]
+  },
+  {
+    id: 'eolOs',
+    label: 'End-of-life operating systems and Exchange',
+    type: 'mentions',
+    weight: 15,
+    categories: ['server', 'workstation', 'communication'],
+    keywords: EOL_KEYWORDS,
+    thresholds: [
+      { max: 0, score: 100 },
+      { max: 1, score: 60 },
+      { max: 4, score: 30 },
+      { score: 0 }
+    ]
+  },
+  {
+    id: 'adminHygiene',
+    label: 'Admin account hygiene',
+    type: 'answer',
+    weight: 10,
+    categories: ['security', 'server'],
+    keys: '(^|_)(domain_admins?|global_admins?|admin_accounts?|administrators|privileged_accounts?|local_admins?|laps)(_|$)',
+    levels: [
+      { keywords: ['shared', 'generic', 'everyone', 'all users', 'users are local admins', 'local admin rights', 'same password'], score: 10 },
+      { keywords: ['laps', 'separate admin', 'separate accounts', 'dedicated admin', 'pam', 'just-in-time', 'pim'], score: 100 }
+    ],
+    thresholds: [
+      { max: 2, score: 100 },
+      { max: 4, score: 70 },
+      { max: 9, score: 40 },
+      { score: 10 }
+    ]
+  }
+];
+
+const RULE_TYPES = ['answer', 'mentions'];
+
+const GRADES = [
+  { min: 90, grade: 'A' },
+  { min: 80, grade: 'B' },
+  { min: 70, grade: 'C' },
+  { min: 60, grade: 'D' },
+  { min: 0, grade: 'F' }
+];
+
+function getScorecardRules(configData) {
+  const configured = configData?.globalSettings?.securityScorecard?.rules;
+  return Array.isArray(configured) && configured.length ? configured : DEFAULT_RULES;
+}
+
+const normalize = (text) => String(text).toLowerCase().replace(/_/g, ' ');
+
+function describeValue(value) {
+  if (Array.isArray(value)) return value.map(describeValue).filter(Boolean).join(', ');
+  if (value === true) return 'yes';
+  return value == null ? '' : String(value).trim();
+}
+
+// Answers (primitives and lists of primitives) under the given categories,
+// with their key path. Lists of objects (server inventories) are walked.
+function collectAnswers(discoveryData, categories) {
+  const answers = [];
+  const visit = (node, path) => {
+    if (Array.isArray(node) && !node.some((item) => item && typeof item === 'object')) {
+      answers.push({ path, value: node });
+      return;
+    }
+    if (node && typeof node === 'object') {
+      Object.entries(node).forEach(([key, value]) => visit(value, [...path, Array.isArray(node) ? `#${key}` : key]));
+      return;
+    }
+    if (node !== undefined && node !== null && node !== '') answers.push({ path, value: node });
+  };
+  const roots = Array.isArray(categories) && categories.length ? categories : Object.keys(discoveryData || {});
+  roots.forEach((category) => {
+    if (discoveryData?.[category]) visit(discoveryData[category], [category]);
+  });
+  return answers;
+}
+
+function hasKeyword(text, keyword) {
+  const escaped = normalize(keyword).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`).test(text);
+}
+
+function parseRatio(value) {
+  if (typeof value !== 'string') return null;
+  const percent = value.match(/(\d+(?:\.\d+)?)\s*%/);
+  if (percent) return Math.min(1, parseFloat(percent[1]) / 100);
+  const fraction = value.match(/(\d+)\s*(?:of|out of|\/)\s*(\d+)/i);
+  if (fraction && Number(fraction[2]) > 0) return Math.min(1, Number(fraction[1]) / Number(fraction[2]));
+  return null;
+}
+
+function parseCount(value) {
+  if (Array.isArray(value)) return value.length;
+  if (typeof value === 'number') return value;
+  const leading = typeof value === 'string' && value.match(/^\s*(\d+)\b/);
+  return leading ? Number(leading[1]) : null;
+}
+
+function scoreThresholds(thresholds, count) {
+  const match = (thresholds || []).find((t) => t.max === undefined || t.max === null || count <= Number(t.max));
+  return match ? Number(match.score) || 0 : 0;
+}
+
+// Score of one answer, or null when the rule cannot tell
+function scoreAnswer(rule, answer) {
+  const keyText = normalize(answer.path.slice(1).filter((segment) => !segment.startsWith('#')).join(' '));
+  const count = parseCount(answer.value);
+  if (Array.isArray(rule.thresholds) && rule.thresholds.length && count !== null) {
+    return scoreThresholds(rule.thresholds, count);
+  }
+  if (isNegative(answer.value)) return 0;
+  const ratio = parseRatio(answer.value);
+  if (ratio !== null && !(Array.isArray(rule.thresholds) && rule.thresholds.length)) return Math.round(ratio * 100);
+  const text = `${keyText} ${normalize(describeValue(answer.value))}`;
+  const level = (rule.levels || []).find((l) => (l.keywords || []).some((k) => hasKeyword(text, k)));
+  return level ? Number(level.score) || 0 : null;
+}
+
+function compileKeys(rule) {
+  if (!rule.keys) return null;
+  return new RegExp(rule.keys, 'i');
+}
+
+function evaluateRule(rule, discoveryData) {
+  const keys = compileKeys(rule);
+  const inScope = collectAnswers(discoveryData, rule.categories)
+    .filter((answer) => !keys || answer.path.slice(1).some((segment) => keys.test(segment)));
+  const evidence = [];
+  let score = null;
+
+  if (rule.type === 'mentions') {
+    let count = 0;
+    inScope.forEach((answer) => {
+      const keyText = normalize(answer.path.slice(1).join(' '));
+      const valueText = normalize(describeValue(answer.value));
+      const keyHits = (rule.keywords || []).filter((k) => hasKeyword(keyText, k));
+      const valueHits = (rule.keywords || []).filter((k) => hasKeyword(valueText, k));
+      if (!keyHits.length && !valueHits.length) return;
+      const n = keyHits.length && typeof parseCount(answer.value) === 'number' && !Array.isArray(answer.value)
+        ? parseCount(answer.value)
+        : 1;
+      count += n;
+      evidence.push({ path: answer.path.join('.'), value: describeValue(answer.value), count: n });
+    });
+    if (inScope.length) score = scoreThresholds(rule.thresholds, count);
+    return { score, evidence, count };
+  }
+
+  const scores = [];
+  inScope.forEach((answer) => {
+    const answerScore = scoreAnswer(rule, answer);
+    if (answerScore === null) return;
+    scores.push(answerScore);
+    evidence.push({ path: answer.path.join('.'), value: describeValue(answer.value), score: answerScore });
+  });
+  if (scores.length) score = Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length);
+  return { score, evidence };
+}
+
+const rate = (score) => (score >= 80 ? 'good' : score >= 50 ? 'fair' : 'poor');
+
+function computeScorecard(discoveryData, configData) {
+  const warnings = [];
+  const rules = getScorecardRules(configData)
+    .filter((rule) => rule && rule.enabled !== false)
+    .map((rule, index) => {
+      const id = rule.id || `rule_${index + 1}`;
+      const weight = Math.max(0, Number(rule.weight) || 0);
+      const base = { id, label: rule.label || id, type: rule.type, weight };
+      if (!RULE_TYPES.includes(rule.type)) {
+        warnings.push(`${base.label}: unknown rule type "${rule.type}"`);
+        return { ...base, score: null, status: 'unknown', rating: null, evidence: [] };
+      }
+      let result;
+      try {
+        result = evaluateRule(rule, discoveryData);
+      } catch (error) {
+        warnings.push(`${base.label}: ${error.message}`);
+        result = { score: null, evidence: [] };
+      }
+      return {
+        ...base,
+        ...result,
+        status: result.score === null ? 'unknown' : 'scored',
+        rating: result.score === null ? null : rate(result.score)
+      };
+    });
+
+  const totalWeight = rules.reduce((sum, rule) => sum + rule.weight, 0);
+  const scored = rules.filter((rule) => rule.status === 'scored' && rule.weight > 0);
+  const scoredWeight = scored.reduce((sum, rule) => sum + rule.weight, 0);
+  const score = scoredWeight
+    ? Math.round(scored.reduce((sum, rule) => sum + rule.score * rule.weight, 0) / scoredWeight)
+    : null;
+
+  return {
+    scoredAt: new Date().toISOString(),
+    score,
+    grade: score === null ? null : GRADES.find((g) => score >= g.min).grade,
+    // Share of the rule weight backed by evidence
+    coverage: totalWeight ? Math.round((scoredWeight / totalWeight) * 100) : 0,
+    rules,
+    warnings
+  };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  RULE_TYPES,
+  GRADES,
+  getScorecardRules,
+  computeScorecard
+};
@@ -0,0 +1,202 @@
+// Three-point (PERT) task estimates and a Monte Carlo simulation of plan
+// totals. Each task has optimistic / likely / pessimistic hours: likely is
+// task.hours, the bounds come from task.optimisticHours and
+// task.pessimisticHours, or are derived from the task's risk level with the
+// spreads in globalSettings.simulation.riskSpreads.
+//
+// Task hours are sampled from a PERT (beta) distribution, independently per
+// task. The random source is seeded so the same plan always gives the same
+// percentiles, and a SOW priced at P80 does not change between reloads.
+
+const { ensurePlanIds } = require('./plan');
+const { taskHours, getDeliverableKey, computeRollups } = require('./rollups');
+
+const CONFIDENCE_LEVELS = ['p50', 'p80', 'p95'];
+const DEFAULT_ITERATIONS = 5000;
+const MAX_ITERATIONS = 50000;
+const DEFAULT_SEED = 20240917;
+
+// Multipliers of the likely hours per risk level; tasks without a risk
+// level use medium.
+const DEFAULT_RISK_SPREADS = {
+  low: { optimistic: 0.9, pessimistic: 1.2 },
+  medium: { optimistic: 0.8, pessimistic: 1.5 },
+  high: { optimistic: 0.7, pessimistic: 2 },
+  critical: { optimistic: 0.6, pessimistic: 3 }
+};
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function getSimulationConfig(configData) {
+  const cfg = configData?.globalSettings?.simulation || {};
+  const riskSpreads = {};
+  Object.entries(DEFAULT_RISK_SPREADS).forEach(([level, fallback]) => {
+    const spread = (cfg.riskSpreads && cfg.riskSpreads[level]) || {};
+    const optimistic = Number(spread.optimistic);
+    const pessimistic = Number(spread.pessimistic);
+    riskSpreads[level] = {
+      optimistic: optimistic > 0 && optimistic <= 1 ? optimistic : fallback.optimistic,
+      pessimistic: pessimistic >= 1 ? pessimistic : fallback.pessimistic
+    };
+  });
+  const iterations = Math.floor(Number(cfg.iterations));
+  return {
+    iterations: iterations > 0 ? Math.min(iterations, MAX_ITERATIONS) : DEFAULT_ITERATIONS,
+    riskSpreads
+  };
+}
+
+// { optimistic, likely, pessimistic } for a task. Explicit bounds win but
+// are clamped around the likely hours (they go stale when hours change).
+function threePointEstimate(task, config) {
+  const likely = taskHours(task);
+  const spread = config.riskSpreads[task && task.risk] || config.riskSpreads.medium;
+  const optimistic = typeof task?.optimisticHours === 'number' ? task.optimisticHours : likely * spread.optimistic;
+  const pessimistic = typeof task?.pessimisticHours === 'number' ? task.pessimisticHours : likely * spread.pessimistic;
+  return {
+    optimistic: round(Math.min(optimistic, likely)),
+    likely,
+    pessimistic: round(Math.max(pessimistic, likely))
+  };
+}
+
+// Writes optimisticHours / pessimisticHours on every task that lacks them,
+// so the stored plan carries all three points.
+function applyThreePointEstimates(plan, config) {
+  (plan && Array.isArray(plan.phases) ? plan.phases : []).forEach((phase) => {
+    (Array.isArray(phase.tasks) ? phase.tasks : []).forEach((task) => {
+      if (!task || typeof task !== 'object') return;
+      const estimate = threePointEstimate(task, config);
+      task.optimisticHours = estimate.optimistic;
+      task.pessimisticHours = estimate.pessimistic;
+    });
+  });
+  return plan;
+}
+
+// mulberry32
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleNormal(random) {
+  const u = random() || Number.MIN_VALUE;
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Marsaglia-Tsang; shape >= 1 for every PERT task
+function sampleGamma(shape, random) {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+function samplePert({ optimistic, likely, pessimistic }, random) {
+  const range = pessimistic - optimistic;
+  if (range <= 0) return likely;
+  const alpha = 1 + (4 * (likely - optimistic)) / range;
+  const beta = 1 + (4 * (pessimistic - likely)) / range;
+  const x = sampleGamma(alpha, random);
+  const y = sampleGamma(beta, random);
+  return optimistic + (x / (x + y)) * range;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))];
+}
+
+function summarize(samples, likely) {
+  const sorted = Float64Array.from(samples).sort();
+  const mean = samples.reduce((sum, v) => sum + v, 0) / (samples.length || 1);
+  return {
+    likely: round(likely),
+    mean: round(mean),
+    p50: round(percentile(sorted, 0.5)),
+    p80: round(percentile(sorted, 0.8)),
+    p95: round(percentile(sorted, 0.95))
+  };
+}
+
+// P50/P80/P95 hours for the project, each phase and each SOW deliverable.
+// Percentiles are taken per bucket, so phase P80s add up to more than the
+// project P80.
+function simulatePlan(plan, config, { seed = DEFAULT_SEED } = {}) {
+  const working = ensurePlanIds(JSON.parse(JSON.stringify(plan && Array.isArray(plan.phases) ? plan : { phases: [] })));
+  const { iterations } = config;
+  const random = createRandom(seed);
+  const rollups = computeRollups(working);
+
+  const phases = working.phases.map((phase) => ({
+    id: phase.id,
+    name: phase.name,
+    deliverable: getDeliverableKey(phase.name),
+    estimates: (Array.isArray(phase.tasks) ? phase.tasks : [])
+      .filter((t) => t && typeof t === 'object')
+      .map((t) => threePointEstimate(t, config)),
+    samples: new Float64Array(iterations)
+  }));
+  const deliverableSamples = {};
+  Object.keys(rollups.byDeliverable).forEach((key) => {
+    deliverableSamples[key] = new Float64Array(iterations);
+  });
+  const projectSamples = new Float64Array(iterations);
+
+  for (let i = 0; i < iterations; i += 1) {
+    let total = 0;
+    phases.forEach((phase) => {
+      const hours = phase.estimates.reduce((sum, estimate) => sum + samplePert(estimate, random), 0);
+      phase.samples[i] = hours;
+      if (phase.deliverable) deliverableSamples[phase.deliverable][i] += hours;
+      total += hours;
+    });
+    projectSamples[i] = total;
+  }
+
+  const byDeliverable = {};
+  Object.entries(deliverableSamples).forEach(([key, samples]) => {
+    byDeliverable[key] = summarize(samples, rollups.byDeliverable[key]);
+  });
+
+  return {
+    iterations,
+    seed,
+    project: summarize(projectSamples, rollups.totalHours),
+    byPhase: phases.map((phase, idx) => ({
+      id: phase.id,
+      name: phase.name,
+      ...summarize(phase.samples, rollups.byPhase[idx].hours)
+    })),
+    byDeliverable,
+    simulatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  CONFIDENCE_LEVELS,
+  DEFAULT_RISK_SPREADS,
+  getSimulationConfig,
+  threePointEstimate,
+  applyThreePointEstimates,
+  simulatePlan
+};
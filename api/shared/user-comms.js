@@ -0,0 +1,361 @@
+// End-user communication pack for the acquired company's staff: a timed
+// sequence of emails (T-14 announcement, T-7 what's changing and FAQ, T-1
+// reminder, Day 0 instructions, Day +3 follow-up) around Day 0, the email
+// cutover. Templates (or globalSettings.userComms.templates) are filled in
+// with the company and contact from discovery, the mail platform, domains
+// and phone system, the helpdesk details from globalSettings.userComms and
+// the scheduled onboarding and cutover dates. Anything missing is left as a
+// [bracketed] placeholder and listed under warnings.
+//
+// Bodies are plain text: blank lines separate paragraphs, "- " starts a
+// bullet and "## " a heading. They are editable per session; edited
+// messages keep their text when the pack is regenerated.
+
+const { extractCutoverFacts } = require('./runbook');
+const { getDeliverableKey } = require('./rollups');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TEMPLATES = [
+  {
+    id: 't-14',
+    offset: -14,
+    subject: '{companyName} is joining {acquirerName}: what to expect from IT',
+    body: [
+      'Hello {companyName} team,',
+      'As part of joining {acquirerName}, your computers, accounts and email will move onto {acquirerName}\'s systems over the next few weeks. This note explains the timeline; we will send reminders before each step.',
+      '## Key dates',
+      '- {onboardingDate}: new accounts are set up and you will be asked to register for multi-factor sign-in\n' +
+        '- {cutoverDate}: email moves from {mailPlatform} to Microsoft 365',
+      'Your email address stays the same. Nothing changes for you before these dates.',
+      'Questions? Contact {pocName} ({pocEmail}) or the {acquirerName} helpdesk at {helpdeskPhone} / {helpdeskEmail}.'
+    ].join('\n\n')
+  },
+  {
+    id: 't-7',
+    offset: -7,
+    subject: 'One week until your email moves: what\'s changing',
+    body: [
+      'Hello {companyName} team,',
+      'Your email moves to Microsoft 365 on {cutoverDate}. Here is what changes and what you need to do.',
+      '## What changes',
+      '- Email, calendar and contacts move from {mailPlatform} to Microsoft 365; mail sent to {domains} keeps arriving\n' +
+        '- You sign in with your new account and approve sign-ins with the Microsoft Authenticator app\n' +
+        '- Phones: {phoneSystem} stays in place unless we tell you otherwise',
+      '## Before {cutoverDate}',
+      '- Install Microsoft Authenticator on your phone\n' +
+        '- Tidy up your mailbox: large or old folders slow the move down\n' +
+        '- Note any shared mailboxes or calendars you use so we can check them afterwards',
+      '## FAQ',
+      'Will my email address change? No, {domains} addresses keep working.',
+      'Will I lose any email? No. Mail is copied before the switch and anything that arrives during it is delivered afterwards.',
+      'What about my phone\'s mail app? You will need to remove and re-add the account on Day 0; the instructions will be in that day\'s email.',
+      'Who do I ask? The {acquirerName} helpdesk: {helpdeskPhone}, {helpdeskEmail} or {portalUrl}.'
+    ].join('\n\n')
+  },
+  {
+    id: 't-1',
+    offset: -1,
+    subject: 'Reminder: your email moves tomorrow ({cutoverDate})',
+    body: [
+      'Hello {companyName} team,',
+      'Tomorrow, {cutoverDate}, your email moves to Microsoft 365.',
+      '## Before you leave today',
+      '- Save your work and leave your computer switched on and connected\n' +
+        '- Do not delete or move large amounts of email tonight\n' +
+        '- Make sure Microsoft Authenticator is installed on your phone',
+      'Tomorrow morning you will get an email with step-by-step sign-in instructions. If you cannot sign in, call {helpdeskPhone}.'
+    ].join('\n\n')
+  },
+  {
+    id: 'day0',
+    offset: 0,
+    subject: 'Your email has moved: sign-in instructions',
+    body: [
+      'Good morning {companyName} team,',
+      'Your email now runs on Microsoft 365. Please follow these steps when you start work:',
+      '## Getting started',
+      '- Sign in at https://portal.office.com with your usual email address and the password you were given\n' +
+        '- Approve the sign-in in Microsoft Authenticator when asked\n' +
+        '- Open Outlook; if it asks, let it set up your profile again\n' +
+        '- On your phone, remove the old mail account and add it back as a Microsoft 365 / Exchange account',
+      '## If something does not work',
+      'Mail from the last few days may take a few hours to appear. If anything is still missing by the end of the day, or you cannot sign in, contact the helpdesk at {helpdeskPhone}, {helpdeskEmail} or {portalUrl}. Engineers are on call all day.'
+    ].join('\n\n')
+  },
+  {
+    id: 'day3',
+    offset: 3,
+    subject: 'How is everything working? Email move follow-up',
+    body: [
+      'Hello {companyName} team,',
+      'Thank you for your patience during the move to Microsoft 365 on {cutoverDate}.',
+      'If anything is still not right (missing mail or calendars, shared mailboxes, mail on your phone, printing or phones), please report it now so we can fix it while the project team is still engaged.',
+      '- Helpdesk: {helpdeskPhone} / {helpdeskEmail}\n' +
+        '- Portal: {portalUrl}\n' +
+        '- Your local contact: {pocName} ({pocEmail})',
+      'Welcome to {acquirerName}.'
+    ].join('\n\n')
+  }
+];
+
+const FIELD_LABELS = {
+  companyName: 'company name (discovery)',
+  pocName: 'point of contact name (discovery)',
+  pocEmail: 'point of contact email (discovery)',
+  pocPhone: 'point of contact phone (discovery)',
+  mailPlatform: 'mail platform (discovery)',
+  domains: 'email domains (discovery)',
+  phoneSystem: 'phone system (discovery)',
+  acquirerName: 'acquirer name (Admin > User Communications)',
+  helpdeskPhone: 'helpdesk phone (Admin > User Communications)',
+  helpdeskEmail: 'helpdesk email (Admin > User Communications)',
+  portalUrl: 'support portal (Admin > User Communications)',
+  onboardingDate: 'user onboarding date (plan)',
+  cutoverDate: 'email cutover date (plan)'
+};
+
+const CONTACT_PATTERNS = {
+  companyName: /^(company_?name|organization_?name|client_?name)$/,
+  poc: /^(primary_)?(poc|point_of_contact|contact|it_contact)$/,
+  phoneSystem: /^(phone_?system|telephony_?(system|provider|platform|vendor)|voip_?(system|provider|platform)|pbx(_system)?)$/
+};
+
+function describe(value) {
+  if (Array.isArray(value)) return value.map(describe).filter(Boolean).join(', ');
+  if (value && typeof value === 'object') return value.name || value.vendor || value.provider || value.system || '';
+  return value == null ? '' : String(value).trim();
+}
+
+// Company, contact and phone system, found by key anywhere in discovery
+function extractContactFacts(discoveryData) {
+  const facts = {};
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    Object.entries(node).forEach(([rawKey, value]) => {
+      const key = rawKey.toLowerCase();
+      if (!facts.companyName && CONTACT_PATTERNS.companyName.test(key)) facts.companyName = describe(value) || undefined;
+      if (!facts.phoneSystem && CONTACT_PATTERNS.phoneSystem.test(key)) facts.phoneSystem = describe(value) || undefined;
+      if (!facts.pocName && CONTACT_PATTERNS.poc.test(key)) {
+        const poc = Array.isArray(value) ? value[0] : value;
+        if (poc && typeof poc === 'object') {
+          facts.pocName = poc.name || undefined;
+          facts.pocEmail = poc.email || undefined;
+          facts.pocPhone = poc.phone || undefined;
+        } else if (describe(poc)) {
+          facts.pocName = describe(poc);
+        }
+      }
+      if (value && typeof value === 'object' && !Array.isArray(value)) visit(value);
+    });
+  };
+  visit(discoveryData || {});
+  return facts;
+}
+
+function getCommsSettings(configData) {
+  const settings = configData?.globalSettings?.userComms || {};
+  return {
+    ...settings,
+    templates: Array.isArray(settings.templates) && settings.templates.length ? settings.templates : DEFAULT_TEMPLATES
+  };
+}
+
+const toDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// Scheduled start of the email cutover task (else its phase) and of the
+// user onboarding phase
+function planDates(plan, schedule) {
+  const phases = Array.isArray(plan?.phases) ? plan.phases : [];
+  const scheduled = (key) => {
+    const phase = phases.find((p) => getDeliverableKey(p.name) === key);
+    return phase && (schedule?.phases || []).find((p) => p.id === phase.id && p.start);
+  };
+  const dates = {};
+  const email = scheduled('deliverable4');
+  if (email) {
+    const cutover = (schedule.tasks || []).find((t) => t.phaseId === email.id && /cutover|\bmx\b/.test((t.name || '').toLowerCase()));
+    dates.cutoverDate = (cutover ? cutover.start : email.start).slice(0, 10);
+  }
+  const onboarding = scheduled('deliverable2');
+  if (onboarding) dates.onboardingDate = onboarding.start.slice(0, 10);
+  return dates;
+}
+
+// Messages before Day 0 that land on a weekend go out the Friday before,
+// later ones the Monday after
+function sendDate(dayZero, offset) {
+  const date = new Date(Date.parse(`${dayZero}T00:00:00Z`) + offset * DAY);
+  const day = date.getUTCDay();
+  if (offset < 0 && (day === 0 || day === 6)) return toDate(date.getTime() - (day === 6 ? 1 : 2) * DAY);
+  if (offset > 0 && (day === 0 || day === 6)) return toDate(date.getTime() + (day === 6 ? 2 : 1) * DAY);
+  return toDate(date.getTime());
+}
+
+function fill(text, facts, missing) {
+  return String(text || '').replace(/\{(\w+)\}/g, (_, key) => {
+    if (facts[key]) return facts[key];
+    missing.add(key);
+    return `[${FIELD_LABELS[key] ? FIELD_LABELS[key].replace(/ \(.*\)$/, '') : key}]`;
+  });
+}
+
+function offsetLabel(offset) {
+  if (offset === 0) return 'Day 0';
+  return offset < 0 ? `T${offset}` : `Day +${offset}`;
+}
+
+// plan/schedule: the session's plan and buildPlanSchedule output;
+// dayZero: optional YYYY-MM-DD override of the cutover date; previous: the
+// stored pack, whose edited messages are kept unless listed in reset.
+// Returns null when there is no date to time the sequence from.
+function buildCommsPack({ plan, schedule, discoveryData, configData, dayZero, previous, reset = [] }) {
+  const settings = getCommsSettings(configData);
+  const cutover = extractCutoverFacts(discoveryData);
+  const dates = planDates(plan, schedule);
+  const zero = dayZero || dates.cutoverDate || dates.onboardingDate;
+  if (!zero) return null;
+
+  const facts = {
+    ...extractContactFacts(discoveryData),
+    mailPlatform: cutover.mailPlatform,
+    domains: cutover.domains,
+    acquirerName: settings.acquirerName,
+    helpdeskPhone: settings.helpdeskPhone,
+    helpdeskEmail: settings.helpdeskEmail,
+    portalUrl: settings.portalUrl,
+    onboardingDate: dates.onboardingDate,
+    cutoverDate: zero
+  };
+  Object.keys(facts).forEach((key) => {
+    if (facts[key] == null || facts[key] === '') delete facts[key];
+  });
+
+  const missing = new Set();
+  const kept = new Map((previous?.messages || []).filter((m) => m.edited && !reset.includes(m.id)).map((m) => [m.id, m]));
+  const messages = settings.templates.map((template) => {
+    const offset = Number(template.offset) || 0;
+    const edited = kept.get(template.id);
+    const subject = fill(template.subject, facts, missing);
+    const body = fill(template.body, facts, missing);
+    return {
+      id: template.id,
+      label: offsetLabel(offset),
+      offset,
+      sendDate: sendDate(zero, offset),
+      subject: edited ? edited.subject : subject,
+      body: edited ? edited.body : body,
+      edited: Boolean(edited)
+    };
+  }).sort((a, b) => a.offset - b.offset);
+
+  const warnings = [...missing].map((key) => `No ${FIELD_LABELS[key] || key}; fill in the placeholder before sending`);
+  if (!dayZero && !dates.cutoverDate) warnings.unshift('No scheduled email cutover; Day 0 is the user onboarding start. Set a Day 0 date to override.');
+
+  return {
+    generatedAt: new Date().toISOString(),
+    dayZero: zero,
+    dayZeroSource: dayZero ? 'override' : dates.cutoverDate ? 'email-cutover' : 'user-onboarding',
+    sender: { name: settings.senderName || settings.acquirerName || '', email: settings.senderEmail || '' },
+    recipients: settings.recipients || facts.pocEmail || '',
+    facts,
+    warnings,
+    messages
+  };
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function linkify(text) {
+  return escapeHtml(text).replace(/https?:\/\/[^\s<,)]+/g, (url) => `<a href="${url}">${url}</a>`);
+}
+
+// Paragraphs, "- " bullets and "## " headings to HTML
+function bodyToHtml(body) {
+  return String(body || '').split(/\n\s*\n/).map((block) => {
+    const lines = block.split('\n').map((l) => l.trim()).filter(Boolean);
+    if (!lines.length) return '';
+    if (lines.every((l) => l.startsWith('- '))) {
+      return `<ul>${lines.map((l) => `<li>${linkify(l.slice(2))}</li>`).join('')}</ul>`;
+    }
+    if (lines.length === 1 && lines[0].startsWith('## ')) return `<h3>${linkify(lines[0].slice(3))}</h3>`;
+    return `<p>${lines.map(linkify).join('<br>')}</p>`;
+  }).join('\n');
+}
+
+function bodyToText(body) {
+  return String(body || '').replace(/^## (.*)$/gm, (_, heading) => heading.toUpperCase());
+}
+
+const PAGE_STYLE = 'body{font-family:Segoe UI,Arial,sans-serif;font-size:14px;color:#323130;max-width:720px;margin:1.5rem auto;line-height:1.45}h3{font-size:15px;margin:1.2em 0 .3em}.meta{color:#605e5c;font-size:12px}section{border-top:1px solid #edebe9;margin-top:1.5rem;padding-top:.5rem}';
+
+// One message, or the whole pack when messages has several entries
+function renderCommsHtml(pack, messages, title) {
+  const sections = messages.map((m) => [
+    messages.length > 1 ? '<section>' : '',
+    messages.length > 1 ? `<div class="meta">${m.label} · send ${m.sendDate}</div><h2>${escapeHtml(m.subject)}</h2>` : '',
+    bodyToHtml(m.body),
+    messages.length > 1 ? '</section>' : ''
+  ].join('\n'));
+  return [
+    '<!DOCTYPE html>',
+    '<html><head><meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${PAGE_STYLE}</style>`,
+    '</head><body>',
+    messages.length > 1 ? `<h1>${escapeHtml(title)}</h1><p class="meta">Day 0: ${pack.dayZero}</p>` : '',
+    ...sections,
+    '</body></html>'
+  ].join('\n');
+}
+
+const encodeHeader = (text) => (/^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`);
+const base64Lines = (text) => Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+function formatAddress(name, email) {
+  if (!email) return '';
+  return name ? `${encodeHeader(name)} <${email}>` : email;
+}
+
+// RFC 5322 draft (X-Unsent) with plain-text and HTML parts; Outlook opens
+// it ready to send
+function renderCommsEml(pack, message) {
+  const boundary = `----=_comms_${message.id.replace(/[^\w-]/g, '')}_${Date.parse(pack.generatedAt) || 0}`;
+  const headers = [
+    pack.sender.email ? `From: ${formatAddress(pack.sender.name, pack.sender.email)}` : null,
+    pack.recipients ? `To: ${pack.recipients}` : null,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date(`${message.sendDate}T09:00:00Z`).toUTCString().replace('GMT', '+0000')}`,
+    'X-Unsent: 1',
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`
+  ].filter(Boolean);
+  return [
+    ...headers,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(bodyToText(message.body)),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(renderCommsHtml(pack, [message], message.subject)),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  extractContactFacts,
+  buildCommsPack,
+  renderCommsHtml,
+  renderCommsEml
+};
@@ -0,0 +1,99 @@
+// Minimal .xlsx reader for the workbooks we ingest (RVTools exports).
+// Returns sheet cell values as text rows, the same shape parseCsvRows
+// gives for a CSV, so a tab and its CSV export parse the same way. Styles,
+// formulas and dates are not interpreted; booleans read as True/False.
+
+const JSZip = require('jszip');
+
+function decodeXml(text) {
+  return String(text)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+const attr = (attrs, name) => (attrs.match(new RegExp(`\\b${name}="([^"]*)"`)) || [])[1];
+
+// Text of <t> runs, joined (rich text splits a string into several runs)
+const runsText = (xml) => [...String(xml).matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map((m) => decodeXml(m[1])).join('');
+
+// "AB12" -> 27 (zero-based column index)
+function columnIndex(ref) {
+  const letters = String(ref || '').match(/^[A-Z]+/);
+  if (!letters) return null;
+  return letters[0].split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+function parseSheet(xml, sharedStrings) {
+  const rows = [];
+  for (const rowMatch of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+    for (const cell of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = cell[1];
+      const inner = cell[2] || '';
+      const type = attr(attrs, 't');
+      const raw = (inner.match(/<v>([^<]*)<\/v>/) || [])[1];
+      let value = '';
+      if (type === 's') value = sharedStrings[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = runsText(inner);
+      else if (type === 'b') value = raw === '1' ? 'True' : 'False';
+      else if (raw !== undefined) value = decodeXml(raw);
+      const index = columnIndex(attr(attrs, 'r'));
+      row[index == null ? row.length : index] = value;
+    }
+    rows.push(Array.from(row, (value) => value ?? ''));
+  }
+  return rows.filter((r) => r.some((cell) => String(cell).trim() !== ''));
+}
+
+// Sheet names in workbook order, or null when the buffer is not an xlsx
+async function readWorkbook(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    return null;
+  }
+  const workbook = zip.file('xl/workbook.xml');
+  const rels = zip.file('xl/_rels/workbook.xml.rels');
+  if (!workbook || !rels) return null;
+
+  const targets = {};
+  for (const m of (await rels.async('string')).matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    targets[attr(m[1], 'Id')] = attr(m[1], 'Target');
+  }
+  const sheets = [...(await workbook.async('string')).matchAll(/<sheet\b([^>]*)\/?>/g)].map((m) => {
+    const target = targets[attr(m[1], 'r:id')] || '';
+    return {
+      name: decodeXml(attr(m[1], 'name') || ''),
+      path: target.startsWith('/') ? target.slice(1) : `xl/${target}`
+    };
+  });
+  return { zip, sheets };
+}
+
+// { [sheet name]: rows } for the named sheets present in the workbook
+// (all sheets when names is omitted), or null when it is not an xlsx.
+async function readXlsxSheets(buffer, names) {
+  const book = await readWorkbook(buffer);
+  if (!book) return null;
+  const wanted = book.sheets.filter((sheet) => !names || names.includes(sheet.name));
+  const stringsFile = book.zip.file('xl/sharedStrings.xml');
+  const sharedStrings = stringsFile
+    ? [...(await stringsFile.async('string')).matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => runsText(m[1]))
+    : [];
+
+  const result = {};
+  for (const sheet of wanted) {
+    const file = book.zip.file(sheet.path);
+    if (file) result[sheet.name] = parseSheet(await file.async('string'), sharedStrings);
+  }
+  return result;
+}
+
+module.exports = {
+  readXlsxSheets
+};
@@ -1,5 +1,10 @@
 const { OpenAIClient, AzureKeyCredential } = require('@azure/openai');
 const { CosmosClient } = require('@azure/cosmos');
+const { computeRollups } = require('../shared/rollups');
+const { selectCalibration } = require('../shared/calibration');
+const { findScenario, applyDiscoveryOverrides } = require('../shared/scenarios');
+const { getSimulationConfig, simulatePlan } = require('../shared/simulation');
+const { compactInventory } = require('../shared/rvtools');
 
 // Helper to call OpenAI with a primary deployment and gracefully fall back
 // to a default deployment if the primary deployment does not exist in the
@@ -76,92 +81,31 @@ module.exports = async function (context, req) {
     const client = new OpenAIClient(openAIEndpoint, new AzureKeyCredential(openAIKey));
 
     const { resource: session } = await container.item(sessionId, sessionId).read();
-    if (!session || !session.executionPlan) {
+
+    // ?scenarioId= builds the SOW from a what-if scenario's plan instead
+    const scenarioId = (req.query && req.query.scenarioId) || (req.body && req.body.scenarioId);
+    const scenario = scenarioId && session ? findScenario(session, scenarioId) : null;
+    const executionPlan = scenarioId ? scenario && scenario.executionPlan : session && session.executionPlan;
+    if (!executionPlan) {
       context.res = {
         status: 404,
         headers: { 'Content-Type': 'application/json' },
-        body: { error: 'Execution plan not found for session' }
+        body: { error: scenarioId ? 'Execution plan not found for scenario' : 'Execution plan not found for session' }
       };
       return;
     }
 
-    const executionPlan = session.executionPlan;
-    const discoveryData = session.discoveryData || {};
+    const discoveryData = scenario
+      ? applyDiscoveryOverrides(session.discoveryData, scenario.discoveryOverrides)
+      : session.discoveryData || {};
 
     // Pre-compute deliverable and phase hour rollups from executionPlan
-    function computeRollups(plan) {
-      const rollups = {
-        totalHours: 0,
-        byPhase: [],
-        byDeliverable: {
-          deliverable1: 0,
-          deliverable2: 0,
-          deliverable3: 0,
-          deliverable4: 0,
-          projectManagement: 0,
-        },
-      };
-      if (!plan || !Array.isArray(plan.phases)) return rollups;
-
-      const d = rollups.byDeliverable;
-
-      plan.phases.forEach((phase) => {
-        const tasks = Array.isArray(phase.tasks) ? phase.tasks : [];
-        const hours = tasks.reduce((sum, t) => sum + (typeof t === 'object' && typeof t.hours === 'number' ? t.hours : 0), 0);
-        rollups.totalHours += hours;
-        rollups.byPhase.push({ id: phase.id, name: phase.name, hours });
-
-        const name = (phase.name || '').toLowerCase();
-        if (name.includes('server migration')) d.deliverable1 += hours;
-        else if (name.includes('user onboarding')) d.deliverable2 += hours;
-        else if (name.includes('data migration') || name.includes('lockdown')) d.deliverable3 += hours;
-        else if (name.includes('email') || name.includes('dns') || name.includes('onedrive') || name.includes('website')) d.deliverable4 += hours;
-        else if (name.includes('post-migration') || name.includes('stabilization') || name.includes('project management') || name.includes('pm')) d.projectManagement += hours;
-      });
-
-      return rollups;
-    }
-
     const rollups = computeRollups(executionPlan);
 
-    // Helper: try to infer a customer/company name from discovery data
-    // small-firm, two-server, five-user migration. This is used to
-    // calibrate GPT's estimates so they stay in a realistic range.
-    const baselineHoursTemplate = `
-PROJECT TYPE EXAMPLE (REFERENCE ONLY)
-- Scenario: 2 servers, ~5 users, single main office plus small satellite.
-- High-level phases and typical effort:
-  - Phase 0: Pre-Migration & Discovery .......... ~12 hours
-  - Phase 1: Server Migration (Deliverable 1) ... ~42 hours
-  - Phase 2: User Onboarding (5 users) .......... ~22.5 hours
-  - Phase 3: Data Migration/Lockdown/Backup ..... ~18 hours
-  - Phase 4: Email/OneDrive/Website/DNS Cutover . ~27.5 hours
-  - Phase 5: Post-Migration & Stabilization ..... ~29.5 hours
-  - Total baseline effort ........................ ~150–155 hours
-
-HOURS BY DELIVERABLE (REFERENCE)
-- Deliverable 1 – Two Server Migration
-  - Includes Datto prep, VHD export/import, Azure VM build, security stack,
-    permissions, backup cutover, and server validation.
-  - Typical: ~56 hours total.
-- Deliverable 2 – User Onboarding (5 users / 5 laptops)
-  - Includes AD/M365 accounts, imaging, deployment, profile config,
-    and user orientation.
-  - Typical: ~27.5 hours total.
-- Deliverable 3 – Data Migration/Lockdown/Backup
-  - Includes S: drive validation, workstation data sweep, retention model,
-    backup validation, and legacy backup decommission.
-  - Typical: ~21 hours total.
-- Deliverable 4 – Email/OneDrive/Website/DNS Cutover
-  - Includes domain transfer, DNS/Proofpoint, BitTitan migrations,
-    OneDrive moves, and mail-flow testing.
-  - Typical: ~31.5 hours total.
-
-These numbers are not hard constraints, but for a similarly sized
-environment (2 servers, ~5 users) the total project estimate should
-usually stay within ~135–170 hours unless discovery clearly indicates
-substantially more or less work (larger data sets, many more users,
-complex VPN/site topology, heavy application remediation, etc.).`;
+    // Same nearest-reference calibration plan-generate used, so the SOW
+    // hours are anchored to comparable completed engagements.
+    const calibration = await selectCalibration(database, discoveryData, { excludeId: sessionId });
+    context.log(`[sow-builder-data] Calibration source: ${calibration.summary.source} (${calibration.summary.references.map((r) => r.sessionId).join(', ') || 'baseline'})`);
 
     // Helper: try to infer a customer/company name from discovery data
     function inferCustomerFromDiscovery(dd) {
@@ -207,17 +151,16 @@ execution plan when assigning hours to service items:
 Use these as constraints so that the sum of service item hours by phase
 and by deliverable matches these rollups as closely as possible.
 
-Use the following reference project as a calibration example for
-phase structure and realistic hours for a two-server, five-user
-migration. Do not copy client names, but mirror the level of detail
-and approximate effort when the discovered environment is of similar
-size:
+Use the following reference ${calibration.summary.source === 'references' ? 'engagements' : 'project'} as a calibration example for
+phase structure and realistic hours. Do not copy client names, but
+mirror the level of detail and approximate effort, scaled to the size
+of the discovered environment:
 
-${baselineHoursTemplate}
+${calibration.prompt}
 
 Now analyze the actual engagement details below.
 
-Input discovery data (JSON):\n${JSON.stringify(discoveryData, null, 2)}
+Input discovery data (JSON):\n${JSON.stringify(compactInventory(discoveryData), null, 2)}
 
 Input execution plan (JSON):\n${JSON.stringify(executionPlan, null, 2)}
 
@@ -348,6 +291,12 @@ Rules:
       context.log('Post-processing SOW enhancements failed:', ppErr.message);
     }
 
+    // Monte Carlo totals so the builder can price at P50/P80/P95; plans
+    // saved before simulation existed are simulated here.
+    if (sow) {
+      sow.confidence = executionPlan.simulation || simulatePlan(executionPlan, getSimulationConfig(configData));
+    }
+
     context.res = {
       status: 200,
       headers: { 'Content-Type': 'application/json' },
@@ -14,9 +14,22 @@ import dagre from 'dagre';
 import { MessageSquare, GitBranch, Download, Play } from 'lucide-react';
 import ChatInterface from './components/ChatInterface';
 import DiscoveryPanel from './components/DiscoveryPanel';
+import SecurityScorecardPanel from './components/SecurityScorecardPanel';
+import TenantImportPanel from './components/TenantImportPanel';
 import NetworkDiagram from './components/NetworkDiagram';
 import FileUploadPanel from './components/FileUploadPanel';
 import AdminPanel from './components/AdminPanel';
+import VariancePanel from './components/VariancePanel';
+import TimelineView from './components/TimelineView';
+import ScenarioView from './components/ScenarioView';
+import RunbookView from './components/RunbookView';
+import ChecklistView from './components/ChecklistView';
+import CommsView from './components/CommsView';
+import RiskView from './components/RiskView';
+import ComplianceView from './components/ComplianceView';
+import ConfidencePanel from './components/ConfidencePanel';
+import PlanInspector from './components/PlanInspector';
+import PlanDiffPanel from './components/PlanDiffPanel';
 import './App.css';
 
 const dagreGraph = new dagre.graphlib.Graph();
@@ -54,10 +67,45 @@ const getLayoutedElements = (nodes, edges, direction = 'TB') => {
   return { nodes, edges };
 };
 
+// Task -> task dependency edges from the plan analysis. Critical-path
+// edges are drawn red and animated; edges that close a cycle are dashed.
+const buildDependencyEdges = (planNodes, analysis) => {
+  if (!analysis || !Array.isArray(analysis.edges)) return [];
+  const nodeIdByTask = new Map(planNodes.filter((n) => n.data?.taskId).map((n) => [n.data.taskId, n.id]));
+  return analysis.edges
+    .filter((edge) => nodeIdByTask.has(edge.from) && nodeIdByTask.has(edge.to))
+    .map((edge) => ({
+      id: `dep-${edge.from}-${edge.to}`,
+      source: nodeIdByTask.get(edge.from),
+      target: nodeIdByTask.get(edge.to),
+      type: 'smoothstep',
+      animated: edge.critical,
+      data: { type: 'dependency', critical: edge.critical },
+      style: edge.critical
+        ? { stroke: '#D13438', strokeWidth: 2.5 }
+        : edge.cyclic
+          ? { stroke: '#FFB900', strokeDasharray: '4 2' }
+          : { stroke: '#605E5C' }
+    }));
+};
+
+const highlightCriticalTasks = (planNodes, analysis) => planNodes.map((node) => {
+  const schedule = node.data?.taskId && analysis?.tasks?.[node.data.taskId];
+  if (!schedule) return node;
+  return {
+    ...node,
+    data: { ...node.data, schedule },
+    style: schedule.critical
+      ? { ...node.style, border: '2px solid #D13438', fontWeight: 600 }
+      : node.style
+  };
+});
+
 function App() {
   const [nodes, setNodes, onNodesChange] = useNodesState([]);
   const [edges, setEdges, onEdgesChange] = useEdgesState([]);
   const [discoveryData, setDiscoveryData] = useState({});
+  const [discoveryProvenance, setDiscoveryProvenance] = useState({});
   const [currentPhase, setCurrentPhase] = useState(null);
   const [sessionId, setSessionId] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
@@ -66,10 +114,26 @@ function App() {
     window.location.pathname === '/admin.html'
   );
   const [config, setConfig] = useState(null);
-  const [viewMode, setViewMode] = useState('plan'); // 'plan' | 'network'
+  const [viewMode, setViewMode] = useState('plan'); // 'plan' | 'network' | 'timeline' | 'scenarios' | 'runbook' | 'checklist' | 'comms' | 'risks' | 'compliance'
   const [planHistory, setPlanHistory] = useState([]);
   const [showPlanHistory, setShowPlanHistory] = useState(false);
   const [isSavingPlan, setIsSavingPlan] = useState(false);
+  const [psaPreview, setPsaPreview] = useState(null);
+  const [planVariance, setPlanVariance] = useState(null);
+  const [actualsPulledAt, setActualsPulledAt] = useState(null);
+  const [showVariance, setShowVariance] = useState(false);
+  const [showConfidence, setShowConfidence] = useState(false);
+  const [planCalibration, setPlanCalibration] = useState(null);
+  const [planReconciliation, setPlanReconciliation] = useState(null);
+  const [planError, setPlanError] = useState(null);
+  const [planAnalysis, setPlanAnalysis] = useState(null);
+  const [planVersion, setPlanVersion] = useState(0);
+  const [executionPlan, setExecutionPlan] = useState(null);
+  const [planSelection, setPlanSelection] = useState(null);
+  const [planEditError, setPlanEditError] = useState(null);
+  const [isSavingPlanEdit, setIsSavingPlanEdit] = useState(false);
+  const [planDiff, setPlanDiff] = useState(null);
+  const [diffSelection, setDiffSelection] = useState({ fromId: '', toId: 'current' });
 
   const persistSessionId = (id) => {
     try {
@@ -102,6 +166,13 @@ function App() {
 
       const loadedDiscovery = data.discoveryData || {};
       setDiscoveryData(loadedDiscovery);
+      setDiscoveryProvenance(data.discoveryProvenance || {});
+      setPlanVariance(data.planVariance || null);
+      setActualsPulledAt(data.actualsPulledAt || null);
+      setPlanCalibration(data.executionPlan?.calibration || null);
+      setPlanReconciliation(data.executionPlan?.reconciliation || null);
+      setPlanAnalysis(data.executionPlan?.analysis || null);
+      setExecutionPlan(data.executionPlan || null);
 
       // Ensure root node exists when resuming an existing session
       const rootNode = {
@@ -270,9 +341,23 @@ function App() {
     setEdges(layouted.edges);
   };
 
+  // Imported values that were changed since are no longer the import's;
+  // mirrors shared/discovery-provenance on the server.
+  const dropChangedProvenance = (category, data) => {
+    const previous = discoveryData[category] || {};
+    setDiscoveryProvenance((prev) => {
+      const byKey = { ...(prev[category] || {}) };
+      Object.keys(byKey).forEach((key) => {
+        if (!(key in data) || JSON.stringify(previous[key]) !== JSON.stringify(data[key])) delete byKey[key];
+      });
+      return { ...prev, [category]: byKey };
+    });
+  };
+
   const handleDiscoveryResponse = (category, data) => {
     // Update discovery data when chat extracts info
     if (data && Object.keys(data).length > 0) {
+      dropChangedProvenance(category, data);
       setDiscoveryData((prev) => ({
         ...prev,
         [category]: data,
@@ -298,6 +383,7 @@ function App() {
     const previousCategoryData = discoveryData[category] || {};
     const updatedCategoryData = { ...previousCategoryData, [key]: value };
 
+    dropChangedProvenance(category, updatedCategoryData);
     setDiscoveryData((prev) => ({
       ...prev,
       [category]: updatedCategoryData,
@@ -307,11 +393,19 @@ function App() {
     syncDiscoveryUpdate(category, updatedCategoryData);
   };
 
-  const handleDiscoveryMergeFromFile = (allDiscoveryData) => {
+  // provenance, when the server returns it, replaces the local guess so
+  // an import's own entries win
+  const handleDiscoveryMergeFromFile = (allDiscoveryData, provenance) => {
     setDiscoveryData(allDiscoveryData || {});
     Object.entries(allDiscoveryData || {}).forEach(([category, data]) => {
+      dropChangedProvenance(category, data || {});
       updateCategoryNode(category, data);
     });
+    if (provenance) setDiscoveryProvenance(provenance);
+  };
+
+  const handleTenantImport = (result) => {
+    handleDiscoveryMergeFromFile(result.discoveryData, result.discoveryProvenance || {});
   };
 
   const handleCategoryChange = (categoryId) => {
@@ -319,11 +413,11 @@ function App() {
   };
 
   const filterBaseGraph = () => {
-    // Keep non-plan nodes/edges (root + discovery categories), drop previous phases/tasks
+    // Keep non-plan nodes/edges (root + discovery categories), drop previous phases/tasks/gates
     const baseNodes = nodes.filter((n) => {
       const t = n.data?.type;
-      if (t === 'phase' || t === 'task') return false;
-      if (n.id.startsWith('phase-') || n.id.startsWith('task-')) return false;
+      if (t === 'phase' || t === 'task' || t === 'gate' || t === 'rollback') return false;
+      if (['phase-', 'task-', 'gate-', 'rollback-'].some((prefix) => n.id.startsWith(prefix))) return false;
       return true;
     });
     const baseNodeIds = new Set(baseNodes.map((n) => n.id));
@@ -331,9 +425,24 @@ function App() {
     return { baseNodes, baseEdges };
   };
 
+  // Replace any existing plan nodes with the given plan graph
+  const showPlanGraph = (planNodes, planEdges, analysis) => {
+    const { baseNodes, baseEdges } = filterBaseGraph();
+    const updatedNodes = [...baseNodes, ...highlightCriticalTasks(planNodes || [], analysis)];
+    const updatedEdges = [
+      ...baseEdges,
+      ...(planEdges || []),
+      ...buildDependencyEdges(planNodes || [], analysis)
+    ];
+    const layouted = getLayoutedElements(updatedNodes, updatedEdges);
+    setNodes(layouted.nodes);
+    setEdges(layouted.edges);
+  };
+
   const generateExecutionPlan = async () => {
     if (!sessionId) return;
     setIsProcessing(true);
+    setPlanError(null);
     try {
       const { baseNodes, baseEdges } = filterBaseGraph();
       const response = await fetch('https://maonboarding-functions.azurewebsites.net/api/plan-generate', {
@@ -346,41 +455,209 @@ function App() {
         })
       });
       
-      const plan = await response.json();
+      const plan = await response.json().catch(() => null);
+      if (!response.ok || !plan) {
+        // Keep the current plan on screen; nothing was saved server-side
+        setPlanError({
+          message: plan?.error || `Plan generation failed (HTTP ${response.status})`,
+          details: plan?.details || null,
+          attempts: plan?.attempts || null,
+          validationErrors: plan?.validationErrors || []
+        });
+        return;
+      }
       
-      // Replace any existing plan nodes with the new plan
       if (plan.planNodes) {
-        const { baseNodes, baseEdges } = filterBaseGraph();
-        const updatedNodes = [...baseNodes, ...(plan.planNodes || [])];
-        const updatedEdges = [...baseEdges, ...(plan.planEdges || [])];
-        const layouted = getLayoutedElements(updatedNodes, updatedEdges);
-        setNodes(layouted.nodes);
-        setEdges(layouted.edges);
+        showPlanGraph(plan.planNodes, plan.planEdges, plan.analysis);
       }
+      setPlanCalibration(plan.calibration || null);
+      setPlanReconciliation(plan.reconciliation || null);
+      setPlanAnalysis(plan.analysis || null);
+      setExecutionPlan(plan.executionPlan || null);
+      setPlanSelection(null);
+      setPlanVersion((v) => v + 1);
       
-      // Export to ConnectWise if configured
-      if (plan.connectwiseTickets) {
-        await createConnectWiseTickets(plan.connectwiseTickets);
-      }
+      // Show what a ConnectWise push would change before anything is sent
+      await previewConnectWiseSync();
     } catch (error) {
       console.error('Failed to generate execution plan:', error);
+      setPlanError({ message: 'Plan generation failed', details: error.message, attempts: null, validationErrors: [] });
     } finally {
       setIsProcessing(false);
     }
   };
 
-  const createConnectWiseTickets = async (tickets) => {
+  // A scenario replaced the session plan and discovery data
+  const adoptScenario = (result) => {
+    setDiscoveryData(result.discoveryData);
+    setDiscoveryProvenance(result.discoveryProvenance || {});
+    setExecutionPlan(result.executionPlan);
+    setPlanAnalysis(result.analysis);
+    setPlanSelection(null);
+    showPlanGraph(result.planNodes, result.planEdges, result.analysis);
+    setPlanVersion((v) => v + 1);
+  };
+
+  // Task inspector edits. nextSelection (when given) replaces the current
+  // selection, e.g. after deleting the selected task.
+  const applyPlanEdits = async (operations, nextSelection) => {
+    if (!sessionId) return;
+    setIsSavingPlanEdit(true);
+    setPlanEditError(null);
+    try {
+      const response = await fetch('/api/plan-update', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, operations })
+      });
+      const result = await response.json().catch(() => null);
+      if (!response.ok || !result) {
+        setPlanEditError(result?.error || `Plan update failed (HTTP ${response.status})`);
+        return;
+      }
+      setExecutionPlan(result.executionPlan);
+      setPlanAnalysis(result.analysis);
+      showPlanGraph(result.planNodes, result.planEdges, result.analysis);
+      if (nextSelection !== undefined) setPlanSelection(nextSelection);
+      setPlanVersion((v) => v + 1);
+    } catch (error) {
+      console.error('Failed to update execution plan:', error);
+      setPlanEditError(error.message);
+    } finally {
+      setIsSavingPlanEdit(false);
+    }
+  };
+
+  const selectPlanItem = (selection) => {
+    setPlanEditError(null);
+    setPlanSelection(selection);
+  };
+
+  const previewConnectWiseSync = async () => {
+    if (!sessionId) return;
+    try {
+      const response = await fetch('/api/connectwise-sync-diff', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId })
+      });
+      const diff = await response.json().catch(() => null);
+      if (response.ok && diff) {
+        setPsaPreview(diff);
+      } else {
+        console.error('Failed to preview ConnectWise sync:', diff);
+      }
+    } catch (error) {
+      console.error('Failed to preview ConnectWise sync:', error);
+    }
+  };
+
+  // Pushes the session's plan tasks; the API diffs against session.psaSync
+  // so unchanged tasks are skipped and removed tasks are closed.
+  const createConnectWiseTickets = async () => {
+    setPsaPreview(null);
+    setIsProcessing(true);
     try {
       const response = await fetch('/api/connectwise-tickets', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ tickets })
+        body: JSON.stringify({
+          sessionId,
+          companyName: discoveryData.general?.company_name || undefined
+        })
       });
       
-      const result = await response.json();
-      console.log('ConnectWise tickets created:', result);
+      const result = await response.json().catch(() => null);
+      if (!response.ok) {
+        console.error('Failed to create ConnectWise tickets:', result);
+        return;
+      }
+      console.log('ConnectWise tickets synced:', result);
+      if (result.failed && result.failed.length) {
+        window.alert(`${result.failed.length} ConnectWise ticket operation(s) failed. See console for details.`);
+      }
     } catch (error) {
       console.error('Failed to create ConnectWise tickets:', error);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const createConnectWiseProject = async () => {
+    if (!sessionId) return;
+    setIsProcessing(true);
+    try {
+      const response = await fetch('/api/connectwise-project', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId })
+      });
+      const result = await response.json().catch(() => null);
+      if (response.ok && result && result.project) {
+        if (result.warnings && result.warnings.length) {
+          console.warn('ConnectWise project warnings:', result.warnings);
+        }
+        window.open(result.project.url, '_blank');
+      } else {
+        console.error('Failed to create ConnectWise project:', result);
+        window.alert(result?.error || 'Failed to create ConnectWise project');
+      }
+    } catch (error) {
+      console.error('Failed to create ConnectWise project:', error);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Append "actual / estimated" hours to plan task node labels
+  const annotateTaskNodes = (variance) => {
+    const byTaskId = new Map((variance?.byTask || []).map((row) => [row.taskId, row]));
+    setNodes((nds) => nds.map((node) => {
+      const row = node.data?.taskId && byTaskId.get(node.data.taskId);
+      if (!row) return node;
+      const baseLabel = node.data.baseLabel || node.data.label;
+      return {
+        ...node,
+        data: {
+          ...node.data,
+          baseLabel,
+          label: `${baseLabel} (${row.actualHours}h / ${row.estimatedHours}h)`
+        },
+        style: {
+          ...node.style,
+          border: row.variance > 0 ? '2px solid #D13438' : '2px solid #107C10'
+        }
+      };
+    }));
+  };
+
+  const pullConnectWiseActuals = async () => {
+    if (!sessionId) return;
+    setIsProcessing(true);
+    try {
+      const response = await fetch('/api/connectwise-actuals', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId })
+      });
+      const result = await response.json().catch(() => null);
+      if (response.ok && result && result.variance) {
+        setPlanVariance(result.variance);
+        setActualsPulledAt(result.pulledAt);
+        setShowConfidence(false);
+        setShowVariance(true);
+        annotateTaskNodes(result.variance);
+        if (result.failed && result.failed.length) {
+          console.warn('Some ConnectWise tickets could not be read:', result.failed);
+        }
+      } else {
+        console.error('Failed to pull ConnectWise actuals:', result);
+        window.alert(result?.error || 'Failed to pull ConnectWise actuals');
+      }
+    } catch (error) {
+      console.error('Failed to pull ConnectWise actuals:', error);
+    } finally {
+      setIsProcessing(false);
     }
   };
 
@@ -455,6 +732,48 @@ function App() {
     }
   };
 
+  // toId 'current' compares against the session's current plan
+  const comparePlanHistory = async (fromId, toId = 'current') => {
+    if (!sessionId || !fromId) return;
+    try {
+      const response = await fetch('/api/plan-history-diff', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, fromId, toId })
+      });
+      const data = await response.json().catch(() => null);
+      if (response.ok && data && data.diff) {
+        setPlanDiff(data);
+        setShowPlanHistory(false);
+      } else {
+        console.error('Failed to diff plan history:', data);
+        window.alert(data?.error || 'Failed to compare plans');
+      }
+    } catch (error) {
+      console.error('Error diffing plan history:', error);
+    }
+  };
+
+  // The signed entry is the baseline for change orders in the SOW builder
+  const signHistoryEntry = async (planId, signed) => {
+    if (!sessionId || !planId) return;
+    try {
+      const response = await fetch('/api/plan-history-sign', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, planId, signed })
+      });
+      const data = await response.json().catch(() => null);
+      if (response.ok && data && Array.isArray(data.history)) {
+        setPlanHistory(data.history);
+      } else {
+        console.error('Failed to update signed plan:', data);
+      }
+    } catch (error) {
+      console.error('Error updating signed plan:', error);
+    }
+  };
+
   const deleteHistoryEntry = async (planId) => {
     if (!sessionId || !planId) return;
     try {
@@ -507,6 +826,11 @@ function App() {
     )
   };
 
+  // Phases the estimator scaled, flagged, or could not match
+  const reconciliationFlags = planReconciliation
+    ? planReconciliation.phases.filter((p) => p.status !== 'ok')
+    : [];
+
   // Handle admin route
   if (showAdmin) {
     return <AdminPanel />;
@@ -529,6 +853,48 @@ function App() {
           >
             Network View
           </button>
+          <button
+            onClick={() => setViewMode('timeline')}
+            className={`btn btn-secondary ${viewMode === 'timeline' ? 'active' : ''}`}
+          >
+            Timeline
+          </button>
+          <button
+            onClick={() => setViewMode('scenarios')}
+            className={`btn btn-secondary ${viewMode === 'scenarios' ? 'active' : ''}`}
+          >
+            Scenarios
+          </button>
+          <button
+            onClick={() => setViewMode('runbook')}
+            className={`btn btn-secondary ${viewMode === 'runbook' ? 'active' : ''}`}
+          >
+            Runbook
+          </button>
+          <button
+            onClick={() => setViewMode('checklist')}
+            className={`btn btn-secondary ${viewMode === 'checklist' ? 'active' : ''}`}
+          >
+            Day 1/30/100
+          </button>
+          <button
+            onClick={() => setViewMode('comms')}
+            className={`btn btn-secondary ${viewMode === 'comms' ? 'active' : ''}`}
+          >
+            User Comms
+          </button>
+          <button
+            onClick={() => setViewMode('risks')}
+            className={`btn btn-secondary ${viewMode === 'risks' ? 'active' : ''}`}
+          >
+            Risks
+          </button>
+          <button
+            onClick={() => setViewMode('compliance')}
+            className={`btn btn-secondary ${viewMode === 'compliance' ? 'active' : ''}`}
+          >
+            Compliance
+          </button>
           <button 
             onClick={generateExecutionPlan} 
             disabled={isProcessing || currentPhase === 'discovery'}
@@ -536,6 +902,27 @@ function App() {
           >
             <Play className="inline" /> Generate Plan
           </button>
+          <button
+            onClick={previewConnectWiseSync}
+            disabled={!sessionId || isProcessing}
+            className="btn btn-secondary"
+          >
+            PSA Sync
+          </button>
+          <button
+            onClick={createConnectWiseProject}
+            disabled={!sessionId || isProcessing}
+            className="btn btn-secondary"
+          >
+            CW Project
+          </button>
+          <button
+            onClick={planVariance && !showVariance ? () => { setShowConfidence(false); setShowVariance(true); } : pullConnectWiseActuals}
+            disabled={!sessionId || isProcessing}
+            className="btn btn-secondary"
+          >
+            {planVariance && !showVariance ? 'Show Actuals' : 'Pull Actuals'}
+          </button>
           <button
             onClick={saveCurrentPlan}
             disabled={!sessionId || isSavingPlan}
@@ -580,12 +967,21 @@ function App() {
             discoveryData={discoveryData}
             currentPhase={currentPhase}
             config={config}
+            provenance={discoveryProvenance}
             onEdit={handleDiscoveryEdit}
           />
+          <SecurityScorecardPanel
+            sessionId={sessionId}
+            discoveryData={discoveryData}
+          />
           <FileUploadPanel
             sessionId={sessionId}
             onDiscoveryMerge={handleDiscoveryMergeFromFile}
           />
+          <TenantImportPanel
+            sessionId={sessionId}
+            onImported={handleTenantImport}
+          />
         </div>
 
         {viewMode === 'plan' ? (
@@ -600,6 +996,14 @@ function App() {
                 if (node.id.endsWith('-node')) {
                   const categoryId = node.id.replace('-node', '');
                   setCurrentPhase(categoryId);
+                } else if (executionPlan && node.data?.type === 'task' && node.data.taskId) {
+                  setShowVariance(false);
+                  setShowConfidence(false);
+                  selectPlanItem({ type: 'task', id: node.data.taskId });
+                } else if (executionPlan && ['phase', 'gate', 'rollback'].includes(node.data?.type) && node.data.phaseId) {
+                  setShowVariance(false);
+                  setShowConfidence(false);
+                  selectPlanItem({ type: 'phase', id: node.data.phaseId });
                 }
               }}
               nodeTypes={nodeTypes}
@@ -620,7 +1024,93 @@ function App() {
                 }}
               />
             </ReactFlow>
+            {planCalibration && (
+              <div className="plan-calibration">
+                {planCalibration.source === 'references'
+                  ? `Calibrated on: ${planCalibration.references.map((ref) => `${ref.name} (${ref.totalHours}h)`).join(', ')}`
+                  : 'Calibrated on: baseline template (no comparable closed engagements)'}
+                {planAnalysis && (
+                  <div>
+                    Critical path: {planAnalysis.criticalPath.length} tasks, ~{planAnalysis.projectDays} working days at crew size {planAnalysis.crewSize}
+                    {planAnalysis.danglingRefs.length > 0 && ` — ${planAnalysis.danglingRefs.length} unknown dependencies`}
+                    {planAnalysis.cycles.length > 0 && ` — ${planAnalysis.cycles.length} dependency cycles`}
+                  </div>
+                )}
+                {executionPlan?.simulation && (
+                  <div>
+                    Hours P50 {executionPlan.simulation.project.p50}h · P80 {executionPlan.simulation.project.p80}h · P95 {executionPlan.simulation.project.p95}h
+                    {' '}
+                    <button
+                      className="plan-calibration-link"
+                      onClick={() => {
+                        setShowVariance(false);
+                        selectPlanItem(null);
+                        setShowConfidence(true);
+                      }}
+                    >
+                      by phase
+                    </button>
+                  </div>
+                )}
+                {planReconciliation && (
+                  <div>
+                    Estimator {planReconciliation.totals.estimatedHours}h · Model {planReconciliation.totals.llmHours}h · Plan {planReconciliation.totals.finalHours}h
+                    {reconciliationFlags.length > 0 && ` — ${reconciliationFlags.map((p) => `${p.name} ${p.status}${p.reason ? ` (${p.reason})` : ''}`).join('; ')}`}
+                  </div>
+                )}
+              </div>
+            )}
+            {planSelection && (
+              <PlanInspector
+                plan={executionPlan}
+                selection={planSelection}
+                analysis={planAnalysis}
+                busy={isSavingPlanEdit}
+                error={planEditError}
+                onApply={applyPlanEdits}
+                onSelect={selectPlanItem}
+                onClose={() => selectPlanItem(null)}
+              />
+            )}
+            {showConfidence && (
+              <ConfidencePanel
+                simulation={executionPlan?.simulation}
+                onClose={() => setShowConfidence(false)}
+              />
+            )}
+            {showVariance && (
+              <VariancePanel
+                variance={planVariance}
+                pulledAt={actualsPulledAt}
+                onClose={() => setShowVariance(false)}
+              />
+            )}
           </div>
+        ) : viewMode === 'timeline' ? (
+          <TimelineView sessionId={sessionId} refreshKey={planVersion} />
+        ) : viewMode === 'scenarios' ? (
+          <ScenarioView
+            sessionId={sessionId}
+            discoveryData={discoveryData}
+            decisionTree={{ nodes, edges }}
+            onAdopted={adoptScenario}
+          />
+        ) : viewMode === 'runbook' ? (
+          <RunbookView sessionId={sessionId} refreshKey={planVersion} />
+        ) : viewMode === 'checklist' ? (
+          <ChecklistView sessionId={sessionId} refreshKey={planVersion} />
+        ) : viewMode === 'comms' ? (
+          <CommsView sessionId={sessionId} refreshKey={planVersion} />
+        ) : viewMode === 'risks' ? (
+          <RiskView sessionId={sessionId} refreshKey={planVersion} />
+        ) : viewMode === 'compliance' ? (
+          <ComplianceView
+            sessionId={sessionId}
+            refreshKey={planVersion}
+            onApplyOperations={(operations) => applyPlanEdits(operations)}
+            isSavingPlan={isSavingPlanEdit}
+            planEditError={planEditError}
+          />
         ) : (
           <NetworkDiagram discoveryData={discoveryData} />
         )}
@@ -632,6 +1122,85 @@ function App() {
         </div>
       )}
 
+      {planError && (
+        <div className="processing-overlay" onClick={() => setPlanError(null)}>
+          <div
+            className="processing-spinner"
+            onClick={(e) => e.stopPropagation()}
+            style={{ minWidth: '420px', maxHeight: '60vh', overflowY: 'auto' }}
+          >
+            <div style={{ fontWeight: 700, marginBottom: '0.5rem', color: '#D13438' }}>
+              {planError.message}
+            </div>
+            <div style={{ fontSize: '0.8rem', marginBottom: '0.5rem' }}>
+              No plan was saved; the previous plan (if any) is unchanged.
+              {planError.attempts ? ` The model was asked ${planError.attempts} time(s).` : ''}
+            </div>
+            {planError.details && (
+              <div style={{ fontSize: '0.8rem', marginBottom: '0.5rem', opacity: 0.8 }}>{planError.details}</div>
+            )}
+            {planError.validationErrors.length > 0 && (
+              <div style={{ fontSize: '0.8rem', marginBottom: '0.5rem' }}>
+                <div style={{ fontWeight: 600 }}>Validation errors</div>
+                {planError.validationErrors.map((err) => (
+                  <div key={err} style={{ opacity: 0.8 }}>{err}</div>
+                ))}
+              </div>
+            )}
+            <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end' }}>
+              <button className="btn btn-secondary" onClick={() => setPlanError(null)}>
+                Dismiss
+              </button>
+              <button className="btn btn-primary" onClick={generateExecutionPlan}>
+                Retry
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {psaPreview && (
+        <div className="processing-overlay" onClick={() => setPsaPreview(null)}>
+          <div
+            className="processing-spinner"
+            onClick={(e) => e.stopPropagation()}
+            style={{ minWidth: '420px', maxHeight: '60vh', overflowY: 'auto' }}
+          >
+            <div style={{ fontWeight: 700, marginBottom: '0.5rem' }}>
+              ConnectWise Push Preview ({psaPreview.kind === 'project' ? 'project tickets' : 'service tickets'})
+            </div>
+            <div style={{ fontSize: '0.8rem', marginBottom: '0.5rem' }}>
+              {psaPreview.summary.create} to create, {psaPreview.summary.update} to update,{' '}
+              {psaPreview.summary.unchanged} unchanged, {psaPreview.summary.close} to close
+            </div>
+            {[
+              ['Create', psaPreview.create, (i) => i.fields.summary],
+              ['Update', psaPreview.update, (i) => `${i.fields.summary} (${i.changes.join(', ')})`],
+              ['Close', psaPreview.close, (i) => `#${i.ticketId} ${i.summary || i.taskId} (${i.reason})`]
+            ].filter(([, items]) => items.length > 0).map(([label, items, describe]) => (
+              <div key={label} style={{ fontSize: '0.8rem', marginBottom: '0.5rem' }}>
+                <div style={{ fontWeight: 600 }}>{label}</div>
+                {items.map((item) => (
+                  <div key={`${label}-${item.taskId}`} style={{ opacity: 0.8 }}>{describe(item)}</div>
+                ))}
+              </div>
+            ))}
+            <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end' }}>
+              <button className="btn btn-secondary" onClick={() => setPsaPreview(null)}>
+                Cancel
+              </button>
+              <button
+                className="btn btn-primary"
+                onClick={createConnectWiseTickets}
+                disabled={psaPreview.summary.create + psaPreview.summary.update + psaPreview.summary.close === 0}
+              >
+                Push to ConnectWise
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {showPlanHistory && (
         <div className="processing-overlay" onClick={() => setShowPlanHistory(false)}>
           <div
@@ -643,6 +1212,33 @@ function App() {
             {(!planHistory || planHistory.length === 0) && (
               <div style={{ fontSize: '0.8rem' }}>No saved plans for this session.</div>
             )}
+            {planHistory && planHistory.length > 0 && (
+              <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '0.75rem', fontSize: '0.8rem' }}>
+                <select
+                  value={diffSelection.fromId}
+                  onChange={(e) => setDiffSelection((prev) => ({ ...prev, fromId: e.target.value }))}
+                >
+                  <option value="">Compare…</option>
+                  {planHistory.map((h) => <option key={h.id} value={h.id}>{h.name}</option>)}
+                </select>
+                <span>→</span>
+                <select
+                  value={diffSelection.toId}
+                  onChange={(e) => setDiffSelection((prev) => ({ ...prev, toId: e.target.value }))}
+                >
+                  <option value="current">Current plan</option>
+                  {planHistory.map((h) => <option key={h.id} value={h.id}>{h.name}</option>)}
+                </select>
+                <button
+                  className="btn btn-secondary"
+                  style={{ padding: '0.25rem 0.5rem', fontSize: '0.75rem' }}
+                  disabled={!diffSelection.fromId || diffSelection.fromId === diffSelection.toId}
+                  onClick={() => comparePlanHistory(diffSelection.fromId, diffSelection.toId)}
+                >
+                  Compare
+                </button>
+              </div>
+            )}
             {planHistory && planHistory.map((h) => (
               <div
                 key={h.id}
@@ -655,7 +1251,10 @@ function App() {
                 }}
               >
                 <div>
-                  <div style={{ fontWeight: 600 }}>{h.name}</div>
+                  <div style={{ fontWeight: 600 }}>
+                    {h.name}
+                    {h.signed && <span style={{ marginLeft: '0.5rem', color: '#107C10' }}>✓ Signed</span>}
+                  </div>
                   <div style={{ opacity: 0.7 }}>{h.createdAt}</div>
                 </div>
                 <div style={{ display: 'flex', gap: '0.5rem' }}>
@@ -666,6 +1265,22 @@ function App() {
                   >
                     Load
                   </button>
+                  <button
+                    className="btn btn-secondary"
+                    style={{ padding: '0.25rem 0.5rem', fontSize: '0.75rem' }}
+                    onClick={() => comparePlanHistory(h.id)}
+                    title="Compare with the current plan"
+                  >
+                    Diff
+                  </button>
+                  <button
+                    className="btn btn-secondary"
+                    style={{ padding: '0.25rem 0.5rem', fontSize: '0.75rem' }}
+                    onClick={() => signHistoryEntry(h.id, !h.signed)}
+                    title="The signed plan is the baseline for generated change orders"
+                  >
+                    {h.signed ? 'Unsign' : 'Mark Signed'}
+                  </button>
                   <button
                     className="btn btn-secondary"
                     style={{ padding: '0.25rem 0.5rem', fontSize: '0.75rem' }}
@@ -679,6 +1294,14 @@ function App() {
           </div>
         </div>
       )}
+
+      {planDiff && (
+        <div className="processing-overlay" onClick={() => setPlanDiff(null)}>
+          <div onClick={(e) => e.stopPropagation()}>
+            <PlanDiffPanel result={planDiff} onClose={() => setPlanDiff(null)} />
+          </div>
+        </div>
+      )}
     </div>
   );
 }
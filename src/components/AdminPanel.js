@@ -91,13 +91,268 @@ const AdminPanel = () => {
       },
       aiModel: 'gpt-4.1-mini',
       maxContextMessages: 10,
+      planRepairAttempts: 2,
+      crewSize: 2,
+      resourcePool: [],
+      userComms: {
+        acquirerName: '',
+        senderName: '',
+        senderEmail: '',
+        recipients: '',
+        helpdeskPhone: '',
+        helpdeskEmail: '',
+        portalUrl: ''
+      },
       openAi: {
         endpoint: '',
         keySlot: 'primary'
+      },
+      connectwise: {
+        board: 'Professional Services',
+        companyIdentifier: '',
+        types: { project: 'Project', task: 'Task', change: 'Change Request' },
+        priorities: {
+          low: 'Priority 4 - Low',
+          medium: 'Priority 3 - Normal Response',
+          high: 'Priority 2 - Quick Response',
+          critical: 'Priority 1 - Emergency Response'
+        },
+        closedStatus: '>Closed',
+        projectBoard: 'Professional Services',
+        billingMethod: 'FixedFee',
+        workRoles: { SE: 'Systems Engineer', DIO: 'Solutions Architect', CXO: 'Project Manager' }
+      },
+      estimator: {
+        phases: [
+          { id: 'phase0', name: 'Pre-Migration & Discovery', baseHours: 6, drivers: { servers: 1.5, sites: 1.5 } },
+          { id: 'phase1', name: 'Server Migration', baseHours: 6, drivers: { servers: 18 } },
+          { id: 'phase2', name: 'User Onboarding', baseHours: 5, drivers: { users: 3.5 } },
+          { id: 'phase3', name: 'Data Migration/Lockdown/Backup', baseHours: 8, drivers: { users: 1, dataTb: 10 } },
+          { id: 'phase4', name: 'Email/OneDrive/Website/DNS Cutover', baseHours: 12, drivers: { mailboxes: 2, sites: 2.75 } },
+          { id: 'phase5', name: 'Post-Migration & Stabilization', baseHours: 14, drivers: { servers: 2, users: 1.5, sites: 2 } }
+        ],
+        complexity: [
+          { id: 'multiSite', label: 'More than 3 sites', metric: 'sites', threshold: 3, multiplier: 1.15, phases: ['phase0', 'phase4', 'phase5'] },
+          { id: 'largeData', label: 'More than 2 TB of data', metric: 'dataTb', threshold: 2, multiplier: 1.2, phases: ['phase3'] },
+          // Server OS and Exchange entries of api/shared/eol.js
+          {
+            id: 'legacyServers',
+            label: 'End-of-life server OS or Exchange',
+            keywords: [
+              'server 2003', 'server 2008', 'server 2012', 'sbs 2003', 'sbs 2008', 'sbs 2011', 'small business server',
+              'exchange 2003', 'exchange 2007', 'exchange 2010', 'exchange 2013', 'exchange 2016', 'exchange 2019'
+            ],
+            multiplier: 1.25,
+            phases: ['phase1']
+          },
+          { id: 'lobApplications', label: 'Line-of-business applications to migrate', keywords: ['line of business', 'erp', 'quickbooks', 'sql server'], multiplier: 1.15, phases: ['phase1', 'phase5'] },
+          { id: 'hybridIdentity', label: 'On-premises AD / hybrid identity', keywords: ['azure ad connect', 'entra connect', 'hybrid join'], multiplier: 1.1, phases: ['phase2'] }
+        ],
+        tolerancePct: 25,
+        reconcile: 'scale',
+        maxScaleFactor: 2
+      },
+      securityScorecard: {
+        rules: [
+          {
+            id: 'mfa',
+            label: 'MFA coverage',
+            type: 'answer',
+            weight: 25,
+            categories: ['security'],
+            keys: '(^|_)(mfa|2fa|multi_?factor|two_?factor)(_|$)',
+            levels: [
+              { keywords: ['admins only', 'admin only', 'partial', 'some', 'most', 'pilot', 'optional'], score: 50 },
+              { keywords: ['yes', 'all', 'all users', 'everyone', 'enforced', 'enabled', 'required', 'conditional access', 'security defaults', 'duo', 'authenticator', 'okta'], score: 100 }
+            ]
+          },
+          {
+            id: 'edr',
+            label: 'EDR coverage',
+            type: 'answer',
+            weight: 20,
+            categories: ['security', 'rmm', 'workstation', 'server'],
+            keys: '(^|_)(edr|xdr|mdr|antivirus|anti_virus|av|endpoint_protection|endpoint_security)(_|$)',
+            levels: [
+              { keywords: ['partial', 'some', 'most', 'servers only', 'workstations only'], score: 50 },
+              { keywords: ['windows defender', 'defender antivirus', 'free', 'consumer'], score: 60 },
+              { keywords: ['yes', 'all', 'everywhere', 'deployed', 'sentinelone', 'crowdstrike', 'defender for endpoint', 'defender for business', 'huntress', 'sophos intercept', 'bitdefender gravityzone', 'malwarebytes edr'], score: 100 }
+            ]
+          },
+          {
+            id: 'patching',
+            label: 'Patch posture',
+            type: 'answer',
+            weight: 15,
+            categories: ['rmm', 'workstation', 'server', 'security'],
+            keys: '(^|_)(patch(es|ing)?|patch_management|updates?|windows_update|wsus)(_|$)',
+            levels: [
+              { keywords: ['unpatched', 'not patched', 'behind', 'outdated', 'out of date', 'never', 'paused'], score: 10 },
+              { keywords: ['manual', 'manually', 'ad hoc', 'ad-hoc', 'when needed', 'sometimes', 'quarterly'], score: 40 },
+              { keywords: ['automated', 'automatic', 'auto', 'enabled', 'monthly', 'weekly', 'current', 'up to date', 'up-to-date', 'wsus', 'intune', 'autopatch', 'ninjaone', 'ninjarmm', 'datto rmm', 'connectwise automate', 'n-able', 'kaseya'], score: 90 }
+            ]
+          },
+          {
+            id: 'backupImmutability',
+            label: 'Backup immutability',
+            type: 'answer',
+            weight: 15,
+            categories: ['backup'],
+            keys: '(^|_)(backups?|immutab\\w*|air_?gap\\w*|offsite|off_site|object_lock|retention|backup_\\w+)(_|$)',
+            levels: [
+              { keywords: ['immutable', 'immutability', 'air-gapped', 'air gapped', 'airgapped', 'air gap', 'object lock', 'worm', 'hardened repository'], score: 100 },
+              { keywords: ['offsite', 'off-site', 'off site', 'cloud', 'backblaze', 'wasabi', 'azure backup', 'cloud connect', 'datto', 'axcient'], score: 60 },
+              { keywords: ['local', 'nas', 'usb', 'external drive', 'external disk', 'on-site', 'onsite', 'tape'], score: 25 }
+            ]
+          },
+          {
+            id: 'eolOs',
+            label: 'End-of-life operating systems and Exchange',
+            type: 'mentions',
+            weight: 15,
+            categories: ['server', 'workstation', 'communication'],
+            // Same list as api/shared/eol.js
+            keywords: [
+              'server 2003', 'server 2008', 'server 2012', 'sbs 2003', 'sbs 2008', 'sbs 2011', 'small business server',
+              'windows xp', 'windows vista', 'windows 7', 'windows 8', 'windows 10', 'win7', 'win 7', 'win10', 'win 10',
+              'exchange 2003', 'exchange 2007', 'exchange 2010', 'exchange 2013', 'exchange 2016', 'exchange 2019'
+            ],
+            thresholds: [
+              { max: 0, score: 100 },
+              { max: 1, score: 60 },
+              { max: 4, score: 30 },
+              { score: 0 }
+            ]
+          },
+          {
+            id: 'adminHygiene',
+            label: 'Admin account hygiene',
+            type: 'answer',
+            weight: 10,
+            categories: ['security', 'server'],
+            keys: '(^|_)(domain_admins?|global_admins?|admin_accounts?|administrators|privileged_accounts?|local_admins?|laps)(_|$)',
+            levels: [
+              { keywords: ['shared', 'generic', 'everyone', 'all users', 'users are local admins', 'local admin rights', 'same password'], score: 10 },
+              { keywords: ['laps', 'separate admin', 'separate accounts', 'dedicated admin', 'pam', 'just-in-time', 'pim'], score: 100 }
+            ],
+            thresholds: [
+              { max: 2, score: 100 },
+              { max: 4, score: 70 },
+              { max: 9, score: 40 },
+              { score: 10 }
+            ]
+          }
+        ]
       }
     }
   });
 
+  const estimatorMetrics = [
+    ['servers', 'Server'],
+    ['users', 'User'],
+    ['sites', 'Site'],
+    ['mailboxes', 'Mailbox'],
+    ['dataTb', 'TB']
+  ];
+
+  const getEstimator = () => config.globalSettings.estimator || getDefaultConfig().globalSettings.estimator;
+
+  const updateEstimator = (field, value) => {
+    setConfig({
+      ...config,
+      globalSettings: {
+        ...config.globalSettings,
+        estimator: {
+          ...getEstimator(),
+          [field]: value
+        }
+      }
+    });
+  };
+
+  const updateEstimatorPhase = (index, changes) => {
+    const phases = getEstimator().phases.map((phase, i) => (i === index ? { ...phase, ...changes } : phase));
+    updateEstimator('phases', phases);
+  };
+
+  const updateComplexityRule = (index, changes) => {
+    const complexity = getEstimator().complexity.map((rule, i) => (i === index ? { ...rule, ...changes } : rule));
+    updateEstimator('complexity', complexity);
+  };
+
+  const getScorecardRules = () =>
+    config.globalSettings.securityScorecard?.rules || getDefaultConfig().globalSettings.securityScorecard.rules;
+
+  const updateScorecardRules = (rules) => {
+    setConfig({
+      ...config,
+      globalSettings: {
+        ...config.globalSettings,
+        securityScorecard: { ...(config.globalSettings.securityScorecard || {}), rules }
+      }
+    });
+  };
+
+  const updateScorecardRule = (index, changes) => {
+    updateScorecardRules(getScorecardRules().map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  // Levels and thresholds are small ordered lists inside a rule
+  const updateScorecardList = (index, field, listIndex, changes) => {
+    const list = (getScorecardRules()[index][field] || []).map((item, i) => (i === listIndex ? { ...item, ...changes } : item));
+    updateScorecardRule(index, { [field]: list });
+  };
+
+  const removeScorecardListItem = (index, field, listIndex) => {
+    updateScorecardRule(index, { [field]: (getScorecardRules()[index][field] || []).filter((_, i) => i !== listIndex) });
+  };
+
+  const splitList = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+  const getResourcePool = () => config.globalSettings.resourcePool || [];
+
+  const updateResourcePool = (resourcePool) => {
+    setConfig({
+      ...config,
+      globalSettings: { ...config.globalSettings, resourcePool }
+    });
+  };
+
+  const updateEngineer = (index, changes) => {
+    updateResourcePool(getResourcePool().map((engineer, i) => (i === index ? { ...engineer, ...changes } : engineer)));
+  };
+
+  const updateUserComms = (field, value) => {
+    setConfig({
+      ...config,
+      globalSettings: {
+        ...config.globalSettings,
+        userComms: {
+          ...(config.globalSettings.userComms || {}),
+          [field]: value
+        }
+      }
+    });
+  };
+
+  const updateConnectWise = (field, value) => {
+    setConfig({
+      ...config,
+      globalSettings: {
+        ...config.globalSettings,
+        connectwise: {
+          ...(config.globalSettings.connectwise || {}),
+          [field]: value
+        }
+      }
+    });
+  };
+
+  const updateConnectWiseMap = (field, key, value) => {
+    const connectwise = config.globalSettings.connectwise || {};
+    updateConnectWise(field, { ...(connectwise[field] || {}), [key]: value });
+  };
+
   const saveConfig = async () => {
     setSaving(true);
     try {
@@ -473,6 +728,19 @@ const AdminPanel = () => {
                   max="50"
                 />
               </div>
+              <div className="setting-field">
+                <label>Plan Repair Attempts (re-asks after an invalid plan)</label>
+                <input
+                  type="number"
+                  value={config.globalSettings.planRepairAttempts ?? 2}
+                  onChange={(e) => setConfig({
+                    ...config,
+                    globalSettings: { ...config.globalSettings, planRepairAttempts: parseInt(e.target.value) || 0 }
+                  })}
+                  min="0"
+                  max="5"
+                />
+              </div>
               <div className="setting-field">
                 <label>OpenAI Endpoint Override (optional)</label>
                 <input
@@ -511,6 +779,502 @@ const AdminPanel = () => {
                 </select>
               </div>
             </div>
+
+            <div className="settings-card">
+              <h3>ConnectWise Ticket Mapping</h3>
+              <p>Names (or numeric ids) used when pushing plan tickets to ConnectWise Manage</p>
+              <div className="setting-field">
+                <label>Service Board</label>
+                <input
+                  type="text"
+                  value={config.globalSettings.connectwise?.board || ''}
+                  onChange={(e) => updateConnectWise('board', e.target.value)}
+                  placeholder="Professional Services"
+                />
+              </div>
+              <div className="setting-field">
+                <label>Default Company Identifier</label>
+                <input
+                  type="text"
+                  value={config.globalSettings.connectwise?.companyIdentifier || ''}
+                  onChange={(e) => updateConnectWise('companyIdentifier', e.target.value)}
+                  placeholder="Leave blank to match the discovered company name"
+                />
+              </div>
+              {['project', 'task', 'change'].map((type) => (
+                <div key={type} className="weight-row">
+                  <label>Type for "{type}"</label>
+                  <input
+                    type="text"
+                    value={config.globalSettings.connectwise?.types?.[type] || ''}
+                    onChange={(e) => updateConnectWiseMap('types', type, e.target.value)}
+                  />
+                </div>
+              ))}
+              {['low', 'medium', 'high', 'critical'].map((priority) => (
+                <div key={priority} className="weight-row">
+                  <label>Priority for "{priority}"</label>
+                  <input
+                    type="text"
+                    value={config.globalSettings.connectwise?.priorities?.[priority] || ''}
+                    onChange={(e) => updateConnectWiseMap('priorities', priority, e.target.value)}
+                  />
+                </div>
+              ))}
+              <div className="setting-field">
+                <label>Closed Status (applied when a plan task is removed)</label>
+                <input
+                  type="text"
+                  value={config.globalSettings.connectwise?.closedStatus || ''}
+                  onChange={(e) => updateConnectWise('closedStatus', e.target.value)}
+                  placeholder=">Closed"
+                />
+              </div>
+              <div className="setting-field">
+                <label>Project Board</label>
+                <input
+                  type="text"
+                  value={config.globalSettings.connectwise?.projectBoard || ''}
+                  onChange={(e) => updateConnectWise('projectBoard', e.target.value)}
+                  placeholder="Professional Services"
+                />
+              </div>
+              <div className="setting-field">
+                <label>Project Billing Method</label>
+                <select
+                  value={config.globalSettings.connectwise?.billingMethod || 'FixedFee'}
+                  onChange={(e) => updateConnectWise('billingMethod', e.target.value)}
+                >
+                  <option value="FixedFee">Fixed Fee</option>
+                  <option value="ActualRates">Actual Rates</option>
+                  <option value="NotToExceed">Not To Exceed</option>
+                  <option value="OverrideRate">Override Rate</option>
+                </select>
+              </div>
+              {['SE', 'DIO', 'CXO'].map((role) => (
+                <div key={role} className="weight-row">
+                  <label>Work role for {role}</label>
+                  <input
+                    type="text"
+                    value={config.globalSettings.connectwise?.workRoles?.[role] || ''}
+                    onChange={(e) => updateConnectWiseMap('workRoles', role, e.target.value)}
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div className="settings-card">
+              <h3>Effort Estimator</h3>
+              <p>Rules-based phase hours: base hours plus hours per unit discovered. Generated plans are checked against these numbers.</p>
+              <table className="estimator-table">
+                <thead>
+                  <tr>
+                    <th>Phase</th>
+                    <th>Base</th>
+                    {estimatorMetrics.map(([metric, label]) => (
+                      <th key={metric}>/ {label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {getEstimator().phases.map((phase, index) => (
+                    <tr key={phase.id}>
+                      <td>
+                        <input
+                          type="text"
+                          value={phase.name}
+                          onChange={(e) => updateEstimatorPhase(index, { name: e.target.value })}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          step="0.5"
+                          min="0"
+                          value={phase.baseHours ?? 0}
+                          onChange={(e) => updateEstimatorPhase(index, { baseHours: parseFloat(e.target.value) || 0 })}
+                        />
+                      </td>
+                      {estimatorMetrics.map(([metric]) => (
+                        <td key={metric}>
+                          <input
+                            type="number"
+                            step="0.25"
+                            min="0"
+                            value={phase.drivers?.[metric] ?? 0}
+                            onChange={(e) => updateEstimatorPhase(index, {
+                              drivers: { ...(phase.drivers || {}), [metric]: parseFloat(e.target.value) || 0 }
+                            })}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <h3>Complexity Multipliers</h3>
+              <p>Applied when the metric exceeds the threshold or any keyword appears in discovery. Leave phases blank to apply to all phases.</p>
+              {getEstimator().complexity.map((rule, index) => (
+                <div key={rule.id || index} className="estimator-rule">
+                  <input
+                    type="text"
+                    value={rule.label || ''}
+                    placeholder="Label"
+                    onChange={(e) => updateComplexityRule(index, { label: e.target.value })}
+                  />
+                  <select
+                    value={rule.metric || ''}
+                    onChange={(e) => updateComplexityRule(index, { metric: e.target.value || undefined })}
+                  >
+                    <option value="">(keywords only)</option>
+                    {estimatorMetrics.map(([metric, label]) => (
+                      <option key={metric} value={metric}>{label} count &gt;</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    value={rule.threshold ?? ''}
+                    placeholder="Threshold"
+                    disabled={!rule.metric}
+                    onChange={(e) => updateComplexityRule(index, { threshold: parseFloat(e.target.value) || 0 })}
+                  />
+                  <input
+                    type="text"
+                    value={(rule.keywords || []).join(', ')}
+                    placeholder="Keywords (comma separated)"
+                    onChange={(e) => updateComplexityRule(index, { keywords: splitList(e.target.value) })}
+                  />
+                  <input
+                    type="text"
+                    value={(rule.phases || []).join(', ')}
+                    placeholder="Phase ids"
+                    onChange={(e) => updateComplexityRule(index, { phases: splitList(e.target.value) })}
+                  />
+                  <input
+                    type="number"
+                    step="0.05"
+                    min="0"
+                    value={rule.multiplier ?? 1}
+                    onChange={(e) => updateComplexityRule(index, { multiplier: parseFloat(e.target.value) || 1 })}
+                  />
+                  <button
+                    className="btn-delete-small"
+                    onClick={() => updateEstimator('complexity', getEstimator().complexity.filter((_, i) => i !== index))}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+              <button
+                className="btn-add-small"
+                onClick={() => updateEstimator('complexity', [
+                  ...getEstimator().complexity,
+                  { id: `rule_${Date.now()}`, label: '', keywords: [], phases: [], multiplier: 1.1 }
+                ])}
+              >
+                <Plus size={16} /> Add Multiplier
+              </button>
+
+              <div className="weight-row">
+                <label>Reconciliation tolerance (%)</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={getEstimator().tolerancePct ?? 25}
+                  onChange={(e) => updateEstimator('tolerancePct', parseFloat(e.target.value) || 25)}
+                />
+              </div>
+              <div className="weight-row">
+                <label>Crew size for critical-path scheduling (engineers per task)</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={config.globalSettings.crewSize ?? 2}
+                  onChange={(e) => setConfig({
+                    ...config,
+                    globalSettings: { ...config.globalSettings, crewSize: parseInt(e.target.value) || 1 }
+                  })}
+                />
+              </div>
+              <div className="setting-field">
+                <label>When plan hours fall outside the tolerance</label>
+                <select
+                  value={getEstimator().reconcile || 'scale'}
+                  onChange={(e) => updateEstimator('reconcile', e.target.value)}
+                >
+                  <option value="scale">Scale the phase's task hours to the estimate</option>
+                  <option value="flag">Keep the model's hours and flag the phase</option>
+                </select>
+              </div>
+              <div className="weight-row">
+                <label>Maximum scale factor (phases further off are flagged, not scaled)</label>
+                <input
+                  type="number"
+                  min="1.1"
+                  step="0.1"
+                  value={getEstimator().maxScaleFactor ?? 2}
+                  onChange={(e) => updateEstimator('maxScaleFactor', parseFloat(e.target.value) || 2)}
+                />
+              </div>
+            </div>
+
+            <div className="settings-card">
+              <h3>Security Scorecard</h3>
+              <p>Deterministic scoring of the discovered security posture, shown under Discovery Progress. "Answer" rules score answers under keys matching the pattern: "no" is 0, a percentage or "x of y" scores as a ratio, otherwise the first level whose keywords match wins (counts use the thresholds when set). "Mentions" rules count answers naming a keyword and score the count by threshold. The overall score is the weighted mean of rules with evidence.</p>
+              {getScorecardRules().map((rule, index) => (
+                <div key={rule.id || index} className="scorecard-rule-config">
+                  <div className="scorecard-rule-main">
+                    <input
+                      type="checkbox"
+                      title="Enabled"
+                      checked={rule.enabled !== false}
+                      onChange={(e) => updateScorecardRule(index, { enabled: e.target.checked })}
+                    />
+                    <input
+                      type="text"
+                      value={rule.label || ''}
+                      placeholder="Label"
+                      onChange={(e) => updateScorecardRule(index, { label: e.target.value })}
+                    />
+                    <select
+                      value={rule.type || 'answer'}
+                      onChange={(e) => updateScorecardRule(index, { type: e.target.value })}
+                    >
+                      <option value="answer">Answer</option>
+                      <option value="mentions">Mentions</option>
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      title="Weight"
+                      value={rule.weight ?? 0}
+                      onChange={(e) => updateScorecardRule(index, { weight: parseFloat(e.target.value) || 0 })}
+                    />
+                    <input
+                      type="text"
+                      value={(rule.categories || []).join(', ')}
+                      placeholder="Categories (blank = all)"
+                      onChange={(e) => updateScorecardRule(index, { categories: splitList(e.target.value) })}
+                    />
+                    <button
+                      className="btn-delete-small"
+                      onClick={() => updateScorecardRules(getScorecardRules().filter((_, i) => i !== index))}
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                  <input
+                    type="text"
+                    className="scorecard-rule-wide"
+                    value={rule.keys || ''}
+                    placeholder={rule.type === 'mentions' ? 'Key pattern (optional regex)' : 'Key pattern (regex)'}
+                    onChange={(e) => updateScorecardRule(index, { keys: e.target.value })}
+                  />
+                  {rule.type === 'mentions' ? (
+                    <input
+                      type="text"
+                      className="scorecard-rule-wide"
+                      value={(rule.keywords || []).join(', ')}
+                      placeholder="Keywords (comma separated)"
+                      onChange={(e) => updateScorecardRule(index, { keywords: splitList(e.target.value) })}
+                    />
+                  ) : (
+                    <>
+                      {(rule.levels || []).map((level, levelIndex) => (
+                        <div key={levelIndex} className="scorecard-rule-item">
+                          <input
+                            type="text"
+                            value={(level.keywords || []).join(', ')}
+                            placeholder="Level keywords (comma separated)"
+                            onChange={(e) => updateScorecardList(index, 'levels', levelIndex, { keywords: splitList(e.target.value) })}
+                          />
+                          <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            title="Score"
+                            value={level.score ?? 0}
+                            onChange={(e) => updateScorecardList(index, 'levels', levelIndex, { score: parseFloat(e.target.value) || 0 })}
+                          />
+                          <button className="btn-delete-small" onClick={() => removeScorecardListItem(index, 'levels', levelIndex)}>
+                            <Trash2 size={14} />
+                          </button>
+                        </div>
+                      ))}
+                      <button
+                        className="btn-add-small"
+                        onClick={() => updateScorecardRule(index, { levels: [...(rule.levels || []), { keywords: [], score: 50 }] })}
+                      >
+                        <Plus size={16} /> Add Level
+                      </button>
+                    </>
+                  )}
+                  {(rule.thresholds || []).map((threshold, thresholdIndex) => (
+                    <div key={thresholdIndex} className="scorecard-rule-item">
+                      <input
+                        type="number"
+                        min="0"
+                        value={threshold.max ?? ''}
+                        placeholder="Count up to (blank = any)"
+                        onChange={(e) => updateScorecardList(index, 'thresholds', thresholdIndex, {
+                          max: e.target.value === '' ? undefined : parseFloat(e.target.value)
+                        })}
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        title="Score"
+                        value={threshold.score ?? 0}
+                        onChange={(e) => updateScorecardList(index, 'thresholds', thresholdIndex, { score: parseFloat(e.target.value) || 0 })}
+                      />
+                      <button className="btn-delete-small" onClick={() => removeScorecardListItem(index, 'thresholds', thresholdIndex)}>
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    className="btn-add-small"
+                    onClick={() => updateScorecardRule(index, { thresholds: [...(rule.thresholds || []), { score: 0 }] })}
+                  >
+                    <Plus size={16} /> Add Threshold
+                  </button>
+                </div>
+              ))}
+              <button
+                className="btn-add-small"
+                onClick={() => updateScorecardRules([
+                  ...getScorecardRules(),
+                  { id: `rule_${Date.now()}`, label: '', type: 'answer', weight: 10, categories: ['security'], keys: '', levels: [] }
+                ])}
+              >
+                <Plus size={16} /> Add Scoring Rule
+              </button>
+            </div>
+
+            <div className="settings-card">
+              <h3>Resource Pool</h3>
+              <p>Named engineers the timeline assigns tasks to. Tasks go to an engineer with the task's role, levelled against hours already booked by other open sessions. Leave empty to schedule by crew size instead.</p>
+              {getResourcePool().map((engineer, index) => (
+                <div key={engineer.id || index} className="estimator-rule">
+                  <input
+                    type="text"
+                    value={engineer.name || ''}
+                    placeholder="Name"
+                    onChange={(e) => updateEngineer(index, { name: e.target.value })}
+                  />
+                  <select
+                    value={engineer.role || 'SE'}
+                    onChange={(e) => updateEngineer(index, { role: e.target.value })}
+                  >
+                    <option value="SE">SE</option>
+                    <option value="DIO">DIO</option>
+                    <option value="CXO">CXO</option>
+                  </select>
+                  <input
+                    type="number"
+                    min="1"
+                    value={engineer.weeklyCapacity ?? 40}
+                    title="Hours per week"
+                    onChange={(e) => updateEngineer(index, { weeklyCapacity: parseFloat(e.target.value) || 0 })}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={engineer.hourlyCost ?? 0}
+                    title="Hourly cost"
+                    onChange={(e) => updateEngineer(index, { hourlyCost: parseFloat(e.target.value) || 0 })}
+                  />
+                  <input
+                    type="text"
+                    value={(engineer.pto || []).join(', ')}
+                    placeholder="PTO: 2026-07-03, 2026-12-21..2026-12-31"
+                    onChange={(e) => updateEngineer(index, { pto: splitList(e.target.value) })}
+                  />
+                  <button
+                    className="btn-delete-small"
+                    onClick={() => updateResourcePool(getResourcePool().filter((_, i) => i !== index))}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+              <button
+                className="btn-add-small"
+                onClick={() => updateResourcePool([
+                  ...getResourcePool(),
+                  { id: `engineer_${Date.now()}`, name: '', role: 'SE', weeklyCapacity: 40, hourlyCost: 0, pto: [] }
+                ])}
+              >
+                <Plus size={16} /> Add Engineer
+              </button>
+            </div>
+
+            <div className="settings-card">
+              <h3>User Communications</h3>
+              <p>Sender and helpdesk details used in the announcement, reminder and Day 0 emails sent to the acquired company's staff</p>
+              <div className="setting-field">
+                <label>Acquirer Name</label>
+                <input
+                  type="text"
+                  placeholder="Contoso IT"
+                  value={config.globalSettings.userComms?.acquirerName || ''}
+                  onChange={(e) => updateUserComms('acquirerName', e.target.value)}
+                />
+              </div>
+              <div className="setting-field">
+                <label>Sender Name (defaults to acquirer)</label>
+                <input
+                  type="text"
+                  value={config.globalSettings.userComms?.senderName || ''}
+                  onChange={(e) => updateUserComms('senderName', e.target.value)}
+                />
+              </div>
+              <div className="setting-field">
+                <label>Sender Email</label>
+                <input
+                  type="text"
+                  placeholder="onboarding@contoso.com"
+                  value={config.globalSettings.userComms?.senderEmail || ''}
+                  onChange={(e) => updateUserComms('senderEmail', e.target.value)}
+                />
+              </div>
+              <div className="setting-field">
+                <label>Recipients (defaults to the client contact)</label>
+                <input
+                  type="text"
+                  placeholder="allstaff@client.com"
+                  value={config.globalSettings.userComms?.recipients || ''}
+                  onChange={(e) => updateUserComms('recipients', e.target.value)}
+                />
+              </div>
+              <div className="setting-field">
+                <label>Helpdesk Phone</label>
+                <input
+                  type="text"
+                  value={config.globalSettings.userComms?.helpdeskPhone || ''}
+                  onChange={(e) => updateUserComms('helpdeskPhone', e.target.value)}
+                />
+              </div>
+              <div className="setting-field">
+                <label>Helpdesk Email</label>
+                <input
+                  type="text"
+                  value={config.globalSettings.userComms?.helpdeskEmail || ''}
+                  onChange={(e) => updateUserComms('helpdeskEmail', e.target.value)}
+                />
+              </div>
+              <div className="setting-field">
+                <label>Support Portal URL</label>
+                <input
+                  type="text"
+                  placeholder="https://support.contoso.com"
+                  value={config.globalSettings.userComms?.portalUrl || ''}
+                  onChange={(e) => updateUserComms('portalUrl', e.target.value)}
+                />
+              </div>
+            </div>
           </div>
         )}
       </div>
@@ -0,0 +1,209 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Download, Play, Plus, Trash2 } from 'lucide-react';
+import './ChecklistView.css';
+
+const statusLabels = {
+  done: 'Done',
+  open: 'Open',
+  'at-risk': 'At risk',
+  overdue: 'Overdue',
+  ready: 'Ready',
+  'on-track': 'On track'
+};
+
+// Day-1 / Day-30 / Day-100 integration checklist stored on the session by
+// checklist-generate. Ticking items and notes go through checklist-update;
+// readiness comes back with every response.
+const ChecklistView = ({ sessionId, refreshKey }) => {
+  const [checklist, setChecklist] = useState(null);
+  const [readiness, setReadiness] = useState([]);
+  const [dayZero, setDayZero] = useState('');
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const apply = (data) => {
+    setChecklist(data.checklist);
+    setReadiness(data.readiness);
+    setDayZero(data.checklist.dayZero);
+  };
+
+  const load = useCallback(async () => {
+    if (!sessionId) return;
+    setError(null);
+    try {
+      const response = await fetch(`/api/checklist-generate?sessionId=${encodeURIComponent(sessionId)}`);
+      if (response.status === 404) {
+        setChecklist(null);
+        setReadiness([]);
+        return;
+      }
+      const data = await response.json().catch(() => null);
+      if (!response.ok || !data) {
+        setError(data?.details || data?.error || `Failed to load checklist (HTTP ${response.status})`);
+        return;
+      }
+      apply(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const post = async (url, body, failure) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, ...body })
+      });
+      const data = await response.json().catch(() => null);
+      if (!response.ok || !data) {
+        setError(data?.details || data?.error || `${failure} (HTTP ${response.status})`);
+        return false;
+      }
+      apply(data);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const generate = () => post('/api/checklist-generate', { dayZero: dayZero || undefined }, 'Failed to generate checklist');
+
+  const update = (itemId, changes) => post('/api/checklist-update', { updates: [{ itemId, ...changes }] }, 'Failed to update checklist');
+
+  const addItem = async (milestone) => {
+    const title = (drafts[milestone] || '').trim();
+    if (!title) return;
+    if (await post('/api/checklist-update', { add: [{ milestone, title }] }, 'Failed to add item')) {
+      setDrafts({ ...drafts, [milestone]: '' });
+    }
+  };
+
+  const download = (format, milestone) => {
+    const scope = milestone ? `&milestone=${milestone}` : '';
+    window.open(`/api/checklist-generate?sessionId=${encodeURIComponent(sessionId)}&format=${format}${scope}`, '_blank');
+  };
+
+  if (!sessionId) {
+    return <div className="checklist-view checklist-empty">Start a session to build an integration checklist.</div>;
+  }
+
+  return (
+    <div className="checklist-view">
+      <div className="checklist-toolbar">
+        <label>
+          Day 1 (close date)
+          <input type="date" value={dayZero} onChange={(e) => setDayZero(e.target.value)} />
+        </label>
+        <button className="btn btn-primary" onClick={generate} disabled={loading}>
+          <Play size={14} /> {checklist ? 'Refresh Checklist' : 'Generate Checklist'}
+        </button>
+        {checklist && (
+          <>
+            <button className="btn btn-secondary" onClick={() => download('md')}>
+              <Download size={14} /> Markdown
+            </button>
+            <button className="btn btn-secondary" onClick={() => download('docx')}>
+              <Download size={14} /> DOCX
+            </button>
+          </>
+        )}
+      </div>
+
+      {error && <div className="checklist-error">{error}</div>}
+      {!checklist && !error && (
+        <div className="checklist-empty">
+          No checklist yet. Day 1 defaults to the scheduled plan start; refreshing keeps ticked items and notes.
+        </div>
+      )}
+
+      {checklist && (
+        <div className="checklist-milestones">
+          {readiness.map((milestone) => (
+            <div key={milestone.id} className="checklist-milestone">
+              <div className="checklist-milestone-header">
+                <h3>{milestone.label}</h3>
+                <span className={`checklist-status ${milestone.status}`}>{statusLabels[milestone.status]}</span>
+              </div>
+              <div className="checklist-meta">
+                {milestone.date} · {milestone.percent}% complete
+                <button className="checklist-link" onClick={() => download('docx', milestone.id)} title="Download this milestone's readiness report">
+                  <Download size={12} />
+                </button>
+              </div>
+              <div className="checklist-progress">
+                <div style={{ width: `${milestone.percent}%` }} />
+              </div>
+
+              {milestone.items.map((item) => (
+                <div key={item.id} className={`checklist-item ${item.status}`}>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={item.done}
+                      disabled={loading}
+                      onChange={(e) => update(item.id, { done: e.target.checked })}
+                    />
+                    <strong>{item.title}</strong>
+                    {item.source === 'custom' && (
+                      <button
+                        className="checklist-link"
+                        onClick={() => post('/api/checklist-update', { remove: [item.id] }, 'Failed to remove item')}
+                        title="Remove custom item"
+                      >
+                        <Trash2 size={12} />
+                      </button>
+                    )}
+                  </label>
+                  {item.detail && <div className="checklist-detail">{item.detail}</div>}
+                  {item.status !== 'done' && item.status !== 'open' && (
+                    <div className="checklist-item-status">{statusLabels[item.status]}</div>
+                  )}
+                  {item.lateTasks.map((t) => (
+                    <div key={t.taskId} className="checklist-late">{t.name} ends {t.end.slice(0, 10)}</div>
+                  ))}
+                  <input
+                    className="checklist-notes"
+                    placeholder="Notes"
+                    defaultValue={item.notes}
+                    onBlur={(e) => e.target.value !== item.notes && update(item.id, { notes: e.target.value })}
+                  />
+                </div>
+              ))}
+
+              <div className="checklist-add">
+                <input
+                  placeholder="Add item"
+                  value={drafts[milestone.id] || ''}
+                  onChange={(e) => setDrafts({ ...drafts, [milestone.id]: e.target.value })}
+                  onKeyDown={(e) => e.key === 'Enter' && addItem(milestone.id)}
+                />
+                <button className="btn btn-secondary" onClick={() => addItem(milestone.id)} disabled={loading}>
+                  <Plus size={14} />
+                </button>
+              </div>
+
+              {milestone.planTasks.length > 0 && (
+                <div className="checklist-meta">
+                  Plan tasks due: {milestone.planTasks.map((t) => t.name).join('; ')}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChecklistView;
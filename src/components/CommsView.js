@@ -0,0 +1,174 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Download, Play, RotateCcw, Save } from 'lucide-react';
+import './CommsView.css';
+
+// End-user communication pack stored on the session by comms-generate:
+// T-14 to Day +3 emails around the email cutover. Edits are saved through
+// comms-update and survive regenerating; Reset goes back to the template.
+const CommsView = ({ sessionId, refreshKey }) => {
+  const [pack, setPack] = useState(null);
+  const [dayZero, setDayZero] = useState('');
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const apply = (data) => {
+    setPack(data.userComms);
+    setDayZero(data.userComms.dayZero);
+    setDrafts({});
+  };
+
+  const load = useCallback(async () => {
+    if (!sessionId) return;
+    setError(null);
+    try {
+      const response = await fetch(`/api/comms-generate?sessionId=${encodeURIComponent(sessionId)}`);
+      if (response.status === 404) {
+        setPack(null);
+        return;
+      }
+      const data = await response.json().catch(() => null);
+      if (!response.ok || !data) {
+        setError(data?.details || data?.error || `Failed to load communications (HTTP ${response.status})`);
+        return;
+      }
+      apply(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const post = async (url, body, failure) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, ...body })
+      });
+      const data = await response.json().catch(() => null);
+      if (!response.ok || !data) {
+        setError(data?.details || data?.error || `${failure} (HTTP ${response.status})`);
+        return;
+      }
+      apply(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Only send a date when it was changed here, so the plan keeps driving it
+  const generate = () => post('/api/comms-generate', {
+    dayZero: pack && dayZero === pack.dayZero ? undefined : dayZero || undefined
+  }, 'Failed to generate communications');
+
+  const editDraft = (message, changes) => {
+    setDrafts({ ...drafts, [message.id]: { subject: message.subject, body: message.body, ...drafts[message.id], ...changes } });
+  };
+
+  const save = (messageId) => post('/api/comms-update', { updates: [{ messageId, ...drafts[messageId] }] }, 'Failed to save message');
+
+  const download = (format, messageId) => {
+    const scope = messageId ? `&messageId=${encodeURIComponent(messageId)}` : '';
+    window.open(`/api/comms-generate?sessionId=${encodeURIComponent(sessionId)}&format=${format}${scope}`, '_blank');
+  };
+
+  if (!sessionId) {
+    return <div className="comms-view comms-empty">Start a session to build user communications.</div>;
+  }
+
+  return (
+    <div className="comms-view">
+      <div className="comms-toolbar">
+        <label>
+          Day 0 (email cutover)
+          <input type="date" value={dayZero} onChange={(e) => setDayZero(e.target.value)} />
+        </label>
+        <button className="btn btn-primary" onClick={generate} disabled={loading}>
+          <Play size={14} /> {pack ? 'Regenerate' : 'Generate Communications'}
+        </button>
+        {pack && (
+          <button className="btn btn-secondary" onClick={() => download('html')}>
+            <Download size={14} /> All (HTML)
+          </button>
+        )}
+      </div>
+
+      {error && <div className="comms-error">{error}</div>}
+      {!pack && !error && (
+        <div className="comms-empty">
+          No communications yet. Day 0 defaults to the scheduled email cutover; sender and helpdesk details come from Admin &gt; User Communications.
+        </div>
+      )}
+
+      {pack && (
+        <>
+          <div className="comms-meta">
+            Day 0 {pack.dayZero} ({pack.dayZeroSource === 'override' ? 'set here' : pack.dayZeroSource === 'email-cutover' ? 'scheduled email cutover' : 'user onboarding start'})
+            {pack.recipients && ` · To: ${pack.recipients}`}
+          </div>
+          {pack.warnings.length > 0 && (
+            <ul className="comms-warnings">
+              {pack.warnings.map((w) => <li key={w}>{w}</li>)}
+            </ul>
+          )}
+          {pack.messages.map((message) => {
+            const draft = drafts[message.id];
+            return (
+              <div key={message.id} className="comms-message">
+                <div className="comms-message-header">
+                  <strong>{message.label}</strong>
+                  <span className="comms-meta">send {message.sendDate}</span>
+                  {message.edited && <span className="comms-edited">Edited</span>}
+                  <span className="comms-actions">
+                    {draft && (
+                      <button className="btn btn-primary" onClick={() => save(message.id)} disabled={loading}>
+                        <Save size={14} /> Save
+                      </button>
+                    )}
+                    {message.edited && !draft && (
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => post('/api/comms-generate', { reset: [message.id] }, 'Failed to reset message')}
+                        disabled={loading}
+                        title="Discard edits and use the template again"
+                      >
+                        <RotateCcw size={14} /> Reset
+                      </button>
+                    )}
+                    <button className="btn btn-secondary" onClick={() => download('eml', message.id)} disabled={Boolean(draft)}>
+                      <Download size={14} /> .eml
+                    </button>
+                    <button className="btn btn-secondary" onClick={() => download('html', message.id)} disabled={Boolean(draft)}>
+                      <Download size={14} /> .html
+                    </button>
+                  </span>
+                </div>
+                <input
+                  className="comms-subject"
+                  value={draft ? draft.subject : message.subject}
+                  onChange={(e) => editDraft(message, { subject: e.target.value })}
+                />
+                <textarea
+                  className="comms-body"
+                  rows={Math.min(18, message.body.split('\n').length + 1)}
+                  value={draft ? draft.body : message.body}
+                  onChange={(e) => editDraft(message, { body: e.target.value })}
+                />
+              </div>
+            );
+          })}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CommsView;
@@ -0,0 +1,189 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ListPlus } from 'lucide-react';
+import './ComplianceView.css';
+
+const statusLabels = {
+  met: 'Met',
+  gap: 'Gap',
+  unknown: 'Unknown',
+  'n/a': 'N/A'
+};
+
+// Discovery mapped onto the selected compliance frameworks (compliance-
+// assess). Checks are shared between frameworks, so overriding one (e.g.
+// HIPAA BAAs n/a) updates every control that relies on it. Remediation
+// tasks for gaps are added through the same plan-update path as the task
+// inspector (onApplyOperations).
+const ComplianceView = ({ sessionId, refreshKey, onApplyOperations, isSavingPlan, planEditError }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (body) => {
+    if (!sessionId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const response = body
+        ? await fetch('/api/compliance-assess', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ sessionId, ...body })
+        })
+        : await fetch(`/api/compliance-assess?sessionId=${encodeURIComponent(sessionId)}`);
+      const result = await response.json().catch(() => null);
+      if (!response.ok || !result) {
+        setError(result?.details || result?.error || `Compliance assessment failed (HTTP ${response.status})`);
+        return;
+      }
+      setData(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    request();
+  }, [request, refreshKey]);
+
+  if (!sessionId) {
+    return <div className="compliance-view compliance-empty">Start a session to map discovery onto a compliance framework.</div>;
+  }
+  if (!data) {
+    return <div className="compliance-view">{error ? <div className="compliance-error">{error}</div> : <div className="compliance-empty">Loading…</div>}</div>;
+  }
+
+  const { catalog, settings, assessment, remediation } = data;
+
+  const toggleFramework = (id) => {
+    const frameworks = settings.frameworks.includes(id)
+      ? settings.frameworks.filter((f) => f !== id)
+      : [...settings.frameworks, id];
+    request({ frameworks });
+  };
+
+  const setOverride = (checkId, status) => {
+    if (!status) {
+      request({ overrides: { [checkId]: null } });
+      return;
+    }
+    const note = window.prompt(`Reason for marking "${assessment.checks[checkId].label}" as ${statusLabels[status]}`, '');
+    if (note === null) return;
+    request({ overrides: { [checkId]: { status, note } } });
+  };
+
+  return (
+    <div className="compliance-view">
+      <div className="compliance-toolbar">
+        {catalog.map((framework) => (
+          <label key={framework.id}>
+            <input
+              type="checkbox"
+              checked={settings.frameworks.includes(framework.id)}
+              disabled={loading}
+              onChange={() => toggleFramework(framework.id)}
+            />
+            {framework.name}
+          </label>
+        ))}
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.includeUnknown}
+            disabled={loading}
+            onChange={(e) => request({ includeUnknown: e.target.checked })}
+          />
+          Remediate unknowns too
+        </label>
+      </div>
+
+      {error && <div className="compliance-error">{error}</div>}
+      {planEditError && <div className="compliance-error">{planEditError}</div>}
+
+      {remediation ? (
+        <div className="compliance-remediation">
+          {remediation.tasks.length > 0 ? (
+            <>
+              <span>
+                {remediation.tasks.length} remediation task{remediation.tasks.length === 1 ? '' : 's'} ({remediation.tasks.reduce((sum, t) => sum + t.task.hours, 0)}h)
+                {' '}not yet in the plan: {remediation.tasks.map((t) => t.task.name.replace('[Compliance] ', '')).join('; ')}
+              </span>
+              <button
+                className="btn btn-primary"
+                disabled={isSavingPlan || loading}
+                onClick={() => onApplyOperations(remediation.operations)}
+              >
+                <ListPlus size={14} /> Add to Plan
+              </button>
+            </>
+          ) : (
+            <span>
+              No remediation tasks to add
+              {remediation.alreadyPlanned.length > 0 && ` (${remediation.alreadyPlanned.length} already in the plan)`}.
+            </span>
+          )}
+        </div>
+      ) : (
+        <div className="compliance-empty">Generate a plan to add remediation tasks for gaps.</div>
+      )}
+
+      {assessment.frameworks.length === 0 && <div className="compliance-empty">Select a framework.</div>}
+      {assessment.frameworks.map((framework) => (
+        <div key={framework.id} className="compliance-framework">
+          <div className="compliance-framework-header">
+            <h3>{framework.name}</h3>
+            <span className="compliance-meta">
+              {framework.summary.percent}% met · {framework.summary.gap} gaps · {framework.summary.unknown} unknown
+              {framework.summary.na > 0 && ` · ${framework.summary.na} n/a`}
+            </span>
+          </div>
+          <table>
+            <thead>
+              <tr>
+                <th>Control</th>
+                <th>Requirement</th>
+                <th>Status</th>
+                <th>Evidence</th>
+                <th>Override</th>
+              </tr>
+            </thead>
+            <tbody>
+              {framework.controls.map((control) => {
+                const check = assessment.checks[control.check];
+                return (
+                  <tr key={`${control.ref}-${control.check}`}>
+                    <td>{control.ref}</td>
+                    <td>{control.title}</td>
+                    <td>
+                      <span className={`compliance-status ${control.status.replace('/', '')}`}>{statusLabels[control.status]}</span>
+                    </td>
+                    <td className="compliance-evidence">
+                      {check.evidence.length ? check.evidence.join('; ') : 'Not found in discovery'}
+                      {check.override?.note && <div>Note: {check.override.note}</div>}
+                    </td>
+                    <td>
+                      <select
+                        value={check.override?.status || ''}
+                        disabled={loading}
+                        onChange={(e) => setOverride(control.check, e.target.value)}
+                      >
+                        <option value="">Detected ({statusLabels[check.detected]})</option>
+                        <option value="met">Met</option>
+                        <option value="gap">Gap</option>
+                        <option value="n/a">N/A</option>
+                      </select>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ComplianceView;
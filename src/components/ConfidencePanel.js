@@ -0,0 +1,69 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { deliverableLabels, formatHours } from '../planFormat';
+import './ConfidencePanel.css';
+
+const RangeRow = ({ label, row }) => (
+  <tr>
+    <td>{label}</td>
+    <td>{formatHours(row.likely)}</td>
+    <td>{formatHours(row.p50)}</td>
+    <td>{formatHours(row.p80)}</td>
+    <td>{formatHours(row.p95)}</td>
+  </tr>
+);
+
+const RangeHead = () => (
+  <thead>
+    <tr><th /><th>Likely</th><th>P50</th><th>P80</th><th>P95</th></tr>
+  </thead>
+);
+
+// Monte Carlo hour ranges stored on executionPlan.simulation. Phase and
+// deliverable percentiles are independent, so they do not add up to the
+// project percentiles.
+const ConfidencePanel = ({ simulation, onClose }) => {
+  if (!simulation) return null;
+  const { project } = simulation;
+
+  return (
+    <div className="confidence-panel">
+      <div className="confidence-header">
+        <div>
+          <h3>Confidence Ranges</h3>
+          <div className="confidence-subtitle">{simulation.iterations} simulated runs of the three-point task estimates</div>
+        </div>
+        <button className="confidence-close" onClick={onClose} aria-label="Close">
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="confidence-totals">
+        <div><span>Likely</span><strong>{formatHours(project.likely)}</strong></div>
+        <div><span>P50</span><strong>{formatHours(project.p50)}</strong></div>
+        <div><span>P80</span><strong>{formatHours(project.p80)}</strong></div>
+        <div><span>P95</span><strong>{formatHours(project.p95)}</strong></div>
+      </div>
+
+      <div className="confidence-section-title">By Phase</div>
+      <table className="confidence-table">
+        <RangeHead />
+        <tbody>
+          {simulation.byPhase.map((row) => <RangeRow key={row.id} label={row.name} row={row} />)}
+        </tbody>
+      </table>
+
+      <div className="confidence-section-title">By Deliverable</div>
+      <table className="confidence-table">
+        <RangeHead />
+        <tbody>
+          {Object.entries(simulation.byDeliverable)
+            .filter(([, row]) => row.likely > 0)
+            .map(([key, row]) => <RangeRow key={key} label={deliverableLabels[key] || key} row={row} />)}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ConfidencePanel;
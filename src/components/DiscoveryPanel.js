@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { ChevronDown, ChevronRight, CheckCircle, AlertCircle, Clock } from 'lucide-react';
 import './DiscoveryPanel.css';
 
-const DiscoveryPanel = ({ discoveryData, currentPhase, config, onEdit }) => {
+const DiscoveryPanel = ({ discoveryData, currentPhase, config, provenance = {}, onEdit }) => {
   const [expandedSections, setExpandedSections] = useState({});
   const [editing, setEditing] = useState(null); // { categoryId, key }
   const [editValue, setEditValue] = useState('');
@@ -61,27 +61,54 @@ const DiscoveryPanel = ({ discoveryData, currentPhase, config, onEdit }) => {
     cancelEditing();
   };
 
-  const formatDiscoveryItem = (categoryId, key, value) => {
+  // Tag for values that came from a connector rather than chat or an edit
+  const sourceLabels = { 'microsoft-graph': 'M365', 'ad-export': 'AD', rvtools: 'RVTools' };
+  const renderSource = (categoryId, key) => {
+    const entry = provenance[categoryId]?.[key];
+    if (!entry) return null;
+    const when = entry.retrievedAt ? new Date(entry.retrievedAt).toLocaleString() : '';
+    return (
+      <span
+        className="item-source"
+        title={`From ${entry.source}${entry.tenantId || entry.fileName ? ` (${entry.tenantId || entry.fileName})` : ''} ${when}\n${(entry.endpoints || []).join('\n')}`}
+      >
+        {sourceLabels[entry.source] || entry.source}
+      </span>
+    );
+  };
+
+  // Inventory rows (VMs, hosts, datastores) are objects: name, then fields
+  const describeListItem = (item) => {
+    if (!item || typeof item !== 'object') return item;
+    const { name, ...fields } = item;
+    const details = Object.entries(fields)
+      .map(([k, v]) => `${k.replace(/_/g, ' ')}: ${Array.isArray(v) ? v.join(', ') : typeof v === 'object' ? JSON.stringify(v) : v}`)
+      .join(' · ');
+    return name ? `${name}${details ? ` (${details})` : ''}` : details;
+  };
+
+  const formatDiscoveryItem = (categoryId, key, value, nested = false) => {
     // Format the key to be more readable
     const formattedKey = key.replace(/_/g, ' ').replace(/\b\w/g, (l) => l.toUpperCase());
+    const source = nested ? null : renderSource(categoryId, key);
     
     // Handle different value types
     if (typeof value === 'object' && !Array.isArray(value)) {
       return (
         <div key={key} className="discovery-item nested">
-          <div className="item-key">{formattedKey}:</div>
+          <div className="item-key">{formattedKey}:{source}</div>
           <div className="nested-items">
-            {Object.entries(value).map(([k, v]) => formatDiscoveryItem(categoryId, k, v))}
+            {Object.entries(value).map(([k, v]) => formatDiscoveryItem(categoryId, k, v, true))}
           </div>
         </div>
       );
     } else if (Array.isArray(value)) {
       return (
         <div key={key} className="discovery-item">
-          <div className="item-key">{formattedKey}:</div>
+          <div className="item-key">{formattedKey}:{source}</div>
           <ul className="item-list">
             {value.map((item, index) => (
-              <li key={index}>{item}</li>
+              <li key={index}>{describeListItem(item)}</li>
             ))}
           </ul>
         </div>
@@ -92,7 +119,7 @@ const DiscoveryPanel = ({ discoveryData, currentPhase, config, onEdit }) => {
 
       return (
         <div key={key} className="discovery-item">
-          <span className="item-key">{formattedKey}:</span>
+          <span className="item-key">{formattedKey}:{source}</span>
           {isEditing ? (
             <input
               className="item-input"
@@ -1,6 +1,22 @@
 import React, { useState } from 'react';
 import './FileUploadPanel.css';
 
+// Workbooks (RVTools) go up as base64. Get-GPOReport writes UTF-16,
+// which file.text() would read as UTF-8.
+const readFileContent = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (/\.xlsx$/i.test(file.name)) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return { content: btoa(binary), encoding: 'base64' };
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return { content: new TextDecoder('utf-16le').decode(bytes) };
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return { content: new TextDecoder('utf-16be').decode(bytes) };
+  return { content: new TextDecoder('utf-8').decode(bytes) };
+};
+
 const FileUploadPanel = ({ sessionId, onDiscoveryMerge }) => {
   const [uploads, setUploads] = useState([]);
   const [isUploading, setIsUploading] = useState(false);
@@ -19,24 +35,29 @@ const FileUploadPanel = ({ sessionId, onDiscoveryMerge }) => {
       ]);
 
       try {
-        const text = await file.text();
+        const { content, encoding } = await readFileContent(file);
         const response = await fetch('https://maonboarding-functions.azurewebsites.net/api/file-ingest', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             sessionId,
             fileName: file.name,
-            content: text,
+            content,
+            encoding,
           })
         });
 
         const data = await response.json();
         if (response.ok && data.discoveryData && onDiscoveryMerge) {
-          onDiscoveryMerge(data.discoveryData);
+          onDiscoveryMerge(data.discoveryData, data.discoveryProvenance);
         }
 
+        // AD and RVTools exports are parsed without the model; say which one it was
+        const detail = response.ok && data.parsedAs
+          ? [data.parsedAs.label, ...(data.warnings || [])].join('\n')
+          : null;
         setUploads((prev) => prev.map((u) =>
-          u.name === file.name ? { ...u, status: response.ok ? 'done' : 'error' } : u
+          u.name === file.name ? { ...u, status: response.ok ? 'done' : 'error', detail } : u
         ));
       } catch (error) {
         console.error('File upload failed:', error);
@@ -58,7 +79,7 @@ const FileUploadPanel = ({ sessionId, onDiscoveryMerge }) => {
       <div className="file-upload-header">File Ingestion</div>
       <p className="file-upload-help">
         Upload discovery exports (spreadsheets, inventories, network docs). We'll parse and map them
-        into the appropriate discovery sections.
+        into the appropriate discovery sections. AD exports and RVTools workbooks are read directly.
       </p>
       <input
         type="file"
@@ -68,9 +89,12 @@ const FileUploadPanel = ({ sessionId, onDiscoveryMerge }) => {
       />
       <div className="file-upload-list">
         {uploads.map((u) => (
-          <div key={u.name} className={`file-upload-item ${u.status}`}>
+          <div key={u.name} className={`file-upload-item ${u.status}`} title={u.detail || undefined}>
             <span className="file-name">{u.name}</span>
-            <span className="file-status">{u.status}</span>
+            <span className="file-status">
+              {u.status}
+              {u.detail && <span className="file-kind"> · {u.detail.split('\n')[0]}</span>}
+            </span>
           </div>
         ))}
       </div>
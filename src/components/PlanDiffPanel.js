@@ -0,0 +1,142 @@
+import React from 'react';
+import { Copy, X } from 'lucide-react';
+import { deliverableLabels, formatHours } from '../planFormat';
+import './PlanDiffPanel.css';
+
+const formatDelta = (delta) => `${delta > 0 ? '+' : ''}${formatHours(delta)}`;
+
+const DeltaCell = ({ delta }) => (
+  <span className={`plan-diff-delta ${delta > 0 ? 'up' : delta < 0 ? 'down' : ''}`}>{formatDelta(delta)}</span>
+);
+
+const describeChanges = (changes) => {
+  const parts = [];
+  if (changes.name) parts.push(`renamed from "${changes.name.before}"`);
+  if (changes.phase) parts.push(`moved from ${changes.phase.before}`);
+  if (changes.position) parts.push(`moved from position ${changes.position.before + 1} to ${changes.position.after + 1}`);
+  if (changes.hours) parts.push(`hours ${formatHours(changes.hours.before)} → ${formatHours(changes.hours.after)} (${formatDelta(changes.hours.delta)})`);
+  if (changes.role) parts.push(`role ${changes.role.before || '—'} → ${changes.role.after || '—'}`);
+  if (changes.dependencies) {
+    if (changes.dependencies.added.length) parts.push(`now depends on ${changes.dependencies.added.join(', ')}`);
+    if (changes.dependencies.removed.length) parts.push(`no longer depends on ${changes.dependencies.removed.join(', ')}`);
+  }
+  return parts.join('; ');
+};
+
+// Plain-text version for pasting into client emails
+const summaryText = ({ from, to, diff }) => {
+  const lines = [`Changes from "${from.name}" to "${to.name}": ${formatHours(diff.totals.before)} → ${formatHours(diff.totals.after)} (${formatDelta(diff.totals.delta)})`];
+  Object.entries(diff.byDeliverable)
+    .filter(([, row]) => row.delta !== 0)
+    .forEach(([key, row]) => lines.push(`- ${deliverableLabels[key] || key}: ${formatDelta(row.delta)}`));
+  diff.tasks.added.forEach((t) => lines.push(`- Added "${t.name}" (${t.phaseName}, ${formatHours(t.hours)})`));
+  diff.tasks.removed.forEach((t) => lines.push(`- Removed "${t.name}" (${t.phaseName}, ${formatHours(t.hours)})`));
+  diff.tasks.changed.forEach((t) => lines.push(`- "${t.name}": ${describeChanges(t.changes)}`));
+  return lines.join('\n');
+};
+
+// Result of /api/plan-history-diff: hour deltas by deliverable and phase,
+// then the phase and task level changes.
+const PlanDiffPanel = ({ result, onClose }) => {
+  if (!result) return null;
+  const { from, to, diff } = result;
+  const phaseChanges = diff.phases.added.length + diff.phases.removed.length + diff.phases.changed.length;
+
+  const copySummary = () => {
+    navigator.clipboard.writeText(summaryText(result)).catch((err) => console.error('Failed to copy diff summary:', err));
+  };
+
+  return (
+    <div className="plan-diff-panel">
+      <div className="plan-diff-header">
+        <div>
+          <h3>{from.name} → {to.name}</h3>
+          <div className="plan-diff-subtitle">
+            {formatHours(diff.totals.before)} → {formatHours(diff.totals.after)} (<DeltaCell delta={diff.totals.delta} />)
+          </div>
+        </div>
+        <div className="plan-diff-header-actions">
+          <button className="plan-diff-icon" onClick={copySummary} title="Copy summary">
+            <Copy size={14} />
+          </button>
+          <button className="plan-diff-icon" onClick={onClose} aria-label="Close">
+            <X size={16} />
+          </button>
+        </div>
+      </div>
+
+      {diff.identical && <div className="plan-diff-empty">No differences between these plans.</div>}
+
+      <div className="plan-diff-section-title">By Deliverable</div>
+      <table className="plan-diff-table">
+        <thead>
+          <tr><th /><th>Before</th><th>After</th><th>Delta</th></tr>
+        </thead>
+        <tbody>
+          {Object.entries(diff.byDeliverable).map(([key, row]) => (
+            <tr key={key}>
+              <td>{deliverableLabels[key] || key}</td>
+              <td>{formatHours(row.before)}</td>
+              <td>{formatHours(row.after)}</td>
+              <td><DeltaCell delta={row.delta} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {diff.byPhase.length > 0 && (
+        <>
+          <div className="plan-diff-section-title">By Phase</div>
+          <table className="plan-diff-table">
+            <tbody>
+              {diff.byPhase.map((row) => (
+                <tr key={row.id}>
+                  <td>{row.name}</td>
+                  <td>{formatHours(row.before)}</td>
+                  <td>{formatHours(row.after)}</td>
+                  <td><DeltaCell delta={row.delta} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      {phaseChanges > 0 && (
+        <>
+          <div className="plan-diff-section-title">Phases</div>
+          <ul className="plan-diff-list">
+            {diff.phases.added.map((p) => <li key={`add-${p.id}`} className="added">Added {p.name}</li>)}
+            {diff.phases.removed.map((p) => <li key={`rm-${p.id}`} className="removed">Removed {p.name}</li>)}
+            {diff.phases.changed.map((p) => <li key={`ch-${p.id}`}>{p.name}: {describeChanges(p.changes)}</li>)}
+          </ul>
+        </>
+      )}
+
+      {!diff.identical && (
+        <>
+          <div className="plan-diff-section-title">Tasks</div>
+          <ul className="plan-diff-list">
+            {diff.tasks.added.map((t) => (
+              <li key={`add-${t.id}`} className="added">
+                Added <strong>{t.name}</strong> in {t.phaseName} ({formatHours(t.hours)}, {t.role || '—'})
+              </li>
+            ))}
+            {diff.tasks.removed.map((t) => (
+              <li key={`rm-${t.id}`} className="removed">
+                Removed <strong>{t.name}</strong> from {t.phaseName} ({formatHours(t.hours)}, {t.role || '—'})
+              </li>
+            ))}
+            {diff.tasks.changed.map((t) => (
+              <li key={`ch-${t.id}`}>
+                <strong>{t.name}</strong>: {describeChanges(t.changes)}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PlanDiffPanel;
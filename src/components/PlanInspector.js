@@ -0,0 +1,347 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowDown, ArrowUp, Plus, Trash2, X } from 'lucide-react';
+import './PlanInspector.css';
+
+const ROLES = ['SE', 'DIO', 'CXO'];
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const findTask = (plan, taskId) => {
+  for (const phase of plan?.phases || []) {
+    const index = (phase.tasks || []).findIndex((t) => t.id === taskId);
+    if (index !== -1) return { phase, index, task: phase.tasks[index] };
+  }
+  return null;
+};
+
+const taskForm = (task) => ({
+  name: task.name || '',
+  description: task.description || '',
+  hours: task.hours ?? '',
+  optimisticHours: task.optimisticHours ?? '',
+  pessimisticHours: task.pessimisticHours ?? '',
+  role: ROLES.includes(task.role) ? task.role : 'SE',
+  risk: task.risk || '',
+  dependencies: task.dependencies || []
+});
+
+const gateForm = (gate) => (gate ? {
+  criteriaText: (gate.criteria || []).join('\n'),
+  decisionOwner: ROLES.includes(gate.decisionOwner) ? gate.decisionOwner : 'CXO',
+  rollbackTasks: (gate.rollbackTasks || []).map((r) => ({ ...r, undoes: r.undoes || [] }))
+} : null);
+
+const phaseForm = (phase) => ({
+  name: phase.name || '',
+  description: phase.description || '',
+  gate: gateForm(phase.gate)
+});
+
+const gateFromForm = (gate) => (gate ? {
+  criteria: gate.criteriaText.split('\n').map((c) => c.trim()).filter(Boolean),
+  decisionOwner: gate.decisionOwner,
+  rollbackTasks: gate.rollbackTasks.map((r) => ({ ...r, hours: Number(r.hours) }))
+} : null);
+
+const resolveSelection = (plan, selection) => {
+  if (selection?.type === 'task') {
+    const match = findTask(plan, selection.id);
+    return { taskMatch: match, phase: match?.phase, task: match?.task || null };
+  }
+  const phase = selection?.type === 'phase' ? (plan?.phases || []).find((p) => p.id === selection.id) : null;
+  return { taskMatch: null, phase, task: null };
+};
+
+// Side panel for editing the selected plan phase or task. Every change is
+// sent to plan-update as a list of operations; the parent applies the
+// returned plan, so the panel only holds the unsaved form values.
+const PlanInspector = ({ plan, selection, analysis, busy, error, onApply, onSelect, onClose }) => {
+  const [form, setForm] = useState(null);
+  const { taskMatch, phase, task } = resolveSelection(plan, selection);
+
+  // Reset the form when the selection or the saved plan changes
+  useEffect(() => {
+    const current = resolveSelection(plan, selection);
+    if (current.task) setForm(taskForm(current.task));
+    else if (current.phase) setForm(phaseForm(current.phase));
+    else setForm(null);
+  }, [plan, selection]);
+
+  if (!plan || !phase || !form) return null;
+
+  const phases = plan.phases || [];
+  const phaseIdx = phases.indexOf(phase);
+  const update = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  const saveTask = () => {
+    const { optimisticHours, pessimisticHours, ...fields } = form;
+    const changes = { ...fields, hours: Number(form.hours) };
+    // Untouched best/worst case is re-derived from the risk level when
+    // hours or risk change; a cleared field is re-derived as well.
+    if (String(optimisticHours) !== String(task.optimisticHours ?? '')) {
+      changes.optimisticHours = optimisticHours === '' ? null : Number(optimisticHours);
+    }
+    if (String(pessimisticHours) !== String(task.pessimisticHours ?? '')) {
+      changes.pessimisticHours = pessimisticHours === '' ? null : Number(pessimisticHours);
+    }
+    onApply([{ type: 'updateTask', taskId: task.id, changes }]);
+  };
+
+  const savePhase = () => {
+    const { gate, ...changes } = form;
+    const operations = [{ type: 'updatePhase', phaseId: phase.id, changes }];
+    if (gate || phase.gate) operations.push({ type: 'setGate', phaseId: phase.id, gate: gateFromForm(gate) });
+    onApply(operations);
+  };
+
+  const updateGate = (changes) => setForm((prev) => ({ ...prev, gate: { ...prev.gate, ...changes } }));
+  const updateRollback = (index, changes) => updateGate({
+    rollbackTasks: form.gate.rollbackTasks.map((r, i) => (i === index ? { ...r, ...changes } : r))
+  });
+
+  const removeTask = () => {
+    if (!window.confirm(`Delete task "${task.name}"?`)) return;
+    onApply([{ type: 'removeTask', taskId: task.id }], { type: 'phase', id: phase.id });
+  };
+
+  const removePhase = () => {
+    if (!window.confirm(`Delete "${phase.name}" and its ${phase.tasks.length} task(s)?`)) return;
+    onApply([{ type: 'removePhase', phaseId: phase.id }], null);
+  };
+
+  const addTask = () => onApply([{ type: 'addTask', phaseId: phase.id, task: { name: 'New task', hours: 4, role: 'SE' } }]);
+
+  const addPhase = () => onApply([{ type: 'addPhase', index: phaseIdx + 1, phase: { name: 'New phase' } }]);
+
+  const otherTasks = phases.flatMap((p) => (p.tasks || [])
+    .filter((t) => !task || t.id !== task.id)
+    .map((t) => ({ id: t.id, label: `${p.name} › ${t.name}` })));
+  const schedule = task && analysis?.tasks?.[task.id];
+
+  return (
+    <div className="plan-inspector">
+      <div className="plan-inspector-header">
+        <div>
+          <h3>{task ? 'Task' : 'Phase'}</h3>
+          {task && (
+            <button className="plan-inspector-link" onClick={() => onSelect({ type: 'phase', id: phase.id })}>
+              {phase.name}
+            </button>
+          )}
+        </div>
+        <button className="plan-inspector-close" onClick={onClose} aria-label="Close">
+          <X size={16} />
+        </button>
+      </div>
+
+      {error && <div className="plan-inspector-error">{error}</div>}
+
+      <label>
+        Name
+        <input value={form.name} onChange={(e) => update('name', e.target.value)} />
+      </label>
+      <label>
+        Description
+        <textarea rows={3} value={form.description} onChange={(e) => update('description', e.target.value)} />
+      </label>
+
+      {task && (
+        <>
+          <div className="plan-inspector-row">
+            <label>
+              Hours
+              <input type="number" min="0.25" step="0.25" value={form.hours} onChange={(e) => update('hours', e.target.value)} />
+            </label>
+            <label>
+              Role
+              <select value={form.role} onChange={(e) => update('role', e.target.value)}>
+                {ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+              </select>
+            </label>
+            <label>
+              Risk
+              <select value={form.risk} onChange={(e) => update('risk', e.target.value)}>
+                <option value="">—</option>
+                {RISK_LEVELS.map((risk) => <option key={risk} value={risk}>{risk}</option>)}
+              </select>
+            </label>
+          </div>
+          <div className="plan-inspector-row">
+            <label>
+              Best case
+              <input type="number" min="0.25" step="0.25" value={form.optimisticHours} onChange={(e) => update('optimisticHours', e.target.value)} />
+            </label>
+            <label>
+              Worst case
+              <input type="number" min="0.25" step="0.25" value={form.pessimisticHours} onChange={(e) => update('pessimisticHours', e.target.value)} />
+            </label>
+          </div>
+          <label>
+            Depends on
+            <select
+              multiple
+              size={Math.min(6, Math.max(3, otherTasks.length))}
+              value={form.dependencies}
+              onChange={(e) => update('dependencies', Array.from(e.target.selectedOptions, (o) => o.value))}
+            >
+              {otherTasks.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+            </select>
+          </label>
+          {task.llmHours != null && (
+            <div className="plan-inspector-note">Model estimate before reconciliation: {task.llmHours}h</div>
+          )}
+          {schedule && (
+            <div className="plan-inspector-note">
+              Slack {schedule.slack}h{schedule.critical ? ' · on the critical path' : ''}
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="plan-inspector-actions">
+        <button className="btn btn-primary" disabled={busy} onClick={task ? saveTask : savePhase}>
+          {busy ? 'Saving...' : 'Save'}
+        </button>
+        {task ? (
+          <>
+            <button
+              className="plan-inspector-icon"
+              disabled={busy || taskMatch.index === 0}
+              onClick={() => onApply([{ type: 'moveTask', taskId: task.id, index: taskMatch.index - 1 }])}
+              title="Move up"
+            >
+              <ArrowUp size={14} />
+            </button>
+            <button
+              className="plan-inspector-icon"
+              disabled={busy || taskMatch.index === phase.tasks.length - 1}
+              onClick={() => onApply([{ type: 'moveTask', taskId: task.id, index: taskMatch.index + 1 }])}
+              title="Move down"
+            >
+              <ArrowDown size={14} />
+            </button>
+            <select
+              value={phase.id}
+              disabled={busy}
+              onChange={(e) => onApply([{ type: 'moveTask', taskId: task.id, phaseId: e.target.value }])}
+              title="Move to phase"
+            >
+              {phases.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            <button className="plan-inspector-icon danger" disabled={busy} onClick={removeTask} title="Delete task">
+              <Trash2 size={14} />
+            </button>
+          </>
+        ) : (
+          <>
+            <button
+              className="plan-inspector-icon"
+              disabled={busy || phaseIdx === 0}
+              onClick={() => onApply([{ type: 'movePhase', phaseId: phase.id, index: phaseIdx - 1 }])}
+              title="Move up"
+            >
+              <ArrowUp size={14} />
+            </button>
+            <button
+              className="plan-inspector-icon"
+              disabled={busy || phaseIdx === phases.length - 1}
+              onClick={() => onApply([{ type: 'movePhase', phaseId: phase.id, index: phaseIdx + 1 }])}
+              title="Move down"
+            >
+              <ArrowDown size={14} />
+            </button>
+            <button className="plan-inspector-icon danger" disabled={busy || phases.length === 1} onClick={removePhase} title="Delete phase">
+              <Trash2 size={14} />
+            </button>
+          </>
+        )}
+      </div>
+
+      {!task && (
+        <>
+          <div className="plan-inspector-section-title">Go/No-Go gate</div>
+          {form.gate ? (
+            <>
+              <label>
+                Criteria (one per line)
+                <textarea rows={3} value={form.gate.criteriaText} onChange={(e) => updateGate({ criteriaText: e.target.value })} />
+              </label>
+              <label>
+                Decision owner
+                <select value={form.gate.decisionOwner} onChange={(e) => updateGate({ decisionOwner: e.target.value })}>
+                  {ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+                </select>
+              </label>
+              {form.gate.rollbackTasks.map((rollback, index) => (
+                <div key={rollback.id || index} className="plan-inspector-rollback">
+                  <div className="plan-inspector-row">
+                    <input value={rollback.name} placeholder="Rollback task" onChange={(e) => updateRollback(index, { name: e.target.value })} />
+                    <input type="number" min="0.25" step="0.25" value={rollback.hours} onChange={(e) => updateRollback(index, { hours: e.target.value })} />
+                    <select value={rollback.role} onChange={(e) => updateRollback(index, { role: e.target.value })}>
+                      {ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+                    </select>
+                    <button
+                      className="plan-inspector-icon danger"
+                      onClick={() => updateGate({ rollbackTasks: form.gate.rollbackTasks.filter((_, i) => i !== index) })}
+                      title="Remove rollback task"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                  <select
+                    multiple
+                    size={Math.min(4, Math.max(2, otherTasks.length))}
+                    value={rollback.undoes}
+                    title="Tasks this rollback undoes"
+                    onChange={(e) => updateRollback(index, { undoes: Array.from(e.target.selectedOptions, (o) => o.value) })}
+                  >
+                    {otherTasks.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+                  </select>
+                </div>
+              ))}
+              <div className="plan-inspector-actions">
+                <button
+                  className="plan-inspector-add"
+                  onClick={() => updateGate({
+                    rollbackTasks: [...form.gate.rollbackTasks, { name: '', hours: 2, role: 'SE', undoes: phase.tasks.slice(-1).map((t) => t.id) }]
+                  })}
+                >
+                  <Plus size={12} /> Add rollback task
+                </button>
+                <button className="plan-inspector-add" onClick={() => update('gate', null)}>
+                  <Trash2 size={12} /> Remove gate
+                </button>
+              </div>
+            </>
+          ) : (
+            <div className="plan-inspector-actions">
+              <button className="plan-inspector-add" onClick={() => update('gate', { criteriaText: '', decisionOwner: 'CXO', rollbackTasks: [] })}>
+                <Plus size={12} /> Add gate
+              </button>
+            </div>
+          )}
+          <div className="plan-inspector-note">Gate changes are saved with the phase.</div>
+
+          <div className="plan-inspector-section-title">Tasks</div>
+          <ul className="plan-inspector-tasks">
+            {phase.tasks.map((t) => (
+              <li key={t.id} onClick={() => onSelect({ type: 'task', id: t.id })}>
+                <span>{t.name}</span>
+                <span>{t.hours ?? 0}h · {t.role || '—'}</span>
+              </li>
+            ))}
+          </ul>
+          <div className="plan-inspector-actions">
+            <button className="plan-inspector-add" disabled={busy} onClick={addTask}>
+              <Plus size={12} /> Add task
+            </button>
+            <button className="plan-inspector-add" disabled={busy} onClick={addPhase}>
+              <Plus size={12} /> Add phase after
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PlanInspector;
@@ -0,0 +1,293 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CheckCircle, Download, Plus, Sparkles, Trash2 } from 'lucide-react';
+import './RiskView.css';
+
+const TYPES = ['risk', 'assumption', 'issue', 'dependency'];
+const CATEGORIES = ['security', 'infrastructure', 'data', 'identity', 'schedule', 'vendor', 'people', 'compliance', 'other'];
+const STATUSES = ['open', 'mitigating', 'accepted', 'closed'];
+const LEVELS = [1, 2, 3, 4, 5];
+
+const rating = (score) => {
+  if (score >= 15) return 'critical';
+  if (score >= 10) return 'high';
+  if (score >= 5) return 'medium';
+  return 'low';
+};
+
+// Session risk register (RAID log): a likelihood x impact heat map of open
+// risks and issues, and the entries with owner, mitigation tasks, status
+// and review dates. Edits save as they are made through risk-update.
+const RiskView = ({ sessionId, refreshKey }) => {
+  const [data, setData] = useState(null);
+  const [cell, setCell] = useState(null);
+  const [showClosed, setShowClosed] = useState(false);
+  const [newTitle, setNewTitle] = useState('');
+  const [newType, setNewType] = useState('risk');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!sessionId) return;
+    setError(null);
+    try {
+      const response = await fetch(`/api/risk-register?sessionId=${encodeURIComponent(sessionId)}`);
+      const result = await response.json().catch(() => null);
+      if (!response.ok || !result) {
+        setError(result?.details || result?.error || `Failed to load risk register (HTTP ${response.status})`);
+        return;
+      }
+      setData(result);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const post = async (url, body, failure) => {
+    setLoading(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, ...body })
+      });
+      const result = await response.json().catch(() => null);
+      if (!response.ok || !result) {
+        setError(result?.details || result?.error || `${failure} (HTTP ${response.status})`);
+        return null;
+      }
+      setData((previous) => ({ ...previous, ...result }));
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const seed = async () => {
+    const result = await post('/api/risk-register', {}, 'Failed to seed risks');
+    if (result) setNotice(result.added.length ? `Added ${result.added.join(', ')}` : 'No new red flags or plan risks');
+  };
+
+  const update = (id, changes) => post('/api/risk-update', { updates: [{ id, ...changes }] }, 'Failed to update entry');
+
+  const addEntry = async () => {
+    if (!newTitle.trim()) return;
+    if (await post('/api/risk-update', { add: [{ type: newType, title: newTitle.trim() }] }, 'Failed to add entry')) {
+      setNewTitle('');
+    }
+  };
+
+  if (!sessionId) {
+    return <div className="risk-view risk-empty">Start a session to keep a risk register.</div>;
+  }
+  if (!data) {
+    return <div className="risk-view">{error ? <div className="risk-error">{error}</div> : <div className="risk-empty">Loading…</div>}</div>;
+  }
+
+  const { register, heatMap, review, tasks = [] } = data;
+  const taskNames = new Map(tasks.map((t) => [t.id, t.name]));
+  const overdue = new Set(review.overdueReviews);
+  const entries = register.entries
+    .filter((e) => showClosed || e.status !== 'closed')
+    .filter((e) => !cell || (e.likelihood === cell.likelihood && e.impact === cell.impact && e.status !== 'closed'))
+    .sort((a, b) => TYPES.indexOf(a.type) - TYPES.indexOf(b.type) || (b.score ?? 0) - (a.score ?? 0));
+
+  return (
+    <div className="risk-view">
+      <div className="risk-toolbar">
+        <button className="btn btn-primary" onClick={seed} disabled={loading}>
+          <Sparkles size={14} /> Seed from Discovery &amp; Plan
+        </button>
+        <button
+          className="btn btn-secondary"
+          onClick={() => window.open(`/api/risk-register?sessionId=${encodeURIComponent(sessionId)}&format=csv`, '_blank')}
+        >
+          <Download size={14} /> RAID Log (CSV)
+        </button>
+        <label className="risk-toggle">
+          <input type="checkbox" checked={showClosed} onChange={(e) => setShowClosed(e.target.checked)} /> Show closed
+        </label>
+      </div>
+
+      {error && <div className="risk-error">{error}</div>}
+      {notice && <div className="risk-meta">{notice}</div>}
+      {review.overdueReviews.length > 0 && (
+        <div className="risk-warning">Review overdue: {review.overdueReviews.join(', ')}</div>
+      )}
+      {review.missingTasks.length > 0 && (
+        <div className="risk-warning">
+          Mitigation tasks no longer in the plan: {review.missingTasks.map((m) => `${m.id} (${m.taskIds.join(', ')})`).join('; ')}
+        </div>
+      )}
+
+      <div className="risk-body">
+        <div className="risk-heatmap">
+          <div className="risk-heatmap-title">Likelihood ↑ / Impact →</div>
+          <table>
+            <tbody>
+              {[...LEVELS].reverse().map((likelihood) => (
+                <tr key={likelihood}>
+                  <th>{likelihood}</th>
+                  {LEVELS.map((impact) => {
+                    const ids = heatMap[likelihood - 1][impact - 1];
+                    const selected = cell && cell.likelihood === likelihood && cell.impact === impact;
+                    return (
+                      <td
+                        key={impact}
+                        className={`risk-cell ${rating(likelihood * impact)} ${selected ? 'selected' : ''}`}
+                        title={ids.join(', ')}
+                        onClick={() => setCell(selected || !ids.length ? null : { likelihood, impact })}
+                      >
+                        {ids.length || ''}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+              <tr>
+                <th />
+                {LEVELS.map((impact) => <th key={impact}>{impact}</th>)}
+              </tr>
+            </tbody>
+          </table>
+          {cell && (
+            <button className="btn btn-secondary" onClick={() => setCell(null)}>
+              Clear filter
+            </button>
+          )}
+        </div>
+
+        <div className="risk-entries">
+          {register.entries.length === 0 && (
+            <div className="risk-empty">No entries yet. Seed from discovery red flags and plan risks, or add one below.</div>
+          )}
+          {entries.map((entry) => (
+            <div key={entry.id} className={`risk-entry ${entry.rating || ''} ${entry.status}`}>
+              <div className="risk-entry-header">
+                <strong>{entry.id}</strong>
+                <select value={entry.type} onChange={(e) => update(entry.id, { type: e.target.value })}>
+                  {TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+                </select>
+                <input
+                  className="risk-title"
+                  defaultValue={entry.title}
+                  onBlur={(e) => e.target.value.trim() && e.target.value !== entry.title && update(entry.id, { title: e.target.value })}
+                />
+                {entry.score != null && <span className={`risk-score ${entry.rating}`}>{entry.score}</span>}
+                <button
+                  className="risk-icon"
+                  title="Delete (use Closed for risks that are dealt with)"
+                  onClick={() => window.confirm(`Delete ${entry.id}?`) && post('/api/risk-update', { remove: [entry.id] }, 'Failed to delete entry')}
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+              {entry.description && <div className="risk-meta">{entry.description}</div>}
+              <div className="risk-fields">
+                <label>
+                  Category
+                  <select value={entry.category} onChange={(e) => update(entry.id, { category: e.target.value })}>
+                    {CATEGORIES.map((c) => <option key={c} value={c}>{c}</option>)}
+                  </select>
+                </label>
+                {entry.score != null && (
+                  <>
+                    <label>
+                      Likelihood
+                      <select value={entry.likelihood} disabled={entry.type === 'issue'} onChange={(e) => update(entry.id, { likelihood: Number(e.target.value) })}>
+                        {LEVELS.map((l) => <option key={l} value={l}>{l}</option>)}
+                      </select>
+                    </label>
+                    <label>
+                      Impact
+                      <select value={entry.impact} onChange={(e) => update(entry.id, { impact: Number(e.target.value) })}>
+                        {LEVELS.map((l) => <option key={l} value={l}>{l}</option>)}
+                      </select>
+                    </label>
+                  </>
+                )}
+                <label>
+                  Owner
+                  <input defaultValue={entry.owner} onBlur={(e) => e.target.value !== entry.owner && update(entry.id, { owner: e.target.value })} />
+                </label>
+                <label>
+                  Status
+                  <select value={entry.status} onChange={(e) => update(entry.id, { status: e.target.value })}>
+                    {STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+                  </select>
+                </label>
+                <label className={overdue.has(entry.id) ? 'risk-overdue' : ''}>
+                  Next review
+                  <input type="date" value={entry.reviewDate || ''} onChange={(e) => update(entry.id, { reviewDate: e.target.value || null })} />
+                </label>
+                <button className="btn btn-secondary" onClick={() => update(entry.id, { reviewed: true })} disabled={loading} title="Mark reviewed today and schedule the next review">
+                  <CheckCircle size={14} /> Reviewed
+                </button>
+              </div>
+              <label className="risk-mitigation">
+                Mitigation / action
+                <textarea
+                  rows={2}
+                  defaultValue={entry.mitigation}
+                  onBlur={(e) => e.target.value !== entry.mitigation && update(entry.id, { mitigation: e.target.value })}
+                />
+              </label>
+              <div className="risk-tasks">
+                {(entry.mitigationTaskIds || []).map((id) => (
+                  <span key={id} className="risk-task">
+                    {taskNames.get(id) || `${id} (removed)`}
+                    <button
+                      className="risk-icon"
+                      onClick={() => update(entry.id, { mitigationTaskIds: entry.mitigationTaskIds.filter((t) => t !== id && taskNames.has(t)) })}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+                {tasks.length > 0 && (
+                  <select
+                    value=""
+                    onChange={(e) => e.target.value && update(entry.id, {
+                      mitigationTaskIds: [...entry.mitigationTaskIds.filter((t) => taskNames.has(t)), e.target.value]
+                    })}
+                  >
+                    <option value="">Link plan task…</option>
+                    {tasks.filter((t) => !entry.mitigationTaskIds.includes(t.id)).map((t) => (
+                      <option key={t.id} value={t.id}>{t.phaseName}: {t.name}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            </div>
+          ))}
+
+          <div className="risk-add">
+            <select value={newType} onChange={(e) => setNewType(e.target.value)}>
+              {TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+            </select>
+            <input
+              placeholder="New entry title"
+              value={newTitle}
+              onChange={(e) => setNewTitle(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && addEntry()}
+            />
+            <button className="btn btn-secondary" onClick={addEntry} disabled={loading}>
+              <Plus size={14} /> Add
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RiskView;
@@ -0,0 +1,177 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Download, Play } from 'lucide-react';
+import './RunbookView.css';
+
+const kindLabels = {
+  precheck: 'Pre-check',
+  execute: 'Execute',
+  validate: 'Validate',
+  rollback: 'Rollback point'
+};
+
+const formatTime = (iso) => `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+
+// datetime-local values are treated as UTC, matching the timeline
+const toInputValue = (iso) => (iso ? iso.slice(0, 16) : '');
+
+// Cutover runbook stored on the session by runbook-generate. Sections are
+// timed from the scheduled plan unless an anchor time is set here.
+const RunbookView = ({ sessionId, refreshKey }) => {
+  const [runbook, setRunbook] = useState(null);
+  const [anchors, setAnchors] = useState({ server: '', email: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!sessionId) return;
+    setError(null);
+    try {
+      const response = await fetch(`/api/runbook-generate?sessionId=${encodeURIComponent(sessionId)}`);
+      if (response.status === 404) {
+        setRunbook(null);
+        return;
+      }
+      const data = await response.json().catch(() => null);
+      if (!response.ok || !data) {
+        setError(data?.details || data?.error || `Failed to load runbook (HTTP ${response.status})`);
+        return;
+      }
+      setRunbook(data.runbook);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const generate = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/runbook-generate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          sessionId,
+          anchors: {
+            server: anchors.server ? `${anchors.server}:00Z` : undefined,
+            email: anchors.email ? `${anchors.email}:00Z` : undefined
+          }
+        })
+      });
+      const data = await response.json().catch(() => null);
+      if (!response.ok || !data) {
+        setError(data?.details || data?.error || `Failed to generate runbook (HTTP ${response.status})`);
+        return;
+      }
+      setRunbook(data.runbook);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const download = (format) => {
+    window.open(`/api/runbook-generate?sessionId=${encodeURIComponent(sessionId)}&format=${format}`, '_blank');
+  };
+
+  if (!sessionId) {
+    return <div className="runbook-view runbook-empty">Start a session to build a cutover runbook.</div>;
+  }
+
+  const sectionAnchor = (id) => runbook?.sections.find((s) => s.id === id)?.anchor;
+
+  return (
+    <div className="runbook-view">
+      <div className="runbook-toolbar">
+        <label>
+          Server migration starts
+          <input
+            type="datetime-local"
+            value={anchors.server || toInputValue(sectionAnchor('server'))}
+            onChange={(e) => setAnchors({ ...anchors, server: e.target.value })}
+          />
+        </label>
+        <label>
+          Email/DNS cutover starts
+          <input
+            type="datetime-local"
+            value={anchors.email || toInputValue(sectionAnchor('email'))}
+            onChange={(e) => setAnchors({ ...anchors, email: e.target.value })}
+          />
+        </label>
+        <button className="btn btn-primary" onClick={generate} disabled={loading}>
+          <Play size={14} /> {runbook ? 'Regenerate' : 'Generate Runbook'}
+        </button>
+        {runbook && (
+          <>
+            <button className="btn btn-secondary" onClick={() => download('md')}>
+              <Download size={14} /> Markdown
+            </button>
+            <button className="btn btn-secondary" onClick={() => download('docx')}>
+              <Download size={14} /> DOCX
+            </button>
+          </>
+        )}
+      </div>
+
+      {error && <div className="runbook-error">{error}</div>}
+      {!runbook && !error && (
+        <div className="runbook-empty">
+          No runbook yet. Times default to the scheduled start of the server migration and email/DNS cutover phases.
+        </div>
+      )}
+
+      {runbook && (
+        <>
+          <div className="runbook-meta">Generated {formatTime(runbook.generatedAt)} UTC</div>
+          {runbook.warnings.length > 0 && (
+            <ul className="runbook-warnings">
+              {runbook.warnings.map((w) => <li key={w}>{w}</li>)}
+            </ul>
+          )}
+          {runbook.sections.map((section) => (
+            <div key={section.id} className="runbook-section">
+              <h3>{section.title}</h3>
+              <div className="runbook-meta">
+                {formatTime(section.anchor)} → {formatTime(section.end)} UTC
+                {section.phaseName && ` · ${section.phaseName}`}
+              </div>
+              <table>
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Time (UTC)</th>
+                    <th>Type</th>
+                    <th>Step</th>
+                    <th>Owner</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {section.steps.map((step) => (
+                    <tr key={step.seq} className={`runbook-step ${step.kind}`}>
+                      <td>{step.seq}</td>
+                      <td>{formatTime(step.at)}</td>
+                      <td>{kindLabels[step.kind]}</td>
+                      <td>
+                        <strong>{step.title}</strong>
+                        <div>{step.detail}</div>
+                        {step.rollback && <div className="runbook-rollback">Rollback: {step.rollback}</div>}
+                      </td>
+                      <td>{step.ownerLabel}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RunbookView;
@@ -0,0 +1,265 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CheckCircle, FileText, Pencil, Play, Plus, RefreshCw, Trash2, X } from 'lucide-react';
+import { deliverableLabels, formatHours } from '../planFormat';
+import './ScenarioView.css';
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(value || 0);
+
+// Rows of the comparison table; lower is better for every metric
+const comparisonRows = [
+  { label: 'Total hours', value: (s) => s.totalHours, format: formatHours },
+  { label: 'Labor cost', value: (s) => s.cost.total, format: formatCurrency },
+  { label: 'Duration (working days)', value: (s) => s.durationDays, format: (v) => (v == null ? '—' : v) },
+  { label: 'Risk score', value: (s) => s.risk.score, format: (v) => v },
+  { label: 'Hours on high/critical tasks', value: (s) => s.risk.highRiskHours, format: formatHours },
+  ...Object.entries(deliverableLabels).map(([key, label]) => ({
+    label,
+    value: (s) => s.byDeliverable[key],
+    format: formatHours,
+    detail: true
+  }))
+];
+
+const emptyForm = () => ({ id: null, name: '', description: '', overrides: [{ category: '', key: '', value: '' }] });
+
+const overridesToRows = (overrides) => {
+  const rows = Object.entries(overrides || {}).flatMap(([category, values]) => (
+    Object.entries(values).map(([key, value]) => ({ category, key, value: String(value) }))
+  ));
+  return rows.length ? rows : emptyForm().overrides;
+};
+
+const rowsToOverrides = (rows) => rows.reduce((acc, row) => {
+  if (!row.category.trim() || !row.key.trim()) return acc;
+  acc[row.category.trim()] = { ...(acc[row.category.trim()] || {}), [row.key.trim()]: row.value };
+  return acc;
+}, {});
+
+// What-if scenarios for the session: each has discovery overrides and its
+// own generated plan, compared against the current plan on hours, cost,
+// duration and risk.
+const ScenarioView = ({ sessionId, discoveryData, decisionTree, onAdopted }) => {
+  const [data, setData] = useState(null);
+  const [form, setForm] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!sessionId) return;
+    try {
+      const response = await fetch(`/api/scenario-list?sessionId=${encodeURIComponent(sessionId)}`);
+      const result = await response.json().catch(() => null);
+      if (!response.ok || !result) {
+        setError(result?.error || `Failed to load scenarios (HTTP ${response.status})`);
+        return;
+      }
+      setData(result);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const post = async (url, body, busyKey) => {
+    setBusyId(busyKey);
+    setError(null);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, ...body })
+      });
+      const result = await response.json().catch(() => null);
+      if (!response.ok || !result) {
+        setError(result?.error || `Request failed (HTTP ${response.status})`);
+        return null;
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const saveScenario = async () => {
+    const result = await post('/api/scenario-save', {
+      scenario: { id: form.id || undefined, name: form.name, description: form.description, discoveryOverrides: rowsToOverrides(form.overrides) }
+    }, 'form');
+    if (result) {
+      setForm(null);
+      load();
+    }
+  };
+
+  const generatePlan = async (scenario) => {
+    const result = await post('/api/plan-generate', { scenarioId: scenario.id, decisionTree }, scenario.id);
+    if (result) load();
+  };
+
+  const adoptScenario = async (scenario) => {
+    if (!window.confirm(`Replace the current plan with "${scenario.name}" and apply its discovery overrides? Save the current plan first if you want to keep it.`)) return;
+    const result = await post('/api/scenario-adopt', { scenarioId: scenario.id }, scenario.id);
+    if (result) {
+      onAdopted(result);
+      load();
+    }
+  };
+
+  const deleteScenario = async (scenario) => {
+    if (!window.confirm(`Delete scenario "${scenario.name}"?`)) return;
+    const result = await post('/api/scenario-delete', { scenarioId: scenario.id }, scenario.id);
+    if (result) load();
+  };
+
+  const updateRow = (idx, field, value) => setForm((prev) => ({
+    ...prev,
+    overrides: prev.overrides.map((row, i) => (i === idx ? { ...row, [field]: value } : row))
+  }));
+
+  if (!sessionId) {
+    return <div className="scenario-view scenario-empty">Start a session to model scenarios.</div>;
+  }
+
+  const columns = data
+    ? [{ id: 'baseline', name: data.baseline.name, summary: data.baseline.summary }, ...data.scenarios.filter((s) => s.summary)]
+    : [];
+
+  return (
+    <div className="scenario-view">
+      <div className="scenario-toolbar">
+        <button className="btn btn-primary" onClick={() => setForm(emptyForm())}>
+          <Plus size={14} /> New Scenario
+        </button>
+        <button className="btn btn-secondary" onClick={load} title="Reload">
+          <RefreshCw size={14} />
+        </button>
+        {error && <span className="scenario-error">{error}</span>}
+      </div>
+
+      {form && (
+        <div className="scenario-form">
+          <div className="scenario-form-row">
+            <input placeholder="Scenario name, e.g. Phased cutover by site" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+            <button className="scenario-icon" onClick={() => setForm(null)} aria-label="Cancel"><X size={16} /></button>
+          </div>
+          <textarea
+            rows={2}
+            placeholder="Approach, e.g. move servers onto the acquirer's existing Hyper-V hosts"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+          />
+          <div className="scenario-section-title">Discovery overrides</div>
+          <datalist id="scenario-categories">
+            {Object.keys(discoveryData || {}).map((category) => <option key={category} value={category} />)}
+          </datalist>
+          {form.overrides.map((row, idx) => (
+            <div key={idx} className="scenario-form-row">
+              <input list="scenario-categories" placeholder="category" value={row.category} onChange={(e) => updateRow(idx, 'category', e.target.value)} />
+              <input placeholder="key" value={row.key} onChange={(e) => updateRow(idx, 'key', e.target.value)} />
+              <input placeholder="value" value={row.value} onChange={(e) => updateRow(idx, 'value', e.target.value)} />
+              <button
+                className="scenario-icon"
+                onClick={() => setForm({ ...form, overrides: form.overrides.filter((_, i) => i !== idx) })}
+                aria-label="Remove override"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+          <div className="scenario-form-row">
+            <button className="scenario-link" onClick={() => setForm({ ...form, overrides: [...form.overrides, { category: '', key: '', value: '' }] })}>
+              + Add override
+            </button>
+            <button className="btn btn-primary" disabled={busyId === 'form' || !form.name.trim()} onClick={saveScenario}>
+              {busyId === 'form' ? 'Saving...' : 'Save Scenario'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="scenario-cards">
+        {data && data.scenarios.length === 0 && !form && (
+          <div className="scenario-empty">No scenarios yet. Add one to compare alternative approaches.</div>
+        )}
+        {data && data.scenarios.map((scenario) => (
+          <div key={scenario.id} className={`scenario-card ${data.adoptedScenarioId === scenario.id ? 'adopted' : ''}`}>
+            <div className="scenario-card-header">
+              <strong>{scenario.name}</strong>
+              {data.adoptedScenarioId === scenario.id && <span className="scenario-tag">Adopted</span>}
+              {scenario.planStale && <span className="scenario-tag stale">Overrides changed</span>}
+            </div>
+            {scenario.description && <div className="scenario-description">{scenario.description}</div>}
+            <div className="scenario-overrides">
+              {Object.entries(scenario.discoveryOverrides).flatMap(([category, values]) => (
+                Object.entries(values).map(([key, value]) => <code key={`${category}.${key}`}>{category}.{key} = {String(value)}</code>)
+              ))}
+            </div>
+            <div className="scenario-card-actions">
+              <button
+                className="scenario-icon"
+                title="Edit"
+                onClick={() => setForm({ id: scenario.id, name: scenario.name, description: scenario.description || '', overrides: overridesToRows(scenario.discoveryOverrides) })}
+              >
+                <Pencil size={14} />
+              </button>
+              <button className="scenario-icon" title={scenario.summary ? 'Regenerate plan' : 'Generate plan'} disabled={busyId === scenario.id} onClick={() => generatePlan(scenario)}>
+                {busyId === scenario.id ? <RefreshCw size={14} className="spin" /> : <Play size={14} />}
+              </button>
+              <button
+                className="scenario-icon"
+                title="Open in SOW builder"
+                disabled={!scenario.summary}
+                onClick={() => window.open(`/sax-ma-sow-builder.html?sessionId=${sessionId}&scenarioId=${scenario.id}`, '_blank')}
+              >
+                <FileText size={14} />
+              </button>
+              <button className="scenario-icon" title="Adopt as the session plan" disabled={!scenario.summary || busyId === scenario.id} onClick={() => adoptScenario(scenario)}>
+                <CheckCircle size={14} />
+              </button>
+              <button className="scenario-icon danger" title="Delete" disabled={busyId === scenario.id} onClick={() => deleteScenario(scenario)}>
+                <Trash2 size={14} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {columns.length > 1 && (
+        <div className="scenario-compare">
+          <table>
+            <thead>
+              <tr>
+                <th />
+                {columns.map((col) => <th key={col.id}>{col.name}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {comparisonRows.map((row) => {
+                const values = columns.map((col) => (col.summary ? row.value(col.summary) : null));
+                const known = values.filter((v) => v != null);
+                const best = known.length > 1 ? Math.min(...known) : null;
+                return (
+                  <tr key={row.label} className={row.detail ? 'detail' : ''}>
+                    <td>{row.label}</td>
+                    {values.map((value, idx) => (
+                      <td key={columns[idx].id} className={value != null && value === best ? 'best' : ''}>
+                        {value == null ? '—' : row.format(value)}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioView;
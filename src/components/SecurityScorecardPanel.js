@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronDown, ChevronRight, ShieldCheck } from 'lucide-react';
+import './SecurityScorecardPanel.css';
+
+// Security posture scorecard for the discovery collected so far
+// (security-scorecard). Rescored shortly after discovery changes; the
+// current discoveryData is sent so unsaved edits count.
+const SecurityScorecardPanel = ({ sessionId, discoveryData }) => {
+  const [scorecard, setScorecard] = useState(null);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(false);
+  const [openRule, setOpenRule] = useState(null);
+
+  const hasDiscovery = Object.values(discoveryData || {}).some((category) => category && Object.keys(category).length > 0);
+
+  useEffect(() => {
+    if (!hasDiscovery) {
+      setScorecard(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch('/api/security-scorecard', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ sessionId, discoveryData })
+        });
+        const result = await response.json().catch(() => null);
+        if (cancelled) return;
+        if (!response.ok || !result) {
+          setError(result?.details || result?.error || `Scoring failed (HTTP ${response.status})`);
+          return;
+        }
+        setError(null);
+        setScorecard(result.scorecard);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    }, 600);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [sessionId, discoveryData, hasDiscovery]);
+
+  return (
+    <div className="scorecard-panel">
+      <div className="scorecard-header" onClick={() => setExpanded(!expanded)}>
+        <div className="scorecard-title">
+          <ShieldCheck size={16} />
+          <span>Security Posture</span>
+        </div>
+        <div className="scorecard-summary">
+          {scorecard?.score != null ? (
+            <>
+              <span className={`scorecard-grade grade-${scorecard.grade}`}>{scorecard.grade}</span>
+              <span>{scorecard.score}/100</span>
+            </>
+          ) : (
+            <span className="scorecard-muted">{hasDiscovery ? 'Not enough data' : 'No discovery yet'}</span>
+          )}
+          {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="scorecard-body">
+          {error && <div className="scorecard-error">{error}</div>}
+          {scorecard && (
+            <>
+              <div className="scorecard-muted">
+                Evidence for {scorecard.coverage}% of the rule weight; rules without evidence are left out of the score.
+              </div>
+              {scorecard.warnings.map((warning) => (
+                <div key={warning} className="scorecard-error">{warning}</div>
+              ))}
+              {scorecard.rules.map((rule) => (
+                <div key={rule.id} className="scorecard-rule">
+                  <div
+                    className="scorecard-rule-row"
+                    onClick={() => setOpenRule(openRule === rule.id ? null : rule.id)}
+                  >
+                    <span className="scorecard-rule-label">{rule.label}</span>
+                    <div className="scorecard-bar">
+                      {rule.score != null && (
+                        <div className={`scorecard-fill ${rule.rating}`} style={{ width: `${rule.score}%` }} />
+                      )}
+                    </div>
+                    <span className="scorecard-rule-score">{rule.score != null ? rule.score : '–'}</span>
+                  </div>
+                  {openRule === rule.id && (
+                    <ul className="scorecard-evidence">
+                      {rule.evidence.length === 0 && <li>Nothing in discovery for this rule</li>}
+                      {rule.evidence.map((item) => (
+                        <li key={item.path}>
+                          {item.path}: {item.value}
+                          {item.score != null && ` → ${item.score}`}
+                          {item.count != null && item.count !== 1 && ` (×${item.count})`}
+                        </li>
+                      ))}
+                      <li className="scorecard-muted">Weight {rule.weight}</li>
+                    </ul>
+                  )}
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SecurityScorecardPanel;
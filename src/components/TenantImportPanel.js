@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, Cloud } from 'lucide-react';
+import './TenantImportPanel.css';
+
+// Reads the target's Microsoft 365 tenant through Graph (m365-discover)
+// with an app registration the client creates for us. The secret is sent
+// for this import only and is cleared once it finishes.
+const TenantImportPanel = ({ sessionId, onImported }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [tenantId, setTenantId] = useState('');
+  const [clientId, setClientId] = useState('');
+  const [clientSecret, setClientSecret] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const runImport = async () => {
+    setIsImporting(true);
+    setError(null);
+    setResult(null);
+    try {
+      const response = await fetch('https://maonboarding-functions.azurewebsites.net/api/m365-discover', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, tenantId, clientId, clientSecret })
+      });
+      const data = await response.json().catch(() => null);
+      if (!response.ok || !data) {
+        setError(data?.details || data?.error || `Import failed (HTTP ${response.status})`);
+        return;
+      }
+      setClientSecret('');
+      setResult(data);
+      if (onImported) onImported(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const factCount = result
+    ? Object.values(result.imported || {}).reduce((sum, facts) => sum + Object.keys(facts).length, 0)
+    : 0;
+
+  return (
+    <div className="tenant-import-panel">
+      <div className="tenant-import-header" onClick={() => setExpanded(!expanded)}>
+        <span><Cloud size={14} /> Microsoft 365 Tenant</span>
+        {expanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+      </div>
+      {expanded && (
+        <div className="tenant-import-body">
+          <p className="tenant-import-help">
+            App registration in the target tenant with read access to users, reports, groups, sites and policies.
+          </p>
+          <input
+            type="text"
+            value={tenantId}
+            placeholder="Tenant ID or domain"
+            onChange={(e) => setTenantId(e.target.value)}
+          />
+          <input
+            type="text"
+            value={clientId}
+            placeholder="Application (client) ID"
+            onChange={(e) => setClientId(e.target.value)}
+          />
+          <input
+            type="password"
+            value={clientSecret}
+            placeholder="Client secret"
+            autoComplete="off"
+            onChange={(e) => setClientSecret(e.target.value)}
+          />
+          <button
+            className="btn btn-secondary"
+            onClick={runImport}
+            disabled={!sessionId || isImporting || !tenantId || !clientId || !clientSecret}
+          >
+            {isImporting ? 'Reading tenant…' : 'Import from Microsoft 365'}
+          </button>
+          {error && <div className="tenant-import-error">{error}</div>}
+          {result && (
+            <div className="tenant-import-result">
+              Imported {factCount} facts into {result.updatedCategories.join(', ')}.
+              {result.warnings.map((warning) => (
+                <div key={warning.collector} className="tenant-import-warning">{warning.message}</div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TenantImportPanel;
@@ -0,0 +1,382 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Flag, Pin, RefreshCw } from 'lucide-react';
+import './TimelineView.css';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const PX_PER_DAY = 48;
+const ROW_HEIGHT = 28;
+const WEEKDAYS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+// The schedule is computed in UTC by plan-schedule, so all date maths and
+// labels here use UTC as well.
+const startOfDay = (ms) => {
+  const d = new Date(ms);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+};
+
+const formatDateTime = (iso) => {
+  const d = new Date(iso);
+  return `${d.toISOString().slice(0, 10)} ${String(d.getUTCHours()).padStart(2, '0')}:${String(d.getUTCMinutes()).padStart(2, '0')}`;
+};
+
+const isWorkingDay = (dayMs, calendar) => (
+  calendar.workDays.includes(new Date(dayMs).getUTCDay())
+  && !calendar.holidays.includes(new Date(dayMs).toISOString().slice(0, 10))
+);
+
+// Gantt chart of the stored executionPlan, scheduled server-side by
+// plan-schedule. Dragging a task pins its start; settings and task flags
+// are written back to the session. With a resource pool configured each
+// task shows the engineer it was given to and can be reassigned.
+const TimelineView = ({ sessionId, refreshKey }) => {
+  const [schedule, setSchedule] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [selectedTaskId, setSelectedTaskId] = useState(null);
+  const [drag, setDrag] = useState(null);
+  const dragRef = useRef(null);
+
+  const request = useCallback(async (body) => {
+    if (!sessionId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const response = body
+        ? await fetch('/api/plan-schedule', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ sessionId, ...body })
+        })
+        : await fetch(`/api/plan-schedule?sessionId=${encodeURIComponent(sessionId)}`);
+      const data = await response.json().catch(() => null);
+      if (!response.ok || !data) {
+        setError(data?.details || data?.error || `Failed to load schedule (HTTP ${response.status})`);
+        return;
+      }
+      setSchedule(data.schedule);
+      setDraft({
+        ...data.schedule.settings,
+        holidaysText: data.schedule.settings.calendar.holidays.join(', ')
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    request();
+  }, [request, refreshKey]);
+
+  const applySettings = () => {
+    request({
+      settings: {
+        startDate: draft.startDate,
+        crewSize: Number(draft.crewSize),
+        calendar: {
+          ...draft.calendar,
+          holidays: draft.holidaysText.split(',').map((d) => d.trim()).filter(Boolean)
+        }
+      }
+    });
+  };
+
+  const toggleWorkDay = (day) => {
+    const workDays = draft.calendar.workDays.includes(day)
+      ? draft.calendar.workDays.filter((d) => d !== day)
+      : [...draft.calendar.workDays, day].sort();
+    setDraft({ ...draft, calendar: { ...draft.calendar, workDays } });
+  };
+
+  // Dragging: track the pixel offset while the mouse is down and convert it
+  // to a new pinned start (snapped to the hour) on release.
+  useEffect(() => {
+    if (!drag) return undefined;
+    const onMove = (e) => {
+      dragRef.current = { ...drag, dx: e.clientX - drag.originX };
+      setDrag(dragRef.current);
+    };
+    const onUp = () => {
+      const final = dragRef.current || drag;
+      setDrag(null);
+      dragRef.current = null;
+      if (Math.abs(final.dx || 0) < 3) {
+        setSelectedTaskId(final.taskId);
+        return;
+      }
+      const deltaMs = Math.round(((final.dx / PX_PER_DAY) * DAY) / HOUR) * HOUR;
+      const start = new Date(Date.parse(final.start) + deltaMs).toISOString();
+      request({ moves: [{ taskId: final.taskId, start }] });
+    };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+    return () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+    };
+  }, [drag, request]);
+
+  if (!sessionId) {
+    return <div className="timeline-empty">Start a session to see the timeline.</div>;
+  }
+  if (!schedule) {
+    return (
+      <div className="timeline-empty">
+        {error ? <span className="timeline-error">{error}</span> : 'Loading timeline...'}
+      </div>
+    );
+  }
+
+  const chartStart = startOfDay(Date.parse(schedule.start));
+  const lastDate = Math.max(
+    Date.parse(schedule.end),
+    ...schedule.milestones.map((m) => Date.parse(`${m.date}T00:00:00Z`) + DAY)
+  );
+  const dayCount = Math.max(7, Math.ceil((lastDate - chartStart) / DAY) + 2);
+  const days = Array.from({ length: dayCount }, (_, i) => chartStart + i * DAY);
+  const xOf = (iso) => ((Date.parse(iso) - chartStart) / DAY) * PX_PER_DAY;
+
+  const rows = [];
+  schedule.phases.forEach((phase) => {
+    rows.push({ kind: 'phase', id: phase.id, name: phase.name, start: phase.start, end: phase.end });
+    schedule.tasks.filter((t) => t.phaseId === phase.id).forEach((task) => rows.push({ kind: 'task', ...task, id: task.taskId }));
+  });
+  const chartWidth = dayCount * PX_PER_DAY;
+  const chartHeight = rows.length * ROW_HEIGHT;
+  const selected = schedule.tasks.find((t) => t.taskId === selectedTaskId);
+  const byResource = schedule.mode === 'resources';
+  const overallocations = schedule.overallocations || [];
+
+  return (
+    <div className="timeline-view">
+      <div className="timeline-toolbar">
+        <label>
+          Start
+          <input type="date" value={draft.startDate} onChange={(e) => setDraft({ ...draft, startDate: e.target.value })} />
+        </label>
+        <label>
+          Crew
+          <input
+            type="number"
+            min="1"
+            value={draft.crewSize}
+            disabled={byResource}
+            title={byResource ? 'Tasks are scheduled on the resource pool' : undefined}
+            onChange={(e) => setDraft({ ...draft, crewSize: e.target.value })}
+          />
+        </label>
+        <div className="timeline-workdays">
+          {WEEKDAYS.map((label, day) => (
+            <button
+              key={day}
+              className={draft.calendar.workDays.includes(day) ? 'active' : ''}
+              onClick={() => toggleWorkDay(day)}
+              title="Toggle working day"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <label>
+          Day starts
+          <input
+            type="number"
+            min="0"
+            max="23"
+            value={draft.calendar.dayStartHour}
+            onChange={(e) => setDraft({ ...draft, calendar: { ...draft.calendar, dayStartHour: Number(e.target.value) } })}
+          />
+        </label>
+        <label>
+          Hours/day
+          <input
+            type="number"
+            min="1"
+            max="24"
+            value={draft.calendar.hoursPerDay}
+            onChange={(e) => setDraft({ ...draft, calendar: { ...draft.calendar, hoursPerDay: Number(e.target.value) } })}
+          />
+        </label>
+        <label className="timeline-holidays">
+          Holidays
+          <input
+            type="text"
+            placeholder="YYYY-MM-DD, ..."
+            value={draft.holidaysText}
+            onChange={(e) => setDraft({ ...draft, holidaysText: e.target.value })}
+          />
+        </label>
+        <button className="btn btn-primary" onClick={applySettings} disabled={loading}>
+          Apply
+        </button>
+        <button className="btn btn-secondary" onClick={() => request()} disabled={loading} title="Reload">
+          <RefreshCw size={14} />
+        </button>
+        <div className="timeline-summary">
+          {formatDateTime(schedule.start).slice(0, 10)} → {formatDateTime(schedule.end).slice(0, 10)} ({schedule.workingDays} working days, {schedule.calendarDays} calendar)
+          {byResource && schedule.laborCost > 0 && ` · labor $${schedule.laborCost.toLocaleString()}`}
+        </div>
+      </div>
+
+      {byResource && (
+        <div className="timeline-engineers">
+          {schedule.engineers.filter((e) => e.hours > 0).map((e) => (
+            <span key={e.id}>{e.name} ({e.role}) {e.hours}h</span>
+          ))}
+        </div>
+      )}
+
+      {error && <div className="timeline-error">{error}</div>}
+      {schedule.warnings.length > 0 && (
+        <div className="timeline-warning">{schedule.warnings.join(' · ')}</div>
+      )}
+      {overallocations.length > 0 && (
+        <div className="timeline-warning">
+          Over-allocated: {overallocations.map((o) => `${o.name} ${o.date} (${o.bookedHours}h of ${o.capacity}h)`).join(' · ')}
+        </div>
+      )}
+
+      <div className="timeline-body">
+        <div className="timeline-labels">
+          <div className="timeline-header-spacer" />
+          {rows.map((row) => (
+            <div
+              key={`${row.kind}-${row.id}`}
+              className={`timeline-label ${row.kind} ${row.id === selectedTaskId ? 'selected' : ''}`}
+              onClick={() => row.kind === 'task' && setSelectedTaskId(row.id)}
+              title={row.assigneeName ? `${row.name} (${row.assigneeName})` : row.name}
+            >
+              {row.assigneeName && <span className="timeline-assignee">{row.assigneeName}</span>}
+              {row.name}
+            </div>
+          ))}
+        </div>
+
+        <div className="timeline-scroll">
+          <div className="timeline-header" style={{ width: chartWidth }}>
+            {days.map((day) => {
+              const d = new Date(day);
+              return (
+                <div key={day} className="timeline-day-label" style={{ width: PX_PER_DAY }}>
+                  {(d.getUTCDate() === 1 || day === chartStart) && (
+                    <span className="timeline-month">{d.toISOString().slice(0, 7)}</span>
+                  )}
+                  {WEEKDAYS[d.getUTCDay()]} {d.getUTCDate()}
+                </div>
+              );
+            })}
+            {schedule.milestones.map((m) => (
+              <div
+                key={`${m.name}-${m.date}`}
+                className="timeline-milestone-flag"
+                style={{ left: xOf(`${m.date}T00:00:00Z`) }}
+                title={`${m.name} (day ${m.day}, ${m.date})`}
+              >
+                <Flag size={12} /> {m.name}
+              </div>
+            ))}
+          </div>
+
+          <div className="timeline-grid" style={{ width: chartWidth, height: chartHeight }}>
+            {days.map((day) => (
+              <React.Fragment key={day}>
+                {!isWorkingDay(day, schedule.settings.calendar) && (
+                  <div className="timeline-nonworking" style={{ left: ((day - chartStart) / DAY) * PX_PER_DAY, width: PX_PER_DAY }} />
+                )}
+                {schedule.settings.maintenanceWindows
+                  .filter((w) => (w.days || []).includes(new Date(day).getUTCDay()))
+                  .map((w) => (
+                    <div
+                      key={`${day}-${w.label}`}
+                      className="timeline-maintenance"
+                      style={{
+                        left: ((day - chartStart) / DAY) * PX_PER_DAY + (w.startHour / 24) * PX_PER_DAY,
+                        width: ((Math.min(24, w.endHour) - w.startHour) / 24) * PX_PER_DAY
+                      }}
+                      title={`${w.label} maintenance window ${w.startHour}:00–${w.endHour}:00`}
+                    />
+                  ))}
+              </React.Fragment>
+            ))}
+
+            {schedule.milestones.map((m) => (
+              <div key={`line-${m.name}-${m.date}`} className="timeline-milestone-line" style={{ left: xOf(`${m.date}T00:00:00Z`) }} />
+            ))}
+
+            {rows.map((row, index) => {
+              if (!row.start || !row.end) return null;
+              const offset = drag && drag.taskId === row.id ? drag.dx || 0 : 0;
+              const left = xOf(row.start) + offset;
+              const width = Math.max(4, xOf(row.end) - xOf(row.start));
+              const classes = [
+                'timeline-bar',
+                row.kind,
+                row.critical ? 'critical' : '',
+                row.afterHours ? 'after-hours' : '',
+                row.id === selectedTaskId ? 'selected' : ''
+              ].join(' ');
+              return (
+                <div
+                  key={`bar-${row.kind}-${row.id}`}
+                  className={classes}
+                  style={{ top: index * ROW_HEIGHT + 5, left, width }}
+                  title={`${row.name}\n${formatDateTime(row.start)} → ${formatDateTime(row.end)}${row.kind === 'task' ? `\n${row.hours}h, slack ${row.slack}h` : ''}${row.assigneeName ? `\n${row.assigneeName}` : ''}`}
+                  onMouseDown={row.kind === 'task' ? (e) => {
+                    e.preventDefault();
+                    setDrag({ taskId: row.id, start: row.start, originX: e.clientX, dx: 0 });
+                  } : undefined}
+                >
+                  {row.pinnedStart && <Pin size={10} />}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+
+      {selected && (
+        <div className="timeline-details">
+          <strong>{selected.name}</strong>
+          <span>{formatDateTime(selected.start)} → {formatDateTime(selected.end)}</span>
+          <span>{selected.hours}h {selected.role ? `(${selected.role})` : ''} · slack {selected.slack}h{selected.critical ? ' · critical' : ''}</span>
+          {selected.dependencies.length > 0 && <span>After: {selected.dependencies.join(', ')}</span>}
+          {byResource && (
+            <label>
+              Engineer
+              <select
+                value={selected.pinnedAssignee ? selected.assigneeId : ''}
+                onChange={(e) => request({ updates: [{ taskId: selected.taskId, assignee: e.target.value || null }] })}
+              >
+                <option value="">Auto ({selected.assigneeName})</option>
+                {schedule.engineers.map((e) => (
+                  <option key={e.id} value={e.id}>{e.name} ({e.role})</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label>
+            <input
+              type="checkbox"
+              checked={selected.afterHours}
+              onChange={(e) => request({ updates: [{ taskId: selected.taskId, afterHours: e.target.checked }] })}
+            />
+            Run in maintenance window (after hours)
+          </label>
+          {selected.pinnedStart && (
+            <button className="btn btn-secondary" onClick={() => request({ moves: [{ taskId: selected.taskId, start: null }] })}>
+              Unpin start
+            </button>
+          )}
+          <button className="btn btn-secondary" onClick={() => setSelectedTaskId(null)}>
+            Close
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimelineView;
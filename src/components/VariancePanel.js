@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, X } from 'lucide-react';
+import { deliverableLabels, formatHours } from '../planFormat';
+import './VariancePanel.css';
+
+const VarianceCell = ({ row }) => {
+  const className = row.variance > 0 ? 'over' : row.variance < 0 ? 'under' : '';
+  return (
+    <span className={`variance-value ${className}`}>
+      {row.variance > 0 ? '+' : ''}{formatHours(row.variance)}
+      {row.variancePct != null && ` (${row.variancePct > 0 ? '+' : ''}${row.variancePct}%)`}
+    </span>
+  );
+};
+
+// Estimate-vs-actual summary produced by connectwise-actuals / session-get.
+const VariancePanel = ({ variance, pulledAt, onClose }) => {
+  const [expandedPhases, setExpandedPhases] = useState({});
+
+  if (!variance) return null;
+
+  const togglePhase = (phaseId) => {
+    setExpandedPhases((prev) => ({ ...prev, [phaseId]: !prev[phaseId] }));
+  };
+
+  return (
+    <div className="variance-panel">
+      <div className="variance-header">
+        <div>
+          <h3>Estimate vs Actual</h3>
+          {pulledAt && <div className="variance-pulled">Pulled {new Date(pulledAt).toLocaleString()}</div>}
+        </div>
+        <button className="variance-close" onClick={onClose} aria-label="Close">
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="variance-totals">
+        <div><span>Estimated</span><strong>{formatHours(variance.totals.estimatedHours)}</strong></div>
+        <div><span>Actual</span><strong>{formatHours(variance.totals.actualHours)}</strong></div>
+        <div><span>Variance</span><strong><VarianceCell row={variance.totals} /></strong></div>
+      </div>
+
+      <div className="variance-section-title">By Deliverable</div>
+      <table className="variance-table">
+        <tbody>
+          {Object.entries(variance.byDeliverable).map(([key, row]) => (
+            <tr key={key}>
+              <td>{deliverableLabels[key] || key}</td>
+              <td>{formatHours(row.estimatedHours)}</td>
+              <td>{formatHours(row.actualHours)}</td>
+              <td><VarianceCell row={row} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="variance-section-title">By Phase / Task</div>
+      <table className="variance-table">
+        <thead>
+          <tr><th /><th>Est.</th><th>Act.</th><th>Var.</th></tr>
+        </thead>
+        <tbody>
+          {variance.byPhase.map((phase) => (
+            <React.Fragment key={phase.id}>
+              <tr className="variance-phase-row" onClick={() => togglePhase(phase.id)}>
+                <td>
+                  {expandedPhases[phase.id] ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+                  {phase.name}
+                </td>
+                <td>{formatHours(phase.estimatedHours)}</td>
+                <td>{formatHours(phase.actualHours)}</td>
+                <td><VarianceCell row={phase} /></td>
+              </tr>
+              {expandedPhases[phase.id] && variance.byTask
+                .filter((task) => task.phaseId === phase.id)
+                .map((task) => (
+                  <tr key={task.taskId} className="variance-task-row">
+                    <td>
+                      {task.name}
+                      {task.status && <span className="variance-status">{task.status}</span>}
+                    </td>
+                    <td>{formatHours(task.estimatedHours)}</td>
+                    <td>{formatHours(task.actualHours)}</td>
+                    <td><VarianceCell row={task} /></td>
+                  </tr>
+                ))}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default VariancePanel;
@@ -0,0 +1,12 @@
+// Display helpers shared by the plan panels (variance, diff, scenarios,
+// confidence ranges).
+
+export const deliverableLabels = {
+  deliverable1: 'Deliverable 1 – Server Migration',
+  deliverable2: 'Deliverable 2 – User Onboarding',
+  deliverable3: 'Deliverable 3 – Data Migration/Lockdown/Backup',
+  deliverable4: 'Deliverable 4 – Email/OneDrive/Website/DNS',
+  projectManagement: 'Project Management / Stabilization',
+};
+
+export const formatHours = (hours) => `${Math.round((hours || 0) * 10) / 10}h`;